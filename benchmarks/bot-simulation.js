@@ -0,0 +1,36 @@
+/**
+ * Plays bots against each other and reports win rates with confidence intervals
+ * Usage: node benchmarks/bot-simulation.js [hands] [strategy...] [--seed=<seed>]
+ * Example: node benchmarks/bot-simulation.js 20000 hard medium hard medium
+ * Example: node benchmarks/bot-simulation.js 5000 tag calling-station maniac nit
+ */
+
+const { BotSimulation, formatSimulationReport } = require('../js/simulation.js');
+
+const args = process.argv.slice(2);
+const seedArg = args.find(arg => arg.startsWith('--seed='));
+const positional = args.filter(arg => arg !== seedArg);
+
+const handCount = parseInt(positional[0]) || 10000;
+const seats = positional.slice(1).length > 0 ?
+    positional.slice(1) : ['easy', 'medium', 'hard', 'easy', 'medium', 'hard'];
+
+const simulation = new BotSimulation({
+    seats,
+    hands: handCount,
+    seed: seedArg ? seedArg.slice('--seed='.length) : undefined
+});
+
+const start = process.hrtime.bigint();
+const report = simulation.run((played, total) => {
+    if (played % 1000 === 0 && process.stderr.isTTY) {
+        process.stderr.write(`\r${played.toLocaleString()} / ${total.toLocaleString()} hands`);
+    }
+});
+const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+if (process.stderr.isTTY) {
+    process.stderr.write('\r\x1b[K');
+}
+console.log(formatSimulationReport(report));
+console.log(`\nPlayed in ${seconds.toFixed(1)}s`);
@@ -0,0 +1,41 @@
+/**
+ * Benchmarks the lookup-table evaluator against the 21-combination brute force
+ * Usage: node benchmarks/hand-evaluator.bench.js [hands]
+ */
+
+const Random = require('../js/random.js');
+const Cards = require('../js/cards.js');
+const HandEvaluator = require('../js/hand-evaluator.js');
+
+const handCount = parseInt(process.argv[2]) || 100000;
+const rng = Random.createRng('benchmark');
+const deck = Cards.createDeck();
+const hands = [];
+for (let i = 0; i < handCount; i++) {
+    hands.push(Cards.shuffleDeck(deck, rng).slice(0, 7));
+}
+
+/**
+ * Times an evaluator over every sample hand
+ * @returns {number} Hands per second
+ */
+function measure(label, evaluate) {
+    const start = process.hrtime.bigint();
+    for (const hand of hands) {
+        evaluate(hand.slice(0, 2), hand.slice(2));
+    }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const rate = handCount / seconds;
+    console.log(`${label.padEnd(14)} ${seconds.toFixed(3)}s  ${Math.round(rate).toLocaleString()} hands/s`);
+    return rate;
+}
+
+// Build the lookup tables outside the timed runs
+const tableStart = process.hrtime.bigint();
+HandEvaluator.evaluateBestHand(hands[0].slice(0, 2), hands[0].slice(2));
+console.log(`Lookup tables built in ${(Number(process.hrtime.bigint() - tableStart) / 1e6).toFixed(1)}ms`);
+console.log(`Evaluating ${handCount.toLocaleString()} random 7-card hands`);
+
+const slow = measure('Brute force', HandEvaluator.evaluateBestHandBruteForce);
+const fast = measure('Lookup table', HandEvaluator.evaluateBestHand);
+console.log(`Speedup: ${(fast / slow).toFixed(1)}x`);
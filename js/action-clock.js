@@ -0,0 +1,133 @@
+/**
+ * Action Clock
+ * A decision clock with a time bank: every decision gets the same time, and
+ * once that runs out the player's bank runs down. The bank is only refilled
+ * by a new clock, so it lasts the whole session. When both are gone the
+ * player has timed out and checks if they can, or folds.
+ */
+
+(function () {
+
+const CLOCK_PHASES = {
+    DECISION: 'decision',
+    TIME_BANK: 'time-bank',
+    EXPIRED: 'expired'
+};
+
+/**
+ * Times one player's decisions
+ */
+class ActionClock {
+    /**
+     * @param {Object} options - Clock settings
+     * @param {number} options.decisionTime - Seconds for each decision
+     * @param {number} options.timeBank - Seconds of extra time for the session
+     * @param {Function} options.now - Clock in milliseconds
+     */
+    constructor(options = {}) {
+        if (!(options.decisionTime > 0) || options.timeBank < 0) {
+            throw new Error('An action clock needs a positive decision time and a time bank of zero or more');
+        }
+        this.decisionTime = options.decisionTime * 1000;
+        this.timeBank = (options.timeBank || 0) * 1000;
+        this.now = options.now || (() => Date.now());
+        this.startedAt = null;
+    }
+
+    /**
+     * Starts timing a decision
+     * @param {number} elapsed - Milliseconds already used, when picking up a decision timed elsewhere
+     */
+    start(elapsed = 0) {
+        this.startedAt = this.now() - elapsed;
+    }
+
+    /**
+     * Whether a decision is being timed
+     */
+    isRunning() {
+        return this.startedAt !== null;
+    }
+
+    /**
+     * Milliseconds the running decision has taken so far
+     */
+    getElapsed() {
+        return this.isRunning() ? this.now() - this.startedAt : 0;
+    }
+
+    /**
+     * Gets where the running decision stands
+     * @returns {Object} { phase, remaining, bank }: the phase from CLOCK_PHASES, milliseconds
+     *                   left in it and milliseconds left in the bank
+     */
+    getStatus() {
+        const elapsed = this.getElapsed();
+
+        if (elapsed < this.decisionTime) {
+            return { phase: CLOCK_PHASES.DECISION, remaining: this.decisionTime - elapsed, bank: this.timeBank };
+        }
+
+        const bank = Math.max(0, this.timeBank - (elapsed - this.decisionTime));
+        return bank > 0 ?
+            { phase: CLOCK_PHASES.TIME_BANK, remaining: bank, bank } :
+            { phase: CLOCK_PHASES.EXPIRED, remaining: 0, bank: 0 };
+    }
+
+    /**
+     * Milliseconds until the running decision times out
+     */
+    getTimeLeft() {
+        const status = this.getStatus();
+        return status.phase === CLOCK_PHASES.DECISION ? status.remaining + status.bank : status.remaining;
+    }
+
+    /**
+     * Stops timing, taking any bank time used out of the bank
+     * @returns {Object} The status when stopped, as from getStatus
+     */
+    stop() {
+        const status = this.getStatus();
+        this.timeBank = status.bank;
+        this.startedAt = null;
+        return status;
+    }
+}
+
+/**
+ * Picks the action for a player who ran out of time: check if it is free, fold otherwise
+ * @param {Array} legalActions - Legal actions from PokerEngine.getLegalActions
+ * @returns {string} 'check' or 'fold'
+ */
+function getTimeoutAction(legalActions) {
+    return legalActions.some(legal => legal.action === 'check') ? 'check' : 'fold';
+}
+
+/**
+ * Formats milliseconds as whole seconds left, like "12s" or "1:05"
+ * @param {number} ms - Milliseconds
+ * @returns {string} Time left
+ */
+function formatTimeLeft(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        CLOCK_PHASES,
+        ActionClock,
+        getTimeoutAction,
+        formatTimeLeft
+    };
+} else {
+    window.ActionClock = {
+        CLOCK_PHASES,
+        ActionClock,
+        getTimeoutAction,
+        formatTimeLeft
+    };
+}
+
+})();
@@ -3,6 +3,12 @@
  * Roguelike poker game mechanics
  */
 
+(function () {
+
+const Random = typeof module === 'object' ? require('./random.js') : window.Random;
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+const HandEvaluator = typeof module === 'object' ? require('./hand-evaluator.js') : window.HandEvaluator;
+
 // Hand scoring values (base chips, multiplier)
 const HAND_SCORES = {
     HIGH_CARD: { chips: 5, mult: 1, name: 'High Card' },
@@ -42,7 +48,13 @@ const BLINDS = {
 const ANTE_BASE_SCORES = [0, 300, 450, 600, 900, 1200, 1800, 2400, 4000];
 
 class BalatroGame {
-    constructor() {
+    /**
+     * @param {Object} options - { seed?, rng? } random source for shuffling
+     */
+    constructor(options = {}) {
+        const random = Random.resolveRandomSource(options);
+        this.seed = random.seed;
+        this.rng = random.rng;
         this.deck = [];
         this.hand = [];
         this.selectedCards = [];
@@ -82,7 +94,7 @@ class BalatroGame {
         this.selectedCards = [];
         
         // Create and shuffle deck
-        this.deck = window.Cards.shuffleDeck(window.Cards.createDeck());
+        this.deck = Cards.shuffleDeck(Cards.createDeck(), this.rng);
         
         // Deal initial hand of 8 cards
         this.dealHand();
@@ -165,7 +177,7 @@ class BalatroGame {
         }
 
         // Use the hand evaluator for 5 cards
-        return window.HandEvaluator.evaluate5CardHand(cards);
+        return HandEvaluator.evaluate5CardHand(cards);
     }
 
     /**
@@ -425,7 +437,14 @@ class BalatroGame {
 }
 
 // Export for use in other modules
-if (typeof window !== 'undefined') {
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        BalatroGame,
+        HAND_SCORES
+    };
+} else {
     window.BalatroGame = BalatroGame;
     window.HAND_SCORES = HAND_SCORES;
 }
+
+})();
@@ -179,7 +179,7 @@ class BalatroUI {
      * Starts a new game
      */
     startNewGame() {
-        this.game = new window.BalatroGame();
+        this.game = new window.BalatroGame({ seed: window.Random.getSeedFromUrl() });
         this.game.newGame();
         this.scoreHistory = [];
         this.showScreen('game');
@@ -0,0 +1,196 @@
+/**
+ * Bet Sizing for Bots
+ * Turns sizes given as raise-to amounts, pot fractions or big blinds into
+ * legal raise-to totals rounded to chip denominations, and picks standard
+ * open-raise, 3-bet, c-bet and value bet sizes by street and stack-to-pot ratio
+ */
+
+(function () {
+
+// Chips in play; bets are rounded to the largest one that fits in the small blind
+const CHIP_DENOMINATIONS = [1, 5, 25, 100, 500, 1000, 5000, 25000];
+
+// Opening raise in multiples of the price to play (the big blind, or a
+// straddle when there is one), plus one more for every limper in front
+const OPEN_RAISE_MULTIPLIER = 2.5;
+
+// Re-raises as a multiple of the raise they face: 3-bets bigger out of position
+const THREE_BET_MULTIPLIER = { inPosition: 3, outOfPosition: 3.5 };
+const FOUR_BET_MULTIPLIER = 2.25;
+
+// Postflop bets as a fraction of the pot, by street
+const STREET_BET_FRACTIONS = { flop: 0.5, turn: 0.66, river: 0.75 };
+
+// Flop c-bets are small with deep stacks and bigger as stacks get shorter against the pot
+const CBET_FRACTIONS = { deep: 0.33, shallow: 0.5 };
+const DEEP_SPR = 6;
+
+// Raising a postflop bet: to this many times the bet
+const POSTFLOP_RAISE_MULTIPLIER = 3;
+
+// A bet that would leave less than this share of the pot behind goes all in instead
+const COMMIT_SHARE = 0.5;
+
+/**
+ * Gets the chip a table's bets are rounded to
+ * @param {number} smallBlind - Small blind
+ * @returns {number} The largest denomination no bigger than the small blind
+ */
+function getChipUnit(smallBlind) {
+    return CHIP_DENOMINATIONS.filter(chip => chip <= Math.max(1, smallBlind)).pop();
+}
+
+/**
+ * Rounds an amount to the nearest whole number of chips
+ * @param {number} amount - Amount to round
+ * @param {number} unit - Chip denomination from getChipUnit
+ * @returns {number} Rounded amount
+ */
+function roundToChips(amount, unit) {
+    return Math.round(amount / unit) * unit;
+}
+
+/**
+ * Gets the stack-to-pot ratio: the smaller of the player's stack and the
+ * biggest stack facing them, against the pot after calling
+ * @param {Object} context - Decision context from PokerEngine.getDecisionContext
+ * @returns {number} Effective stack over the pot
+ */
+function getStackToPotRatio(context) {
+    const opponents = context.players.filter(p => p.name !== context.name && !p.hasFolded);
+    const behind = Math.max(0, ...opponents.map(p => p.chips + p.committed - context.currentBet));
+    const effectiveStack = Math.min(context.stack - context.toCall, behind);
+    return effectiveStack / Math.max(1, context.pot + context.toCall);
+}
+
+/**
+ * Turns a size into a legal raise-to total. Pot fractions are of the pot
+ * after calling, on top of the current bet, like a pot-sized raise. Totals
+ * are rounded to chips, kept between the minimum and maximum raise, and a
+ * raise that would leave too little behind to fold becomes all in.
+ * @param {Object} context - Decision context from PokerEngine.getDecisionContext
+ * @param {Object} size - { to }, { potFraction } or { bigBlinds }
+ * @returns {number|null} Raise-to total, or null if the player cannot raise
+ */
+function sizeBet(context, size) {
+    const limits = context.legalActions.find(a => a.action === 'raise');
+    if (!limits) {
+        return null;
+    }
+
+    let total;
+    if (size.to !== undefined) {
+        total = size.to;
+    } else if (size.potFraction !== undefined) {
+        total = context.currentBet + (context.pot + context.toCall) * size.potFraction;
+    } else if (size.bigBlinds !== undefined) {
+        total = size.bigBlinds * context.bigBlind;
+    } else {
+        throw new Error('A bet size needs a to, potFraction or bigBlinds');
+    }
+
+    total = roundToChips(total, getChipUnit(context.smallBlind));
+
+    // Chips left behind against the pot the raise would make
+    const stackTotal = context.committed + context.stack;
+    const potAfter = context.pot + total - context.committed;
+    if (stackTotal - total < potAfter * COMMIT_SHARE) {
+        total = stackTotal;
+    }
+
+    return Math.max(limits.min, Math.min(total, limits.max));
+}
+
+/**
+ * Reads the betting on the current street: how many bets and raises, who
+ * made the last one, and how many players limped in before the first
+ * @param {Object} context - Decision context
+ * @returns {Object} { raises, lastRaiser, limpers } for the current street
+ */
+function readStreet(context) {
+    const actions = context.history.filter(entry => entry.street === context.phase);
+    const raises = actions.filter(entry => entry.action === 'bet' || entry.action === 'raise');
+    const firstRaise = actions.indexOf(raises[0]);
+    const callsBefore = firstRaise === -1 ? actions : actions.slice(0, firstRaise);
+
+    return {
+        raises: raises.length,
+        lastRaiser: raises.length > 0 ? raises[raises.length - 1].player : null,
+        limpers: callsBefore.filter(entry => entry.action === 'call').length
+    };
+}
+
+/**
+ * Checks whether the player was the last to bet or raise before the flop
+ * @param {Object} context - Decision context
+ * @returns {boolean} True for the preflop aggressor
+ */
+function isPreflopAggressor(context) {
+    const raises = context.history.filter(entry =>
+        entry.street === 'preflop' && (entry.action === 'bet' || entry.action === 'raise'));
+    return raises.length > 0 && raises[raises.length - 1].player === context.name;
+}
+
+/**
+ * Picks the standard size for a bet or raise in the current spot:
+ * - preflop, an open of 2.5 times the big blind or straddle plus one per limper, a 3-bet of three
+ *   times the raise in position (3.5 out of position) and 2.25 times for 4-bets and up
+ * - on the flop, a c-bet of a third of the pot with deep stacks or half the
+ *   pot once the stack-to-pot ratio is low, otherwise half the pot
+ * - on the turn and river, two thirds and three quarters of the pot
+ * - facing a bet after the flop, a raise to three times the bet
+ * @param {Object} context - Decision context from PokerEngine.getDecisionContext
+ * @returns {number|null} Raise-to total from sizeBet, or null if the player cannot raise
+ */
+function getStandardRaise(context) {
+    const street = readStreet(context);
+
+    if (context.phase === 'preflop') {
+        if (street.raises === 0) {
+            // A big blind all in for less still leaves the big blind as the price to play
+            const price = Math.max(context.currentBet, context.bigBlind);
+            return sizeBet(context, { to: price * (OPEN_RAISE_MULTIPLIER + street.limpers) });
+        }
+        if (street.raises === 1) {
+            // The blinds play the rest of the hand out of position
+            const inPosition = context.position !== 1 && context.position !== 2;
+            const multiplier = inPosition ? THREE_BET_MULTIPLIER.inPosition : THREE_BET_MULTIPLIER.outOfPosition;
+            return sizeBet(context, { to: context.currentBet * multiplier });
+        }
+        return sizeBet(context, { to: context.currentBet * FOUR_BET_MULTIPLIER });
+    }
+
+    if (context.currentBet > 0) {
+        return sizeBet(context, { to: context.currentBet * POSTFLOP_RAISE_MULTIPLIER });
+    }
+
+    if (context.phase === 'flop' && isPreflopAggressor(context)) {
+        const deep = getStackToPotRatio(context) > DEEP_SPR;
+        return sizeBet(context, { potFraction: deep ? CBET_FRACTIONS.deep : CBET_FRACTIONS.shallow });
+    }
+
+    return sizeBet(context, { potFraction: STREET_BET_FRACTIONS[context.phase] });
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        CHIP_DENOMINATIONS,
+        getChipUnit,
+        roundToChips,
+        getStackToPotRatio,
+        sizeBet,
+        getStandardRaise
+    };
+} else {
+    window.BetSizing = {
+        CHIP_DENOMINATIONS,
+        getChipUnit,
+        roundToChips,
+        getStackToPotRatio,
+        sizeBet,
+        getStandardRaise
+    };
+}
+
+})();
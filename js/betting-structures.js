@@ -0,0 +1,161 @@
+/**
+ * Betting Structures for Texas Hold'em
+ * No Limit, Pot Limit and Fixed Limit rules for how much a player may bet or raise
+ */
+
+(function () {
+
+const BETTING_STRUCTURES = {
+    NO_LIMIT: 'no-limit',
+    POT_LIMIT: 'pot-limit',
+    FIXED_LIMIT: 'fixed-limit'
+};
+
+// Fixed Limit streets played with the small bet; the turn and river use the big bet
+const SMALL_BET_STREETS = ['preflop', 'flop'];
+
+/**
+ * No Limit - raise at least the last bet or raise, up to the whole stack
+ */
+class NoLimitStructure {
+    constructor() {
+        this.type = BETTING_STRUCTURES.NO_LIMIT;
+        this.label = 'No Limit';
+    }
+
+    /**
+     * Gets the legal raise-to range for a player
+     * @param {Object} engine - The poker engine
+     * @param {Object} player - The acting player
+     * @returns {Object|null} { min, max } raise-to totals, or null if the player cannot raise
+     */
+    getRaiseLimits(engine, player) {
+        const stackTotal = player.totalBetThisRound + player.chips;
+        if (stackTotal <= engine.currentBet) {
+            return null;
+        }
+        const max = this.getMaxRaise(engine, player, stackTotal);
+        return { min: Math.min(engine.currentBet + engine.minRaise, max), max };
+    }
+
+    /**
+     * Largest raise-to total allowed
+     */
+    getMaxRaise(engine, player, stackTotal) {
+        return stackTotal;
+    }
+
+    /**
+     * Tells whether a raise is big enough to reopen the betting
+     * @param {Object} engine - The poker engine, before the raise is applied
+     * @param {number} raiseBy - Chips the raise adds over the current bet
+     * @returns {boolean} True for at least the last bet or raise
+     */
+    isFullRaise(engine, raiseBy) {
+        return raiseBy >= engine.minRaise;
+    }
+}
+
+/**
+ * Pot Limit - same minimum as No Limit, but a raise can be at most the size
+ * of the pot after calling
+ */
+class PotLimitStructure extends NoLimitStructure {
+    constructor() {
+        super();
+        this.type = BETTING_STRUCTURES.POT_LIMIT;
+        this.label = 'Pot Limit';
+    }
+
+    getMaxRaise(engine, player, stackTotal) {
+        const callAmount = Math.max(0, engine.currentBet - player.totalBetThisRound);
+        const potAfterCall = engine.pot + callAmount;
+        return Math.min(stackTotal, engine.currentBet + potAfterCall);
+    }
+}
+
+/**
+ * Fixed Limit - bets and raises come in one fixed size per street
+ * (small bet preflop and on the flop, big bet on the turn and river),
+ * with a cap on the number of bets per street
+ */
+class FixedLimitStructure {
+    /**
+     * @param {number|null} smallBet - Bet size preflop and on the flop; null follows the big blind
+     * @param {number|null} bigBet - Bet size on the turn and river; null is twice the small bet
+     * @param {number} cap - Bets and raises allowed per street, counting the opening bet
+     */
+    constructor(smallBet = null, bigBet = null, cap = 4) {
+        this.type = BETTING_STRUCTURES.FIXED_LIMIT;
+        this.label = 'Limit';
+        this.smallBet = smallBet;
+        this.bigBet = bigBet;
+        this.cap = cap;
+    }
+
+    /**
+     * Gets the bet size for the engine's current street
+     */
+    getBetSize(engine) {
+        const smallBet = this.smallBet || engine.bigBlind;
+        return SMALL_BET_STREETS.includes(engine.phase) ? smallBet : (this.bigBet || smallBet * 2);
+    }
+
+    getRaiseLimits(engine, player) {
+        const stackTotal = player.totalBetThisRound + player.chips;
+        if (stackTotal <= engine.currentBet || engine.betsThisRound >= this.cap) {
+            return null;
+        }
+        const raiseTo = Math.min(engine.currentBet + this.getBetSize(engine), stackTotal);
+        return { min: raiseTo, max: raiseTo };
+    }
+
+    /**
+     * A full bet of the street's size is a raise, whatever the blinds or a
+     * straddle left as the minimum raise, so it counts towards the cap
+     */
+    isFullRaise(engine, raiseBy) {
+        return raiseBy >= this.getBetSize(engine);
+    }
+}
+
+/**
+ * Creates a betting structure
+ * @param {string} type - One of BETTING_STRUCTURES
+ * @param {Object} options - { smallBet, bigBet, cap } used by Fixed Limit;
+ *                           bet sizes follow the engine's big blind unless given
+ * @returns {Object} Betting structure
+ */
+function createBettingStructure(type = BETTING_STRUCTURES.NO_LIMIT, options = {}) {
+    switch (type) {
+        case BETTING_STRUCTURES.POT_LIMIT:
+            return new PotLimitStructure();
+        case BETTING_STRUCTURES.FIXED_LIMIT:
+            return new FixedLimitStructure(options.smallBet, options.bigBet, options.cap);
+        case BETTING_STRUCTURES.NO_LIMIT:
+            return new NoLimitStructure();
+        default:
+            throw new Error(`Unknown betting structure "${type}"`);
+    }
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        BETTING_STRUCTURES,
+        NoLimitStructure,
+        PotLimitStructure,
+        FixedLimitStructure,
+        createBettingStructure
+    };
+} else {
+    window.BettingStructures = {
+        BETTING_STRUCTURES,
+        NoLimitStructure,
+        PotLimitStructure,
+        FixedLimitStructure,
+        createBettingStructure
+    };
+}
+
+})();
@@ -2,8 +2,19 @@
  * Blackjack Game Engine
  */
 
+(function () {
+
+const Random = typeof module === 'object' ? require('./random.js') : window.Random;
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+
 class BlackjackGame {
-    constructor() {
+    /**
+     * @param {Object} options - { seed?, rng? } random source for shuffling
+     */
+    constructor(options = {}) {
+        const random = Random.resolveRandomSource(options);
+        this.seed = random.seed;
+        this.rng = random.rng;
         this.deck = [];
         this.playerHand = [];
         this.dealerHand = [];
@@ -55,7 +66,7 @@ class BlackjackGame {
         this.playerChips -= this.currentBet;
 
         // Create and shuffle deck
-        this.deck = window.Cards.shuffleDeck(window.Cards.createDeck());
+        this.deck = Cards.shuffleDeck(Cards.createDeck(), this.rng);
         
         // Deal initial cards
         this.playerHand = [];
@@ -258,6 +269,12 @@ class BlackjackGame {
 }
 
 // Export
-if (typeof window !== 'undefined') {
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        BlackjackGame
+    };
+} else {
     window.BlackjackGame = BlackjackGame;
 }
+
+})();
@@ -123,7 +123,7 @@ class BlackjackUI {
      */
     startGame() {
         const startingChips = parseInt(this.elements.startingChips.value);
-        this.game = new window.BlackjackGame();
+        this.game = new window.BlackjackGame({ seed: window.Random.getSeedFromUrl() });
         this.game.init(startingChips);
         this.showScreen('game');
         this.updateDisplay();
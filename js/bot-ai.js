@@ -1,26 +1,162 @@
 /**
  * Bot AI for Texas Hold'em
- * Implements three difficulty levels: Easy, Medium, Hard
+ * Bots play pluggable strategies from a registry; Easy, Medium, Hard and Expert are built in
  */
 
+(function () {
+
+const GameVariants = typeof module === 'object' ? require('./game-variants.js') : window.GameVariants;
+const Ranges = typeof module === 'object' ? require('./ranges.js') : window.Ranges;
+const Equity = typeof module === 'object' ? require('./equity.js') : window.Equity;
+const HandEvaluator = typeof module === 'object' ? require('./hand-evaluator.js') : window.HandEvaluator;
+const BetSizing = typeof module === 'object' ? require('./bet-sizing.js') : window.BetSizing;
+
 const BOT_DIFFICULTY = {
     EASY: 'easy',
     MEDIUM: 'medium',
-    HARD: 'hard'
+    HARD: 'hard',
+    EXPERT: 'expert'
+};
+
+// Ranges the Expert bot puts an opponent on, tightest last: called or yet to act, raised, re-raised
+const EXPERT_RANGE_TIERS = [
+    Ranges.parseRange('22+, A2s+, K5s+, Q8s+, J8s+, T8s+, 97s+, 86s+, 75s+, 65s, 54s, A7o+, K9o+, Q9o+, J9o+, T9o'),
+    Ranges.parseRange('22+, A2s+, K9s+, Q9s+, J9s+, T9s, 98s, 87s, ATo+, KJo+, QJo'),
+    Ranges.parseRange('TT+, AQs+, AKo')
+];
+
+// Monte Carlo budget per Expert decision; small spots are enumerated exactly
+const EXPERT_EQUITY_ITERATIONS = 300;
+
+// Share of the equity above a fair share the Expert bot wants before betting for value
+const EXPERT_VALUE_MARGIN = 0.2;
+
+// Share of its equity a caller expects to realize before the river, without the initiative
+const EXPERT_REALIZATION = 0.85;
+
+// Share of the remaining effective stack the Expert bot expects to win later when a draw comes in
+const EXPERT_IMPLIED_SHARE = 0.3;
+
+// Draws the Expert bot semi-bluffs with; backdoors and overcards alone are too thin
+const SEMI_BLUFF_DRAWS = [
+    HandEvaluator.DRAW_TYPES.FLUSH_DRAW,
+    HandEvaluator.DRAW_TYPES.OPEN_ENDED,
+    HandEvaluator.DRAW_TYPES.DOUBLE_GUTSHOT,
+    HandEvaluator.DRAW_TYPES.GUTSHOT
+];
+
+// How Medium and Hard scale their bluffing and calling against each kind of player:
+// loose players bet and call with more hands, so bluff them less and call them lighter
+const OPPONENT_ADJUSTMENTS = {
+    loose: { bluff: 0.5, call: 1.25 },
+    tight: { bluff: 1.5, call: 0.8 },
+    average: { bluff: 1, call: 1 }
 };
 
+// Fold to c-bet above which a player gives up often enough to bluff more
+const HIGH_FOLD_TO_CBET = 0.6;
+
 const BOT_NAMES = [
     'Alex', 'Jordan', 'Casey', 'Morgan', 'Riley',
     'Taylor', 'Quinn', 'Avery', 'Sage', 'Drew'
 ];
 
+// Registered strategies by id
+const strategies = new Map();
+
+/**
+ * Registers a bot strategy so it can be chosen for a seat.
+ * decide(context, bot) gets the read-only context from PokerEngine.getDecisionContext
+ * and the deciding bot (for its name and rng), and returns
+ * { action: 'fold'|'check'|'call'|'raise'|'all_in', amount? } with a raise amount
+ * as the total to raise to. The decision goes through validateAction before it is played.
+ * @param {Object} strategy - { id, label, description?, decide(context, bot) }
+ * @returns {Object} The registered strategy
+ */
+function registerStrategy(strategy) {
+    if (!strategy || !strategy.id || typeof strategy.decide !== 'function') {
+        throw new Error('A bot strategy needs an id and a decide(context, bot) function');
+    }
+    const registered = { label: strategy.id, description: '', ...strategy };
+    strategies.set(strategy.id, registered);
+    return registered;
+}
+
+/**
+ * Gets a registered strategy
+ * @param {string} id - Strategy id, e.g. one of BOT_DIFFICULTY
+ * @returns {Object} The strategy
+ */
+function getStrategy(id) {
+    const strategy = strategies.get(id);
+    if (!strategy) {
+        throw new Error(`Unknown bot strategy "${id}"`);
+    }
+    return strategy;
+}
+
+/**
+ * Gets every registered strategy, built-in ones first
+ * @returns {Array} Strategies as { id, label, description, decide }
+ */
+function getStrategies() {
+    return [...strategies.values()];
+}
+
+/**
+ * Turns a strategy's decision into one of the legal actions in its context.
+ * Raises are kept inside the allowed range, a raise that is not allowed becomes
+ * a call or check, a check facing a bet becomes a fold, and a fold that would
+ * cost nothing becomes a check.
+ * @param {Object} context - Context from PokerEngine.getDecisionContext
+ * @param {Object} decision - { action, amount? }, a raise amount being the total to raise to
+ * @returns {Object} { action, amount } for PokerEngine.processAction
+ */
+function validateAction(context, decision) {
+    const legal = action => context.legalActions.find(a => a.action === action);
+    const checkOrCall = { action: legal('check') ? 'check' : 'call', amount: 0 };
+    const raise = legal('raise');
+
+    switch (decision && decision.action) {
+        case 'fold':
+            return legal('fold') ? { action: 'fold', amount: 0 } : checkOrCall;
+        case 'check':
+            return legal('check') ? checkOrCall : { action: 'fold', amount: 0 };
+        case 'call':
+            return checkOrCall;
+        case 'bet':
+        case 'raise': {
+            if (!raise) {
+                return checkOrCall;
+            }
+            const amount = Number.isFinite(decision.amount) ? Math.floor(decision.amount) : raise.min;
+            return { action: 'raise', amount: Math.max(raise.min, Math.min(amount, raise.max)) };
+        }
+        case 'all_in':
+            if (legal('all_in')) {
+                return { action: 'all_in', amount: 0 };
+            }
+            return raise ? { action: 'raise', amount: raise.max } : checkOrCall;
+        default:
+            throw new Error(`Unknown bot action "${decision && decision.action}"`);
+    }
+}
+
 /**
  * Bot player class
  */
 class BotPlayer {
-    constructor(name, difficulty, startingChips) {
+    /**
+     * @param {string} name - Display name
+     * @param {string} strategy - Id of a registered strategy, e.g. one of BOT_DIFFICULTY
+     * @param {number} startingChips - Starting stack
+     * @param {Function} rng - Random source returning floats in [0, 1)
+     */
+    constructor(name, strategy, startingChips, rng = Math.random) {
         this.name = name;
-        this.difficulty = difficulty;
+        this.rng = rng;
+        this.strategy = getStrategy(strategy);
+        this.difficulty = strategy;
         this.chips = startingChips;
         this.holeCards = [];
         this.isBot = true;
@@ -31,21 +167,12 @@ class BotPlayer {
     }
 
     /**
-     * Decides what action to take based on difficulty and hand strength
-     * @param {Object} gameState - Current game state
-     * @returns {Object} Action to take { action: 'fold'|'call'|'raise', amount?: number }
+     * Asks the bot's strategy for a decision and makes it legal
+     * @param {Object} context - Context from PokerEngine.getDecisionContext
+     * @returns {Object} { action, amount } for PokerEngine.processAction
      */
-    decide(gameState) {
-        switch (this.difficulty) {
-            case BOT_DIFFICULTY.EASY:
-                return this.decideEasy(gameState);
-            case BOT_DIFFICULTY.MEDIUM:
-                return this.decideMedium(gameState);
-            case BOT_DIFFICULTY.HARD:
-                return this.decideHard(gameState);
-            default:
-                return this.decideEasy(gameState);
-        }
+    decide(context) {
+        return validateAction(context, this.strategy.decide(context, this));
     }
 
     /**
@@ -53,20 +180,18 @@ class BotPlayer {
      */
     decideEasy(gameState) {
         const callAmount = gameState.currentBet - this.totalBetThisRound;
-        const random = Math.random();
+        const random = this.rng();
 
         // 30% fold, 50% call, 20% raise
         if (random < 0.3 && callAmount > 0) {
             return { action: 'fold' };
         } else if (random < 0.8 || callAmount === 0) {
-            if (callAmount === 0 && Math.random() < 0.3) {
-                const raiseAmount = Math.min(gameState.minRaise * 2, this.chips);
-                return { action: 'raise', amount: raiseAmount };
+            if (callAmount === 0 && this.rng() < 0.3) {
+                return { action: 'raise', amount: this.getRaiseSize(gameState) };
             }
             return { action: 'call' };
         } else {
-            const raiseAmount = Math.min(gameState.minRaise * 2, this.chips);
-            return { action: 'raise', amount: raiseAmount };
+            return { action: 'raise', amount: this.getRaiseSize(gameState) };
         }
     }
 
@@ -77,27 +202,23 @@ class BotPlayer {
         const handStrength = this.evaluateHandStrength(gameState);
         const callAmount = gameState.currentBet - this.totalBetThisRound;
         const potOdds = callAmount / (gameState.pot + callAmount);
+        const adjust = this.getOpponentAdjustments(gameState);
 
         // Strong hand
         if (handStrength > 0.7) {
-            const raiseAmount = Math.min(gameState.pot * 0.75, this.chips);
-            if (raiseAmount > gameState.minRaise) {
-                return { action: 'raise', amount: Math.floor(raiseAmount) };
-            }
-            return { action: 'call' };
+            return { action: 'raise', amount: this.getRaiseSize(gameState, 0.75) };
         }
 
         // Medium hand
         if (handStrength > 0.4) {
-            if (potOdds < 0.3 || callAmount === 0) {
-                if (Math.random() < 0.2 && callAmount === 0) {
-                    const raiseAmount = Math.min(gameState.minRaise * 2, this.chips);
-                    return { action: 'raise', amount: raiseAmount };
+            if (potOdds < 0.3 * adjust.call || callAmount === 0) {
+                if (this.rng() < 0.2 && callAmount === 0) {
+                    return { action: 'raise', amount: this.getRaiseSize(gameState) };
                 }
                 return { action: 'call' };
             }
             // Sometimes bluff
-            if (Math.random() < 0.15) {
+            if (this.rng() < 0.15 * adjust.bluff) {
                 return { action: 'call' };
             }
             return { action: 'fold' };
@@ -110,7 +231,7 @@ class BotPlayer {
         }
         
         // Occasionally bluff
-        if (Math.random() < 0.1) {
+        if (this.rng() < 0.1 * adjust.bluff) {
             return { action: 'call' };
         }
         
@@ -125,33 +246,28 @@ class BotPlayer {
         const callAmount = gameState.currentBet - this.totalBetThisRound;
         const potOdds = callAmount > 0 ? callAmount / (gameState.pot + callAmount) : 0;
         const position = this.getPositionValue(gameState);
+        const adjust = this.getOpponentAdjustments(gameState);
 
         // Adjust hand strength based on position
         const adjustedStrength = handStrength + (position * 0.05);
 
         // Very strong hand - aggressive betting
         if (adjustedStrength > 0.8) {
-            const raiseAmount = Math.min(gameState.pot * (0.75 + Math.random() * 0.5), this.chips);
-            if (raiseAmount > gameState.minRaise) {
-                return { action: 'raise', amount: Math.floor(raiseAmount) };
-            }
-            return { action: 'call' };
+            return { action: 'raise', amount: this.getRaiseSize(gameState, 0.75 + this.rng() * 0.5) };
         }
 
         // Strong hand
         if (adjustedStrength > 0.6) {
             if (callAmount === 0) {
-                const raiseAmount = Math.min(gameState.pot * 0.6, this.chips);
-                if (raiseAmount > gameState.minRaise && Math.random() < 0.6) {
-                    return { action: 'raise', amount: Math.floor(raiseAmount) };
+                if (this.rng() < 0.6) {
+                    return { action: 'raise', amount: this.getRaiseSize(gameState, 0.6) };
                 }
                 return { action: 'call' };
             }
             
             if (potOdds < adjustedStrength * 0.5) {
-                if (Math.random() < 0.4) {
-                    const raiseAmount = Math.min(gameState.pot * 0.5, this.chips);
-                    return { action: 'raise', amount: Math.floor(raiseAmount) };
+                if (this.rng() < 0.4) {
+                    return { action: 'raise', amount: this.getRaiseSize(gameState, 0.5) };
                 }
                 return { action: 'call' };
             }
@@ -161,22 +277,20 @@ class BotPlayer {
         // Medium hand
         if (adjustedStrength > 0.35) {
             if (callAmount === 0) {
-                if (Math.random() < 0.3) {
-                    const raiseAmount = Math.min(gameState.minRaise * 2, this.chips);
-                    return { action: 'raise', amount: raiseAmount };
+                if (this.rng() < 0.3) {
+                    return { action: 'raise', amount: this.getRaiseSize(gameState) };
                 }
                 return { action: 'call' };
             }
             
             // Call if pot odds are good
-            if (potOdds < adjustedStrength * 0.4) {
+            if (potOdds < adjustedStrength * 0.4 * adjust.call) {
                 return { action: 'call' };
             }
             
             // Occasional bluff raise
-            if (Math.random() < 0.08 && position > 0.5) {
-                const raiseAmount = Math.min(gameState.pot * 0.4, this.chips);
-                return { action: 'raise', amount: Math.floor(raiseAmount) };
+            if (this.rng() < 0.08 * adjust.bluff && position > 0.5) {
+                return { action: 'raise', amount: this.getRaiseSize(gameState, 0.4) };
             }
             
             return { action: 'fold' };
@@ -185,15 +299,14 @@ class BotPlayer {
         // Weak hand
         if (callAmount === 0) {
             // Sometimes bluff in position
-            if (Math.random() < 0.12 && position > 0.6) {
-                const raiseAmount = Math.min(gameState.pot * 0.5, this.chips);
-                return { action: 'raise', amount: Math.floor(raiseAmount) };
+            if (this.rng() < 0.12 * adjust.bluff && position > 0.6) {
+                return { action: 'raise', amount: this.getRaiseSize(gameState, 0.5) };
             }
             return { action: 'call' };
         }
 
         // Rare bluff
-        if (Math.random() < 0.05) {
+        if (this.rng() < 0.05 * adjust.bluff) {
             return { action: 'call' };
         }
 
@@ -201,21 +314,64 @@ class BotPlayer {
     }
 
     /**
-     * Evaluates hand strength from 0 to 1
+     * Sizes a raise as a raise-to total: the standard open, 3-bet or raise before
+     * the flop and against a bet, otherwise the given share of the pot
+     * @param {Object} gameState - Decision context
+     * @param {number} potFraction - Bet as a fraction of the pot, or the standard size if left out
+     * @returns {number|null} Raise-to total, or null if the bot cannot raise
+     */
+    getRaiseSize(gameState, potFraction) {
+        if (potFraction === undefined || gameState.phase === 'preflop' || gameState.toCall > 0) {
+            return BetSizing.getStandardRaise(gameState);
+        }
+        return BetSizing.sizeBet(gameState, { potFraction });
+    }
+
+    /**
+     * Reads the session statistics of the opponents still in the hand into
+     * multipliers for bluffing and calling thresholds. A bluff has to get past
+     * every opponent, so the least foldable one sets it; calls use the average.
+     * @param {Object} gameState - Decision context
+     * @returns {Object} { bluff, call }, both 1 without reads on anyone
+     */
+    getOpponentAdjustments(gameState) {
+        const reads = (gameState.players || [])
+            .filter(p => p.name !== this.name && !p.hasFolded && p.stats && p.stats.type)
+            .map(p => {
+                const adjustment = OPPONENT_ADJUSTMENTS[p.stats.type];
+                const givesUp = p.stats.foldToCbet !== null && p.stats.foldToCbet > HIGH_FOLD_TO_CBET;
+                return { bluff: adjustment.bluff * (givesUp ? 1.25 : 1), call: adjustment.call };
+            });
+
+        if (reads.length === 0) {
+            return { bluff: 1, call: 1 };
+        }
+        return {
+            bluff: Math.min(...reads.map(r => r.bluff)),
+            call: reads.reduce((sum, r) => sum + r.call, 0) / reads.length
+        };
+    }
+
+    /**
+     * Evaluates hand strength from 0 to 1, for the hole cards in the decision context
      */
     evaluateHandStrength(gameState) {
-        if (this.holeCards.length < 2) return 0.3;
+        const holeCards = gameState.holeCards || this.holeCards;
+        if (holeCards.length < 2) return 0.3;
 
-        const card1 = this.holeCards[0];
-        const card2 = this.holeCards[1];
+        const card1 = holeCards[0];
+        const card2 = holeCards[1];
 
         // Preflop strength
-        let preflopStrength = this.calculatePreflopStrength(card1, card2);
+        let preflopStrength = holeCards.length > 2 ?
+            this.calculateOmahaPreflopStrength(holeCards) :
+            this.calculatePreflopStrength(card1, card2);
 
         // If there are community cards, evaluate actual hand
         if (gameState.communityCards && gameState.communityCards.length > 0) {
-            const handEval = window.HandEvaluator.evaluateBestHand(
-                this.holeCards, 
+            const variant = GameVariants.getGameVariant(gameState.variant);
+            const handEval = variant.evaluateHigh(
+                holeCards,
                 gameState.communityCards
             );
             
@@ -267,6 +423,24 @@ class BotPlayer {
         return Math.min(1, strength);
     }
 
+    /**
+     * Calculates preflop strength for a four-card Omaha hand.
+     * Every two-card pair can play, so the best pair counts most and the
+     * rest add a little for coordination; Omaha hands run closer together.
+     */
+    calculateOmahaPreflopStrength(cards) {
+        const strengths = [];
+        for (let i = 0; i < cards.length; i++) {
+            for (let j = i + 1; j < cards.length; j++) {
+                strengths.push(this.calculatePreflopStrength(cards[i], cards[j]));
+            }
+        }
+        strengths.sort((a, b) => b - a);
+
+        const average = strengths.reduce((sum, s) => sum + s, 0) / strengths.length;
+        return Math.min(1, strengths[0] * 0.6 + average * 0.3);
+    }
+
     /**
      * Gets position value (0 = early, 1 = button)
      */
@@ -294,35 +468,204 @@ class BotPlayer {
     }
 }
 
+/**
+ * Wraps one of BotPlayer's built-in decision methods as a strategy
+ */
+function createBuiltInStrategy(id, label, description, method) {
+    return {
+        id,
+        label,
+        description,
+        decide: (context, bot) => bot[method](context)
+    };
+}
+
+registerStrategy(createBuiltInStrategy(BOT_DIFFICULTY.EASY, 'Easy', 'Random play, good for beginners', 'decideEasy'));
+registerStrategy(createBuiltInStrategy(BOT_DIFFICULTY.MEDIUM, 'Medium', 'Uses basic strategy', 'decideMedium'));
+registerStrategy(createBuiltInStrategy(BOT_DIFFICULTY.HARD, 'Hard', 'Advanced AI with bluffing', 'decideHard'));
+
+/**
+ * Puts an opponent on a range from what they have done this hand:
+ * one tier tighter for a preflop raise, two for a re-raise, and one more
+ * for betting or raising after the flop
+ * @param {Object} context - Decision context
+ * @param {string} name - Opponent name
+ * @returns {HandRange} Assumed range
+ */
+function estimateOpponentRange(context, name) {
+    let tier = 0;
+    let raises = 0;
+
+    for (const entry of context.history) {
+        const aggressive = entry.action === 'bet' || entry.action === 'raise';
+        if (entry.player === name && aggressive) {
+            tier = entry.street === 'preflop' ? Math.max(tier, raises > 0 ? 2 : 1) : tier + 1;
+        }
+        if (entry.street === 'preflop' && aggressive) {
+            raises++;
+        }
+    }
+
+    return EXPERT_RANGE_TIERS[Math.min(tier, EXPERT_RANGE_TIERS.length - 1)];
+}
+
+/**
+ * Gets the opponents whose hands the Expert bot plays against. Before the flop
+ * that is whoever has put money in voluntarily, or one caller if nobody has.
+ * @param {Object} context - Decision context
+ * @returns {Array} Opponent names
+ */
+function getExpertOpponents(context) {
+    const others = context.players.filter(p => p.name !== context.name && !p.hasFolded);
+    if (context.phase !== 'preflop') {
+        return others.map(p => p.name);
+    }
+
+    const entered = others.filter(p => context.history.some(entry => entry.player === p.name &&
+        (entry.action === 'call' || entry.action === 'bet' || entry.action === 'raise')));
+    return (entered.length > 0 ? entered : others.slice(0, 1)).map(p => p.name);
+}
+
+/**
+ * Gets the extra chips a call can expect to win on later streets, for drawing
+ * hands: a share of what the opponents could still pay off, up to the pot
+ * @param {Object} context - Decision context
+ * @returns {number} Implied chips to add to the pot when pricing a call
+ */
+function getImpliedOdds(context) {
+    if (context.phase !== 'flop' && context.phase !== 'turn') {
+        return 0;
+    }
+    const opponentStack = Math.max(0, ...context.players
+        .filter(p => p.name !== context.name && !p.hasFolded)
+        .map(p => p.chips));
+    const effectiveStack = Math.min(context.stack - context.toCall, opponentStack);
+    return Math.max(0, Math.min(effectiveStack, context.pot) * EXPERT_IMPLIED_SHARE);
+}
+
+/**
+ * Checks for a straight or flush draw worth semi-bluffing on the flop or turn
+ * @param {Object} context - Decision context
+ * @returns {boolean} True with a flush draw or any straight draw
+ */
+function hasSemiBluffDraw(context) {
+    const analysis = HandEvaluator.analyzeDraws(context.holeCards, context.communityCards);
+    return !!analysis && analysis.draws.some(draw => SEMI_BLUFF_DRAWS.includes(draw.type));
+}
+
+/**
+ * Expert strategy: estimates equity against plausible opponent ranges by
+ * Monte Carlo, raises the standard sizes before the flop and bets a fraction
+ * of the pot after it, calls when the price
+ * (with implied odds) is right and bluffs at a balanced frequency
+ * @param {Object} context - Decision context
+ * @param {Object} bot - The deciding bot, for its rng
+ * @returns {Object} Decision with a raise-to amount
+ */
+function decideExpert(context, bot) {
+    // The equity calculator is Hold'em only
+    if (context.holeCards.length !== 2) {
+        return getStrategy(BOT_DIFFICULTY.HARD).decide(context, bot);
+    }
+
+    const opponents = getExpertOpponents(context);
+    const equity = Equity.calculateEquity({
+        ranges: [context.holeCards, ...opponents.map(name => estimateOpponentRange(context, name))],
+        board: context.communityCards,
+        iterations: EXPERT_EQUITY_ITERATIONS,
+        rng: bot.rng
+    }).players[0].equity / 100;
+
+    const fairShare = 1 / (opponents.length + 1);
+    // An unraised pot has the blinds to pick up, so opening needs less of an edge
+    const unraised = context.phase === 'preflop' && context.currentBet <= context.bigBlind;
+    const valueThreshold = fairShare + (1 - fairShare) * EXPERT_VALUE_MARGIN * (unraised ? 0.5 : 1);
+    const potAfterCall = context.pot + context.toCall;
+    const betFraction = equity > 0.8 ? 0.75 : 0.5;
+    const bet = {
+        action: 'raise',
+        amount: context.phase === 'preflop' ?
+            BetSizing.getStandardRaise(context) :
+            BetSizing.sizeBet(context, { potFraction: betFraction })
+    };
+
+    if (equity >= valueThreshold) {
+        return bet;
+    }
+
+    if (context.toCall === 0) {
+        // A balanced range bluffs b / (1 + b) times per value bet for a bet of b times the pot.
+        // Value bets come from about (1 - threshold) of hands, so bluff the rest in proportion.
+        const bluffsPerValueBet = betFraction / (1 + betFraction);
+        const frequency = bluffsPerValueBet * (1 - valueThreshold) / valueThreshold;
+        // Semi-bluff draws before the river; on the river bluff the hands that cannot win by checking
+        const candidate = context.phase === 'river' ? equity < 0.25 : hasSemiBluffDraw(context);
+        const bluff = context.phase !== 'preflop' && opponents.length <= 2 && candidate && bot.rng() < frequency;
+        return bluff ? bet : { action: 'check' };
+    }
+
+    const requiredEquity = context.toCall / (potAfterCall + getImpliedOdds(context));
+    const realized = context.phase === 'river' ? equity : equity * EXPERT_REALIZATION;
+    return { action: realized >= requiredEquity ? 'call' : 'fold' };
+}
+
+registerStrategy({
+    id: BOT_DIFFICULTY.EXPERT,
+    label: 'Expert',
+    description: 'Plays the odds against likely ranges',
+    decide: decideExpert
+});
+
 /**
  * Creates bot players
  * @param {number} count - Number of bots to create
- * @param {string} difficulty - Difficulty level
+ * @param {string|Array} strategy - Strategy id for every bot, or one per bot
  * @param {number} startingChips - Starting chips for each bot
+ * @param {Function} rng - Random source for names and decisions
+ * @param {Array} takenNames - Names already seated, which no bot may share
  * @returns {Array} Array of BotPlayer objects
  */
-function createBots(count, difficulty, startingChips) {
+function createBots(count, strategy, startingChips, rng = Math.random, takenNames = []) {
     const bots = [];
-    const usedNames = new Set();
+    const usedNames = new Set(takenNames);
 
     for (let i = 0; i < count; i++) {
         let name;
         do {
-            name = BOT_NAMES[Math.floor(Math.random() * BOT_NAMES.length)];
-        } while (usedNames.has(name) && usedNames.size < BOT_NAMES.length);
+            name = BOT_NAMES[Math.floor(rng() * BOT_NAMES.length)];
+        } while (usedNames.has(name) && BOT_NAMES.some(n => !usedNames.has(n)));
         usedNames.add(name);
 
-        bots.push(new BotPlayer(name, difficulty, startingChips));
+        const seatStrategy = Array.isArray(strategy) ? strategy[i] : strategy;
+        bots.push(new BotPlayer(name, seatStrategy, startingChips, rng));
     }
 
     return bots;
 }
 
 // Export for use in other modules
-if (typeof window !== 'undefined') {
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        BOT_DIFFICULTY,
+        BOT_NAMES,
+        BotPlayer,
+        createBots,
+        registerStrategy,
+        getStrategy,
+        getStrategies,
+        validateAction
+    };
+} else {
     window.BotAI = {
         BOT_DIFFICULTY,
+        BOT_NAMES,
         BotPlayer,
-        createBots
+        createBots,
+        registerStrategy,
+        getStrategy,
+        getStrategies,
+        validateAction
     };
 }
+
+})();
@@ -0,0 +1,219 @@
+/**
+ * Bot Personalities
+ * Playing styles registered as bot strategies, each tuned by the same few
+ * parameters, so a table can mix tight, loose, passive and wild players
+ */
+
+(function () {
+
+const Random = typeof module === 'object' ? require('./random.js') : window.Random;
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+const BotAI = typeof module === 'object' ? require('./bot-ai.js') : window.BotAI;
+const BetSizing = typeof module === 'object' ? require('./bet-sizing.js') : window.BetSizing;
+
+/**
+ * Built-in profiles. Every parameter runs from 0 to 1, except betSizing:
+ * - rangeWidth: share of starting hands played before the flop
+ * - aggression: how often a playable hand bets or raises rather than checks or calls
+ * - bluffFrequency: how often a weak hand bets when checked to, or fights back against a bet
+ * - betSizing: bets and raises as a fraction of the pot
+ */
+const BOT_PERSONALITIES = {
+    TAG: {
+        id: 'tag',
+        label: 'TAG',
+        description: 'Tight-aggressive: few hands, played hard',
+        rangeWidth: 0.2,
+        aggression: 0.7,
+        bluffFrequency: 0.15,
+        betSizing: 0.66
+    },
+    CALLING_STATION: {
+        id: 'calling-station',
+        label: 'Calling Station',
+        description: 'Loose-passive: plays and calls down with too much',
+        rangeWidth: 0.55,
+        aggression: 0.1,
+        bluffFrequency: 0.03,
+        betSizing: 0.5
+    },
+    MANIAC: {
+        id: 'maniac',
+        label: 'Maniac',
+        description: 'Loose-aggressive: bets and bluffs relentlessly',
+        rangeWidth: 0.65,
+        aggression: 0.9,
+        bluffFrequency: 0.45,
+        betSizing: 1
+    },
+    NIT: {
+        id: 'nit',
+        label: 'Nit',
+        description: 'Ultra-tight: waits for premium hands',
+        rangeWidth: 0.1,
+        aggression: 0.35,
+        bluffFrequency: 0.02,
+        betSizing: 0.5
+    }
+};
+
+// Postflop hand strength (from BotPlayer.evaluateHandStrength) for a strong and a playable hand
+const STRONG_HAND = 0.5;
+const PLAYABLE_HAND = 0.3;
+
+// Four-card hands sampled to rank Omaha starting hands; two-card hands are enumerated
+const OMAHA_SAMPLES = 5000;
+
+// Preflop strengths of every starting hand, sorted strongest first, by hole card count
+const strengthTables = new Map();
+
+/**
+ * Gets the preflop strengths of all starting hands, strongest first
+ * @param {Object} bot - A BotPlayer, for its strength formulas
+ * @param {number} holeCount - 2 for Hold'em, 4 for Omaha
+ * @returns {Array} Strengths from 0 to 1
+ */
+function getStrengthTable(bot, holeCount) {
+    if (!strengthTables.has(holeCount)) {
+        const deck = Cards.createDeck();
+        const strengths = [];
+
+        if (holeCount === 2) {
+            for (let i = 0; i < deck.length; i++) {
+                for (let j = i + 1; j < deck.length; j++) {
+                    strengths.push(bot.calculatePreflopStrength(deck[i], deck[j]));
+                }
+            }
+        } else {
+            // A fixed seed keeps the table, and so every seeded game, the same each run
+            const rng = Random.createRng('omaha-starting-hands');
+            for (let i = 0; i < OMAHA_SAMPLES; i++) {
+                strengths.push(bot.calculateOmahaPreflopStrength(Cards.shuffleDeck(deck, rng).slice(0, holeCount)));
+            }
+        }
+
+        strengthTables.set(holeCount, strengths.sort((a, b) => b - a));
+    }
+    return strengthTables.get(holeCount);
+}
+
+/**
+ * Gets the weakest preflop strength inside the best share of starting hands
+ * @param {Object} bot - A BotPlayer
+ * @param {number} holeCount - Hole cards per player
+ * @param {number} width - Share of hands, from 0 to 1
+ * @returns {number} Strength threshold
+ */
+function getRangeThreshold(bot, holeCount, width) {
+    const table = getStrengthTable(bot, holeCount);
+    const index = Math.min(table.length - 1, Math.max(0, Math.ceil(table.length * width) - 1));
+    return table[index];
+}
+
+/**
+ * Decides for a personality: preflop by where the hand sits in its range,
+ * postflop by hand strength against the price, with its aggression deciding
+ * between passive and aggressive lines and its bluff frequency how often
+ * weak hands bet
+ * @param {Object} profile - Personality parameters
+ * @param {Object} context - Decision context
+ * @param {Object} bot - The deciding BotPlayer
+ * @returns {Object} Decision with a raise-to amount
+ */
+function decidePersonality(profile, context, bot) {
+    const rng = bot.rng;
+    const strength = bot.evaluateHandStrength(context);
+    const toCall = context.toCall;
+    const bet = { action: 'raise', amount: BetSizing.sizeBet(context, { potFraction: profile.betSizing }) };
+    const passive = { action: toCall > 0 ? 'call' : 'check' };
+    const giveUp = { action: toCall > 0 ? 'fold' : 'check' };
+
+    if (context.phase === 'preflop') {
+        const holeCount = context.holeCards.length;
+        // The top quarter of its range is its value, which only passive players sometimes just call
+        const premium = strength >= getRangeThreshold(bot, holeCount, profile.rangeWidth / 4);
+        const playable = strength >= getRangeThreshold(bot, holeCount, profile.rangeWidth);
+
+        if ((premium && rng() < 0.5 + profile.aggression / 2) || (playable && rng() < profile.aggression / 2)) {
+            return bet;
+        }
+        if (playable) {
+            return passive;
+        }
+        return rng() < profile.bluffFrequency / 2 ? bet : giveUp;
+    }
+
+    if (strength >= STRONG_HAND) {
+        return rng() < 0.5 + profile.aggression / 2 ? bet : passive;
+    }
+
+    if (toCall === 0) {
+        if (strength >= PLAYABLE_HAND && rng() < profile.aggression * 0.6) {
+            return bet;
+        }
+        return rng() < profile.bluffFrequency ? bet : { action: 'check' };
+    }
+
+    // Looser players put up with a worse price before letting a hand go
+    const potOdds = toCall / (context.pot + toCall);
+    const maxPrice = 0.2 + profile.rangeWidth * 0.4;
+    if (strength >= PLAYABLE_HAND && potOdds <= maxPrice) {
+        return passive;
+    }
+    if (rng() < profile.bluffFrequency * profile.aggression) {
+        return bet;
+    }
+    return rng() < profile.bluffFrequency ? passive : giveUp;
+}
+
+/**
+ * Registers a personality as a bot strategy
+ * @param {Object} profile - { id, label, description, rangeWidth, aggression, bluffFrequency, betSizing }
+ * @returns {Object} The registered strategy, with the profile as its personality
+ */
+function registerPersonality(profile) {
+    for (const parameter of ['rangeWidth', 'aggression', 'bluffFrequency', 'betSizing']) {
+        if (!Number.isFinite(profile[parameter]) || profile[parameter] < 0) {
+            throw new Error(`Personality "${profile.id}" needs a ${parameter} of 0 or more`);
+        }
+    }
+
+    const personality = Object.freeze({ ...profile });
+    return BotAI.registerStrategy({
+        id: personality.id,
+        label: personality.label,
+        description: personality.description,
+        personality,
+        decide: (context, bot) => decidePersonality(personality, context, bot)
+    });
+}
+
+/**
+ * Describes a personality's parameters for a tooltip
+ * @param {Object} personality - Personality parameters
+ * @returns {string} Like "Plays 20% of hands · aggression 70% · bluffs 15% · bets 66% pot"
+ */
+function describePersonality(personality) {
+    const percent = value => `${Math.round(value * 100)}%`;
+    return `Plays ${percent(personality.rangeWidth)} of hands · aggression ${percent(personality.aggression)} · ` +
+        `bluffs ${percent(personality.bluffFrequency)} · bets ${percent(personality.betSizing)} pot`;
+}
+
+Object.values(BOT_PERSONALITIES).forEach(registerPersonality);
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        BOT_PERSONALITIES,
+        registerPersonality,
+        describePersonality
+    };
+} else {
+    window.BotPersonalities = {
+        BOT_PERSONALITIES,
+        registerPersonality,
+        describePersonality
+    };
+}
+
+})();
@@ -2,6 +2,8 @@
  * Card Deck and Dealing Logic for Texas Hold'em
  */
 
+(function () {
+
 const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
 const RANK_VALUES = {
@@ -16,6 +18,13 @@ const SUIT_SYMBOLS = {
     'spades': '♠'
 };
 
+const SUIT_LETTERS = {
+    'hearts': 'h',
+    'diamonds': 'd',
+    'clubs': 'c',
+    'spades': 's'
+};
+
 /**
  * Creates a standard 52-card deck
  * @returns {Array} Array of card objects
@@ -39,12 +48,13 @@ function createDeck() {
 /**
  * Shuffles a deck using Fisher-Yates algorithm
  * @param {Array} deck - The deck to shuffle
+ * @param {Function} rng - Random source returning floats in [0, 1)
  * @returns {Array} Shuffled deck
  */
-function shuffleDeck(deck) {
+function shuffleDeck(deck, rng = Math.random) {
     const shuffled = [...deck];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -72,6 +82,36 @@ function cardToString(card) {
     return `${card.rank}${card.symbol}`;
 }
 
+/**
+ * Converts a card to its two-character code
+ * @param {Object} card - The card object
+ * @returns {string} Code like "Ah" or "Td"
+ */
+function cardToCode(card) {
+    const rank = card.rank === '10' ? 'T' : card.rank;
+    return `${rank}${SUIT_LETTERS[card.suit]}`;
+}
+
+/**
+ * Converts a two-character code back to a card object
+ * @param {string} code - Code like "Ah" or "Td"
+ * @returns {Object|null} The card object, or null if the code is invalid
+ */
+function codeToCard(code) {
+    const rank = code[0] === 'T' ? '10' : code[0];
+    const suit = SUITS.find(s => SUIT_LETTERS[s] === code[1]);
+    if (!RANK_VALUES[rank] || !suit || code.length !== 2) {
+        return null;
+    }
+    return {
+        suit: suit,
+        rank: rank,
+        value: RANK_VALUES[rank],
+        symbol: SUIT_SYMBOLS[suit],
+        isRed: suit === 'hearts' || suit === 'diamonds'
+    };
+}
+
 /**
  * Deck class for card games
  */
@@ -82,9 +122,10 @@ class Deck {
 
     /**
      * Shuffle the deck
+     * @param {Function} rng - Random source returning floats in [0, 1)
      */
-    shuffle() {
-        this.cards = shuffleDeck(this.cards);
+    shuffle(rng = Math.random) {
+        this.cards = shuffleDeck(this.cards, rng);
     }
 
     /**
@@ -121,16 +162,36 @@ class Deck {
 }
 
 // Export for use in other modules
-if (typeof window !== 'undefined') {
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        SUITS,
+        RANKS,
+        RANK_VALUES,
+        SUIT_SYMBOLS,
+        SUIT_LETTERS,
+        createDeck,
+        shuffleDeck,
+        dealCards,
+        cardToString,
+        cardToCode,
+        codeToCard,
+        Deck
+    };
+} else {
     window.Cards = {
         SUITS,
         RANKS,
         RANK_VALUES,
         SUIT_SYMBOLS,
+        SUIT_LETTERS,
         createDeck,
         shuffleDeck,
         dealCards,
-        cardToString
+        cardToString,
+        cardToCode,
+        codeToCard
     };
     window.Deck = Deck;
 }
+
+})();
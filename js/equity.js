@@ -0,0 +1,327 @@
+/**
+ * Equity Calculator for Texas Hold'em
+ * Computes win/tie/lose percentages for hands or ranges on a partial board,
+ * by exhaustive enumeration or Monte Carlo sampling
+ */
+
+(function () {
+
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+const HandEvaluator = typeof module === 'object' ? require('./hand-evaluator.js') : window.HandEvaluator;
+const Ranges = typeof module === 'object' ? require('./ranges.js') : window.Ranges;
+
+const EQUITY_METHODS = {
+    AUTO: 'auto',
+    EXHAUSTIVE: 'exhaustive',
+    MONTE_CARLO: 'monte-carlo'
+};
+
+const DEFAULT_ITERATIONS = 10000;
+
+/**
+ * Gets a unique key for a card
+ * @param {Object} card - The card object
+ * @returns {string} Key like "Aspades"
+ */
+function equityCardKey(card) {
+    return `${card.rank}${card.suit}`;
+}
+
+/**
+ * Normalizes a player's hand or range into weighted combos.
+ * Accepts two cards, an array of two-card combos, an array of { cards, weight },
+ * a HandRange or range notation like "QQ+, AKs", or null for any two cards.
+ * @param {Array|Object|string|null} range - Hand or range
+ * @returns {Array|null} Combos as { cards, weight }, or null for a random hand
+ */
+function normalizeRange(range) {
+    if (range === null || range === undefined) {
+        return null;
+    }
+    if (typeof range === 'string') {
+        return Ranges.parseRange(range).combos();
+    }
+    if (typeof range.combos === 'function') {
+        return range.combos();
+    }
+    if (range.length === 2 && range[0] && range[0].suit) {
+        return [{ cards: range, weight: 1 }];
+    }
+    return range.map(combo => Array.isArray(combo) ?
+        { cards: combo, weight: 1 } :
+        { cards: combo.cards, weight: combo.weight === undefined ? 1 : combo.weight });
+}
+
+/**
+ * Counts n choose k
+ */
+function countCombinations(n, k) {
+    if (k < 0 || k > n) return 0;
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+        result = result * (n - k + i) / i;
+    }
+    return Math.round(result);
+}
+
+/**
+ * Scores one showdown and adds it to the tallies
+ * @param {Array} holdings - Hole cards for each player
+ * @param {Array} board - Complete five-card board
+ * @param {Array} tallies - Per-player { win, tie, lose, share } accumulators
+ * @param {number} weight - Weight of this outcome
+ */
+function scoreShowdown(holdings, board, tallies, weight) {
+    const values = holdings.map(cards => HandEvaluator.evaluateHandValue([...cards, ...board]));
+    const best = Math.max(...values);
+
+    const winners = values.map(value => value === best);
+    const winnerCount = winners.filter(Boolean).length;
+
+    winners.forEach((won, i) => {
+        if (!won) {
+            tallies[i].lose += weight;
+        } else if (winnerCount === 1) {
+            tallies[i].win += weight;
+            tallies[i].share += weight;
+        } else {
+            tallies[i].tie += weight;
+            tallies[i].share += weight / winnerCount;
+        }
+    });
+}
+
+/**
+ * Enumerates every combination of k cards from a list
+ * @param {Array} cards - Cards to choose from
+ * @param {number} k - Cards per combination
+ * @param {Function} visit - Called with each combination
+ */
+function forEachCombination(cards, k, visit) {
+    const chosen = [];
+    const recurse = (start) => {
+        if (chosen.length === k) {
+            visit(chosen);
+            return;
+        }
+        for (let i = start; i <= cards.length - (k - chosen.length); i++) {
+            chosen.push(cards[i]);
+            recurse(i + 1);
+            chosen.pop();
+        }
+    };
+    recurse(0);
+}
+
+/**
+ * Expands a random hand into every two-card combo from the given cards
+ */
+function allCombos(cards) {
+    const combos = [];
+    forEachCombination(cards, 2, pair => combos.push({ cards: [...pair], weight: 1 }));
+    return combos;
+}
+
+/**
+ * Estimates how many showdowns exhaustive enumeration would evaluate
+ */
+function countExhaustiveOutcomes(ranges, liveCount, boardNeeded) {
+    let outcomes = countCombinations(liveCount - 2 * ranges.length, boardNeeded);
+    for (const range of ranges) {
+        outcomes *= range ? range.length : countCombinations(liveCount, 2);
+    }
+    return outcomes;
+}
+
+/**
+ * Calculates equity for each player
+ * @param {Object} options - Calculation options
+ * @param {Array} options.ranges - One hand, range or range string per player (null = any two cards)
+ * @param {Array} options.board - Known community cards (0 to 5)
+ * @param {Array} options.dead - Cards known to be out of play
+ * @param {string} options.method - 'auto', 'exhaustive' or 'monte-carlo'
+ * @param {number} options.iterations - Monte Carlo budget, and the auto-mode enumeration limit
+ * @param {Function} options.rng - Random source for sampling
+ * @returns {Object} { players: [{ win, tie, lose, equity }] in percent, samples, method }
+ */
+function calculateEquity(options) {
+    const board = options.board || [];
+    const dead = options.dead || [];
+    const iterations = options.iterations || DEFAULT_ITERATIONS;
+    const rng = options.rng || Math.random;
+    const ranges = options.ranges.map(normalizeRange);
+
+    if (ranges.length < 2) {
+        throw new Error('Equity needs at least two players');
+    }
+    if (board.length > 5) {
+        throw new Error('Board cannot have more than five cards');
+    }
+
+    const blocked = new Set([...board, ...dead].map(equityCardKey));
+    const live = Cards.createDeck().filter(card => !blocked.has(equityCardKey(card)));
+    const liveRanges = ranges.map(range => range && range.filter(combo =>
+        combo.weight > 0 && combo.cards.every(card => !blocked.has(equityCardKey(card)))
+    ));
+
+    if (liveRanges.some(range => range && range.length === 0)) {
+        throw new Error('A range has no combos left after removing dead cards');
+    }
+
+    const boardNeeded = 5 - board.length;
+    let method = options.method || EQUITY_METHODS.AUTO;
+    if (method === EQUITY_METHODS.AUTO) {
+        const outcomes = countExhaustiveOutcomes(liveRanges, live.length, boardNeeded);
+        method = outcomes <= iterations ? EQUITY_METHODS.EXHAUSTIVE : EQUITY_METHODS.MONTE_CARLO;
+    }
+
+    const tallies = ranges.map(() => ({ win: 0, tie: 0, lose: 0, share: 0 }));
+    const samples = method === EQUITY_METHODS.EXHAUSTIVE ?
+        enumerateEquity(liveRanges, board, live, boardNeeded, tallies) :
+        sampleEquity(liveRanges, board, live, boardNeeded, tallies, iterations, rng);
+
+    const total = tallies[0].win + tallies[0].tie + tallies[0].lose;
+    const percent = value => total > 0 ? (value / total) * 100 : 0;
+
+    return {
+        players: tallies.map(t => ({
+            win: percent(t.win),
+            tie: percent(t.tie),
+            lose: percent(t.lose),
+            equity: percent(t.share)
+        })),
+        samples,
+        method
+    };
+}
+
+/**
+ * Visits every non-conflicting assignment of combos and every board completion
+ * @returns {number} Number of showdowns evaluated
+ */
+function enumerateEquity(ranges, board, live, boardNeeded, tallies) {
+    let samples = 0;
+    const used = new Set();
+    const holdings = [];
+    const weights = [];
+
+    const assign = (playerIndex) => {
+        if (playerIndex === ranges.length) {
+            const remaining = live.filter(card => !used.has(equityCardKey(card)));
+            const weight = weights.reduce((product, w) => product * w, 1);
+            forEachCombination(remaining, boardNeeded, runout => {
+                scoreShowdown(holdings, [...board, ...runout], tallies, weight);
+                samples++;
+            });
+            return;
+        }
+
+        const available = live.filter(card => !used.has(equityCardKey(card)));
+        const combos = ranges[playerIndex] || allCombos(available);
+
+        for (const combo of combos) {
+            const keys = combo.cards.map(equityCardKey);
+            if (keys.some(key => used.has(key))) continue;
+
+            keys.forEach(key => used.add(key));
+            holdings.push(combo.cards);
+            weights.push(combo.weight);
+            assign(playerIndex + 1);
+            weights.pop();
+            holdings.pop();
+            keys.forEach(key => used.delete(key));
+        }
+    };
+
+    assign(0);
+    return samples;
+}
+
+/**
+ * Picks a combo from a range by weight
+ */
+function pickWeighted(range, totalWeight, rng) {
+    let target = rng() * totalWeight;
+    for (const combo of range) {
+        target -= combo.weight;
+        if (target < 0) return combo;
+    }
+    return range[range.length - 1];
+}
+
+/**
+ * Samples random combo assignments and runouts
+ * @returns {number} Number of showdowns evaluated
+ */
+function sampleEquity(ranges, board, live, boardNeeded, tallies, iterations, rng) {
+    const totalWeights = ranges.map(range => range ? range.reduce((sum, c) => sum + c.weight, 0) : 0);
+    const maxAttempts = 100;
+    let samples = 0;
+
+    for (let i = 0; i < iterations; i++) {
+        const used = new Set();
+        const holdings = [];
+
+        // Ranged players first, then random hands from what is left
+        for (let p = 0; p < ranges.length; p++) {
+            if (!ranges[p]) {
+                holdings.push(null);
+                continue;
+            }
+            let combo = null;
+            for (let attempt = 0; attempt < maxAttempts && !combo; attempt++) {
+                const candidate = pickWeighted(ranges[p], totalWeights[p], rng);
+                if (candidate.cards.every(card => !used.has(equityCardKey(card)))) {
+                    combo = candidate;
+                }
+            }
+            if (!combo) break;
+            combo.cards.forEach(card => used.add(equityCardKey(card)));
+            holdings.push(combo.cards);
+        }
+        if (holdings.length < ranges.length) continue;
+
+        // Partial Fisher-Yates over the remaining cards for random hands and the runout
+        const remaining = live.filter(card => !used.has(equityCardKey(card)));
+        const draw = () => {
+            const j = Math.floor(rng() * remaining.length);
+            const card = remaining[j];
+            remaining[j] = remaining[remaining.length - 1];
+            remaining.pop();
+            return card;
+        };
+
+        for (let p = 0; p < holdings.length; p++) {
+            if (!holdings[p]) {
+                holdings[p] = [draw(), draw()];
+            }
+        }
+
+        const runout = [];
+        for (let c = 0; c < boardNeeded; c++) {
+            runout.push(draw());
+        }
+
+        scoreShowdown(holdings, [...board, ...runout], tallies, 1);
+        samples++;
+    }
+
+    return samples;
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        EQUITY_METHODS,
+        calculateEquity,
+        normalizeRange
+    };
+} else {
+    window.Equity = {
+        EQUITY_METHODS,
+        calculateEquity,
+        normalizeRange
+    };
+}
+
+})();
@@ -0,0 +1,74 @@
+/**
+ * Game Variants for the poker engine
+ * Hold'em, Omaha and Omaha Hi-Lo: how many hole cards are dealt
+ * and how hands are evaluated at showdown
+ */
+
+(function () {
+
+const HandEvaluator = typeof module === 'object' ? require('./hand-evaluator.js') : window.HandEvaluator;
+
+const GAME_VARIANTS = {
+    HOLDEM: 'holdem',
+    OMAHA: 'omaha',
+    OMAHA_HI_LO: 'omaha-hi-lo'
+};
+
+const VARIANT_RULES = {
+    [GAME_VARIANTS.HOLDEM]: {
+        type: GAME_VARIANTS.HOLDEM,
+        label: "Hold'em",
+        holeCardCount: 2,
+        hiLo: false,
+        evaluateHigh: (holeCards, communityCards) =>
+            HandEvaluator.evaluateBestHand(holeCards, communityCards),
+        evaluateLow: () => null
+    },
+    [GAME_VARIANTS.OMAHA]: {
+        type: GAME_VARIANTS.OMAHA,
+        label: 'Omaha',
+        holeCardCount: 4,
+        hiLo: false,
+        evaluateHigh: (holeCards, communityCards) =>
+            HandEvaluator.evaluateOmahaHand(holeCards, communityCards),
+        evaluateLow: () => null
+    },
+    [GAME_VARIANTS.OMAHA_HI_LO]: {
+        type: GAME_VARIANTS.OMAHA_HI_LO,
+        label: 'Omaha Hi/Lo',
+        holeCardCount: 4,
+        hiLo: true,
+        evaluateHigh: (holeCards, communityCards) =>
+            HandEvaluator.evaluateOmahaHand(holeCards, communityCards),
+        evaluateLow: (holeCards, communityCards) =>
+            HandEvaluator.evaluateOmahaLow(holeCards, communityCards)
+    }
+};
+
+/**
+ * Gets the rules for a game variant
+ * @param {string} type - One of GAME_VARIANTS
+ * @returns {Object} { type, label, holeCardCount, hiLo, evaluateHigh, evaluateLow }
+ */
+function getGameVariant(type = GAME_VARIANTS.HOLDEM) {
+    const variant = VARIANT_RULES[type];
+    if (!variant) {
+        throw new Error(`Unknown game variant "${type}"`);
+    }
+    return variant;
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        GAME_VARIANTS,
+        getGameVariant
+    };
+} else {
+    window.GameVariants = {
+        GAME_VARIANTS,
+        getGameVariant
+    };
+}
+
+})();
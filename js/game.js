@@ -3,6 +3,21 @@
  * Coordinates UI, poker engine, and bot AI
  */
 
+// Where the running session is autosaved, and the layout version of that save
+const SAVED_SESSION_KEY = 'holdem-session';
+const SESSION_VERSION = 2;
+// Finished hands kept in the save; the save is rewritten every hand, so it must not grow with the session
+const SAVED_HISTORY_HANDS = 50;
+
+// Forced bets offered for cash games on the setup screen, sized from the big blind
+const FORCED_BET_PRESETS = {
+    'blinds': () => ({}),
+    'antes': bigBlind => ({ ante: Math.max(1, Math.round(bigBlind / 10)) }),
+    'big-blind-ante': bigBlind => ({ bigBlindAnte: bigBlind }),
+    'utg-straddle': () => ({ straddle: window.PokerEngine.STRADDLES.UTG }),
+    'button-straddle': () => ({ straddle: window.PokerEngine.STRADDLES.BUTTON })
+};
+
 class PokerGame {
     constructor() {
         this.engine = null;
@@ -15,6 +30,21 @@ class PokerGame {
         this.isWaitingForHuman = false;
         this.autoPlayDelay = 1000;
         this.ui = null;
+        this.seed = null;
+        this.bettingStructure = null;
+        this.variant = null;
+        this.tournament = null;
+        this.fastForward = false;
+        this.clock = null;
+        this.clockTimer = null;
+        this.autoPostBlinds = true;
+        // The blind waiting on the player's say-so when blinds are not posted for them
+        this.pendingBlind = null;
+        this.preAction = null;
+        // A cash game player can sit out; the bots play on without them
+        this.sittingOut = false;
+        // Sitting out left too few players for a hand, so the deal waits for the player
+        this.isWaitingToSitIn = false;
     }
 
     /**
@@ -27,15 +57,85 @@ class PokerGame {
         this.bigBlind = Math.max(20, Math.floor(this.startingChips / 50));
 
         // Create human player
-        this.humanPlayer = {
-            name: settings.playerName || 'You',
-            chips: this.startingChips,
+        this.humanPlayer = this.createHumanPlayer(settings.playerName || 'You', this.startingChips);
+        this.humanPlayer.autoMuck = !!settings.autoMuck;
+        this.autoPostBlinds = settings.autoPostBlinds !== false;
+        this.sittingOut = false;
+        this.isWaitingToSitIn = false;
+
+        // One seeded random source drives the deck and every bot, so a seed replays the session
+        const random = window.Random.resolveRandomSource({ seed: settings.seed, rng: settings.rng });
+        this.seed = random.seed;
+        console.log(`[Poker] Session seed: ${this.seed}`);
+
+        // Create bots; seats without a strategy of their own play the table difficulty.
+        // Names identify players in saves and statistics, so no bot takes the player's
+        const botCount = settings.botCount || 3;
+        const seatStrategies = settings.seatStrategies || [];
+        const strategies = Array.from({ length: botCount }, (_, i) => seatStrategies[i] || this.difficulty);
+        this.bots = window.BotAI.createBots(botCount, strategies, this.startingChips, random.rng, [this.humanPlayer.name]);
+
+        // Create all players array
+        const allPlayers = [this.humanPlayer, ...this.bots];
+
+        // Create engine
+        this.bettingStructure = window.BettingStructures.createBettingStructure(
+            settings.bettingStructure || window.BettingStructures.BETTING_STRUCTURES.NO_LIMIT
+        );
+        this.variant = settings.variant || window.GameVariants.GAME_VARIANTS.HOLDEM;
+        this.engine = new window.PokerEngine.PokerEngine(allPlayers, this.bigBlind, {
+            seed: random.seed,
+            rng: random.rng,
+            bettingStructure: this.bettingStructure,
+            variant: this.variant
+        });
+
+        // A tournament's antes come from its blind levels instead
+        const forcedBets = FORCED_BET_PRESETS[settings.forcedBets];
+        if (forcedBets && !settings.tournament) {
+            this.engine.setForcedBets(forcedBets(this.bigBlind));
+        }
+
+        // Sit & Go: the blind schedule starts from the same big blind a cash game would use
+        this.tournament = null;
+        this.fastForward = false;
+        if (settings.tournament) {
+            this.tournament = new window.Tournament.Tournament({
+                baseBigBlind: this.bigBlind,
+                ...settings.tournament
+            });
+            this.tournament.start(allPlayers);
+            this.applyBlindLevel();
+        }
+
+        // Without a clock the game waits as long as the player likes
+        this.clock = settings.actionClock ? new window.ActionClock.ActionClock(settings.actionClock) : null;
+
+        this.isGameRunning = true;
+        this.ui = settings.ui;
+        // The new session replaces any saved one from its first hand on
+        PokerGame.clearSavedSession();
+
+        return this;
+    }
+
+    /**
+     * Creates the human player's seat
+     * @param {string} name - Display name
+     * @param {number} chips - Stack
+     */
+    createHumanPlayer(name, chips) {
+        return {
+            name,
+            chips,
             holeCards: [],
             isBot: false,
             hasFolded: false,
             isAllIn: false,
             currentBet: 0,
             totalBetThisRound: 0,
+            // A straddle is voluntary: the player only posts one after opting in
+            declinesStraddle: true,
             reset() {
                 this.holeCards = [];
                 this.hasFolded = false;
@@ -44,38 +144,274 @@ class PokerGame {
                 this.totalBetThisRound = 0;
             }
         };
+    }
 
-        // Create bots
-        const botCount = settings.botCount || 3;
-        this.bots = window.BotAI.createBots(botCount, this.difficulty, this.startingChips);
+    /**
+     * Captures the session as a versioned JSON snapshot: every player's stack
+     * and strategy, the engine mid-hand and the tournament, if any. Only the
+     * latest hand records are kept.
+     * @returns {Object} Snapshot for restore
+     */
+    serialize() {
+        return {
+            version: SESSION_VERSION,
+            savedAt: new Date().toISOString(),
+            difficulty: this.difficulty,
+            startingChips: this.startingChips,
+            bigBlind: this.bigBlind,
+            // Busted bots are kept too; a tournament still ranks them
+            players: [this.humanPlayer, ...this.bots].map(player => ({
+                name: player.name,
+                chips: player.chips,
+                strategy: player.isBot ? player.difficulty : null
+            })),
+            engine: this.engine.serialize({ historyHands: SAVED_HISTORY_HANDS }),
+            tournament: this.tournament ? this.tournament.serialize() : null,
+            fastForward: this.fastForward,
+            autoMuck: this.humanPlayer.autoMuck,
+            autoPostBlinds: this.autoPostBlinds,
+            sittingOut: this.sittingOut,
+            straddles: !this.humanPlayer.declinesStraddle,
+            // Seconds, as the clock settings are given
+            actionClock: this.clock && {
+                decisionTime: this.clock.decisionTime / 1000,
+                timeBank: this.clock.timeBank / 1000
+            }
+        };
+    }
 
-        // Create all players array
-        const allPlayers = [this.humanPlayer, ...this.bots];
+    /**
+     * Rebuilds a session from a snapshot; call resume to carry on playing
+     * @param {Object} snapshot - Snapshot from serialize
+     * @param {Object} ui - The PokerUI to report to
+     */
+    restore(snapshot, ui) {
+        if (!snapshot || snapshot.version !== SESSION_VERSION) {
+            throw new Error('The saved session is from another version of the game');
+        }
 
-        // Create engine
-        this.engine = new window.PokerEngine.PokerEngine(allPlayers, this.bigBlind);
+        const [human, ...bots] = snapshot.players;
+        this.difficulty = snapshot.difficulty;
+        this.startingChips = snapshot.startingChips;
+        this.bigBlind = snapshot.bigBlind;
+        this.humanPlayer = this.createHumanPlayer(human.name, human.chips);
+        this.humanPlayer.autoMuck = !!snapshot.autoMuck;
+        this.autoPostBlinds = snapshot.autoPostBlinds;
+        this.sittingOut = !!snapshot.sittingOut;
+        this.isWaitingToSitIn = false;
+        this.humanPlayer.declinesStraddle = !snapshot.straddles;
+
+        // The bots share the engine's random source, which the engine winds back to the save
+        const random = window.Random.resolveRandomSource({ seed: snapshot.engine.seed });
+        this.seed = random.seed;
+        this.bots = bots.map(bot => new window.BotAI.BotPlayer(bot.name, bot.strategy, bot.chips, random.rng));
+
+        const allPlayers = [this.humanPlayer, ...this.bots];
+        this.engine = new window.PokerEngine.PokerEngine(allPlayers, this.bigBlind, {
+            seed: random.seed,
+            rng: random.rng
+        });
+        this.engine.restore(snapshot.engine, allPlayers);
+        this.bettingStructure = this.engine.bettingStructure;
+        this.variant = this.engine.variant.type;
+
+        this.tournament = null;
+        if (snapshot.tournament) {
+            this.tournament = new window.Tournament.Tournament();
+            this.tournament.restore(snapshot.tournament, allPlayers);
+        }
+        this.fastForward = snapshot.fastForward;
+        this.clock = snapshot.actionClock ? new window.ActionClock.ActionClock(snapshot.actionClock) : null;
 
         this.isGameRunning = true;
-        this.ui = settings.ui;
+        this.ui = ui;
 
         return this;
     }
 
+    /**
+     * Carries on a restored session from where it was saved
+     */
+    resume() {
+        this.updateUI();
+        this.processNextAction();
+    }
+
+    /**
+     * Saves the session to localStorage. Called once per hand, as it ends, so
+     * a restored session deals the next hand; a hand left unfinished is
+     * dealt again from the same cards.
+     */
+    autosave() {
+        if (!this.isGameRunning) return;
+
+        try {
+            window.localStorage.setItem(SAVED_SESSION_KEY, JSON.stringify(this.serialize()));
+        } catch (error) {
+            // Storage can be full or switched off; the game plays on unsaved, and
+            // an older save is dropped rather than offered to resume as if it were current
+            console.warn(`[Poker] Could not save the session: ${error.message}`);
+            PokerGame.clearSavedSession();
+        }
+    }
+
+    /**
+     * Reads the autosaved session
+     * @returns {Object|null} Snapshot, or null if there is none or it is from another version
+     */
+    static loadSavedSession() {
+        try {
+            const snapshot = JSON.parse(window.localStorage.getItem(SAVED_SESSION_KEY));
+            return snapshot && snapshot.version === SESSION_VERSION ? snapshot : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Forgets the autosaved session
+     */
+    static clearSavedSession() {
+        try {
+            window.localStorage.removeItem(SAVED_SESSION_KEY);
+        } catch (error) {
+            // Nothing was saved without storage
+        }
+    }
+
     /**
      * Starts a new hand
      */
     startHand() {
+        const blindsUp = this.tournament ?
+            this.tournament.beginHand(this.engine.players.filter(p => p.chips > 0)) : false;
+        if (blindsUp) {
+            this.applyBlindLevel();
+        }
+
+        // A cash game deals in everyone with chips, less the player while they sit out
+        if (!this.tournament) {
+            const bots = this.bots.filter(b => b.chips > 0);
+            if (this.sittingOut && bots.length < 2) {
+                this.isWaitingToSitIn = true;
+                this.engine.log('Waiting for you to sit back in');
+                this.updateUI();
+                return true;
+            }
+            this.engine.seatPlayers(this.sittingOut ? bots : [this.humanPlayer, ...bots]);
+            if (this.sittingOut) {
+                // Off the table, the engine no longer clears their last hand
+                this.humanPlayer.reset();
+            }
+        }
+
+        // Without auto-post the deal waits for the player to post the blind they owe
+        const blind = this.autoPostBlinds ? null : this.getHumanBlind();
+        if (blind) {
+            this.pendingBlind = { ...blind, blindsUp };
+            this.updateUI();
+            return true;
+        }
+
+        return this.dealHand(blindsUp);
+    }
+
+    /**
+     * Finds the blind the human owes in the next hand. A straddle is not
+     * owed; the player opts into it with toggleStraddle.
+     * @returns {Object|null} { label, amount }, or null if they post none
+     */
+    getHumanBlind() {
+        const blinds = this.engine.getNextBlindPlayers();
+        if (!blinds) return null;
+
+        if (blinds.bigBlind === this.humanPlayer) {
+            return { label: 'Big Blind', amount: Math.min(this.engine.bigBlind, this.humanPlayer.chips) };
+        }
+        if (blinds.smallBlind === this.humanPlayer) {
+            return { label: 'Small Blind', amount: Math.min(this.engine.smallBlind, this.humanPlayer.chips) };
+        }
+        return null;
+    }
+
+    /**
+     * Posts the blind the deal is waiting on and deals
+     */
+    postBlind() {
+        if (!this.pendingBlind) return;
+
+        const { blindsUp } = this.pendingBlind;
+        this.pendingBlind = null;
+        this.dealHand(blindsUp);
+    }
+
+    /**
+     * Sits the player out of a cash game from the next hand, or back in.
+     * Sitting out while the deal waits on their blind declines it, and the
+     * hand is dealt without them.
+     */
+    toggleSitOut() {
+        if (this.tournament || !this.isGameRunning) return;
+
+        this.sittingOut = !this.sittingOut;
+        if (this.sittingOut && this.pendingBlind) {
+            this.pendingBlind = null;
+            this.startHand();
+        } else if (!this.sittingOut && this.isWaitingToSitIn) {
+            this.isWaitingToSitIn = false;
+            this.startHand();
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Opts the player into straddling when the straddle comes to their seat, or back out
+     */
+    toggleStraddle() {
+        this.humanPlayer.declinesStraddle = !this.humanPlayer.declinesStraddle;
+        this.updateUI();
+    }
+
+    /**
+     * Gets the straddle the player may opt into at this table
+     * @returns {Object|null} { amount, optedIn }, or null when the table has no straddle
+     */
+    getStraddleOption() {
+        if (this.tournament || this.engine.straddle === window.PokerEngine.STRADDLES.NONE) {
+            return null;
+        }
+        return { amount: this.engine.getStraddleAmount(), optedIn: !this.humanPlayer.declinesStraddle };
+    }
+
+    /**
+     * Deals the next hand and starts the action
+     * @param {boolean} blindsUp - Whether a tournament's blinds went up for this hand
+     * @returns {boolean} Whether a hand was dealt
+     */
+    dealHand(blindsUp) {
         if (!this.engine.startNewHand()) {
             this.endGame();
             return false;
         }
 
+        if (blindsUp) {
+            this.engine.log(`Blinds up: ${window.Tournament.describeLevel(this.tournament.getCurrentLevel())}`);
+        }
+
         this.updateUI();
         this.processNextAction();
 
         return true;
     }
 
+    /**
+     * Sets the engine's blinds and ante from the tournament's current level
+     */
+    applyBlindLevel() {
+        const level = this.tournament.getCurrentLevel();
+        this.engine.setBlinds(level.smallBlind, level.bigBlind, level.ante);
+    }
+
     /**
      * Processes the next action (bot or human)
      */
@@ -114,34 +450,7 @@ class PokerGame {
         // Add thinking delay
         await this.delay(this.autoPlayDelay);
 
-        const decision = bot.decide(this.engine.getGameState());
-        
-        let amount = 0;
-        let action = decision.action;
-
-        if (decision.action === 'call') {
-            const callAmount = this.engine.currentBet - bot.totalBetThisRound;
-            if (callAmount === 0) {
-                action = window.PokerEngine.ACTIONS.CHECK;
-            } else {
-                action = window.PokerEngine.ACTIONS.CALL;
-            }
-        } else if (decision.action === 'raise') {
-            action = window.PokerEngine.ACTIONS.RAISE;
-            amount = bot.totalBetThisRound + decision.amount;
-            
-            // Ensure minimum raise
-            if (amount < this.engine.currentBet + this.engine.minRaise) {
-                amount = this.engine.currentBet + this.engine.minRaise;
-            }
-            
-            // Cap at bot's chips
-            if (amount > bot.totalBetThisRound + bot.chips) {
-                amount = bot.totalBetThisRound + bot.chips;
-            }
-        } else {
-            action = window.PokerEngine.ACTIONS.FOLD;
-        }
+        const { action, amount } = bot.decide(this.engine.getDecisionContext(bot));
 
         this.engine.processAction(action, amount);
         this.updateUI();
@@ -164,6 +473,14 @@ class PokerGame {
      */
     waitForHumanAction() {
         this.isWaitingForHuman = true;
+
+        if (this.playPreAction()) return;
+
+        if (this.clock) {
+            this.clock.start();
+            this.clockTimer = setTimeout(() => this.handleClockExpired(), this.clock.getTimeLeft());
+        }
+
         this.updateUI();
 
         if (this.ui && this.ui.enableControls) {
@@ -171,6 +488,79 @@ class PokerGame {
         }
     }
 
+    /**
+     * Queues an action to play as soon as the human's turn comes on this street
+     * @param {string|null} type - One of PreActions.PRE_ACTIONS, or null to clear it
+     */
+    setPreAction(type) {
+        const toCall = this.getAmountToCall();
+        this.preAction = type ? {
+            type,
+            amount: toCall,
+            handNumber: this.engine.handNumber,
+            phase: this.engine.phase
+        } : null;
+        this.updateUI();
+    }
+
+    /**
+     * Gets the pre-action queued for the street being played
+     * @returns {Object|null} { type, amount, handNumber, phase }
+     */
+    getPreAction() {
+        const preAction = this.preAction;
+        if (!preAction || preAction.handNumber !== this.engine.handNumber || preAction.phase !== this.engine.phase) {
+            return null;
+        }
+        return preAction;
+    }
+
+    /**
+     * Chips the human would need to call right now
+     */
+    getAmountToCall() {
+        return Math.min(this.engine.currentBet - this.humanPlayer.totalBetThisRound, this.humanPlayer.chips);
+    }
+
+    /**
+     * Plays the queued pre-action, if it still fits, now that it is the human's turn
+     * @returns {boolean} Whether an action was played
+     */
+    playPreAction() {
+        const preAction = this.getPreAction();
+        this.preAction = null;
+        if (!preAction) return false;
+
+        const action = window.PreActions.resolvePreAction(preAction, this.engine.getLegalActions(this.humanPlayer));
+        if (!action) return false;
+
+        this.handleHumanAction(action);
+        return true;
+    }
+
+    /**
+     * Stops the decision clock, spending any time bank used
+     */
+    stopClock() {
+        clearTimeout(this.clockTimer);
+        this.clockTimer = null;
+        if (this.clock && this.clock.isRunning()) {
+            this.clock.stop();
+        }
+    }
+
+    /**
+     * Plays for the human when their decision time and time bank are both gone
+     */
+    handleClockExpired() {
+        this.clockTimer = null;
+        if (!this.isWaitingForHuman) return;
+
+        const action = window.ActionClock.getTimeoutAction(this.engine.getLegalActions(this.humanPlayer));
+        this.engine.log(`${this.humanPlayer.name} ran out of time`);
+        this.handleHumanAction(action);
+    }
+
     /**
      * Handles human player action
      * @param {string} action - The action type
@@ -180,6 +570,7 @@ class PokerGame {
         if (!this.isWaitingForHuman) return;
 
         this.isWaitingForHuman = false;
+        this.stopClock();
 
         if (this.ui && this.ui.enableControls) {
             this.ui.enableControls(false);
@@ -205,6 +596,8 @@ class PokerGame {
      * Handles hand completion
      */
     async handleHandComplete() {
+        this.autosave();
+
         // Show all hands in showdown
         if (this.engine.phase === window.PokerEngine.GAME_PHASES.SHOWDOWN) {
             this.updateUI(true); // Show all cards
@@ -213,6 +606,11 @@ class PokerGame {
             await this.delay(2000);
         }
 
+        if (this.tournament) {
+            this.continueTournament();
+            return;
+        }
+
         // Check if game is over
         if (this.humanPlayer.chips <= 0) {
             this.endGame('lose');
@@ -225,22 +623,59 @@ class PokerGame {
             return;
         }
 
-        // Update engine players
-        this.engine.players = [this.humanPlayer, ...activeBots];
-
         // Start next hand
         this.startHand();
     }
 
+    /**
+     * Records eliminations after a tournament hand and deals the next one,
+     * or ends the game when one player has every chip
+     */
+    continueTournament() {
+        for (const entry of this.tournament.recordEliminations()) {
+            this.engine.log(`${entry.player.name} finishes ${window.Tournament.formatPlace(entry.place)}`);
+        }
+
+        if (this.tournament.isComplete()) {
+            this.updateUI();
+            this.endGame();
+            return;
+        }
+
+        // Once the human is out, play the rest at full speed so every place is decided
+        if (this.humanPlayer.chips <= 0 && !this.fastForward) {
+            this.fastForward = true;
+            this.engine.log('Playing out the rest of the tournament...');
+        }
+
+        this.updateUI();
+        this.engine.players = this.tournament.getRemainingPlayers();
+        this.startHand();
+    }
+
     /**
      * Ends the game
-     * @param {string} result - 'win' or 'lose'
+     * @param {string} result - 'win' or 'lose'; tournaments decide it from the standings
      */
     endGame(result = 'lose') {
         this.isGameRunning = false;
+        this.stopClock();
+        this.pendingBlind = null;
+        // A finished game has nothing to resume
+        PokerGame.clearSavedSession();
+
+        let results = null;
+        if (this.tournament) {
+            results = this.tournament.getResults();
+            result = results[0].isBot ? 'lose' : 'win';
+        }
         
         if (this.ui && this.ui.showGameEnd) {
-            this.ui.showGameEnd(result, this.humanPlayer.chips);
+            this.ui.showGameEnd(result, this.humanPlayer.chips, results && {
+                standings: results,
+                prizePool: this.tournament.prizePool,
+                payouts: this.tournament.payouts
+            });
         }
     }
 
@@ -255,7 +690,14 @@ class PokerGame {
                 humanPlayer: this.humanPlayer,
                 bots: this.bots,
                 isWaitingForHuman: this.isWaitingForHuman,
-                showAllCards: showAllCards
+                showAllCards: showAllCards,
+                tournament: this.tournament,
+                clock: this.clock,
+                pendingBlind: this.pendingBlind,
+                preAction: this.getPreAction(),
+                canSitOut: !this.tournament && this.isGameRunning,
+                sittingOut: this.sittingOut,
+                straddle: this.getStraddleOption()
             });
         }
     }
@@ -273,55 +715,42 @@ class PokerGame {
             return [];
         }
 
-        const actions = [];
         const callAmount = this.engine.currentBet - player.totalBetThisRound;
 
-        // Can always fold if there's a bet
-        if (callAmount > 0) {
-            actions.push({ action: 'fold', label: 'Fold' });
-        }
-
-        // Check or Call
-        if (callAmount === 0) {
-            actions.push({ action: 'check', label: 'Check' });
-        } else {
-            const actualCall = Math.min(callAmount, player.chips);
-            if (actualCall === player.chips) {
-                actions.push({ action: 'call', label: `Call $${actualCall} (All-In)`, amount: actualCall });
-            } else {
-                actions.push({ action: 'call', label: `Call $${actualCall}`, amount: actualCall });
+        return this.engine.getLegalActions(player).map(legal => {
+            switch (legal.action) {
+                case window.PokerEngine.ACTIONS.FOLD:
+                    return { action: 'fold', label: 'Fold' };
+                case window.PokerEngine.ACTIONS.CHECK:
+                    return { action: 'check', label: 'Check' };
+                case window.PokerEngine.ACTIONS.CALL:
+                    return {
+                        action: 'call',
+                        label: legal.amount === player.chips ? `Call $${legal.amount} (All-In)` : `Call $${legal.amount}`,
+                        amount: legal.amount
+                    };
+                case window.PokerEngine.ACTIONS.RAISE:
+                    return {
+                        action: 'raise',
+                        label: callAmount === 0 ? 'Bet' : 'Raise',
+                        minAmount: legal.min,
+                        maxAmount: legal.max
+                    };
+                default:
+                    return {
+                        action: 'all_in',
+                        label: `All-In ($${player.chips})`,
+                        amount: legal.amount
+                    };
             }
-        }
-
-        // Raise/Bet
-        const minRaise = this.engine.currentBet + this.engine.minRaise;
-        if (player.chips > callAmount) {
-            const maxBet = player.totalBetThisRound + player.chips;
-            actions.push({ 
-                action: 'raise', 
-                label: callAmount === 0 ? 'Bet' : 'Raise',
-                minAmount: Math.min(minRaise, maxBet),
-                maxAmount: maxBet
-            });
-        }
-
-        // All-In
-        if (player.chips > 0) {
-            actions.push({ 
-                action: 'all_in', 
-                label: `All-In ($${player.chips})`,
-                amount: player.chips + player.totalBetThisRound
-            });
-        }
-
-        return actions;
+        });
     }
 
     /**
      * Utility delay function
      */
     delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return new Promise(resolve => setTimeout(resolve, this.fastForward ? 0 : ms));
     }
 }
 
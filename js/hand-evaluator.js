@@ -1,8 +1,19 @@
 /**
  * Texas Hold'em Hand Evaluator
- * Evaluates the best 5-card hand from 7 cards (2 hole + 5 community)
+ * Evaluates the best 5-card hand from 7 cards (2 hole + 5 community),
+ * plus Omaha high hands and 8-or-better low hands
+ *
+ * Hands of 5 to 7 cards are scored with lookup tables into a single integer:
+ * the hand ranking in the top bits, then up to five 4-bit kicker values.
+ * Non-flush hands are keyed by the product of one prime per rank, which is
+ * the same for any ordering of the cards; flushes are keyed by a 13-bit mask
+ * of the suited ranks.
  */
 
+(function () {
+
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+
 const HAND_RANKINGS = {
     HIGH_CARD: 1,
     ONE_PAIR: 2,
@@ -29,6 +40,43 @@ const HAND_NAMES = {
     10: 'Royal Flush'
 };
 
+// One prime per rank value 2..14, so a product identifies a multiset of ranks
+const RANK_PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41];
+
+// Number of kickers each ranking keeps, in the same shape as evaluate5CardHand
+const KICKER_COUNTS = {
+    1: 5, 2: 4, 3: 3, 4: 3, 5: 1, 6: 5, 7: 2, 8: 2, 9: 5, 10: 5
+};
+
+const RANKING_SHIFT = 1 << 20;
+
+// Highest card a qualifying low hand may contain
+const LOW_QUALIFIER = 8;
+
+const DRAW_TYPES = {
+    FLUSH_DRAW: 'flush_draw',
+    OPEN_ENDED: 'open_ended',
+    DOUBLE_GUTSHOT: 'double_gutshot',
+    GUTSHOT: 'gutshot',
+    BACKDOOR_FLUSH: 'backdoor_flush',
+    BACKDOOR_STRAIGHT: 'backdoor_straight',
+    OVERCARDS: 'overcards'
+};
+
+const DRAW_NAMES = {
+    flush_draw: 'Flush draw',
+    open_ended: 'Open-ended straight draw',
+    double_gutshot: 'Double gutshot',
+    gutshot: 'Gutshot',
+    backdoor_flush: 'Backdoor flush draw',
+    backdoor_straight: 'Backdoor straight draw',
+    overcards: 'Overcards'
+};
+
+// Lookup tables, built on first use
+let flushTable = null;
+let rankProductTable = null;
+
 /**
  * Gets all 5-card combinations from 7 cards
  * @param {Array} cards - Array of 7 cards
@@ -138,9 +186,10 @@ function evaluate5CardHand(cards) {
         return { rank: HAND_RANKINGS.ROYAL_FLUSH, name: HAND_NAMES[10], kickers: values };
     }
     
-    // Straight Flush
+    // Straight Flush - a wheel plays its ace low
     if (flush && straight) {
-        return { rank: HAND_RANKINGS.STRAIGHT_FLUSH, name: HAND_NAMES[9], kickers: values };
+        const kickers = sorted[0].value === 14 && sorted[1].value === 5 ? [5, 4, 3, 2, 1] : values;
+        return { rank: HAND_RANKINGS.STRAIGHT_FLUSH, name: HAND_NAMES[9], kickers };
     }
     
     // Four of a Kind
@@ -200,15 +249,235 @@ function evaluate5CardHand(cards) {
     return { rank: HAND_RANKINGS.HIGH_CARD, name: HAND_NAMES[1], kickers: values };
 }
 
+/**
+ * Packs a ranking and kickers into a single comparable integer
+ * @param {number} rank - Hand ranking (1-10)
+ * @param {Array} kickers - Kicker values, most significant first
+ * @returns {number} Hand value
+ */
+function encodeHandValue(rank, kickers) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+        value = value * 16 + (kickers[i] || 0);
+    }
+    return rank * RANKING_SHIFT + value;
+}
+
+/**
+ * Unpacks a hand value into the { rank, name, kickers } evaluation shape
+ * @param {number} value - Value from encodeHandValue
+ * @returns {Object} Hand evaluation with rank, name, kickers, and value
+ */
+function decodeHandValue(value) {
+    const rank = Math.floor(value / RANKING_SHIFT);
+    const kickers = [];
+    for (let i = 0; i < KICKER_COUNTS[rank]; i++) {
+        kickers.push(Math.floor(value / Math.pow(16, 4 - i)) % 16);
+    }
+    return { rank, name: HAND_NAMES[rank], kickers, value };
+}
+
+/**
+ * Finds the highest straight in a 13-bit rank mask (bit 0 = deuce)
+ * @param {number} mask - Rank mask
+ * @returns {number} High card value of the straight, or 0 if none
+ */
+function findStraightHigh(mask) {
+    for (let high = 14; high >= 6; high--) {
+        const run = 0b11111 << (high - 6);
+        if ((mask & run) === run) {
+            return high;
+        }
+    }
+    // Wheel: A-2-3-4-5
+    const wheel = (1 << 12) | 0b1111;
+    return (mask & wheel) === wheel ? 5 : 0;
+}
+
+/**
+ * Scores the best flush or straight flush among suited ranks
+ * @param {number} mask - 13-bit mask with at least five ranks set
+ * @returns {number} Hand value
+ */
+function scoreFlushMask(mask) {
+    const straightHigh = findStraightHigh(mask);
+    if (straightHigh === 14) {
+        return encodeHandValue(HAND_RANKINGS.ROYAL_FLUSH, [14, 13, 12, 11, 10]);
+    }
+    if (straightHigh === 5) {
+        return encodeHandValue(HAND_RANKINGS.STRAIGHT_FLUSH, [5, 4, 3, 2, 1]);
+    }
+    if (straightHigh > 0) {
+        const run = [0, 1, 2, 3, 4].map(i => straightHigh - i);
+        return encodeHandValue(HAND_RANKINGS.STRAIGHT_FLUSH, run);
+    }
+
+    const top = [];
+    for (let value = 14; value >= 2 && top.length < 5; value--) {
+        if (mask & (1 << (value - 2))) {
+            top.push(value);
+        }
+    }
+    return encodeHandValue(HAND_RANKINGS.FLUSH, top);
+}
+
+/**
+ * Scores the best non-flush hand from a multiset of ranks
+ * @param {Array} counts - Cards held per rank, index 0 = deuce
+ * @returns {number} Hand value
+ */
+function scoreRankCounts(counts) {
+    const quads = [];
+    const trips = [];
+    const pairs = [];
+    const singles = [];
+    let mask = 0;
+
+    for (let value = 14; value >= 2; value--) {
+        const count = counts[value - 2];
+        if (count === 0) continue;
+        mask |= 1 << (value - 2);
+        if (count === 4) quads.push(value);
+        else if (count === 3) trips.push(value);
+        else if (count === 2) pairs.push(value);
+        else singles.push(value);
+    }
+
+    // Highest ranks not already used, for filling out kickers
+    const kickersExcluding = (used, count) => {
+        const kickers = [];
+        for (let value = 14; value >= 2 && kickers.length < count; value--) {
+            if (counts[value - 2] > 0 && !used.includes(value)) {
+                kickers.push(value);
+            }
+        }
+        return kickers;
+    };
+
+    if (quads.length > 0) {
+        return encodeHandValue(HAND_RANKINGS.FOUR_OF_A_KIND, [quads[0], ...kickersExcluding([quads[0]], 1)]);
+    }
+
+    if (trips.length > 0 && trips.length + pairs.length > 1) {
+        const pair = Math.max(trips[1] || 0, pairs[0] || 0);
+        return encodeHandValue(HAND_RANKINGS.FULL_HOUSE, [trips[0], pair]);
+    }
+
+    const straightHigh = findStraightHigh(mask);
+    if (straightHigh > 0) {
+        return encodeHandValue(HAND_RANKINGS.STRAIGHT, [straightHigh]);
+    }
+
+    if (trips.length > 0) {
+        return encodeHandValue(HAND_RANKINGS.THREE_OF_A_KIND, [trips[0], ...kickersExcluding([trips[0]], 2)]);
+    }
+
+    if (pairs.length >= 2) {
+        const top = pairs.slice(0, 2);
+        return encodeHandValue(HAND_RANKINGS.TWO_PAIR, [...top, ...kickersExcluding(top, 1)]);
+    }
+
+    if (pairs.length === 1) {
+        return encodeHandValue(HAND_RANKINGS.ONE_PAIR, [pairs[0], ...kickersExcluding([pairs[0]], 3)]);
+    }
+
+    return encodeHandValue(HAND_RANKINGS.HIGH_CARD, singles.slice(0, 5));
+}
+
+/**
+ * Builds the flush and rank-product lookup tables
+ */
+function buildLookupTables() {
+    flushTable = new Int32Array(1 << 13);
+    for (let mask = 0; mask < flushTable.length; mask++) {
+        let bits = 0;
+        for (let m = mask; m; m &= m - 1) bits++;
+        if (bits >= 5) {
+            flushTable[mask] = scoreFlushMask(mask);
+        }
+    }
+
+    // Every multiset of 5 to 7 ranks with at most four of each
+    rankProductTable = new Map();
+    const counts = new Array(13).fill(0);
+    const visit = (rankIndex, cardCount, product) => {
+        if (cardCount >= 5) {
+            rankProductTable.set(product, scoreRankCounts(counts));
+        }
+        if (cardCount === 7 || rankIndex === 13) {
+            return;
+        }
+        for (let next = rankIndex; next < 13; next++) {
+            if (counts[next] < 4) {
+                counts[next]++;
+                visit(next, cardCount + 1, product * RANK_PRIMES[next]);
+                counts[next]--;
+            }
+        }
+    };
+    visit(0, 0, 1);
+}
+
+/**
+ * Scores 5 to 7 cards into a single comparable integer using the lookup tables
+ * @param {Array} cards - 5, 6 or 7 cards
+ * @returns {number} Hand value; higher is better, equal values tie
+ */
+function evaluateHandValue(cards) {
+    if (!rankProductTable) {
+        buildLookupTables();
+    }
+
+    let product = 1;
+    const suitMasks = { hearts: 0, diamonds: 0, clubs: 0, spades: 0 };
+    const suitCounts = { hearts: 0, diamonds: 0, clubs: 0, spades: 0 };
+
+    for (const card of cards) {
+        product *= RANK_PRIMES[card.value - 2];
+        suitMasks[card.suit] |= 1 << (card.value - 2);
+        suitCounts[card.suit]++;
+    }
+
+    let value = rankProductTable.get(product);
+    for (const suit in suitCounts) {
+        if (suitCounts[suit] >= 5) {
+            value = Math.max(value, flushTable[suitMasks[suit]]);
+        }
+    }
+
+    return value;
+}
+
 /**
  * Evaluates the best hand from hole cards and community cards
  * @param {Array} holeCards - Player's 2 hole cards
  * @param {Array} communityCards - Up to 5 community cards
- * @returns {Object} Best hand evaluation
+ * @returns {Object} Best hand evaluation, including its comparable value
  */
 function evaluateBestHand(holeCards, communityCards) {
     const allCards = [...holeCards, ...communityCards];
     
+    if (allCards.length < 5) {
+        return null;
+    }
+
+    if (allCards.length > 7) {
+        return evaluateBestHandBruteForce(holeCards, communityCards);
+    }
+    
+    return decodeHandValue(evaluateHandValue(allCards));
+}
+
+/**
+ * Evaluates the best hand by scoring every 5-card combination.
+ * Slower than evaluateBestHand; kept as its reference implementation.
+ * @param {Array} holeCards - Player's hole cards
+ * @param {Array} communityCards - Community cards
+ * @returns {Object} Best hand evaluation
+ */
+function evaluateBestHandBruteForce(holeCards, communityCards) {
+    const allCards = [...holeCards, ...communityCards];
+    
     if (allCards.length < 5) {
         return null;
     }
@@ -230,6 +499,100 @@ function evaluateBestHand(holeCards, communityCards) {
     return bestHand;
 }
 
+/**
+ * Gets every k-card subset of a list of cards
+ * @param {Array} cards - Cards to choose from
+ * @param {number} k - Cards per subset
+ * @returns {Array} Array of k-card arrays
+ */
+function cardSubsets(cards, k) {
+    if (k === 0) return [[]];
+    const subsets = [];
+    for (let i = 0; i <= cards.length - k; i++) {
+        for (const rest of cardSubsets(cards.slice(i + 1), k - 1)) {
+            subsets.push([cards[i], ...rest]);
+        }
+    }
+    return subsets;
+}
+
+/**
+ * Evaluates the best Omaha hand: exactly two hole cards and three community cards
+ * @param {Array} holeCards - Player's 4 hole cards
+ * @param {Array} communityCards - 3 to 5 community cards
+ * @returns {Object|null} Best hand evaluation, or null before the flop
+ */
+function evaluateOmahaHand(holeCards, communityCards) {
+    if (holeCards.length < 2 || communityCards.length < 3) {
+        return null;
+    }
+
+    const boardSubsets = cardSubsets(communityCards, 3);
+    let best = 0;
+    for (const pair of cardSubsets(holeCards, 2)) {
+        for (const three of boardSubsets) {
+            best = Math.max(best, evaluateHandValue([...pair, ...three]));
+        }
+    }
+
+    return decodeHandValue(best);
+}
+
+/**
+ * Scores five cards as an 8-or-better low hand. Aces count as one;
+ * straights and flushes do not count against a low.
+ * @param {Array} cards - Exactly 5 cards
+ * @returns {Object|null} { ranks, name, value } with higher values better, or null if it does not qualify
+ */
+function evaluateLowHand(cards) {
+    const ranks = cards.map(card => card.value === 14 ? 1 : card.value);
+    if (new Set(ranks).size !== 5 || ranks.some(rank => rank > LOW_QUALIFIER)) {
+        return null;
+    }
+
+    // Compared from the highest card down, so invert each digit to make lower hands score higher
+    ranks.sort((a, b) => b - a);
+    const value = ranks.reduce((total, rank) => total * 16 + (15 - rank), 0);
+    const name = ranks.map(rank => rank === 1 ? 'A' : String(rank)).join('-') + ' low';
+
+    return { ranks, name, value };
+}
+
+/**
+ * Evaluates the best Omaha 8-or-better low: exactly two hole cards and three community cards
+ * @param {Array} holeCards - Player's 4 hole cards
+ * @param {Array} communityCards - 3 to 5 community cards
+ * @returns {Object|null} Best low hand, or null if no qualifying low can be made
+ */
+function evaluateOmahaLow(holeCards, communityCards) {
+    if (holeCards.length < 2 || communityCards.length < 3) {
+        return null;
+    }
+
+    const boardSubsets = cardSubsets(communityCards, 3);
+    let best = null;
+    for (const pair of cardSubsets(holeCards, 2)) {
+        for (const three of boardSubsets) {
+            const low = evaluateLowHand([...pair, ...three]);
+            if (low && (!best || low.value > best.value)) {
+                best = low;
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Compares two low hands
+ * @param {Object} low1 - First low hand
+ * @param {Object} low2 - Second low hand
+ * @returns {number} Positive if low1 is the better (lower) hand, negative if low2 is, 0 if tie
+ */
+function compareLowHands(low1, low2) {
+    return low1.value - low2.value;
+}
+
 /**
  * Compares two hand evaluations
  * @param {Object} hand1 - First hand evaluation
@@ -237,6 +600,10 @@ function evaluateBestHand(holeCards, communityCards) {
  * @returns {number} Positive if hand1 wins, negative if hand2 wins, 0 if tie
  */
 function compareHands(hand1, hand2) {
+    if (hand1.value !== undefined && hand2.value !== undefined) {
+        return hand1.value - hand2.value;
+    }
+
     if (hand1.rank !== hand2.rank) {
         return hand1.rank - hand2.rank;
     }
@@ -251,13 +618,216 @@ function compareHands(hand1, hand2) {
     return 0;
 }
 
+/**
+ * Builds a 13-bit rank mask (bit 0 = deuce)
+ * @param {Array} cards - Cards
+ * @returns {number} Rank mask
+ */
+function rankMask(cards) {
+    return cards.reduce((mask, card) => mask | (1 << (card.value - 2)), 0);
+}
+
+/**
+ * Gets the ranking the board makes on its own, which every player shares.
+ * Boards under five cards can only make pairs, trips or quads.
+ * @param {Array} cards - Community cards
+ * @returns {number} One of HAND_RANKINGS
+ */
+function getBoardRanking(cards) {
+    if (cards.length >= 5) {
+        return decodeHandValue(evaluateHandValue(cards)).rank;
+    }
+
+    const sizes = Object.values(groupByRank(cards)).map(g => g.length).sort((a, b) => b - a);
+    if (sizes[0] === 4) return HAND_RANKINGS.FOUR_OF_A_KIND;
+    if (sizes[0] === 3) return HAND_RANKINGS.THREE_OF_A_KIND;
+    if (sizes[0] === 2) return sizes[1] === 2 ? HAND_RANKINGS.TWO_PAIR : HAND_RANKINGS.ONE_PAIR;
+    return HAND_RANKINGS.HIGH_CARD;
+}
+
+/**
+ * Finds the straight draws in a hand: the ranks that would make a straight
+ * it does not have yet, using at least one hole card
+ * @param {number} holeMask - Rank mask of the hole cards
+ * @param {number} boardMask - Rank mask of the board
+ * @returns {Array} Rank values that complete a straight
+ */
+function findStraightCompletions(holeMask, boardMask) {
+    const mask = holeMask | boardMask;
+    const current = findStraightHigh(mask);
+    const completions = [];
+
+    for (let value = 2; value <= 14; value++) {
+        const bit = 1 << (value - 2);
+        const high = findStraightHigh(mask | bit);
+        // Needs the hole cards: the board and the new card alone do not make that straight
+        if (high > current && findStraightHigh(boardMask | bit) < high) {
+            completions.push(value);
+        }
+    }
+
+    return completions;
+}
+
+/**
+ * Checks for four ranks in a row, which a straight draw needs to be open-ended.
+ * A-2-3-4 and J-Q-K-A only fill at one end.
+ * @param {number} mask - Rank mask
+ * @returns {boolean} True if some run of four can be completed at both ends
+ */
+function hasOpenEndedRun(mask) {
+    for (let low = 3; low <= 10; low++) {
+        const run = 0b1111 << (low - 2);
+        if ((mask & run) === run) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Analyzes a Hold'em hand on the flop or turn for draws and outs.
+ * Draws are flush draws, open-ended, double-gutshot and gutshot straight draws,
+ * backdoor flush and straight draws (flop only) and overcards, each using at
+ * least one hole card. Outs are the unseen cards that lift the hand to a
+ * higher ranking than it has now and than the board alone would make with
+ * that card; a card that pairs the board must make a full house or better,
+ * and one that makes a pair must pair an overcard.
+ * @param {Array} holeCards - Player's 2 hole cards
+ * @param {Array} communityCards - 3 or 4 community cards
+ * @returns {Object|null} { hand, draws: [{ type, name, outs? }], outs, nextCard, byRiver },
+ *                        with outs as cards and the chances as probabilities from 0 to 1,
+ *                        or null for other hands and streets
+ */
+function analyzeDraws(holeCards, communityCards) {
+    if (holeCards.length !== 2 || (communityCards.length !== 3 && communityCards.length !== 4)) {
+        return null;
+    }
+
+    const known = [...holeCards, ...communityCards];
+    const hand = evaluateBestHand(holeCards, communityCards);
+    const isKnown = card => known.some(k => k.rank === card.rank && k.suit === card.suit);
+    const unseen = Cards.createDeck().filter(card => !isKnown(card));
+
+    const boardHigh = Math.max(...communityCards.map(card => card.value));
+    const outs = unseen.filter(card => {
+        const improved = evaluateBestHand(holeCards, [...communityCards, card]);
+        if (improved.rank <= hand.rank || improved.rank <= getBoardRanking([...communityCards, card])) {
+            return false;
+        }
+        // Pairing the board only counts when it fills up to a full house or better,
+        // and a new pair only when it is an overcard that pairs
+        if (communityCards.some(c => c.value === card.value)) {
+            return improved.rank > HAND_RANKINGS.TWO_PAIR;
+        }
+        return improved.rank !== HAND_RANKINGS.ONE_PAIR || card.value > boardHigh;
+    });
+    const isOut = card => outs.includes(card);
+
+    const draws = [];
+    const onFlop = communityCards.length === 3;
+
+    // Flush draws: four of a suit, or three on the flop, with a hole card among them
+    if (hand.rank < HAND_RANKINGS.FLUSH) {
+        const suits = groupBySuit(known);
+        for (const suit of Object.keys(suits)) {
+            const count = suits[suit].length;
+            if (!holeCards.some(card => card.suit === suit)) continue;
+            if (count === 4) {
+                draws.push({ type: DRAW_TYPES.FLUSH_DRAW, outs: unseen.filter(c => c.suit === suit && isOut(c)) });
+            } else if (count === 3 && onFlop) {
+                draws.push({ type: DRAW_TYPES.BACKDOOR_FLUSH });
+            }
+        }
+    }
+
+    // Straight draws, by how many ranks complete them
+    if (hand.rank < HAND_RANKINGS.STRAIGHT) {
+        const holeMask = rankMask(holeCards);
+        const boardMask = rankMask(communityCards);
+        const completions = findStraightCompletions(holeMask, boardMask);
+
+        if (completions.length > 0) {
+            let type = DRAW_TYPES.GUTSHOT;
+            if (completions.length > 1) {
+                type = hasOpenEndedRun(holeMask | boardMask) ? DRAW_TYPES.OPEN_ENDED : DRAW_TYPES.DOUBLE_GUTSHOT;
+            }
+            draws.push({ type, outs: unseen.filter(c => completions.includes(c.value) && isOut(c)) });
+        } else if (onFlop) {
+            // Backdoor: two more ranks together would make a straight that neither makes alone
+            const backdoor = unseen.some(turn => unseen.some(river => {
+                const bits = (1 << (turn.value - 2)) | (1 << (river.value - 2));
+                const high = findStraightHigh(holeMask | boardMask | bits);
+                return high > 0 && findStraightHigh(boardMask | bits) < high;
+            }));
+            if (backdoor) {
+                draws.push({ type: DRAW_TYPES.BACKDOOR_STRAIGHT });
+            }
+        }
+    }
+
+    // Overcards: unpaired hole cards above every board card
+    const overcards = holeCards.filter(card => card.value > boardHigh);
+    if (hand.rank === HAND_RANKINGS.HIGH_CARD && overcards.length > 0) {
+        const values = overcards.map(card => card.value);
+        draws.push({ type: DRAW_TYPES.OVERCARDS, outs: unseen.filter(c => values.includes(c.value) && isOut(c)) });
+    }
+
+    // Chance of an out on the next card, and of at least one by the river
+    const nextCard = outs.length / unseen.length;
+    const misses = unseen.length - outs.length;
+    const byRiver = onFlop ?
+        1 - (misses * (misses - 1)) / (unseen.length * (unseen.length - 1)) :
+        nextCard;
+
+    return {
+        hand,
+        draws: draws.map(draw => ({ ...draw, name: DRAW_NAMES[draw.type] })),
+        outs,
+        nextCard,
+        byRiver
+    };
+}
+
 // Export for use in other modules
-if (typeof window !== 'undefined') {
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        HAND_RANKINGS,
+        HAND_NAMES,
+        LOW_QUALIFIER,
+        DRAW_TYPES,
+        DRAW_NAMES,
+        evaluateBestHand,
+        evaluateBestHandBruteForce,
+        evaluateHandValue,
+        decodeHandValue,
+        compareHands,
+        evaluate5CardHand,
+        evaluateOmahaHand,
+        evaluateOmahaLow,
+        evaluateLowHand,
+        compareLowHands,
+        analyzeDraws
+    };
+} else {
     window.HandEvaluator = {
         HAND_RANKINGS,
         HAND_NAMES,
+        LOW_QUALIFIER,
+        DRAW_TYPES,
+        DRAW_NAMES,
         evaluateBestHand,
+        evaluateBestHandBruteForce,
+        evaluateHandValue,
+        decodeHandValue,
         compareHands,
-        evaluate5CardHand
+        evaluate5CardHand,
+        evaluateOmahaHand,
+        evaluateOmahaLow,
+        evaluateLowHand,
+        compareLowHands,
+        analyzeDraws
     };
 }
+
+})();
@@ -0,0 +1,391 @@
+/**
+ * Hand History Recording for Texas Hold'em
+ * Keeps a structured record of every hand in a session and exports it
+ * as JSON or as PokerStars-style text for external review tools
+ */
+
+(function () {
+
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+
+const HISTORY_FORMAT = 'onlinepoker-hand-history';
+const HISTORY_VERSION = 1;
+
+const STREETS = ['preflop', 'flop', 'turn', 'river'];
+
+const STREET_NAMES = {
+    preflop: 'Preflop',
+    flop: 'Flop',
+    turn: 'Turn',
+    river: 'River'
+};
+
+/**
+ * Records hands as they are played and exports the session
+ */
+class HandHistory {
+    constructor() {
+        this.hands = [];
+        this.currentHand = null;
+    }
+
+    /**
+     * Starts a record for a new hand, before any blinds are posted
+     * @param {Object} engine - The poker engine
+     * @param {number} handNumber - Hand number within the session
+     */
+    beginHand(engine, handNumber) {
+        this.currentHand = {
+            handNumber,
+            startedAt: new Date().toISOString(),
+            seed: engine.seed,
+            smallBlind: engine.smallBlind,
+            bigBlind: engine.bigBlind,
+            ante: engine.ante,
+            game: engine.variant.label,
+            bettingStructure: engine.bettingStructure.label,
+            dealerSeat: engine.dealerIndex + 1,
+            seats: engine.players.map((player, index) => ({
+                seat: index + 1,
+                name: player.name,
+                stack: player.chips,
+                isBot: !!player.isBot
+            })),
+            holeCards: {},
+            actions: [],
+            board: { flop: [], turn: [], river: [] },
+            showdown: [],
+            pots: [],
+            winners: [],
+            contributions: {}
+        };
+        this.hands.push(this.currentHand);
+    }
+
+    /**
+     * Records the hole cards dealt to each player
+     * @param {Array} players - Players in the hand
+     */
+    recordHoleCards(players) {
+        if (!this.currentHand) return;
+
+        for (const player of players) {
+            this.currentHand.holeCards[player.name] = player.holeCards.map(Cards.cardToCode);
+        }
+    }
+
+    /**
+     * Records a blind post or a player action
+     * @param {Object} entry - { street, player, action, amount, total, allIn }
+     */
+    recordAction(entry) {
+        if (!this.currentHand) return;
+        this.currentHand.actions.push(entry);
+    }
+
+    /**
+     * Records community cards dealt on a street
+     * @param {string} street - 'flop', 'turn' or 'river'
+     * @param {Array} cards - Cards dealt on that street
+     */
+    recordBoard(street, cards) {
+        if (!this.currentHand) return;
+        this.currentHand.board[street] = cards.map(Cards.cardToCode);
+    }
+
+    /**
+     * Records how the hand ended
+     * @param {Object} engine - The poker engine
+     * @param {Array} pots - Pots from calculatePots
+     * @param {Array} handResults - Hand evaluation results (for showdown)
+     * @returns {Object|null} The finished hand record
+     */
+    finishHand(engine, pots, handResults = null) {
+        const hand = this.currentHand;
+        if (!hand) return null;
+
+        hand.showdown = (handResults || []).map(result => ({
+            player: result.player.name,
+            cards: result.player.holeCards.map(Cards.cardToCode),
+            hand: result.hand.name,
+            low: result.low ? result.low.name : null,
+            mucked: !!result.mucked
+        }));
+        hand.pots = pots.map(pot => ({
+            amount: pot.amount,
+            eligible: pot.eligible.map(p => p.name)
+        }));
+        hand.winners = engine.winners.map(winner => ({
+            player: winner.player.name,
+            amount: winner.amount,
+            pots: winner.pots.map(p => ({ pot: p.pot, amount: p.amount, low: p.low }))
+        }));
+        for (const [player, amount] of engine.contributions) {
+            hand.contributions[player.name] = amount;
+        }
+
+        this.currentHand = null;
+        return hand;
+    }
+
+    /**
+     * Exports the session as JSON
+     * @returns {string} JSON document containing every recorded hand
+     */
+    exportJSON() {
+        return JSON.stringify({
+            format: HISTORY_FORMAT,
+            version: HISTORY_VERSION,
+            hands: this.hands
+        }, null, 2);
+    }
+
+    /**
+     * Loads hands from a JSON export
+     * @param {string|Object} json - Output of exportJSON
+     * @returns {HandHistory} History containing the loaded hands
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.format !== HISTORY_FORMAT || !Array.isArray(data.hands)) {
+            throw new Error('Not an onlinepoker hand history');
+        }
+        if (data.version > HISTORY_VERSION) {
+            throw new Error(`Unsupported hand history version ${data.version}`);
+        }
+
+        const history = new HandHistory();
+        history.hands = data.hands;
+        return history;
+    }
+
+    /**
+     * Exports the session as PokerStars-style text
+     * @returns {string} Hand histories separated by blank lines
+     */
+    exportText() {
+        return this.hands
+            .filter(hand => hand.winners.length > 0)
+            .map(hand => formatHandText(hand))
+            .join('\n\n\n') + '\n';
+    }
+}
+
+/**
+ * Formats a timestamp the way PokerStars prints it
+ * @param {string} iso - ISO timestamp
+ * @returns {string} Timestamp like "2024/01/31 18:05:09 UTC"
+ */
+function formatTimestamp(iso) {
+    const date = new Date(iso);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC`;
+}
+
+/**
+ * Finds the uncalled part of the largest contribution, which goes back to its owner.
+ * Antes are dead money that nobody calls, so they are left out of the comparison.
+ * @param {Object} hand - Hand record
+ * @returns {Object|null} { player, amount } or null if every bet was called
+ */
+function getUncalledBet(hand) {
+    const live = { ...hand.contributions };
+    for (const entry of hand.actions) {
+        if (entry.action === 'ante') {
+            live[entry.player] -= entry.amount;
+        }
+    }
+
+    const entries = Object.entries(live).sort((a, b) => b[1] - a[1]);
+    if (entries.length === 0) return null;
+
+    const second = entries.length > 1 ? entries[1][1] : 0;
+    const amount = entries[0][1] - second;
+    return amount > 0 ? { player: entries[0][0], amount } : null;
+}
+
+/**
+ * Formats a single action line
+ * @param {Object} entry - Recorded action
+ * @returns {string} Action line
+ */
+function formatActionText(entry) {
+    const allIn = entry.allIn ? ' and is all-in' : '';
+
+    switch (entry.action) {
+        case 'small_blind':
+            return `${entry.player}: posts small blind $${entry.amount}${allIn}`;
+        case 'big_blind':
+            return `${entry.player}: posts big blind $${entry.amount}${allIn}`;
+        case 'straddle':
+            return `${entry.player}: posts straddle $${entry.amount}${allIn}`;
+        case 'ante':
+            return `${entry.player}: posts the ante $${entry.amount}${allIn}`;
+        case 'fold':
+            return `${entry.player}: folds`;
+        case 'check':
+            return `${entry.player}: checks`;
+        case 'call':
+            return `${entry.player}: calls $${entry.amount}${allIn}`;
+        case 'bet':
+            return `${entry.player}: bets $${entry.amount}${allIn}`;
+        case 'raise':
+            return `${entry.player}: raises $${entry.total - entry.previousBet} to $${entry.total}${allIn}`;
+        default:
+            return `${entry.player}: ${entry.action} $${entry.amount}${allIn}`;
+    }
+}
+
+/**
+ * Describes a shown hand, including its low in hi-lo games
+ * @param {Object} shown - Showdown entry
+ * @returns {string} Description like "Flush" or "Flush, 7-5-4-2-A low"
+ */
+function describeShownHand(shown) {
+    return shown.low ? `${shown.hand}, ${shown.low}` : shown.hand;
+}
+
+/**
+ * Formats one hand record as PokerStars-style text
+ * @param {Object} hand - Hand record
+ * @returns {string} Hand history text
+ */
+function formatHandText(hand) {
+    const lines = [];
+    const board = [...hand.board.flop, ...hand.board.turn, ...hand.board.river];
+    const uncalled = getUncalledBet(hand);
+    const totalPot = Object.values(hand.contributions).reduce((sum, n) => sum + n, 0) -
+        (uncalled ? uncalled.amount : 0);
+
+    lines.push(`PokerStars Hand #${hand.handNumber}: ${hand.game || "Hold'em"} ` +
+        `${hand.bettingStructure || 'No Limit'} ` +
+        `($${hand.smallBlind}/$${hand.bigBlind}) - ${formatTimestamp(hand.startedAt)}`);
+    lines.push(`Table 'Online Poker' ${hand.seats.length}-max Seat #${hand.dealerSeat} is the button`);
+    for (const seat of hand.seats) {
+        lines.push(`Seat ${seat.seat}: ${seat.name} ($${seat.stack} in chips)`);
+    }
+
+    const isPost = a => ['ante', 'small_blind', 'big_blind', 'straddle'].includes(a.action);
+    const posts = hand.actions.filter(isPost);
+    posts.forEach(entry => lines.push(formatActionText(entry)));
+
+    lines.push('*** HOLE CARDS ***');
+    const humans = hand.seats.filter(seat => !seat.isBot);
+    for (const seat of (humans.length > 0 ? humans : hand.seats)) {
+        const cards = hand.holeCards[seat.name];
+        if (cards) {
+            lines.push(`Dealt to ${seat.name} [${cards.join(' ')}]`);
+        }
+    }
+
+    const lastStreet = STREETS.filter(street =>
+        street === 'preflop' || hand.board[street].length > 0
+    ).pop();
+
+    for (const street of STREETS) {
+        if (street === 'flop' && hand.board.flop.length > 0) {
+            lines.push(`*** FLOP *** [${hand.board.flop.join(' ')}]`);
+        } else if (street === 'turn' && hand.board.turn.length > 0) {
+            lines.push(`*** TURN *** [${hand.board.flop.join(' ')}] [${hand.board.turn.join(' ')}]`);
+        } else if (street === 'river' && hand.board.river.length > 0) {
+            lines.push(`*** RIVER *** [${[...hand.board.flop, ...hand.board.turn].join(' ')}] ` +
+                `[${hand.board.river.join(' ')}]`);
+        }
+
+        hand.actions
+            .filter(a => a.street === street && !isPost(a))
+            .forEach(entry => lines.push(formatActionText(entry)));
+
+        if (street === lastStreet && uncalled) {
+            lines.push(`Uncalled bet ($${uncalled.amount}) returned to ${uncalled.player}`);
+        }
+    }
+
+    if (hand.showdown.length > 0) {
+        lines.push('*** SHOW DOWN ***');
+        for (const shown of hand.showdown) {
+            lines.push(shown.mucked ? `${shown.player}: mucks hand` :
+                `${shown.player}: shows [${shown.cards.join(' ')}] (${describeShownHand(shown)})`);
+        }
+    }
+
+    // Pot collections, leaving out the uncalled bet which was already returned
+    const collected = {};
+    const potNames = hand.pots.length > 1 ?
+        hand.pots.map((_, i) => i === 0 ? 'main pot' : `side pot-${i}`) : ['pot'];
+
+    for (const winner of hand.winners) {
+        for (const won of winner.pots) {
+            let amount = won.amount;
+            if (uncalled && winner.player === uncalled.player && won.pot === hand.pots.length - 1) {
+                amount -= uncalled.amount;
+            }
+            if (amount <= 0) continue;
+
+            const half = won.low ? ' (low)' : '';
+            lines.push(`${winner.player} collected $${amount}${half} from ${potNames[won.pot]}`);
+            collected[winner.player] = (collected[winner.player] || 0) + amount;
+        }
+    }
+
+    lines.push('*** SUMMARY ***');
+    lines.push(`Total pot $${totalPot} | Rake $0`);
+    if (board.length > 0) {
+        lines.push(`Board [${board.join(' ')}]`);
+    }
+
+    const blindNames = { small_blind: 'small blind', big_blind: 'big blind', straddle: 'straddle' };
+    const blindSeats = {};
+    posts.filter(entry => entry.action !== 'ante').forEach(entry => {
+        blindSeats[entry.player] = blindNames[entry.action];
+    });
+
+    for (const seat of hand.seats) {
+        const tags = [];
+        if (seat.seat === hand.dealerSeat) tags.push('button');
+        if (blindSeats[seat.name]) tags.push(blindSeats[seat.name]);
+        const label = `Seat ${seat.seat}: ${seat.name}${tags.length ? ` (${tags.join(') (')})` : ''}`;
+
+        const fold = hand.actions.find(a => a.player === seat.name && a.action === 'fold');
+        const shown = hand.showdown.find(s => s.player === seat.name);
+
+        if (fold) {
+            const street = fold.street === 'preflop' ? 'before Flop' : `on the ${STREET_NAMES[fold.street]}`;
+            lines.push(`${label} folded ${street}`);
+        } else if (shown && shown.mucked) {
+            lines.push(`${label} mucked [${shown.cards.join(' ')}]`);
+        } else if (shown) {
+            const result = collected[seat.name] ?
+                `won ($${collected[seat.name]})` : 'lost';
+            lines.push(`${label} showed [${shown.cards.join(' ')}] and ${result} with ${describeShownHand(shown)}`);
+        } else if (collected[seat.name]) {
+            lines.push(`${label} collected ($${collected[seat.name]})`);
+        } else {
+            lines.push(`${label} did not show`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        HISTORY_FORMAT,
+        HISTORY_VERSION,
+        HandHistory,
+        formatActionText,
+        describeShownHand
+    };
+} else {
+    window.HandHistory = {
+        HISTORY_FORMAT,
+        HISTORY_VERSION,
+        HandHistory,
+        formatActionText,
+        describeShownHand
+    };
+}
+
+})();
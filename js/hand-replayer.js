@@ -0,0 +1,234 @@
+/**
+ * Hand Replayer for Texas Hold'em
+ * Rebuilds table state step by step from a recorded hand history
+ */
+
+(function () {
+
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+const HandHistory = typeof module === 'object' ? require('./hand-history.js') : window.HandHistory;
+
+/**
+ * Steps through a single recorded hand
+ */
+class HandReplayer {
+    /**
+     * @param {Object} hand - Hand record from HandHistory
+     */
+    constructor(hand) {
+        this.hand = hand;
+        this.steps = this.buildSteps(hand);
+        this.stepIndex = 0;
+    }
+
+    /**
+     * Orders the hand into replayable steps: deal, actions, board cards, result
+     * @param {Object} hand - Hand record
+     * @returns {Array} Steps as { type, street, entry? }
+     */
+    buildSteps(hand) {
+        const steps = [{ type: 'deal', street: 'preflop' }];
+
+        for (const street of ['preflop', 'flop', 'turn', 'river']) {
+            if (street !== 'preflop' && hand.board[street].length > 0) {
+                steps.push({ type: 'board', street });
+            }
+            for (const entry of hand.actions.filter(a => a.street === street)) {
+                steps.push({ type: 'action', street, entry });
+            }
+        }
+
+        if (hand.winners.length > 0) {
+            const lastStreet = steps[steps.length - 1].street;
+            steps.push({ type: 'result', street: hand.showdown.length > 0 ? 'showdown' : lastStreet });
+        }
+
+        return steps;
+    }
+
+    /**
+     * Moves one step forward
+     * @returns {boolean} True if the position changed
+     */
+    next() {
+        return this.goTo(this.stepIndex + 1);
+    }
+
+    /**
+     * Moves one step back
+     * @returns {boolean} True if the position changed
+     */
+    previous() {
+        return this.goTo(this.stepIndex - 1);
+    }
+
+    /**
+     * Jumps to the start of the next street, or the result
+     * @returns {boolean} True if the position changed
+     */
+    nextStreet() {
+        const street = this.steps[this.stepIndex].street;
+        const index = this.steps.findIndex((step, i) => i > this.stepIndex && step.street !== street);
+        return this.goTo(index === -1 ? this.steps.length - 1 : index);
+    }
+
+    /**
+     * Jumps to the start of the current street, or the previous one if already there
+     * @returns {boolean} True if the position changed
+     */
+    previousStreet() {
+        let index = this.stepIndex;
+        if (index > 0 && this.steps[index - 1].street !== this.steps[index].street) {
+            index--;
+        }
+        const street = this.steps[index].street;
+        while (index > 0 && this.steps[index - 1].street === street) {
+            index--;
+        }
+        return this.goTo(index);
+    }
+
+    /**
+     * Jumps to a step
+     * @param {number} index - Step index
+     * @returns {boolean} True if the position changed
+     */
+    goTo(index) {
+        const clamped = Math.max(0, Math.min(index, this.steps.length - 1));
+        if (clamped === this.stepIndex) {
+            return false;
+        }
+        this.stepIndex = clamped;
+        return true;
+    }
+
+    /**
+     * Whether the replay is at its first step
+     */
+    isAtStart() {
+        return this.stepIndex === 0;
+    }
+
+    /**
+     * Whether the replay is at its last step
+     */
+    isAtEnd() {
+        return this.stepIndex === this.steps.length - 1;
+    }
+
+    /**
+     * Gets the table state after the current step.
+     * The result mirrors the engine fields the poker UI renders from.
+     * @returns {Object} { players, dealerIndex, currentPlayerIndex, pot, communityCards, gameLog, street, showdown }
+     */
+    getState() {
+        const hand = this.hand;
+        const codeToCard = Cards.codeToCard;
+
+        const state = {
+            players: hand.seats.map(seat => ({
+                name: seat.name,
+                chips: seat.stack,
+                isBot: seat.isBot,
+                holeCards: (hand.holeCards[seat.name] || []).map(codeToCard),
+                hasFolded: false,
+                isAllIn: false,
+                currentBet: 0,
+                totalBetThisRound: 0
+            })),
+            dealerIndex: hand.dealerSeat - 1,
+            currentPlayerIndex: -1,
+            pot: 0,
+            communityCards: [],
+            gameLog: [`Hand #${hand.handNumber} - ${hand.game || "Hold'em"} - blinds $${hand.smallBlind}/$${hand.bigBlind}` +
+                (hand.ante ? `, ante $${hand.ante}` : '')],
+            street: 'preflop',
+            showdown: false,
+            getCurrentPlayer() {
+                return this.players[this.currentPlayerIndex];
+            }
+        };
+
+        for (let i = 1; i <= this.stepIndex; i++) {
+            this.applyStep(state, this.steps[i]);
+        }
+
+        return state;
+    }
+
+    /**
+     * Applies one step to a table state
+     * @param {Object} state - State from getState
+     * @param {Object} step - Step from buildSteps
+     */
+    applyStep(state, step) {
+        const codeToCard = Cards.codeToCard;
+        state.street = step.street;
+        state.currentPlayerIndex = -1;
+
+        switch (step.type) {
+            case 'board': {
+                for (const player of state.players) {
+                    player.totalBetThisRound = 0;
+                    player.currentBet = 0;
+                }
+                const cards = this.hand.board[step.street];
+                state.communityCards.push(...cards.map(codeToCard));
+                state.gameLog.push(`${step.street[0].toUpperCase()}${step.street.slice(1)}: ${cards.join(' ')}`);
+                break;
+            }
+
+            case 'action': {
+                const entry = step.entry;
+                const index = state.players.findIndex(p => p.name === entry.player);
+                const player = state.players[index];
+
+                player.chips -= entry.amount;
+                player.totalBetThisRound = entry.total;
+                player.currentBet = entry.total;
+                player.hasFolded = entry.action === 'fold';
+                player.isAllIn = entry.allIn;
+                state.pot += entry.amount;
+                state.currentPlayerIndex = index;
+                state.gameLog.push(HandHistory.formatActionText(entry));
+                break;
+            }
+
+            case 'result':
+                state.showdown = this.hand.showdown.length > 0;
+                for (const shown of this.hand.showdown) {
+                    const description = HandHistory.describeShownHand(shown);
+                    state.gameLog.push(shown.mucked ? `${shown.player} mucks` :
+                        `${shown.player} shows ${shown.cards.join(' ')} (${description})`);
+                }
+                for (const winner of this.hand.winners) {
+                    const player = state.players.find(p => p.name === winner.player);
+                    player.chips += winner.amount;
+                    state.gameLog.push(`${winner.player} wins $${winner.amount}`);
+                }
+                state.pot = 0;
+                break;
+        }
+    }
+
+    /**
+     * Describes the current position, e.g. "Hand #3 · Flop · step 7 of 12"
+     * @returns {string} Position label
+     */
+    describe() {
+        const street = this.steps[this.stepIndex].street;
+        const label = `${street[0].toUpperCase()}${street.slice(1)}`;
+        return `Hand #${this.hand.handNumber} · ${label} · step ${this.stepIndex + 1} of ${this.steps.length}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        HandReplayer
+    };
+} else {
+    window.HandReplayer = HandReplayer;
+}
+
+})();
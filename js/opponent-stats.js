@@ -0,0 +1,202 @@
+/**
+ * Opponent Statistics
+ * Tracks each player's tendencies across the hands of a session, from the
+ * hand history records, for bots to adjust to and for the HUD
+ */
+
+(function () {
+
+// Hands to see before a player's numbers say anything about them
+const MIN_HANDS_FOR_READ = 10;
+
+// VPIP above which a player counts as loose, and below which as tight
+const LOOSE_VPIP = 0.4;
+const TIGHT_VPIP = 0.2;
+
+const PLAYER_TYPES = {
+    LOOSE: 'loose',
+    TIGHT: 'tight',
+    AVERAGE: 'average'
+};
+
+/**
+ * Reads one player's tendencies from a recorded hand
+ * @param {Object} hand - Hand record from HandHistory
+ * @param {string} name - Player name
+ * @returns {Object} { vpip, pfr, aggressiveActions, calls, facedCbet, foldedToCbet,
+ *                   sawFlop, sawShowdown, wonAtShowdown }; aggressiveActions and calls
+ *                   count bets, raises and calls after the flop
+ */
+function getHandStats(hand, name) {
+    // Blinds and antes are recorded as their own actions, so they never count as voluntary
+    const aggressive = a => a.action === 'bet' || a.action === 'raise';
+    const preflop = hand.actions.filter(a => a.street === 'preflop');
+    const own = hand.actions.filter(a => a.player === name);
+    const ownPreflop = own.filter(a => a.street === 'preflop');
+    const ownPostflop = own.filter(a => a.street !== 'preflop');
+    const sawShowdown = hand.showdown.some(s => s.player === name);
+
+    // A continuation bet is the preflop aggressor making the first bet on the flop
+    const raises = preflop.filter(aggressive);
+    const aggressor = raises.length > 0 ? raises[raises.length - 1].player : null;
+    const flop = hand.actions.filter(a => a.street === 'flop');
+    const firstBet = flop.findIndex(aggressive);
+    const isCbet = firstBet !== -1 && flop[firstBet].player === aggressor;
+    const response = isCbet && aggressor !== name ?
+        flop.slice(firstBet + 1).find(a => a.player === name) : undefined;
+
+    return {
+        vpip: ownPreflop.some(a => a.action === 'call' || aggressive(a)),
+        pfr: ownPreflop.some(aggressive),
+        aggressiveActions: ownPostflop.filter(aggressive).length,
+        calls: ownPostflop.filter(a => a.action === 'call').length,
+        facedCbet: !!response,
+        foldedToCbet: !!response && response.action === 'fold',
+        sawFlop: !!hand.board && hand.board.flop.length > 0 && !ownPreflop.some(a => a.action === 'fold'),
+        sawShowdown,
+        wonAtShowdown: sawShowdown && hand.winners.some(w => w.player === name)
+    };
+}
+
+function createCounts() {
+    return {
+        hands: 0, vpip: 0, pfr: 0, aggressiveActions: 0, calls: 0,
+        facedCbet: 0, foldedToCbet: 0, sawFlop: 0, sawShowdown: 0
+    };
+}
+
+/**
+ * Keeps running counts per player and turns them into HUD statistics
+ */
+class OpponentStats {
+    constructor() {
+        this.counts = new Map();
+    }
+
+    /**
+     * Adds a finished hand to the counts of everyone dealt into it
+     * @param {Object} hand - Hand record from HandHistory
+     */
+    recordHand(hand) {
+        if (!hand) return;
+
+        for (const seat of hand.seats) {
+            if (!hand.holeCards[seat.name]) continue;
+
+            if (!this.counts.has(seat.name)) {
+                this.counts.set(seat.name, createCounts());
+            }
+            const counts = this.counts.get(seat.name);
+            const stats = getHandStats(hand, seat.name);
+
+            counts.hands++;
+            counts.vpip += stats.vpip ? 1 : 0;
+            counts.pfr += stats.pfr ? 1 : 0;
+            counts.aggressiveActions += stats.aggressiveActions;
+            counts.calls += stats.calls;
+            counts.facedCbet += stats.facedCbet ? 1 : 0;
+            counts.foldedToCbet += stats.foldedToCbet ? 1 : 0;
+            counts.sawFlop += stats.sawFlop ? 1 : 0;
+            counts.sawShowdown += stats.sawShowdown ? 1 : 0;
+        }
+    }
+
+    /**
+     * Gets a player's statistics. A rate is null until the player has had the chance.
+     * @param {string} name - Player name
+     * @returns {Object} { hands, vpip, pfr, aggression, foldToCbet, wentToShowdown, type }:
+     *                   vpip and pfr per hand, aggression as bets and raises per call after
+     *                   the flop, fold to c-bet per c-bet faced, went to showdown per flop seen,
+     *                   and type from classifyPlayer
+     */
+    getStats(name) {
+        const counts = this.counts.get(name) || createCounts();
+        const rate = (count, chances) => chances > 0 ? count / chances : null;
+
+        const stats = {
+            hands: counts.hands,
+            vpip: rate(counts.vpip, counts.hands),
+            pfr: rate(counts.pfr, counts.hands),
+            // With no calls to divide by, the bets and raises alone
+            aggression: counts.aggressiveActions + counts.calls > 0 ?
+                counts.aggressiveActions / Math.max(1, counts.calls) : null,
+            foldToCbet: rate(counts.foldedToCbet, counts.facedCbet),
+            wentToShowdown: rate(counts.sawShowdown, counts.sawFlop)
+        };
+        stats.type = classifyPlayer(stats);
+        return stats;
+    }
+
+    /**
+     * Forgets everyone, for a new session
+     */
+    reset() {
+        this.counts.clear();
+    }
+
+    /**
+     * Captures the running counts, which outlive the hand records a snapshot keeps
+     * @returns {Object} Counts by player name
+     */
+    serialize() {
+        return Object.fromEntries([...this.counts].map(([name, counts]) => [name, { ...counts }]));
+    }
+
+    /**
+     * Replaces the counts with ones from serialize
+     * @param {Object} counts - Counts by player name
+     */
+    restore(counts) {
+        this.counts = new Map(Object.entries(counts).map(([name, saved]) => [name, { ...createCounts(), ...saved }]));
+    }
+}
+
+/**
+ * Calls a player loose or tight from how often they put money in before the flop
+ * @param {Object} stats - Statistics from OpponentStats.getStats
+ * @returns {string|null} One of PLAYER_TYPES, or null with too few hands to tell
+ */
+function classifyPlayer(stats) {
+    if (!stats || stats.hands < MIN_HANDS_FOR_READ) {
+        return null;
+    }
+    if (stats.vpip > LOOSE_VPIP) {
+        return PLAYER_TYPES.LOOSE;
+    }
+    return stats.vpip < TIGHT_VPIP ? PLAYER_TYPES.TIGHT : PLAYER_TYPES.AVERAGE;
+}
+
+/**
+ * Formats statistics for a HUD line, like "VPIP 24 · PFR 18 · AF 2.1 · FCB 50 · WTSD 30 (42)"
+ * @param {Object} stats - Statistics from OpponentStats.getStats
+ * @returns {string} Percentages, the aggression factor and the hand count; "-" for no data yet
+ */
+function formatStats(stats) {
+    const percent = value => value === null ? '-' : String(Math.round(value * 100));
+    const factor = stats.aggression === null ? '-' : stats.aggression.toFixed(1);
+    return `VPIP ${percent(stats.vpip)} · PFR ${percent(stats.pfr)} · AF ${factor} · ` +
+        `FCB ${percent(stats.foldToCbet)} · WTSD ${percent(stats.wentToShowdown)} (${stats.hands})`;
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        MIN_HANDS_FOR_READ,
+        PLAYER_TYPES,
+        OpponentStats,
+        getHandStats,
+        classifyPlayer,
+        formatStats
+    };
+} else {
+    window.OpponentStats = {
+        MIN_HANDS_FOR_READ,
+        PLAYER_TYPES,
+        OpponentStats,
+        getHandStats,
+        classifyPlayer,
+        formatStats
+    };
+}
+
+})();
@@ -3,6 +3,16 @@
  * Manages game state, betting rounds, and pot management
  */
 
+(function () {
+
+const Random = typeof module === 'object' ? require('./random.js') : window.Random;
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+const HandEvaluator = typeof module === 'object' ? require('./hand-evaluator.js') : window.HandEvaluator;
+const HandHistory = typeof module === 'object' ? require('./hand-history.js') : window.HandHistory;
+const OpponentStats = typeof module === 'object' ? require('./opponent-stats.js') : window.OpponentStats;
+const BettingStructures = typeof module === 'object' ? require('./betting-structures.js') : window.BettingStructures;
+const GameVariants = typeof module === 'object' ? require('./game-variants.js') : window.GameVariants;
+
 const GAME_PHASES = {
     PREFLOP: 'preflop',
     FLOP: 'flop',
@@ -20,16 +30,58 @@ const ACTIONS = {
     ALL_IN: 'all_in'
 };
 
+// Who posts a straddle: nobody, the player under the gun, or the button
+const STRADDLES = {
+    NONE: 'none',
+    UTG: 'utg',
+    BUTTON: 'button'
+};
+
+// A straddle is a third blind of twice the big blind
+const STRADDLE_MULTIPLE = 2;
+
+// Bumped whenever the snapshot layout changes, so old saves are refused rather than misread
+const SNAPSHOT_VERSION = 2;
+
+/**
+ * Freezes an object and everything inside it
+ * @param {Object} value - Plain data
+ * @returns {Object} The same value, frozen
+ */
+function freezeDeep(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(freezeDeep);
+    }
+    return value;
+}
+
 /**
  * Poker Game Engine
  */
 class PokerEngine {
-    constructor(players, bigBlind = 20) {
+    /**
+     * @param {Array} players - Seated players
+     * @param {number} bigBlind - Big blind amount
+     * @param {Object} options - { seed?, rng? } random source for shuffling,
+     *                           { bettingStructure? } No Limit unless given,
+     *                           { variant? } one of GameVariants.GAME_VARIANTS, Hold'em unless given,
+     *                           { forcedBets? } antes and straddle, as for setForcedBets,
+     *                           { silent? } keep the game log off the console
+     */
+    constructor(players, bigBlind = 20, options = {}) {
+        const random = Random.resolveRandomSource(options);
+        this.seed = random.seed;
+        this.rng = random.rng;
         this.players = players;
         this.bigBlind = bigBlind;
         this.smallBlind = Math.floor(bigBlind / 2);
+        this.ante = 0;
+        this.bigBlindAnte = 0;
+        this.straddle = STRADDLES.NONE;
         this.pot = 0;
         this.sidePots = [];
+        this.contributions = new Map();
         this.communityCards = [];
         this.deck = [];
         this.phase = GAME_PHASES.PREFLOP;
@@ -38,23 +90,41 @@ class PokerEngine {
         this.dealerIndex = 0;
         this.currentPlayerIndex = 0;
         this.lastRaiserIndex = -1;
+        this.betsThisRound = 0;
+        this.actedThisRound = new Set();
+        this.bettingStructure = options.bettingStructure ||
+            BettingStructures.createBettingStructure(
+                BettingStructures.BETTING_STRUCTURES.NO_LIMIT);
+        this.variant = GameVariants.getGameVariant(options.variant);
         this.gameLog = [];
         this.isHandComplete = false;
         this.winners = [];
+        this.handNumber = 0;
+        this.handHistory = new HandHistory.HandHistory();
+        // Player tendencies over every hand this engine deals, for bots and the HUD
+        this.opponentStats = new OpponentStats.OpponentStats();
+        this.silent = !!options.silent;
+
+        if (options.forcedBets) {
+            this.setForcedBets(options.forcedBets);
+        }
     }
 
     /**
      * Starts a new hand
      */
     startNewHand() {
-        this.deck = window.Cards.shuffleDeck(window.Cards.createDeck());
+        this.deck = this.createHandDeck();
         this.pot = 0;
         this.sidePots = [];
+        this.contributions = new Map();
         this.communityCards = [];
         this.phase = GAME_PHASES.PREFLOP;
         this.currentBet = 0;
         this.minRaise = this.bigBlind;
         this.lastRaiserIndex = -1;
+        this.betsThisRound = 0;
+        this.actedThisRound = new Set();
         this.isHandComplete = false;
         this.winners = [];
         this.gameLog = [];
@@ -74,19 +144,15 @@ class PokerEngine {
         // Move dealer button
         this.dealerIndex = (this.dealerIndex + 1) % this.players.length;
 
-        // Post blinds
+        this.handNumber++;
+        this.handHistory.beginHand(this, this.handNumber);
+
+        // Post blinds; the last of them decides who acts first
         this.postBlinds();
 
         // Deal hole cards
         this.dealHoleCards();
-
-        // Set first player to act (after big blind)
-        this.currentPlayerIndex = (this.dealerIndex + 3) % this.players.length;
-        
-        // In heads-up, small blind acts first preflop
-        if (this.players.length === 2) {
-            this.currentPlayerIndex = this.dealerIndex;
-        }
+        this.handHistory.recordHoleCards(this.players);
 
         this.log(`New hand started. Dealer: ${this.getDealer().name}`);
         
@@ -94,48 +160,255 @@ class PokerEngine {
     }
 
     /**
-     * Posts small and big blinds
+     * Changes who is dealt in from the next hand, keeping the button at its seat.
+     * The players keep their order around the table; one who left or joined does
+     * not shift the button, which moves on to whoever sits after it.
+     * @param {Array} players - Players to deal in, in seat order
      */
-    postBlinds() {
-        const sbIndex = (this.dealerIndex + 1) % this.players.length;
-        const bbIndex = (this.dealerIndex + 2) % this.players.length;
+    seatPlayers(players) {
+        // Leave the button on the nearest player at or before it who stays seated
+        const count = this.players.length;
+        let dealerIndex = players.length - 1;
+        for (let i = 0; i < count; i++) {
+            const seat = players.indexOf(this.players[(this.dealerIndex - i + count) % count]);
+            if (seat !== -1) {
+                dealerIndex = seat;
+                break;
+            }
+        }
+
+        this.players = players;
+        this.dealerIndex = dealerIndex;
+    }
 
+    /**
+     * Builds the deck for a new hand
+     * @returns {Array} Shuffled deck, dealt from the front
+     */
+    createHandDeck() {
+        return Cards.shuffleDeck(Cards.createDeck(), this.rng);
+    }
+
+    /**
+     * Changes the stakes; takes effect from the next hand
+     * @param {number} smallBlind - Small blind amount
+     * @param {number} bigBlind - Big blind amount
+     * @param {number} ante - Ante every player posts, 0 for none
+     */
+    setBlinds(smallBlind, bigBlind, ante = 0) {
+        this.smallBlind = smallBlind;
+        this.bigBlind = bigBlind;
+        this.ante = ante;
+    }
+
+    /**
+     * Changes the forced bets besides the blinds; takes effect from the next hand.
+     * There is no bring-in: that opens the betting in stud games, and every
+     * variant here is a flop game with blinds.
+     * @param {Object} forcedBets - { ante, bigBlindAnte, straddle }: the ante every
+     *                              player posts, the one ante the big blind posts for
+     *                              the whole table, and who straddles, from STRADDLES
+     */
+    setForcedBets(forcedBets = {}) {
+        const { ante = 0, bigBlindAnte = 0, straddle = STRADDLES.NONE } = forcedBets;
+        if (!Object.values(STRADDLES).includes(straddle)) {
+            throw new Error(`Unknown straddle "${straddle}"`);
+        }
+        if (!(ante >= 0) || !(bigBlindAnte >= 0)) {
+            throw new Error('Antes cannot be negative');
+        }
+
+        this.ante = ante;
+        this.bigBlindAnte = bigBlindAnte;
+        this.straddle = straddle;
+    }
+
+    /**
+     * Finds the seats that post blinds for a button position
+     * @param {number} dealerIndex - The button's seat
+     * @param {Array} players - Players dealt in
+     * @returns {Object} { smallBlind, bigBlind, straddle } seat indexes; straddle is -1
+     *                   when nobody straddles, or the straddler cannot cover it or
+     *                   declines it (a player with declinesStraddle set)
+     */
+    getBlindSeats(dealerIndex, players) {
+        const count = players.length;
         // In heads-up, dealer posts small blind
-        if (this.players.length === 2) {
-            this.postBlind(this.dealerIndex, this.smallBlind);
-            this.postBlind((this.dealerIndex + 1) % this.players.length, this.bigBlind);
-        } else {
-            this.postBlind(sbIndex, this.smallBlind);
-            this.postBlind(bbIndex, this.bigBlind);
+        const smallBlind = count === 2 ? dealerIndex : (dealerIndex + 1) % count;
+        const bigBlind = (smallBlind + 1) % count;
+
+        // Nobody straddles heads-up, where the button already posts a blind
+        let straddle = -1;
+        if (count > 2 && this.straddle === STRADDLES.UTG) {
+            straddle = (bigBlind + 1) % count;
+        } else if (count > 2 && this.straddle === STRADDLES.BUTTON) {
+            straddle = dealerIndex;
+        }
+
+        // A straddle is voluntary, so a player who cannot cover it after their ante skips it
+        if (straddle !== -1 && (players[straddle].declinesStraddle ||
+            players[straddle].chips - this.ante <= this.getStraddleAmount())) {
+            straddle = -1;
+        }
+
+        return { smallBlind, bigBlind, straddle };
+    }
+
+    /**
+     * Gets the size of a straddle at the current stakes
+     */
+    getStraddleAmount() {
+        return this.bigBlind * STRADDLE_MULTIPLE;
+    }
+
+    /**
+     * Posts antes, then the blinds and any straddle, and sets who acts first:
+     * the player after the last blind, who will also have the last option
+     */
+    postBlinds() {
+        const seats = this.getBlindSeats(this.dealerIndex, this.players);
+
+        if (this.ante > 0) {
+            this.players.forEach((player, index) => this.postAnte(index, this.ante));
+        }
+
+        // The big blind's own blind comes first when they cannot cover the table's ante as well
+        if (this.bigBlindAnte > 0) {
+            const bigBlindPlayer = this.players[seats.bigBlind];
+            const ante = Math.min(this.bigBlindAnte, Math.max(0, bigBlindPlayer.chips - this.bigBlind));
+            if (ante > 0) {
+                this.postAnte(seats.bigBlind, ante);
+            }
         }
 
+        this.postBlind(seats.smallBlind, this.smallBlind, 'small_blind');
+        this.postBlind(seats.bigBlind, this.bigBlind, 'big_blind');
+
+        // The big blind counts as the opening bet towards a limit cap
         this.currentBet = this.bigBlind;
-        this.lastRaiserIndex = this.players.length === 2 ? 
-            (this.dealerIndex + 1) % this.players.length : bbIndex;
+        this.betsThisRound = 1;
+        this.lastRaiserIndex = seats.bigBlind;
+
+        // A straddle raises the blind: it sets the price and the minimum raise,
+        // and counts as the second bet towards a limit cap
+        if (seats.straddle !== -1) {
+            const amount = this.getStraddleAmount();
+            this.postBlind(seats.straddle, amount, 'straddle');
+            this.currentBet = amount;
+            this.minRaise = amount;
+            this.betsThisRound = 2;
+            this.lastRaiserIndex = seats.straddle;
+        }
+
+        this.currentPlayerIndex = (this.lastRaiserIndex + 1) % this.players.length;
+    }
+
+    /**
+     * Finds who will post the blinds when the next hand starts, seating the
+     * players and moving the button the way startNewHand will
+     * @returns {Object|null} { smallBlind, bigBlind, straddle } players, straddle null
+     *                        when nobody straddles; null if there will be no hand
+     */
+    getNextBlindPlayers() {
+        const players = this.players.filter(p => p.chips > 0);
+        if (players.length < 2) {
+            return null;
+        }
+
+        const seats = this.getBlindSeats((this.dealerIndex + 1) % players.length, players);
+        return {
+            smallBlind: players[seats.smallBlind],
+            bigBlind: players[seats.bigBlind],
+            straddle: seats.straddle === -1 ? null : players[seats.straddle]
+        };
     }
 
-    postBlind(playerIndex, amount) {
+    /**
+     * Posts a single blind
+     * @param {number} playerIndex - Index of the posting player
+     * @param {number} amount - Blind size
+     * @param {string} type - 'small_blind', 'big_blind' or 'straddle', for the hand history
+     */
+    postBlind(playerIndex, amount, type) {
         const player = this.players[playerIndex];
         const blindAmount = Math.min(amount, player.chips);
-        player.chips -= blindAmount;
+        this.commitChips(player, blindAmount);
         player.totalBetThisRound = blindAmount;
         player.currentBet = blindAmount;
-        this.pot += blindAmount;
 
         if (player.chips === 0) {
             player.isAllIn = true;
         }
 
-        this.log(`${player.name} posts ${blindAmount === this.smallBlind ? 'small' : 'big'} blind: $${blindAmount}`);
+        this.handHistory.recordAction({
+            street: this.phase,
+            player: player.name,
+            action: type,
+            amount: blindAmount,
+            total: blindAmount,
+            previousBet: 0,
+            allIn: player.isAllIn
+        });
+
+        // Named by the seat rather than the amount, which is short when the stack is
+        const names = { small_blind: 'small blind', big_blind: 'big blind', straddle: 'straddle' };
+        this.log(`${player.name} posts ${names[type]}: $${blindAmount}`);
     }
 
     /**
-     * Deals hole cards to all players
+     * Posts an ante. Antes go into the pot without counting towards the bet to call.
+     * @param {number} playerIndex - Index of the posting player
+     * @param {number} amount - The ante, or the whole table's for a big blind ante
+     */
+    postAnte(playerIndex, amount) {
+        const player = this.players[playerIndex];
+        const anteAmount = Math.min(amount, player.chips);
+        this.commitChips(player, anteAmount);
+
+        if (player.chips === 0) {
+            player.isAllIn = true;
+        }
+
+        this.handHistory.recordAction({
+            street: this.phase,
+            player: player.name,
+            action: 'ante',
+            amount: anteAmount,
+            total: 0,
+            previousBet: 0,
+            allIn: player.isAllIn
+        });
+
+        this.log(`${player.name} posts ante: $${anteAmount}`);
+    }
+
+    /**
+     * Moves chips from a player's stack into the pot
+     * @param {Object} player - The contributing player
+     * @param {number} amount - Chips to commit
+     */
+    commitChips(player, amount) {
+        player.chips -= amount;
+        this.pot += amount;
+        this.contributions.set(player, this.getContribution(player) + amount);
+    }
+
+    /**
+     * Gets the total a player has put into the pot this hand
+     * @param {Object} player - The player
+     * @returns {number} Chips contributed across all streets
+     */
+    getContribution(player) {
+        return this.contributions.get(player) || 0;
+    }
+
+    /**
+     * Deals hole cards to all players, as many as the variant uses
      */
     dealHoleCards() {
-        for (let i = 0; i < 2; i++) {
+        for (let i = 0; i < this.variant.holeCardCount; i++) {
             for (const player of this.players) {
-                const result = window.Cards.dealCards(this.deck, 1);
+                const result = Cards.dealCards(this.deck, 1);
                 player.holeCards.push(result.dealt[0]);
                 this.deck = result.remaining;
             }
@@ -162,9 +435,10 @@ class PokerEngine {
         this.deck = this.deck.slice(1);
 
         // Deal community cards
-        const result = window.Cards.dealCards(this.deck, cardsToDeal);
+        const result = Cards.dealCards(this.deck, cardsToDeal);
         this.communityCards.push(...result.dealt);
         this.deck = result.remaining;
+        this.handHistory.recordBoard(this.phase, result.dealt);
 
         const phaseNames = {
             [GAME_PHASES.FLOP]: 'Flop',
@@ -172,7 +446,7 @@ class PokerEngine {
             [GAME_PHASES.RIVER]: 'River'
         };
 
-        this.log(`${phaseNames[this.phase]}: ${result.dealt.map(c => window.Cards.cardToString(c)).join(' ')}`);
+        this.log(`${phaseNames[this.phase]}: ${result.dealt.map(c => Cards.cardToString(c)).join(' ')}`);
     }
 
     /**
@@ -189,6 +463,8 @@ class PokerEngine {
         }
 
         const callAmount = this.currentBet - player.totalBetThisRound;
+        const previousBet = this.currentBet;
+        const chipsBefore = player.chips;
 
         switch (action) {
             case ACTIONS.FOLD:
@@ -205,10 +481,9 @@ class PokerEngine {
 
             case ACTIONS.CALL:
                 const actualCall = Math.min(callAmount, player.chips);
-                player.chips -= actualCall;
+                this.commitChips(player, actualCall);
                 player.totalBetThisRound += actualCall;
                 player.currentBet = player.totalBetThisRound;
-                this.pot += actualCall;
 
                 if (player.chips === 0) {
                     player.isAllIn = true;
@@ -227,21 +502,25 @@ class PokerEngine {
                     return false; // Not enough chips
                 }
 
-                if (totalBet < this.currentBet + this.minRaise && additionalAmount < player.chips) {
+                const limits = this.getRaiseLimits(player);
+                if (!limits || totalBet > limits.max) {
+                    return false; // Raising not allowed, or above the structure's maximum
+                }
+
+                if (totalBet < limits.min && additionalAmount < player.chips) {
                     return false; // Raise too small (unless all-in)
                 }
 
                 const raiseBy = totalBet - this.currentBet;
-                if (raiseBy > this.minRaise) {
+                if (this.bettingStructure.isFullRaise(this, raiseBy)) {
                     this.minRaise = raiseBy;
+                    this.reopenBetting(player);
                 }
 
-                player.chips -= additionalAmount;
+                this.commitChips(player, additionalAmount);
                 player.totalBetThisRound = totalBet;
                 player.currentBet = totalBet;
-                this.pot += additionalAmount;
-                this.currentBet = totalBet;
-                this.lastRaiserIndex = this.currentPlayerIndex;
+                this.currentBet = Math.max(this.currentBet, totalBet);
 
                 if (player.chips === 0) {
                     player.isAllIn = true;
@@ -254,17 +533,24 @@ class PokerEngine {
             case ACTIONS.ALL_IN:
                 const allInAmount = player.chips;
                 const newTotal = player.totalBetThisRound + allInAmount;
-                player.chips = 0;
+
+                if (newTotal > this.currentBet) {
+                    const allInLimits = this.getRaiseLimits(player);
+                    if (!allInLimits || newTotal > allInLimits.max) {
+                        return false; // Stack is bigger than the structure allows
+                    }
+                }
+
+                this.commitChips(player, allInAmount);
                 player.totalBetThisRound = newTotal;
                 player.currentBet = newTotal;
                 player.isAllIn = true;
-                this.pot += allInAmount;
 
                 if (newTotal > this.currentBet) {
                     const raiseAmount = newTotal - this.currentBet;
-                    if (raiseAmount >= this.minRaise) {
-                        this.lastRaiserIndex = this.currentPlayerIndex;
+                    if (this.bettingStructure.isFullRaise(this, raiseAmount)) {
                         this.minRaise = raiseAmount;
+                        this.reopenBetting(player);
                     }
                     this.currentBet = newTotal;
                 }
@@ -276,9 +562,148 @@ class PokerEngine {
                 return false;
         }
 
+        this.actedThisRound.add(player);
+        this.recordAction(player, action, previousBet, chipsBefore - player.chips);
+
         return true;
     }
 
+    /**
+     * Marks a full raise: everyone else has to act on it again, and may re-raise.
+     * An all-in for less than a full raise does not reopen the betting.
+     * @param {Object} player - The raising player
+     */
+    reopenBetting(player) {
+        this.lastRaiserIndex = this.players.indexOf(player);
+        this.actedThisRound = new Set();
+        this.betsThisRound++;
+    }
+
+    /**
+     * Gets how far a player may raise under the betting structure
+     * @param {Object} player - The player (defaults to the current player)
+     * @returns {Object|null} { min, max } raise-to totals, or null if the player cannot raise
+     */
+    getRaiseLimits(player = this.getCurrentPlayer()) {
+        // Players who acted since the last full raise are only facing a short all-in
+        if (this.actedThisRound.has(player)) {
+            return null;
+        }
+        return this.bettingStructure.getRaiseLimits(this, player);
+    }
+
+    /**
+     * Gets the actions a player may take right now
+     * @param {Object} player - The player (defaults to the current player)
+     * @returns {Array} { action: 'fold'|'check' } | { action: 'call', amount } |
+     *                  { action: 'raise', min, max } | { action: 'all_in', amount }, where
+     *                  a call amount is the chips it costs and raise and all-in amounts are totals
+     */
+    getLegalActions(player = this.getCurrentPlayer()) {
+        const actions = [];
+        const callAmount = Math.min(this.currentBet - player.totalBetThisRound, player.chips);
+
+        if (callAmount > 0) {
+            actions.push({ action: ACTIONS.FOLD });
+            actions.push({ action: ACTIONS.CALL, amount: callAmount });
+        } else {
+            actions.push({ action: ACTIONS.CHECK });
+        }
+
+        const limits = this.getRaiseLimits(player);
+        if (limits) {
+            actions.push({ action: ACTIONS.RAISE, min: limits.min, max: limits.max });
+        }
+
+        // All-in, unless the structure caps the raise below the stack
+        const stackTotal = player.totalBetThisRound + player.chips;
+        if (player.chips > 0 && (stackTotal <= this.currentBet || (limits && stackTotal <= limits.max))) {
+            actions.push({ action: ACTIONS.ALL_IN, amount: stackTotal });
+        }
+
+        return actions;
+    }
+
+    /**
+     * Builds the read-only view of the hand a bot strategy decides from.
+     * Everything is copied and frozen, and other players' hole cards are left out.
+     * Each entry in players carries that player's session statistics from OpponentStats.
+     * @param {Object} player - The deciding player (defaults to the current player)
+     * @returns {Object} { name, seat, holeCards, stack, committed, toCall, legalActions,
+     *                   pot, currentBet, minRaise, smallBlind, bigBlind, ante, phase, variant,
+     *                   bettingStructure, communityCards, dealerIndex, position, players, history }
+     */
+    getDecisionContext(player = this.getCurrentPlayer()) {
+        const seat = this.players.indexOf(player);
+        const history = this.handHistory.currentHand ? this.handHistory.currentHand.actions : [];
+
+        return freezeDeep({
+            handNumber: this.handNumber,
+            name: player.name,
+            seat,
+            holeCards: player.holeCards.map(card => ({ ...card })),
+            stack: player.chips,
+            committed: player.totalBetThisRound,
+            toCall: Math.max(0, this.currentBet - player.totalBetThisRound),
+            legalActions: this.getLegalActions(player),
+            pot: this.pot,
+            currentBet: this.currentBet,
+            minRaise: this.minRaise,
+            smallBlind: this.smallBlind,
+            bigBlind: this.bigBlind,
+            ante: this.ante,
+            phase: this.phase,
+            variant: this.variant.type,
+            bettingStructure: this.bettingStructure.type,
+            communityCards: this.communityCards.map(card => ({ ...card })),
+            dealerIndex: this.dealerIndex,
+            // Seats after the button, so the button is 0 and the small blind 1
+            position: (seat - this.dealerIndex + this.players.length) % this.players.length,
+            players: this.players.map((p, index) => ({
+                name: p.name,
+                seat: index,
+                chips: p.chips,
+                committed: p.totalBetThisRound,
+                contributed: this.getContribution(p),
+                hasFolded: p.hasFolded,
+                isAllIn: p.isAllIn,
+                isBot: !!p.isBot,
+                stats: this.opponentStats.getStats(p.name)
+            })),
+            history: history.map(entry => ({ ...entry }))
+        });
+    }
+
+    /**
+     * Records a completed action in the hand history
+     * @param {Object} player - The acting player
+     * @param {string} action - The action type as submitted
+     * @param {number} previousBet - The bet to match before the action
+     * @param {number} amount - Chips the action put into the pot
+     */
+    recordAction(player, action, previousBet, amount) {
+        let type = action;
+
+        // Bets, raises and all-ins are recorded by what they did to the price
+        if (action === ACTIONS.BET || action === ACTIONS.RAISE || action === ACTIONS.ALL_IN) {
+            if (player.totalBetThisRound <= previousBet) {
+                type = ACTIONS.CALL;
+            } else {
+                type = previousBet === 0 ? ACTIONS.BET : ACTIONS.RAISE;
+            }
+        }
+
+        this.handHistory.recordAction({
+            street: this.phase,
+            player: player.name,
+            action: type,
+            amount,
+            total: player.totalBetThisRound,
+            previousBet,
+            allIn: player.isAllIn
+        });
+    }
+
     /**
      * Moves to the next player or phase
      * @returns {Object} State info { isHandComplete, phaseChanged, currentPlayer }
@@ -326,14 +751,13 @@ class PokerEngine {
     }
 
     /**
-     * Checks if the betting round is complete
+     * Checks if the betting round is complete: everyone who can still bet has
+     * acted since the last full raise and matched it. Posting a blind or a
+     * straddle is not acting, so when the pot is limped the last of them, the
+     * straddler if there is one and the big blind otherwise, keeps the option.
      */
     isBettingRoundComplete() {
         const activePlayers = this.players.filter(p => !p.hasFolded && !p.isAllIn);
-        
-        if (activePlayers.length === 0) {
-            return true;
-        }
 
         if (activePlayers.length === 1 && this.players.filter(p => !p.hasFolded).length > 1) {
             // Only one player can act but others are all-in
@@ -343,39 +767,8 @@ class PokerEngine {
             }
         }
 
-        // Check if everyone has acted and matched the bet
-        for (const player of activePlayers) {
-            if (player.totalBetThisRound < this.currentBet) {
-                return false;
-            }
-        }
-
-        // Check if we've gone around back to the last raiser
-        if (this.lastRaiserIndex >= 0 && this.currentPlayerIndex === this.lastRaiserIndex) {
-            return true;
-        }
-
-        // If no one has raised this round
-        if (this.lastRaiserIndex === -1 || this.phase === GAME_PHASES.PREFLOP) {
-            // Preflop: Big blind gets to act last (option to raise)
-            if (this.phase === GAME_PHASES.PREFLOP) {
-                const bbIndex = this.players.length === 2 ? 
-                    (this.dealerIndex + 1) % this.players.length : 
-                    (this.dealerIndex + 2) % this.players.length;
-                
-                const bb = this.players[bbIndex];
-                if (!bb.hasFolded && !bb.isAllIn && bb.totalBetThisRound === this.bigBlind && 
-                    this.currentBet === this.bigBlind && this.lastRaiserIndex === -1) {
-                    // No one has raised - BB still has option to raise
-                    // Round is complete only if we're back at BB AND someone has acted
-                    return false;
-                }
-            }
-            
-            return activePlayers.every(p => p.totalBetThisRound >= this.currentBet);
-        }
-
-        return true;
+        return activePlayers.every(p =>
+            this.actedThisRound.has(p) && p.totalBetThisRound >= this.currentBet);
     }
 
     /**
@@ -390,6 +783,8 @@ class PokerEngine {
         this.currentBet = 0;
         this.minRaise = this.bigBlind;
         this.lastRaiserIndex = -1;
+        this.betsThisRound = 0;
+        this.actedThisRound = new Set();
 
         const phases = [GAME_PHASES.PREFLOP, GAME_PHASES.FLOP, GAME_PHASES.TURN, GAME_PHASES.RIVER, GAME_PHASES.SHOWDOWN];
         const currentPhaseIndex = phases.indexOf(this.phase);
@@ -406,10 +801,17 @@ class PokerEngine {
         // Set first player after dealer
         this.currentPlayerIndex = (this.dealerIndex + 1) % this.players.length;
         
-        // Find first active player
-        while (this.players[this.currentPlayerIndex].hasFolded || 
-               this.players[this.currentPlayerIndex].isAllIn) {
+        // Find first active player (stays put when everyone left is all-in)
+        let count = 0;
+        while ((this.players[this.currentPlayerIndex].hasFolded || 
+                this.players[this.currentPlayerIndex].isAllIn) && count < this.players.length) {
             this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+            count++;
+        }
+
+        // Nobody is left to bet against: run out the board
+        if (this.players.filter(p => !p.hasFolded && !p.isAllIn).length < 2) {
+            return this.advancePhase();
         }
 
         return { 
@@ -426,26 +828,22 @@ class PokerEngine {
     handleShowdown() {
         const activePlayers = this.players.filter(p => !p.hasFolded);
         
-        // Evaluate all hands
+        // Evaluate all hands (low is null unless the variant splits hi-lo)
         const handResults = activePlayers.map(player => ({
             player,
-            hand: window.HandEvaluator.evaluateBestHand(player.holeCards, this.communityCards)
+            hand: this.variant.evaluateHigh(player.holeCards, this.communityCards),
+            low: this.variant.evaluateLow(player.holeCards, this.communityCards)
         }));
 
         // Sort by hand strength
-        handResults.sort((a, b) => window.HandEvaluator.compareHands(b.hand, a.hand));
+        handResults.sort((a, b) => HandEvaluator.compareHands(b.hand, a.hand));
 
-        // Find winner(s) - could be a tie
-        const winners = [handResults[0]];
-        for (let i = 1; i < handResults.length; i++) {
-            if (window.HandEvaluator.compareHands(handResults[i].hand, handResults[0].hand) === 0) {
-                winners.push(handResults[i]);
-            } else {
-                break;
-            }
-        }
+        // Best overall hand(s); each pot is resolved separately in handleWin
+        const winners = handResults
+            .filter(r => HandEvaluator.compareHands(r.hand, handResults[0].hand) === 0)
+            .map(r => r.player);
 
-        this.handleWin(winners.map(w => w.player), handResults);
+        this.handleWin(winners, handResults);
 
         return { 
             isHandComplete: true, 
@@ -455,6 +853,109 @@ class PokerEngine {
         };
     }
 
+    /**
+     * Builds the main pot and side pots from each player's contributions.
+     * A new pot starts at every distinct amount a remaining player has put in,
+     * so an all-in player can only win what they matched from each opponent.
+     * @returns {Array} Pots as { amount, eligible }, main pot first
+     */
+    calculatePots() {
+        const contenders = this.getPlayersFromButton().filter(p => !p.hasFolded);
+        const levels = [...new Set(contenders.map(p => this.getContribution(p)))]
+            .sort((a, b) => a - b);
+
+        const pots = [];
+        let previousLevel = 0;
+
+        for (const level of levels) {
+            let amount = 0;
+            for (const contributed of this.contributions.values()) {
+                amount += Math.min(contributed, level) - Math.min(contributed, previousLevel);
+            }
+
+            if (amount > 0) {
+                pots.push({
+                    amount,
+                    eligible: contenders.filter(p => this.getContribution(p) >= level)
+                });
+            }
+            previousLevel = level;
+        }
+
+        // Anything not covered by a contender's level (folded overbets) is dead money
+        const assigned = pots.reduce((sum, pot) => sum + pot.amount, 0);
+        if (assigned < this.pot) {
+            if (pots.length === 0) {
+                pots.push({ amount: 0, eligible: contenders });
+            }
+            pots[pots.length - 1].amount += this.pot - assigned;
+        }
+
+        return pots;
+    }
+
+    /**
+     * Gets players in seat order, starting left of the dealer
+     * @returns {Array} Players ordered for odd-chip distribution
+     */
+    getPlayersFromButton() {
+        const ordered = [];
+        for (let i = 1; i <= this.players.length; i++) {
+            ordered.push(this.players[(this.dealerIndex + i) % this.players.length]);
+        }
+        return ordered;
+    }
+
+    /**
+     * Finds the winners of a single pot
+     * @param {Object} pot - Pot from calculatePots
+     * @param {Array} winners - Winning players when there is no showdown
+     * @param {Array} handResults - Hand evaluation results (for showdown)
+     * @returns {Array} Winning players in seat order
+     */
+    getPotWinners(pot, winners, handResults) {
+        if (!handResults) {
+            const potWinners = pot.eligible.filter(p => winners.includes(p));
+            return potWinners.length > 0 ? potWinners : pot.eligible;
+        }
+
+        const contenders = handResults.filter(r => pot.eligible.includes(r.player));
+        const best = contenders.reduce((top, r) => 
+            HandEvaluator.compareHands(r.hand, top.hand) > 0 ? r : top
+        );
+
+        return pot.eligible.filter(player => {
+            const result = contenders.find(r => r.player === player);
+            return result && HandEvaluator.compareHands(result.hand, best.hand) === 0;
+        });
+    }
+
+    /**
+     * Finds the best qualifying low hands for a single pot
+     * @param {Object} pot - Pot from calculatePots
+     * @param {Array} handResults - Hand evaluation results (for showdown)
+     * @returns {Array} Winning players in seat order; empty if nobody has a low
+     */
+    getPotLowWinners(pot, handResults) {
+        if (!handResults) {
+            return [];
+        }
+
+        const lows = handResults.filter(r => r.low && pot.eligible.includes(r.player));
+        if (lows.length === 0) {
+            return [];
+        }
+
+        const best = lows.reduce((top, r) =>
+            HandEvaluator.compareLowHands(r.low, top.low) > 0 ? r : top
+        );
+
+        return pot.eligible.filter(player => {
+            const result = lows.find(r => r.player === player);
+            return result && HandEvaluator.compareLowHands(result.low, best.low) === 0;
+        });
+    }
+
     /**
      * Handles winning the pot
      * @param {Array} winners - Array of winning players
@@ -463,30 +964,85 @@ class PokerEngine {
     handleWin(winners, handResults = null) {
         this.isHandComplete = true;
 
-        // Split pot among winners
-        const winAmount = Math.floor(this.pot / winners.length);
-        const remainder = this.pot % winners.length;
+        const pots = this.calculatePots();
+        this.sidePots = pots.slice(1);
 
-        this.winners = winners.map((winner, index) => {
-            const amount = winAmount + (index === 0 ? remainder : 0);
-            winner.chips += amount;
+        const awards = new Map();
 
-            let handInfo = '';
-            if (handResults) {
-                const result = handResults.find(r => r.player === winner);
-                if (result) {
-                    handInfo = ` with ${result.hand.name}`;
-                }
-            }
+        pots.forEach((pot, potIndex) => {
+            const highWinners = this.getPotWinners(pot, winners, handResults);
+            // An uncalled bet is returned whole rather than split
+            const lowWinners = pot.eligible.length > 1 ? this.getPotLowWinners(pot, handResults) : [];
 
-            this.log(`${winner.name} wins $${amount}${handInfo}`);
+            if (lowWinners.length === 0) {
+                this.awardPotShare(awards, { winners: highWinners, amount: pot.amount, pot, potIndex, pots, handResults });
+                return;
+            }
 
-            return { player: winner, amount, handInfo };
+            // Hi-lo split: the odd chip goes to the high half
+            const lowAmount = Math.floor(pot.amount / 2);
+            this.awardPotShare(awards, { winners: highWinners, amount: pot.amount - lowAmount, pot, potIndex, pots, handResults });
+            this.awardPotShare(awards, { winners: lowWinners, amount: lowAmount, pot, potIndex, pots, handResults, isLow: true });
         });
 
+        this.winners = [...awards.values()];
+
+        // A player who auto-mucks throws away a hand that won nothing instead of showing it
+        for (const result of handResults || []) {
+            result.mucked = !!result.player.autoMuck && !awards.has(result.player);
+            if (result.mucked) {
+                this.log(`${result.player.name} mucks`);
+            }
+        }
+
+        this.opponentStats.recordHand(this.handHistory.finishHand(this, pots, handResults));
         this.pot = 0;
     }
 
+    /**
+     * Splits a pot, or the high or low half of one, among its winners
+     * @param {Map} awards - Awards so far, keyed by player
+     * @param {Object} share - { winners, amount, pot, potIndex, pots, handResults, isLow }
+     */
+    awardPotShare(awards, share) {
+        const { winners, amount, pot, potIndex, pots, handResults, isLow = false } = share;
+        const potName = potIndex === 0 ? 'main pot' : `side pot ${potIndex}`;
+
+        // Split among winners, odd chips go to the first seats left of the button
+        const each = Math.floor(amount / winners.length);
+        const remainder = amount % winners.length;
+
+        winners.forEach((winner, index) => {
+            const won = each + (index < remainder ? 1 : 0);
+            winner.chips += won;
+
+            if (!awards.has(winner)) {
+                awards.set(winner, { player: winner, amount: 0, handInfo: '', pots: [] });
+            }
+            const award = awards.get(winner);
+            award.amount += won;
+            award.pots.push({ pot: potIndex, name: potName, amount: won, low: isLow });
+
+            const result = handResults && handResults.find(r => r.player === winner);
+            let handInfo = '';
+            if (result) {
+                handInfo = isLow ? ` with ${result.low.name}` : ` with ${result.hand.name}`;
+                if (!isLow) {
+                    award.handInfo = handInfo;
+                }
+            }
+
+            const half = isLow ? ' (low)' : '';
+            if (pots.length === 1) {
+                this.log(`${winner.name} wins $${won}${half}${handInfo}`);
+            } else if (pot.eligible.length === 1) {
+                this.log(`${winner.name} takes back $${won} uncalled from ${potName}`);
+            } else {
+                this.log(`${winner.name} wins $${won}${half} from ${potName}${handInfo}`);
+            }
+        });
+    }
+
     /**
      * Gets the current player
      */
@@ -509,6 +1065,8 @@ class PokerEngine {
             pot: this.pot,
             currentBet: this.currentBet,
             minRaise: this.minRaise,
+            bettingStructure: this.bettingStructure.type,
+            variant: this.variant.type,
             phase: this.phase,
             communityCards: this.communityCards,
             players: this.players,
@@ -516,20 +1074,190 @@ class PokerEngine {
         };
     }
 
+    /**
+     * Captures the engine as a versioned JSON snapshot: stakes, seats, the deck
+     * in dealing order, the board, the betting round and the session's hand
+     * records. Players are saved by name and seat; their strategies are the caller's.
+     * @param {Object} options - { historyHands } keeps only that many of the latest
+     *                           finished hand records; statistics are saved whole either way
+     * @returns {Object} Plain data for restore
+     */
+    serialize(options = {}) {
+        const { historyHands = Infinity } = options;
+        const inProgress = this.handHistory.currentHand !== null;
+        const finished = inProgress ? this.handHistory.hands.slice(0, -1) : this.handHistory.hands;
+        const hands = finished.slice(Math.max(0, finished.length - historyHands))
+            .concat(inProgress ? [this.handHistory.currentHand] : []);
+
+        const seatOf = player => this.players.indexOf(player);
+        const codes = cards => cards.map(Cards.cardToCode);
+
+        return {
+            version: SNAPSHOT_VERSION,
+            seed: this.seed,
+            rngState: typeof this.rng.getState === 'function' ? this.rng.getState() : null,
+            variant: this.variant.type,
+            bettingStructure: {
+                type: this.bettingStructure.type,
+                smallBet: this.bettingStructure.smallBet,
+                bigBet: this.bettingStructure.bigBet,
+                cap: this.bettingStructure.cap
+            },
+            smallBlind: this.smallBlind,
+            bigBlind: this.bigBlind,
+            ante: this.ante,
+            bigBlindAnte: this.bigBlindAnte,
+            straddle: this.straddle,
+            handNumber: this.handNumber,
+            phase: this.phase,
+            isHandComplete: this.isHandComplete,
+            dealerIndex: this.dealerIndex,
+            currentPlayerIndex: this.currentPlayerIndex,
+            lastRaiserIndex: this.lastRaiserIndex,
+            betsThisRound: this.betsThisRound,
+            currentBet: this.currentBet,
+            minRaise: this.minRaise,
+            pot: this.pot,
+            deck: codes(this.deck),
+            communityCards: codes(this.communityCards),
+            players: this.players.map(player => ({
+                name: player.name,
+                chips: player.chips,
+                holeCards: codes(player.holeCards),
+                hasFolded: player.hasFolded,
+                isAllIn: player.isAllIn,
+                currentBet: player.currentBet,
+                totalBetThisRound: player.totalBetThisRound,
+                contributed: this.contributions.has(player) ? this.contributions.get(player) : null,
+                hasActed: this.actedThisRound.has(player)
+            })),
+            sidePots: this.sidePots.map(pot => ({ amount: pot.amount, eligible: pot.eligible.map(seatOf) })),
+            winners: this.winners.map(winner => ({
+                seat: seatOf(winner.player),
+                amount: winner.amount,
+                handInfo: winner.handInfo,
+                pots: winner.pots.map(pot => ({ ...pot }))
+            })),
+            gameLog: this.gameLog.slice(),
+            handHistory: {
+                hands: JSON.parse(JSON.stringify(hands)),
+                inProgress
+            },
+            opponentStats: this.opponentStats.serialize()
+        };
+    }
+
+    /**
+     * Restores a snapshot from serialize, mid-hand included, so play carries
+     * on exactly where it stopped. A seeded random source is wound to the
+     * saved position, and every other user of it (the bots) follows.
+     * @param {Object} snapshot - Snapshot from serialize, possibly through JSON
+     * @param {Array} players - Player objects to seat, found by name (defaults to the engine's)
+     */
+    restore(snapshot, players = this.players) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported engine snapshot version ${snapshot && snapshot.version}`);
+        }
+
+        const seated = snapshot.players.map(saved => {
+            const player = players.find(p => p.name === saved.name);
+            if (!player) {
+                throw new Error(`The snapshot seats "${saved.name}", who is not at this table`);
+            }
+            return player;
+        });
+        const cards = codes => codes.map(Cards.codeToCard);
+
+        this.seed = snapshot.seed;
+        if (snapshot.rngState !== null && typeof this.rng.setState === 'function') {
+            this.rng.setState(snapshot.rngState);
+        }
+        this.variant = GameVariants.getGameVariant(snapshot.variant);
+        const { type, ...structureOptions } = snapshot.bettingStructure;
+        this.bettingStructure = BettingStructures.createBettingStructure(type, structureOptions);
+
+        this.smallBlind = snapshot.smallBlind;
+        this.bigBlind = snapshot.bigBlind;
+        this.ante = snapshot.ante;
+        this.bigBlindAnte = snapshot.bigBlindAnte;
+        this.straddle = snapshot.straddle;
+        this.handNumber = snapshot.handNumber;
+        this.phase = snapshot.phase;
+        this.isHandComplete = snapshot.isHandComplete;
+        this.dealerIndex = snapshot.dealerIndex;
+        this.currentPlayerIndex = snapshot.currentPlayerIndex;
+        this.lastRaiserIndex = snapshot.lastRaiserIndex;
+        this.betsThisRound = snapshot.betsThisRound;
+        this.currentBet = snapshot.currentBet;
+        this.minRaise = snapshot.minRaise;
+        this.pot = snapshot.pot;
+        this.deck = cards(snapshot.deck);
+        this.communityCards = cards(snapshot.communityCards);
+
+        this.players = seated;
+        this.contributions = new Map();
+        this.actedThisRound = new Set();
+        snapshot.players.forEach((saved, seat) => {
+            const player = seated[seat];
+            player.chips = saved.chips;
+            player.holeCards = cards(saved.holeCards);
+            player.hasFolded = saved.hasFolded;
+            player.isAllIn = saved.isAllIn;
+            player.currentBet = saved.currentBet;
+            player.totalBetThisRound = saved.totalBetThisRound;
+            if (saved.contributed !== null) {
+                this.contributions.set(player, saved.contributed);
+            }
+            if (saved.hasActed) {
+                this.actedThisRound.add(player);
+            }
+        });
+
+        this.sidePots = snapshot.sidePots.map(pot => ({ amount: pot.amount, eligible: pot.eligible.map(seat => seated[seat]) }));
+        this.winners = snapshot.winners.map(winner => ({
+            player: seated[winner.seat],
+            amount: winner.amount,
+            handInfo: winner.handInfo,
+            pots: winner.pots.map(pot => ({ ...pot }))
+        }));
+        this.gameLog = snapshot.gameLog.slice();
+
+        const { hands, inProgress } = JSON.parse(JSON.stringify(snapshot.handHistory));
+        this.handHistory.hands = hands;
+        this.handHistory.currentHand = inProgress ? hands[hands.length - 1] : null;
+
+        // The hand records may be only the latest ones, so the statistics come saved
+        this.opponentStats.restore(snapshot.opponentStats);
+    }
+
     /**
      * Logs a message
      */
     log(message) {
         this.gameLog.push(message);
-        console.log(`[Poker] ${message}`);
+        if (!this.silent) {
+            console.log(`[Poker] ${message}`);
+        }
     }
 }
 
 // Export for use in other modules
-if (typeof window !== 'undefined') {
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        GAME_PHASES,
+        ACTIONS,
+        STRADDLES,
+        SNAPSHOT_VERSION,
+        PokerEngine
+    };
+} else {
     window.PokerEngine = {
         GAME_PHASES,
         ACTIONS,
+        STRADDLES,
+        SNAPSHOT_VERSION,
         PokerEngine
     };
 }
+
+})();
@@ -0,0 +1,79 @@
+/**
+ * Pre-Actions
+ * Actions a player queues while others act, played the moment their turn
+ * comes if they still fit: Check/Fold, Check, Call Any, or Call a set
+ * amount that is dropped if someone raises first.
+ */
+
+(function () {
+
+const PokerEngine = typeof module === 'object' ? require('./poker-engine.js') : window.PokerEngine;
+
+const PRE_ACTIONS = {
+    CHECK_FOLD: 'check_fold',
+    CHECK: 'check',
+    CALL_ANY: 'call_any',
+    CALL: 'call'
+};
+
+/**
+ * Lists the pre-actions to offer a player waiting for their turn
+ * @param {number} toCall - Chips the player would need to call right now
+ * @returns {Array} { type, label, amount } for each choice, amount only for calls of a set size
+ */
+function getPreActionOptions(toCall) {
+    const options = [{ type: PRE_ACTIONS.CHECK_FOLD, label: 'Check/Fold' }];
+
+    if (toCall > 0) {
+        options.push({ type: PRE_ACTIONS.CALL, label: `Call $${toCall}`, amount: toCall });
+    } else {
+        options.push({ type: PRE_ACTIONS.CHECK, label: 'Check' });
+    }
+    options.push({ type: PRE_ACTIONS.CALL_ANY, label: 'Call Any' });
+
+    return options;
+}
+
+/**
+ * Picks what a queued pre-action plays now that the player's turn has come
+ * @param {Object} preAction - { type, amount } as queued
+ * @param {Array} legalActions - Legal actions from PokerEngine.getLegalActions
+ * @returns {string|null} The action to play, or null when the pre-action no longer
+ *                        fits and the player should decide for themselves
+ */
+function resolvePreAction(preAction, legalActions) {
+    const { ACTIONS } = PokerEngine;
+    const check = legalActions.find(legal => legal.action === ACTIONS.CHECK);
+    const call = legalActions.find(legal => legal.action === ACTIONS.CALL);
+
+    switch (preAction.type) {
+        case PRE_ACTIONS.CHECK_FOLD:
+            return check ? ACTIONS.CHECK : ACTIONS.FOLD;
+        case PRE_ACTIONS.CHECK:
+            return check ? ACTIONS.CHECK : null;
+        case PRE_ACTIONS.CALL_ANY:
+            return check ? ACTIONS.CHECK : ACTIONS.CALL;
+        case PRE_ACTIONS.CALL:
+            // A raise since it was queued changes the price, so the player decides again
+            return call && call.amount === preAction.amount ? ACTIONS.CALL : null;
+        default:
+            return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        PRE_ACTIONS,
+        getPreActionOptions,
+        resolvePreAction
+    };
+} else {
+    window.PreActions = {
+        PRE_ACTIONS,
+        getPreActionOptions,
+        resolvePreAction
+    };
+}
+
+})();
@@ -0,0 +1,366 @@
+/**
+ * Preflop Chart Trainer
+ * Deals preflop spots (a position, a stack depth and the action so far),
+ * grades fold, call or raise answers against a range chart, and keeps the
+ * results per hand class for the heat-map grid
+ */
+
+(function () {
+
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+const Ranges = typeof module === 'object' ? require('./ranges.js') : window.Ranges;
+const BotAI = typeof module === 'object' ? require('./bot-ai.js') : window.BotAI;
+
+// Six-handed seats in the order they act before the flop
+const TRAINER_POSITIONS = ['UTG', 'HJ', 'CO', 'BTN', 'SB', 'BB'];
+
+// The action in front of the player
+const PRIOR_ACTIONS = {
+    UNOPENED: 'unopened',
+    VS_OPEN: 'vs-open',
+    VS_3BET: 'vs-3bet'
+};
+
+const TRAINER_ANSWERS = ['fold', 'call', 'raise'];
+
+// Share of deals picked from hands on the edge of the chart's range, where mistakes happen
+const BORDERLINE_SHARE = 0.5;
+
+/**
+ * Standard six-handed cash game charts. Each spot lists the hands that raise
+ * (open, 3-bet or 4-bet) and the hands that call; everything else folds.
+ * Weights below 1, like "A5s:0.5", mix the action with folding.
+ */
+const DEFAULT_CHART = {
+    name: '6-max cash',
+    spots: [
+        { position: 'UTG', prior: 'unopened', depth: 100,
+            raise: '77+, ATs+, A5s, KTs+, QTs+, JTs, T9s, 98s, AJo+, KQo' },
+        { position: 'HJ', prior: 'unopened', depth: 100,
+            raise: '55+, A8s+, A5s-A4s, K9s+, Q9s+, J9s+, T9s, 98s, 87s, ATo+, KJo+' },
+        { position: 'CO', prior: 'unopened', depth: 100,
+            raise: '33+, A2s+, K7s+, Q8s+, J8s+, T8s+, 97s+, 87s, 76s, 65s, A9o+, KTo+, QTo+, JTo' },
+        { position: 'BTN', prior: 'unopened', depth: 100,
+            raise: '22+, A2s+, K2s+, Q5s+, J7s+, T7s+, 96s+, 85s+, 75s+, 64s+, 54s, A2o+, K8o+, Q9o+, J9o+, T9o, 98o' },
+        { position: 'SB', prior: 'unopened', depth: 100,
+            raise: '22+, A2s+, K5s+, Q7s+, J8s+, T8s+, 97s+, 86s+, 76s, 65s, 54s, A5o+, K9o+, QTo+, JTo' },
+
+        { position: 'CO', prior: 'vs-open', versus: 'UTG', depth: 100,
+            raise: 'QQ+, AKs, AKo, A5s:0.5',
+            call: 'JJ-77, AQs-ATs, KQs, KJs, QJs, JTs, T9s, AQo' },
+        { position: 'BTN', prior: 'vs-open', versus: 'CO', depth: 100,
+            raise: 'TT+, AJs+, A5s-A4s, KQs, AQo+',
+            call: '99-22, ATs-A6s, KJs-K9s, QTs+, J9s+, T9s, 98s, 87s, 76s, AJo, KQo' },
+        { position: 'SB', prior: 'vs-open', versus: 'BTN', depth: 100,
+            raise: '88+, ATs+, A5s-A2s, KTs+, QTs+, JTs, T9s, AJo+, KQo' },
+        { position: 'BB', prior: 'vs-open', versus: 'BTN', depth: 100,
+            raise: 'TT+, AJs+, A5s-A3s, KQs, 76s, 65s, AQo+',
+            call: '99-22, ATs-A6s, A2s, KJs-K2s, Q4s+, J6s+, T7s+, 96s+, 85s+, 75s, 64s, 54s, ' +
+                'AJo-A2o, K8o+, Q9o+, J9o+, T9o, 98o, 87o' },
+
+        { position: 'CO', prior: 'vs-3bet', versus: 'BTN', depth: 100,
+            raise: 'QQ+, AKs, A5s, AKo',
+            call: 'JJ-88, AQs-ATs, KQs, KJs, QJs, JTs, T9s, AQo' },
+        { position: 'BTN', prior: 'vs-3bet', versus: 'SB', depth: 100,
+            raise: 'JJ+, AQs+, A5s-A4s, AKo',
+            call: 'TT-66, AJs-A8s, KTs+, QTs+, J9s+, T9s, 98s, 87s, AQo-AJo, KQo' },
+
+        { position: 'UTG', prior: 'unopened', depth: 25,
+            raise: '66+, A9s+, KTs+, QJs, ATo+, KQo' },
+        { position: 'CO', prior: 'unopened', depth: 25,
+            raise: '44+, A2s+, K9s+, Q9s+, J9s+, T9s, A8o+, KJo+' },
+        { position: 'BTN', prior: 'unopened', depth: 25,
+            raise: '22+, A2s+, K5s+, Q8s+, J8s+, T8s+, 98s, 87s, A2o+, K9o+, QTo+, JTo' },
+        { position: 'SB', prior: 'unopened', depth: 25,
+            raise: '22+, A2s+, K2s+, Q5s+, J7s+, T7s+, 97s+, 86s+, 76s, A2o+, K7o+, Q9o+, J9o+' },
+        { position: 'BB', prior: 'vs-open', versus: 'BTN', depth: 25,
+            raise: '77+, A9s+, A5s-A4s, KQs, ATo+',
+            call: '66-22, A8s-A6s, A3s-A2s, KJs-K9s, Q9s+, J9s+, T8s+, 97s+, 87s, 76s, A9o-A7o, KTo+, QJo' }
+    ]
+};
+
+/**
+ * Checks a chart and parses its ranges
+ * @param {Object} config - { name, spots: [{ position, prior, versus, depth, raise, call }] }
+ * @returns {Object} { name, spots } with each spot's raise and call as HandRanges and an id
+ */
+function parseChart(config) {
+    if (!config || !Array.isArray(config.spots) || config.spots.length === 0) {
+        throw new Error('A preflop chart needs a list of spots');
+    }
+
+    const spots = config.spots.map(spot => {
+        const id = `${spot.prior}:${spot.position}${spot.versus ? `-v-${spot.versus}` : ''}:${spot.depth}bb`;
+
+        if (!TRAINER_POSITIONS.includes(spot.position)) {
+            throw new Error(`Spot "${id}" has an unknown position`);
+        }
+        if (!Object.values(PRIOR_ACTIONS).includes(spot.prior)) {
+            throw new Error(`Spot "${id}" has an unknown prior action`);
+        }
+        if (spot.prior !== PRIOR_ACTIONS.UNOPENED && !TRAINER_POSITIONS.includes(spot.versus)) {
+            throw new Error(`Spot "${id}" needs the position it plays against`);
+        }
+        if (!Number.isFinite(spot.depth) || spot.depth <= 0) {
+            throw new Error(`Spot "${id}" needs a stack depth in big blinds`);
+        }
+
+        const parsed = {
+            id,
+            position: spot.position,
+            prior: spot.prior,
+            versus: spot.versus || null,
+            depth: spot.depth,
+            raise: Ranges.parseRange(spot.raise || ''),
+            call: Ranges.parseRange(spot.call || '')
+        };
+
+        for (const hand of Ranges.allHandClasses()) {
+            const { raise, call } = getFrequencies(parsed, hand);
+            if (raise + call > 1) {
+                throw new Error(`Spot "${id}" plays ${hand} more than all of the time`);
+            }
+        }
+
+        return parsed;
+    });
+
+    return { name: config.name || 'Custom chart', spots };
+}
+
+/**
+ * Gets how often a chart spot raises, calls and folds a hand class
+ * @param {Object} spot - Parsed chart spot
+ * @param {string} hand - Hand class like "AJo"
+ * @returns {Object} { fold, call, raise } frequencies adding up to 1
+ */
+function getFrequencies(spot, hand) {
+    const combo = Ranges.handClassCombos(hand)[0];
+    const raise = spot.raise.weightOf(combo);
+    const call = spot.call.weightOf(combo);
+    return { fold: Math.max(0, 1 - raise - call), call, raise };
+}
+
+/**
+ * Gets the bots' preflop strength of a hand class
+ * @param {string} hand - Hand class like "AJo"
+ * @returns {number} Strength from 0 to 1, from BotPlayer.calculatePreflopStrength
+ */
+function getHandClassStrength(hand) {
+    const combo = Ranges.handClassCombos(hand)[0];
+    return BotAI.BotPlayer.prototype.calculatePreflopStrength(
+        Cards.codeToCard(combo.slice(0, 2)), Cards.codeToCard(combo.slice(2)));
+}
+
+/**
+ * Lists the hand classes on the edge of a spot's range: mixed hands, and
+ * hands next to one played differently on the 13x13 chart
+ * @param {Object} spot - Parsed chart spot
+ * @returns {Array} Hand classes
+ */
+function getBorderlineHands(spot) {
+    const grid = Ranges.handClassGrid();
+    const plays = grid.map(row => row.map(hand => {
+        const frequencies = getFrequencies(spot, hand);
+        return TRAINER_ANSWERS.filter(action => frequencies[action] > 0).join();
+    }));
+
+    const borderline = [];
+    grid.forEach((row, i) => row.forEach((hand, j) => {
+        const neighbours = [[i - 1, j], [i + 1, j], [i, j - 1], [i, j + 1]]
+            .filter(([r, c]) => plays[r] && plays[r][c] !== undefined);
+        if (plays[i][j].includes(',') || neighbours.some(([r, c]) => plays[r][c] !== plays[i][j])) {
+            borderline.push(hand);
+        }
+    }));
+    return borderline;
+}
+
+/**
+ * Describes a spot's situation
+ * @param {Object} spot - Parsed chart spot
+ * @returns {string} Like "BTN opens; you are in the BB, 100bb deep"
+ */
+function describeSpot(spot) {
+    const depth = `${spot.depth}bb deep`;
+    switch (spot.prior) {
+        case PRIOR_ACTIONS.VS_OPEN:
+            return `${spot.versus} opens; you are in the ${spot.position}, ${depth}`;
+        case PRIOR_ACTIONS.VS_3BET:
+            return `You open from the ${spot.position} and the ${spot.versus} 3-bets, ${depth}`;
+        default:
+            return `Folded to you in the ${spot.position}, ${depth}`;
+    }
+}
+
+/**
+ * Describes how a chart plays a hand, most frequent action first
+ * @param {Object} frequencies - { fold, call, raise } from getFrequencies
+ * @returns {string} Like "raise" or "raise 50% · fold 50%"
+ */
+function describePlay(frequencies) {
+    const actions = ['raise', 'call', 'fold'].filter(action => frequencies[action] > 0)
+        .sort((a, b) => frequencies[b] - frequencies[a]);
+    if (actions.length === 1) {
+        return actions[0];
+    }
+    return actions.map(action => `${action} ${Math.round(frequencies[action] * 100)}%`).join(' · ');
+}
+
+/**
+ * Correct answers per hand class over a training session
+ */
+class TrainerStats {
+    constructor() {
+        this.hands = new Map();
+    }
+
+    /**
+     * Records one graded answer
+     * @param {string} hand - Hand class
+     * @param {boolean} correct - Whether the answer was right
+     */
+    record(hand, correct) {
+        const entry = this.hands.get(hand) || { attempts: 0, correct: 0 };
+        entry.attempts++;
+        if (correct) entry.correct++;
+        this.hands.set(hand, entry);
+    }
+
+    /**
+     * Gets the results for one hand class
+     * @param {string} hand - Hand class
+     * @returns {Object} { attempts, correct, accuracy }, accuracy null before any attempt
+     */
+    getHandStats(hand) {
+        const entry = this.hands.get(hand) || { attempts: 0, correct: 0 };
+        return { ...entry, accuracy: entry.attempts > 0 ? entry.correct / entry.attempts : null };
+    }
+
+    /**
+     * Gets the results over every hand class
+     * @returns {Object} { attempts, correct, accuracy }
+     */
+    getTotals() {
+        let attempts = 0;
+        let correct = 0;
+        for (const entry of this.hands.values()) {
+            attempts += entry.attempts;
+            correct += entry.correct;
+        }
+        return { attempts, correct, accuracy: attempts > 0 ? correct / attempts : null };
+    }
+
+    reset() {
+        this.hands.clear();
+    }
+}
+
+/**
+ * Deals preflop spots from a chart and grades the answers
+ */
+class PreflopTrainer {
+    /**
+     * @param {Object} options - { chart: chart config (DEFAULT_CHART by default), rng }
+     */
+    constructor(options = {}) {
+        this.chart = parseChart(options.chart || DEFAULT_CHART);
+        this.rng = options.rng || Math.random;
+        this.stats = new TrainerStats();
+        this.drill = null;
+    }
+
+    /**
+     * Lists the chart's spots that match a filter
+     * @param {Object} filter - Optional position, prior and depth
+     * @returns {Array} Parsed chart spots
+     */
+    getSpots(filter = {}) {
+        return this.chart.spots.filter(spot =>
+            (!filter.position || spot.position === filter.position) &&
+            (!filter.prior || spot.prior === filter.prior) &&
+            (!filter.depth || spot.depth === filter.depth));
+    }
+
+    /**
+     * Deals a new hand in a random spot matching the filter. Half the deals
+     * come from hands on the edge of the spot's range.
+     * @param {Object} filter - Optional position, prior and depth
+     * @returns {Object} The drill: { spot, holeCards, hand, strength }
+     */
+    deal(filter = {}) {
+        const spots = this.getSpots(filter);
+        if (spots.length === 0) {
+            throw new Error('No spot in the chart matches that position, action and stack depth');
+        }
+
+        const spot = spots[Math.floor(this.rng() * spots.length)];
+        const borderline = getBorderlineHands(spot);
+        let holeCards;
+
+        if (borderline.length > 0 && this.rng() < BORDERLINE_SHARE) {
+            const hand = borderline[Math.floor(this.rng() * borderline.length)];
+            const combos = Ranges.handClassCombos(hand);
+            const combo = combos[Math.floor(this.rng() * combos.length)];
+            holeCards = [Cards.codeToCard(combo.slice(0, 2)), Cards.codeToCard(combo.slice(2))];
+        } else {
+            holeCards = Cards.shuffleDeck(Cards.createDeck(), this.rng).slice(0, 2);
+        }
+
+        const hand = Ranges.handClass(holeCards[0], holeCards[1]);
+        this.drill = { spot, holeCards, hand, strength: getHandClassStrength(hand), result: null };
+        return this.drill;
+    }
+
+    /**
+     * Grades an answer to the current drill and records it. Any action the
+     * chart takes some of the time is correct.
+     * @param {string} answer - 'fold', 'call' or 'raise'
+     * @returns {Object} { correct, answer, best, frequencies, hand }
+     */
+    answer(answer) {
+        if (!TRAINER_ANSWERS.includes(answer)) {
+            throw new Error(`Unknown answer "${answer}"`);
+        }
+        if (!this.drill || this.drill.result) {
+            throw new Error('Deal a new hand before answering');
+        }
+
+        const frequencies = getFrequencies(this.drill.spot, this.drill.hand);
+        const best = TRAINER_ANSWERS.reduce((a, b) => (frequencies[b] > frequencies[a] ? b : a));
+        const correct = frequencies[answer] > 0;
+
+        this.stats.record(this.drill.hand, correct);
+        this.drill.result = { correct, answer, best, frequencies, hand: this.drill.hand };
+        return this.drill.result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        TRAINER_POSITIONS,
+        PRIOR_ACTIONS,
+        DEFAULT_CHART,
+        parseChart,
+        getFrequencies,
+        describeSpot,
+        describePlay,
+        TrainerStats,
+        PreflopTrainer
+    };
+} else {
+    window.PreflopTrainer = {
+        TRAINER_POSITIONS,
+        PRIOR_ACTIONS,
+        DEFAULT_CHART,
+        parseChart,
+        getFrequencies,
+        describeSpot,
+        describePlay,
+        TrainerStats,
+        PreflopTrainer
+    };
+}
+
+})();
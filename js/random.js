@@ -0,0 +1,114 @@
+/**
+ * Seedable Random Number Generation
+ * Lets a seed fully determine shuffles and bot decisions so any run can be replayed
+ */
+
+(function () {
+
+/**
+ * Hashes a seed (number or string) into a 32-bit unsigned integer
+ * @param {number|string} seed - The seed to hash
+ * @returns {number} 32-bit unsigned integer
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Mulberry32 PRNG
+ * @param {number} state - 32-bit integer state
+ * @returns {Function} Generator returning floats in [0, 1), like Math.random.
+ *                     getState() and setState(state) save and restore its position.
+ */
+function mulberry32(state) {
+    let a = state >>> 0;
+    const next = function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.getState = () => a;
+    next.setState = value => {
+        a = value >>> 0;
+    };
+    return next;
+}
+
+/**
+ * Creates a random number generator
+ * @param {number|string} seed - Seed for a reproducible sequence; omit for Math.random
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRng(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+        return Math.random;
+    }
+    return mulberry32(hashSeed(seed));
+}
+
+/**
+ * Picks a fresh seed, so an unseeded run can still be replayed later
+ * @returns {number} Random 32-bit unsigned integer
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Resolves the random source for a game engine from its options.
+ * An explicit rng wins; otherwise a seed is used (or picked) and kept for replay.
+ * @param {Object} options - { seed?, rng? }
+ * @returns {Object} { seed, rng }
+ */
+function resolveRandomSource(options = {}) {
+    if (typeof options.rng === 'function') {
+        return { seed: options.seed !== undefined ? options.seed : null, rng: options.rng };
+    }
+    const hasSeed = options.seed !== undefined && options.seed !== null && options.seed !== '';
+    const seed = hasSeed ? options.seed : randomSeed();
+    return { seed, rng: createRng(seed) };
+}
+
+/**
+ * Reads the ?seed= query parameter of the current page
+ * @returns {string|null} Seed, or null if none was given
+ */
+function getSeedFromUrl() {
+    if (typeof window === 'undefined' || !window.location) {
+        return null;
+    }
+    return new URLSearchParams(window.location.search).get('seed');
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        hashSeed,
+        mulberry32,
+        createRng,
+        randomSeed,
+        resolveRandomSource,
+        getSeedFromUrl
+    };
+} else {
+    window.Random = {
+        hashSeed,
+        mulberry32,
+        createRng,
+        randomSeed,
+        resolveRandomSource,
+        getSeedFromUrl
+    };
+}
+
+})();
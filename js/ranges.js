@@ -0,0 +1,508 @@
+/**
+ * Hand Ranges for Texas Hold'em
+ * Parses range notation like "22+, A2s+, KTo+, 76s" into weighted combos,
+ * serializes it back, and supports set operations on ranges
+ */
+
+(function () {
+
+const Cards = typeof module === 'object' ? require('./cards.js') : window.Cards;
+
+// Rank characters from deuce to ace, as used in range notation
+const RANGE_RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', 'T', 'J', 'Q', 'K', 'A'];
+const RANGE_SUITS = ['s', 'h', 'd', 'c'];
+
+/**
+ * Gets a rank's value (2-14) from its notation character
+ */
+function rankCharValue(char) {
+    const index = RANGE_RANKS.indexOf(char);
+    return index === -1 ? 0 : index + 2;
+}
+
+/**
+ * Gets the notation character for a rank value (2-14)
+ */
+function rankValueChar(value) {
+    return RANGE_RANKS[value - 2];
+}
+
+/**
+ * Builds the canonical key for a two-card combo, higher card first
+ * @param {string} code1 - Card code like "Ah"
+ * @param {string} code2 - Card code like "Kd"
+ * @returns {string} Combo key like "AhKd"
+ */
+function comboKey(code1, code2) {
+    const order = code => rankCharValue(code[0]) * 4 + (3 - RANGE_SUITS.indexOf(code[1]));
+    return order(code1) >= order(code2) ? code1 + code2 : code2 + code1;
+}
+
+/**
+ * Gets the hand class of a two-card combo
+ * @param {string} key - Combo key like "AhKd"
+ * @returns {string} Hand class like "AKo", "AKs" or "AA"
+ */
+function comboHandClass(key) {
+    if (key[0] === key[2]) {
+        return key[0] + key[2];
+    }
+    return key[0] + key[2] + (key[1] === key[3] ? 's' : 'o');
+}
+
+/**
+ * Gets the hand class of two cards
+ * @param {Object} card1 - First card
+ * @param {Object} card2 - Second card
+ * @returns {string} Hand class like "AKo", "AKs" or "AA"
+ */
+function handClass(card1, card2) {
+    return comboHandClass(comboKey(Cards.cardToCode(card1), Cards.cardToCode(card2)));
+}
+
+/**
+ * Lists every combo key of a hand class
+ * @param {string} hand - Hand class like "AKs", "AKo", "AK" or "QQ"
+ * @returns {Array} Combo keys (6 for pairs, 4 suited, 12 offsuit)
+ */
+function handClassCombos(hand) {
+    const [high, low, suitedness] = hand;
+    const keys = [];
+
+    for (let i = 0; i < RANGE_SUITS.length; i++) {
+        for (let j = 0; j < RANGE_SUITS.length; j++) {
+            if (high === low) {
+                if (j > i) keys.push(comboKey(high + RANGE_SUITS[i], low + RANGE_SUITS[j]));
+                continue;
+            }
+            const suited = i === j;
+            if ((suitedness === 's' && !suited) || (suitedness === 'o' && suited)) continue;
+            keys.push(comboKey(high + RANGE_SUITS[i], low + RANGE_SUITS[j]));
+        }
+    }
+
+    return keys;
+}
+
+/**
+ * Lists all 169 hand classes
+ * @returns {Array} Hand classes, pairs first, then suited, then offsuit
+ */
+function allHandClasses() {
+    const classes = [];
+    for (let high = 14; high >= 2; high--) {
+        classes.push(rankValueChar(high) + rankValueChar(high));
+    }
+    for (const suffix of ['s', 'o']) {
+        for (let high = 14; high >= 3; high--) {
+            for (let low = high - 1; low >= 2; low--) {
+                classes.push(rankValueChar(high) + rankValueChar(low) + suffix);
+            }
+        }
+    }
+    return classes;
+}
+
+/**
+ * Lays the 169 hand classes out as the usual 13x13 chart: aces first, pairs
+ * on the diagonal, suited hands above it and offsuit hands below
+ * @returns {Array} Thirteen rows of thirteen hand classes
+ */
+function handClassGrid() {
+    const ranks = [...RANGE_RANKS].reverse();
+    return ranks.map((rowRank, row) => ranks.map((colRank, col) => {
+        if (row === col) return rowRank + colRank;
+        return row < col ? rowRank + colRank + 's' : colRank + rowRank + 'o';
+    }));
+}
+
+/**
+ * Expands one notation token (without its weight) into hand classes or combo keys
+ * @param {string} token - Token like "22+", "A2s+", "KTo-K7o", "AK", "76s" or "AhKh"
+ * @returns {Array} Combo keys
+ */
+function expandRangeToken(token) {
+    // A specific combo like "AhKh"
+    if (/^([2-9TJQKA][shdc]){2}$/.test(token)) {
+        if (token.slice(0, 2) === token.slice(2)) {
+            throw new Error(`Invalid range token "${token}"`);
+        }
+        return [comboKey(token.slice(0, 2), token.slice(2))];
+    }
+
+    const match = /^([2-9TJQKA])([2-9TJQKA])([so]?)(\+|-([2-9TJQKA])([2-9TJQKA])([so]?))?$/.exec(token);
+    if (!match) {
+        throw new Error(`Invalid range token "${token}"`);
+    }
+
+    const [, c1, c2, suitedness, modifier, e1, e2, endSuitedness] = match;
+    let high = rankCharValue(c1);
+    let low = rankCharValue(c2);
+    if (low > high) {
+        [high, low] = [low, high];
+    }
+    const isPair = high === low;
+    if (isPair && suitedness) {
+        throw new Error(`Invalid range token "${token}"`);
+    }
+
+    const classes = [];
+    const classFor = (h, l) => rankValueChar(h) + rankValueChar(l) + (h === l ? '' : suitedness);
+
+    if (!modifier) {
+        classes.push(classFor(high, low));
+    } else if (modifier === '+') {
+        // Pairs climb to aces; other hands climb the kicker up to one below the high card
+        if (isPair) {
+            for (let v = high; v <= 14; v++) classes.push(classFor(v, v));
+        } else {
+            for (let v = low; v < high; v++) classes.push(classFor(high, v));
+        }
+    } else {
+        let endHigh = rankCharValue(e1);
+        let endLow = rankCharValue(e2);
+        if (endLow > endHigh) {
+            [endHigh, endLow] = [endLow, endHigh];
+        }
+        if (endSuitedness !== suitedness || (endHigh === endLow) !== isPair) {
+            throw new Error(`Invalid range token "${token}"`);
+        }
+
+        if (isPair) {
+            for (let v = Math.min(high, endHigh); v <= Math.max(high, endHigh); v++) {
+                classes.push(classFor(v, v));
+            }
+        } else {
+            if (endHigh !== high) {
+                throw new Error(`Range "${token}" must keep the same high card`);
+            }
+            for (let v = Math.min(low, endLow); v <= Math.max(low, endLow); v++) {
+                classes.push(classFor(high, v));
+            }
+        }
+    }
+
+    return classes.flatMap(handClassCombos);
+}
+
+/**
+ * A set of two-card combos, each with a weight between 0 and 1
+ */
+class HandRange {
+    constructor() {
+        this.weights = new Map();
+    }
+
+    /**
+     * Parses range notation
+     * @param {string} text - Comma-separated tokens, each optionally weighted like "AKs:0.5"
+     * @returns {HandRange} The parsed range
+     */
+    static parse(text) {
+        const range = new HandRange();
+
+        for (const part of text.split(',')) {
+            const token = part.trim();
+            if (!token) continue;
+
+            const [notation, weightText] = token.split(':');
+            const weight = weightText === undefined ? 1 : parseFloat(weightText);
+            if (isNaN(weight) || weight < 0 || weight > 1) {
+                throw new Error(`Invalid weight in range token "${token}"`);
+            }
+
+            for (const key of expandRangeToken(notation.trim())) {
+                range.set(key, weight);
+            }
+        }
+
+        return range;
+    }
+
+    /**
+     * Builds a range holding every combo of the given hand classes
+     * @param {Array} classes - Hand classes like ["AA", "AKs"]
+     * @param {number} weight - Weight for every combo
+     * @returns {HandRange} The range
+     */
+    static fromHandClasses(classes, weight = 1) {
+        const range = new HandRange();
+        for (const hand of classes) {
+            handClassCombos(hand).forEach(key => range.set(key, weight));
+        }
+        return range;
+    }
+
+    /**
+     * Sets a combo's weight; a weight of 0 removes it
+     * @param {string} key - Combo key like "AhKd"
+     * @param {number} weight - Weight between 0 and 1
+     */
+    set(key, weight = 1) {
+        const canonical = comboKey(key.slice(0, 2), key.slice(2));
+        if (weight > 0) {
+            this.weights.set(canonical, weight);
+        } else {
+            this.weights.delete(canonical);
+        }
+    }
+
+    /**
+     * Gets a combo's weight
+     * @param {string} key - Combo key like "AhKd"
+     * @returns {number} Weight, 0 if the combo is not in the range
+     */
+    weightOf(key) {
+        return this.weights.get(comboKey(key.slice(0, 2), key.slice(2))) || 0;
+    }
+
+    /**
+     * Whether the range holds a combo
+     */
+    has(key) {
+        return this.weightOf(key) > 0;
+    }
+
+    /**
+     * Gets the weight of two specific cards
+     * @param {Object} card1 - First card
+     * @param {Object} card2 - Second card
+     * @returns {number} Weight, 0 if the hand is not in the range
+     */
+    weightOfCards(card1, card2) {
+        return this.weightOf(Cards.cardToCode(card1) + Cards.cardToCode(card2));
+    }
+
+    /**
+     * Number of combos in the range, ignoring weights
+     */
+    get size() {
+        return this.weights.size;
+    }
+
+    /**
+     * Sum of combo weights
+     */
+    get weightedSize() {
+        let total = 0;
+        for (const weight of this.weights.values()) total += weight;
+        return total;
+    }
+
+    /**
+     * Fraction of all 1326 starting hands the range covers, by weight
+     */
+    get coverage() {
+        return this.weightedSize / 1326;
+    }
+
+    /**
+     * Lists the combos with card objects, as accepted by the equity calculator
+     * @returns {Array} Combos as { cards, weight }
+     */
+    combos() {
+        return [...this.weights].map(([key, weight]) => ({
+            cards: [Cards.codeToCard(key.slice(0, 2)), Cards.codeToCard(key.slice(2))],
+            weight
+        }));
+    }
+
+    /**
+     * Copies the range
+     */
+    clone() {
+        const copy = new HandRange();
+        copy.weights = new Map(this.weights);
+        return copy;
+    }
+
+    /**
+     * Combines two ranges, keeping the higher weight of shared combos
+     * @param {HandRange} other - Range to add
+     * @returns {HandRange} New range
+     */
+    union(other) {
+        const result = this.clone();
+        for (const [key, weight] of other.weights) {
+            result.weights.set(key, Math.max(weight, result.weights.get(key) || 0));
+        }
+        return result;
+    }
+
+    /**
+     * Keeps combos present in both ranges, at the lower weight
+     * @param {HandRange} other - Range to intersect with
+     * @returns {HandRange} New range
+     */
+    intersect(other) {
+        const result = new HandRange();
+        for (const [key, weight] of this.weights) {
+            if (other.weights.has(key)) {
+                result.weights.set(key, Math.min(weight, other.weights.get(key)));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Removes every combo of another range
+     * @param {HandRange} other - Range to remove
+     * @returns {HandRange} New range
+     */
+    subtract(other) {
+        const result = this.clone();
+        for (const key of other.weights.keys()) {
+            result.weights.delete(key);
+        }
+        return result;
+    }
+
+    /**
+     * Removes combos that use any of the given cards
+     * @param {Array} deadCards - Cards known to be out of play (board, own hand)
+     * @returns {HandRange} New range
+     */
+    removeBlocked(deadCards) {
+        const dead = new Set(deadCards.map(Cards.cardToCode));
+        const result = new HandRange();
+        for (const [key, weight] of this.weights) {
+            if (!dead.has(key.slice(0, 2)) && !dead.has(key.slice(2))) {
+                result.weights.set(key, weight);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Serializes the range back to compact notation
+     * @returns {string} Notation like "QQ+, AKs, AhKd:0.5"
+     */
+    toString() {
+        const tokens = [];
+        const specific = [];
+
+        // Hand classes whose combos are all present at one weight, grouped by that weight
+        const byWeight = new Map();
+        const covered = new Set();
+        for (const hand of allHandClasses()) {
+            const keys = handClassCombos(hand);
+            const weights = keys.map(key => this.weights.get(key));
+            if (weights.every(w => w !== undefined && w === weights[0])) {
+                if (!byWeight.has(weights[0])) byWeight.set(weights[0], new Set());
+                byWeight.get(weights[0]).add(hand);
+                keys.forEach(key => covered.add(key));
+            }
+        }
+
+        const weightsDescending = [...byWeight.keys()].sort((a, b) => b - a);
+        for (const weight of weightsDescending) {
+            const suffix = weight === 1 ? '' : `:${weight}`;
+            compressHandClasses(byWeight.get(weight)).forEach(token => tokens.push(token + suffix));
+        }
+
+        for (const [key, weight] of this.weights) {
+            if (!covered.has(key)) {
+                specific.push(key + (weight === 1 ? '' : `:${weight}`));
+            }
+        }
+
+        return [...tokens, ...specific].join(', ');
+    }
+}
+
+/**
+ * Compresses a set of hand classes into "+" and dash notation
+ * @param {Set} classes - Hand classes like "QQ", "AKs"
+ * @returns {Array} Notation tokens
+ */
+function compressHandClasses(classes) {
+    const tokens = [];
+
+    // Runs of consecutive values, highest first
+    const runs = values => {
+        const result = [];
+        for (const value of values) {
+            const last = result[result.length - 1];
+            if (last && last[last.length - 1] === value + 1) {
+                last.push(value);
+            } else {
+                result.push([value]);
+            }
+        }
+        return result;
+    };
+
+    const pairValues = [];
+    for (let v = 14; v >= 2; v--) {
+        if (classes.has(rankValueChar(v) + rankValueChar(v))) pairValues.push(v);
+    }
+    for (const run of runs(pairValues)) {
+        const top = rankValueChar(run[0]);
+        const bottom = rankValueChar(run[run.length - 1]);
+        if (run[0] === 14 && run.length > 1) {
+            tokens.push(`${bottom}${bottom}+`);
+        } else if (run.length > 1) {
+            tokens.push(`${top}${top}-${bottom}${bottom}`);
+        } else {
+            tokens.push(`${top}${top}`);
+        }
+    }
+
+    for (let high = 14; high >= 3; high--) {
+        for (const suffix of ['s', 'o']) {
+            const h = rankValueChar(high);
+            const kickers = [];
+            for (let low = high - 1; low >= 2; low--) {
+                if (classes.has(h + rankValueChar(low) + suffix)) kickers.push(low);
+            }
+
+            for (const run of runs(kickers)) {
+                const top = rankValueChar(run[0]);
+                const bottom = rankValueChar(run[run.length - 1]);
+                if (run[0] === high - 1 && run.length > 1) {
+                    tokens.push(`${h}${bottom}${suffix}+`);
+                } else if (run.length > 1) {
+                    tokens.push(`${h}${top}${suffix}-${h}${bottom}${suffix}`);
+                } else {
+                    tokens.push(`${h}${top}${suffix}`);
+                }
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses range notation into a HandRange
+ * @param {string} text - Range notation
+ * @returns {HandRange} The parsed range
+ */
+function parseRange(text) {
+    return HandRange.parse(text);
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        HandRange,
+        parseRange,
+        handClass,
+        handClassCombos,
+        allHandClasses,
+        handClassGrid,
+        comboKey
+    };
+} else {
+    window.Ranges = {
+        HandRange,
+        parseRange,
+        handClass,
+        handClassCombos,
+        allHandClasses,
+        handClassGrid,
+        comboKey
+    };
+}
+
+})();
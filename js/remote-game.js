@@ -0,0 +1,264 @@
+/**
+ * Remote Game Controller
+ * Plays at a table server instead of a local engine. The server deals and
+ * runs the hand; this keeps an engine-shaped view of each state it sends,
+ * so PokerUI renders a remote table the same way as a local one.
+ */
+
+class RemoteGame {
+    constructor() {
+        this.socket = null;
+        this.engine = null;
+        this.humanPlayer = null;
+        this.bots = [];
+        this.table = null;
+        this.seat = null;
+        this.holeCards = { handNumber: null, cards: [] };
+        this.lastError = null;
+        this.clock = null;
+        this.preAction = null;
+        this.isRemote = true;
+        this.isGameRunning = false;
+        this.isWaitingForHuman = false;
+        this.ui = null;
+        this.tournament = null;
+    }
+
+    /**
+     * Connects to a table server, joins and asks for a seat
+     * @param {Object} settings - { url, playerName, autoMuck, ui }
+     */
+    connect(settings) {
+        const { CLIENT_MESSAGES, encodeMessage } = window.TableProtocol;
+        this.ui = settings.ui;
+        this.humanPlayer = {
+            name: settings.playerName || 'You',
+            autoMuck: !!settings.autoMuck,
+            chips: 0,
+            holeCards: [],
+            isBot: false,
+            hasFolded: false,
+            isAllIn: false,
+            totalBetThisRound: 0
+        };
+        this.isGameRunning = true;
+
+        this.socket = new WebSocket(settings.url);
+        this.socket.addEventListener('open', () => {
+            this.socket.send(encodeMessage(CLIENT_MESSAGES.JOIN, { name: this.humanPlayer.name }));
+            this.socket.send(encodeMessage(CLIENT_MESSAGES.SIT, { autoMuck: this.humanPlayer.autoMuck }));
+        });
+        this.socket.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.socket.addEventListener('close', () => this.endGame('disconnected'));
+
+        return this;
+    }
+
+    /**
+     * Handles a message from the server
+     * @param {string} text - Message text
+     */
+    handleMessage(text) {
+        const { SERVER_MESSAGES, parseMessage } = window.TableProtocol;
+        const message = parseMessage(text, SERVER_MESSAGES);
+
+        switch (message.type) {
+            case SERVER_MESSAGES.WELCOME:
+                // The server may have changed the name to keep it unique
+                this.humanPlayer.name = message.name;
+                this.humanPlayer.chips = message.table.startingChips;
+                this.table = message.table;
+                break;
+            case SERVER_MESSAGES.SEATED:
+                // Seat null after sitting means the server stood a busted player up
+                if (message.seat === null && this.seat !== null) {
+                    this.seat = null;
+                    this.endGame('lose');
+                    return;
+                }
+                this.seat = message.seat;
+                break;
+            case SERVER_MESSAGES.HOLE_CARDS:
+                this.holeCards = {
+                    handNumber: message.handNumber,
+                    cards: message.cards.map(window.Cards.codeToCard)
+                };
+                break;
+            case SERVER_MESSAGES.STATE:
+                this.applyState(message);
+                break;
+            case SERVER_MESSAGES.ERROR:
+                this.lastError = message.message;
+                this.updateUI();
+                break;
+        }
+    }
+
+    /**
+     * Builds the engine view from a state message and shows it
+     * @param {Object} state - State message
+     */
+    applyState(state) {
+        this.lastError = null;
+
+        const players = state.seats.map(seat => {
+            if (seat.seat === this.seat && seat.name === this.humanPlayer.name) {
+                return Object.assign(this.humanPlayer, {
+                    chips: seat.chips,
+                    holeCards: this.holeCards.handNumber === state.handNumber ? this.holeCards.cards : [],
+                    hasFolded: seat.hasFolded,
+                    isAllIn: seat.isAllIn,
+                    totalBetThisRound: seat.bet
+                });
+            }
+
+            // Everyone else sits in the opponents' row, people as well as bots
+            const hidden = seat.hasCards && !seat.hasFolded ? [null, null] : [];
+            return {
+                name: seat.name,
+                chips: seat.chips,
+                holeCards: seat.cards ? seat.cards.map(window.Cards.codeToCard) : hidden,
+                isBot: true,
+                strategy: seat.strategy || { label: 'Player', description: 'Playing from another browser' },
+                hasFolded: seat.hasFolded,
+                isAllIn: seat.isAllIn,
+                totalBetThisRound: seat.bet
+            };
+        });
+
+        const legalActions = state.you ? state.you.legalActions : [];
+        const current = state.actingSeat === null ? null : players[state.actingSeat];
+        this.bots = players.filter(player => player !== this.humanPlayer);
+        this.engine = {
+            players,
+            handNumber: state.handNumber,
+            pot: state.pot,
+            currentBet: state.currentBet,
+            communityCards: state.communityCards.map(window.Cards.codeToCard),
+            dealerIndex: state.dealerSeat === null ? -1 : state.dealerSeat,
+            phase: state.phase,
+            isHandComplete: state.handComplete,
+            gameLog: state.log,
+            // Opponents' cards only arrive once they are shown down
+            showdown: this.bots.some(player => player.holeCards[0]),
+            getCurrentPlayer: () => current,
+            getLegalActions: player => (player === this.humanPlayer ? legalActions : [])
+        };
+
+        this.isWaitingForHuman = legalActions.length > 0;
+        if (this.isWaitingForHuman && this.playPreAction()) {
+            this.updateUI();
+            return;
+        }
+
+        // The server keeps time; this copy only shows the player their countdown
+        this.clock = null;
+        if (this.isWaitingForHuman && state.clock) {
+            this.clock = new window.ActionClock.ActionClock(state.clock);
+            this.clock.start(state.clock.elapsed);
+        }
+
+        this.updateUI();
+        if (this.ui && this.ui.enableControls) {
+            this.ui.enableControls(this.isWaitingForHuman);
+        }
+    }
+
+    /**
+     * Sends the player's action to the server
+     * @param {string} action - The action type
+     * @param {number} amount - The raise-to total for raises
+     */
+    handleHumanAction(action, amount = 0) {
+        if (!this.isWaitingForHuman) return;
+
+        this.isWaitingForHuman = false;
+        this.clock = null;
+        if (this.ui && this.ui.enableControls) {
+            this.ui.enableControls(false);
+        }
+
+        const { CLIENT_MESSAGES, encodeMessage } = window.TableProtocol;
+        const fields = action === window.PokerEngine.ACTIONS.RAISE ? { action, amount } : { action };
+        this.socket.send(encodeMessage(CLIENT_MESSAGES.ACT, fields));
+    }
+
+    /**
+     * Gets valid actions for the player, labelled the same way as a local game
+     */
+    getValidActions() {
+        return window.PokerGame.prototype.getValidActions.call(this);
+    }
+
+    /**
+     * Queues an action to send as soon as the player's turn comes, as in a local game
+     * @param {string|null} type - One of PreActions.PRE_ACTIONS, or null to clear it
+     */
+    setPreAction(type) {
+        window.PokerGame.prototype.setPreAction.call(this, type);
+    }
+
+    getPreAction() {
+        return window.PokerGame.prototype.getPreAction.call(this);
+    }
+
+    getAmountToCall() {
+        return window.PokerGame.prototype.getAmountToCall.call(this);
+    }
+
+    playPreAction() {
+        return window.PokerGame.prototype.playPreAction.call(this);
+    }
+
+    /**
+     * Leaves the table
+     */
+    disconnect() {
+        this.isGameRunning = false;
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    /**
+     * Ends the game
+     * @param {string} result - 'lose' when busted, 'disconnected' when the connection closed
+     */
+    endGame(result) {
+        if (!this.isGameRunning) return;
+        this.disconnect();
+
+        if (this.ui && this.ui.showGameEnd) {
+            this.ui.showGameEnd(result, this.humanPlayer.chips);
+        }
+    }
+
+    /**
+     * Updates the UI
+     */
+    updateUI() {
+        if (!this.engine || !this.ui || !this.ui.update) return;
+
+        const gameLog = this.lastError ? [...this.engine.gameLog, this.lastError] : this.engine.gameLog;
+        this.ui.update({
+            engine: { ...this.engine, gameLog },
+            humanPlayer: this.humanPlayer,
+            bots: this.bots,
+            isWaitingForHuman: this.isWaitingForHuman,
+            showAllCards: this.engine.showdown,
+            tournament: null,
+            clock: this.clock,
+            pendingBlind: null,
+            preAction: this.getPreAction(),
+            // The server seats players with sit and stand, and runs no straddle
+            canSitOut: false,
+            sittingOut: false,
+            straddle: null
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RemoteGame = RemoteGame;
+}
@@ -0,0 +1,293 @@
+/**
+ * Bot-vs-Bot Simulation
+ * Plays bots against each other with no delays and reports win rates and
+ * playing statistics for every seat and every kind of bot
+ */
+
+(function () {
+
+const Random = typeof module === 'object' ? require('./random.js') : window.Random;
+const BotAI = typeof module === 'object' ? require('./bot-ai.js') : window.BotAI;
+// Registers the personality strategies, so seats can be given them by id
+if (typeof module === 'object') {
+    require('./bot-personalities.js');
+}
+const BettingStructures = typeof module === 'object' ? require('./betting-structures.js') : window.BettingStructures;
+const PokerEngine = typeof module === 'object' ? require('./poker-engine.js') : window.PokerEngine;
+const OpponentStats = typeof module === 'object' ? require('./opponent-stats.js') : window.OpponentStats;
+
+// z-score for 95% confidence intervals
+const CONFIDENCE_Z = 1.96;
+
+// A hand still running after this many actions is a bug, not a long hand
+const MAX_ACTIONS_PER_HAND = 1000;
+
+/**
+ * Reads one player's statistics from a recorded hand
+ * @param {Object} hand - Hand record from HandHistory
+ * @param {string} name - Player name
+ * @returns {Object} { vpip, pfr, sawShowdown, wonAtShowdown }
+ */
+function getHandStats(hand, name) {
+    const { vpip, pfr, sawShowdown, wonAtShowdown } = OpponentStats.getHandStats(hand, name);
+    return { vpip, pfr, sawShowdown, wonAtShowdown };
+}
+
+/**
+ * Gets the mean of a sample and its 95% confidence interval from running sums
+ * @param {number} count - Number of values
+ * @param {number} sum - Sum of the values
+ * @param {number} sumOfSquares - Sum of the squared values
+ * @returns {Object} { mean, low, high }
+ */
+function meanInterval(count, sum, sumOfSquares) {
+    if (count === 0) {
+        return { mean: 0, low: 0, high: 0 };
+    }
+    const mean = sum / count;
+    const variance = count > 1 ? Math.max(0, (sumOfSquares - count * mean * mean) / (count - 1)) : 0;
+    const margin = CONFIDENCE_Z * Math.sqrt(variance / count);
+    return { mean, low: mean - margin, high: mean + margin };
+}
+
+/**
+ * Gets a proportion and its 95% Wilson score interval, which stays inside
+ * [0, 1] and behaves for rare events and small samples
+ * @param {number} successes - Times the event happened
+ * @param {number} trials - Times it could have happened
+ * @returns {Object} { rate, low, high }
+ */
+function proportionInterval(successes, trials) {
+    if (trials === 0) {
+        return { rate: 0, low: 0, high: 0 };
+    }
+    const rate = successes / trials;
+    const z2 = CONFIDENCE_Z * CONFIDENCE_Z;
+    const denominator = 1 + z2 / trials;
+    const centre = (rate + z2 / (2 * trials)) / denominator;
+    const margin = CONFIDENCE_Z * Math.sqrt(rate * (1 - rate) / trials + z2 / (4 * trials * trials)) / denominator;
+    return { rate, low: Math.max(0, centre - margin), high: Math.min(1, centre + margin) };
+}
+
+function createTally() {
+    return { hands: 0, won: 0, wonSquares: 0, vpip: 0, pfr: 0, showdowns: 0, showdownWins: 0 };
+}
+
+/**
+ * Adds one hand to a tally
+ * @param {Object} tally - Tally from createTally
+ * @param {number} bigBlindsWon - Net result of the hand in big blinds
+ * @param {Object} stats - Statistics from getHandStats
+ */
+function addToTally(tally, bigBlindsWon, stats) {
+    tally.hands++;
+    tally.won += bigBlindsWon;
+    tally.wonSquares += bigBlindsWon * bigBlindsWon;
+    tally.vpip += stats.vpip ? 1 : 0;
+    tally.pfr += stats.pfr ? 1 : 0;
+    tally.showdowns += stats.sawShowdown ? 1 : 0;
+    tally.showdownWins += stats.wonAtShowdown ? 1 : 0;
+}
+
+/**
+ * Turns a tally into rates with confidence intervals
+ * @param {string} label - Seat or bot name
+ * @param {Object} tally - Tally from createTally
+ * @returns {Object} { label, hands, bbPer100, vpip, pfr, showdownWinRate }
+ */
+function summarizeTally(label, tally) {
+    const perHand = meanInterval(tally.hands, tally.won, tally.wonSquares);
+    return {
+        label,
+        hands: tally.hands,
+        bbPer100: { mean: perHand.mean * 100, low: perHand.low * 100, high: perHand.high * 100 },
+        vpip: proportionInterval(tally.vpip, tally.hands),
+        pfr: proportionInterval(tally.pfr, tally.hands),
+        showdownWinRate: proportionInterval(tally.showdownWins, tally.showdowns)
+    };
+}
+
+/**
+ * Seats bots at one table and plays hands between them as fast as possible.
+ * Stacks are topped back up before every hand, like a cash game with
+ * automatic rebuys, so each hand is an independent sample.
+ */
+class BotSimulation {
+    /**
+     * @param {Object} options - Simulation settings
+     * @param {Array} options.seats - Per seat, a registered strategy id or a player with decide(context)
+     * @param {number} options.hands - Hands to play
+     * @param {number} options.bigBlind - Big blind; the small blind is half
+     * @param {number} options.startingChips - Stack every seat starts each hand with (100 big blinds by default)
+     * @param {number|string} options.seed - Seed for the deck and the bots
+     * @param {string} options.bettingStructure - One of BettingStructures.BETTING_STRUCTURES
+     * @param {string} options.variant - One of GameVariants.GAME_VARIANTS
+     */
+    constructor(options = {}) {
+        const seats = options.seats || [];
+        if (seats.length < 2) {
+            throw new Error('A simulation needs at least two seats');
+        }
+
+        const random = Random.resolveRandomSource(options);
+        this.seed = random.seed;
+        this.rng = random.rng;
+        this.handCount = options.hands || 1000;
+        this.bigBlind = options.bigBlind || 20;
+        this.startingChips = options.startingChips || this.bigBlind * 100;
+
+        this.players = seats.map((seat, index) => typeof seat === 'string' ?
+            new BotAI.BotPlayer(`${BotAI.getStrategy(seat).label} ${index + 1}`, seat, this.startingChips, this.rng) :
+            seat);
+        if (new Set(this.players.map(p => p.name)).size !== this.players.length) {
+            throw new Error('Every seat needs a different name');
+        }
+
+        this.engine = new PokerEngine.PokerEngine(this.players, this.bigBlind, {
+            seed: this.seed,
+            rng: this.rng,
+            silent: true,
+            bettingStructure: BettingStructures.createBettingStructure(
+                options.bettingStructure || BettingStructures.BETTING_STRUCTURES.NO_LIMIT),
+            variant: options.variant
+        });
+
+        this.handsPlayed = 0;
+        this.seatTallies = new Map(this.players.map(p => [p, createTally()]));
+        this.groupTallies = new Map();
+    }
+
+    /**
+     * Gets the group a player's results are pooled under: the bot's strategy, or its name
+     * @param {Object} player - A seated player
+     * @returns {string} Group label
+     */
+    getGroup(player) {
+        return player.strategy ? player.strategy.label : player.name;
+    }
+
+    /**
+     * Plays every remaining hand
+     * @param {Function} onProgress - Called with (handsPlayed, handCount) after each hand
+     * @returns {Object} Report from getReport
+     */
+    run(onProgress = null) {
+        while (this.handsPlayed < this.handCount) {
+            this.playHand();
+            if (onProgress) {
+                onProgress(this.handsPlayed, this.handCount);
+            }
+        }
+        return this.getReport();
+    }
+
+    /**
+     * Plays one hand to the end and adds it to the statistics
+     */
+    playHand() {
+        const engine = this.engine;
+        for (const player of this.players) {
+            player.chips = this.startingChips;
+        }
+        engine.startNewHand();
+
+        let actions = 0;
+        while (!engine.isHandComplete) {
+            if (++actions > MAX_ACTIONS_PER_HAND) {
+                throw new Error(`Hand #${engine.handNumber} did not finish after ${MAX_ACTIONS_PER_HAND} actions`);
+            }
+
+            const player = engine.getCurrentPlayer();
+            if (player && !player.hasFolded && !player.isAllIn) {
+                const { action, amount } = player.decide(engine.getDecisionContext(player));
+                if (!engine.processAction(action, amount)) {
+                    // A decision the engine will not take forfeits the hand rather than stalling it
+                    engine.processAction(PokerEngine.ACTIONS.FOLD);
+                }
+            }
+            engine.advance();
+        }
+
+        // Only the running statistics are kept, so long runs use flat memory
+        const hand = engine.handHistory.hands.pop();
+        engine.handHistory.hands.length = 0;
+
+        for (const player of this.players) {
+            const bigBlindsWon = (player.chips - this.startingChips) / this.bigBlind;
+            const stats = getHandStats(hand, player.name);
+            const group = this.getGroup(player);
+
+            if (!this.groupTallies.has(group)) {
+                this.groupTallies.set(group, createTally());
+            }
+            addToTally(this.seatTallies.get(player), bigBlindsWon, stats);
+            addToTally(this.groupTallies.get(group), bigBlindsWon, stats);
+        }
+
+        this.handsPlayed++;
+    }
+
+    /**
+     * Gets the results so far
+     * @returns {Object} { seed, hands, bigBlind, seats, groups }, where seats and groups
+     *                   hold { label, hands, bbPer100, vpip, pfr, showdownWinRate }
+     */
+    getReport() {
+        return {
+            seed: this.seed,
+            hands: this.handsPlayed,
+            bigBlind: this.bigBlind,
+            seats: this.players.map(p => summarizeTally(p.name, this.seatTallies.get(p))),
+            groups: [...this.groupTallies].map(([label, tally]) => summarizeTally(label, tally))
+        };
+    }
+}
+
+/**
+ * Formats a report as a plain-text table
+ * @param {Object} report - Report from BotSimulation.getReport
+ * @returns {string} Table with one row per seat, then one per kind of bot
+ */
+function formatSimulationReport(report) {
+    const signed = n => `${n >= 0 ? '+' : ''}${n.toFixed(1)}`;
+    const percent = n => `${(n * 100).toFixed(1)}%`;
+    const row = summary => [
+        summary.label.padEnd(18),
+        `${signed(summary.bbPer100.mean)} (${signed(summary.bbPer100.low)} to ${signed(summary.bbPer100.high)})`.padEnd(28),
+        percent(summary.vpip.rate).padStart(6),
+        percent(summary.pfr.rate).padStart(7),
+        `${percent(summary.showdownWinRate.rate)} ±${((summary.showdownWinRate.high - summary.showdownWinRate.low) * 50).toFixed(1)}`.padStart(13)
+    ].join('  ');
+    const header = `${'Seat'.padEnd(18)}  ${'bb/100 (95% CI)'.padEnd(28)}  ${'VPIP'.padStart(6)}  ${'PFR'.padStart(7)}  ${'W$SD'.padStart(13)}`;
+
+    return [
+        `${report.hands} hands, $${report.bigBlind / 2}/$${report.bigBlind} blinds, seed ${report.seed}`,
+        '',
+        header,
+        ...report.seats.map(row),
+        '',
+        header.replace('Seat', 'Bot '),
+        ...report.groups.map(row)
+    ].join('\n');
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        BotSimulation,
+        getHandStats,
+        meanInterval,
+        proportionInterval,
+        formatSimulationReport
+    };
+} else {
+    window.Simulation = {
+        BotSimulation,
+        getHandStats,
+        meanInterval,
+        proportionInterval,
+        formatSimulationReport
+    };
+}
+
+})();
@@ -0,0 +1,101 @@
+/**
+ * Multiplayer Table Protocol
+ * Message types shared by the table server and the browser client. Every
+ * message is one JSON object with a type, sent as a WebSocket text frame.
+ *
+ * Client to server:
+ * - join { name }: introduce yourself; answered with welcome. Names with
+ *   markup characters (< > & " ') are refused
+ * - sit { seat?, autoMuck? }: take a seat (the first one a bot holds if none is
+ *   given) from the next hand; answered with seated. With autoMuck your hands
+ *   that win nothing at showdown are mucked instead of shown to the table
+ * - stand {}: give the seat back to a bot after this hand, folding any turn left in it.
+ *   Your stack waits for you to sit again while you stay connected
+ * - act { action, amount? }: play 'fold', 'check', 'call', 'raise' (amount is
+ *   the total to raise to) or 'all_in' when it is your turn
+ *
+ * Server to client:
+ * - welcome { version, playerId, name, table: { seats, bigBlind, startingChips } }
+ * - seated { seat }: the seat you will play from, or null after standing up
+ * - hole_cards { handNumber, cards }: your own hole cards, sent only to you
+ * - state { handNumber, phase, pot, currentBet, communityCards, dealerSeat,
+ *   actingSeat, clock, handComplete, seats, winners, log, you }: the table after
+ *   every change. Seats show other players' cards only once they are shown down,
+ *   and never for a hand its player mucked;
+ *   you.legalActions lists what you may do when it is your turn. clock is
+ *   { decisionTime, timeBank, elapsed } while a player is on the clock: seconds
+ *   for the decision and left in their bank, and milliseconds already used.
+ * - error { message }: a message was refused; nothing changed
+ *
+ * Cards travel as two-character codes like "Ah" or "Td".
+ */
+
+(function () {
+
+const PROTOCOL_VERSION = 1;
+
+const CLIENT_MESSAGES = {
+    JOIN: 'join',
+    SIT: 'sit',
+    STAND: 'stand',
+    ACT: 'act'
+};
+
+const SERVER_MESSAGES = {
+    WELCOME: 'welcome',
+    SEATED: 'seated',
+    HOLE_CARDS: 'hole_cards',
+    STATE: 'state',
+    ERROR: 'error'
+};
+
+/**
+ * Encodes a message for sending
+ * @param {string} type - One of CLIENT_MESSAGES or SERVER_MESSAGES
+ * @param {Object} fields - The message's other fields
+ * @returns {string} JSON text
+ */
+function encodeMessage(type, fields = {}) {
+    return JSON.stringify({ type, ...fields });
+}
+
+/**
+ * Parses a received message and checks its type
+ * @param {string} text - JSON text
+ * @param {Object} types - CLIENT_MESSAGES or SERVER_MESSAGES, whichever the receiver accepts
+ * @returns {Object} The message
+ */
+function parseMessage(text, types) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Messages must be JSON');
+    }
+
+    if (!message || !Object.values(types).includes(message.type)) {
+        throw new Error(`Unknown message type "${message && message.type}"`);
+    }
+    return message;
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        PROTOCOL_VERSION,
+        CLIENT_MESSAGES,
+        SERVER_MESSAGES,
+        encodeMessage,
+        parseMessage
+    };
+} else {
+    window.TableProtocol = {
+        PROTOCOL_VERSION,
+        CLIENT_MESSAGES,
+        SERVER_MESSAGES,
+        encodeMessage,
+        parseMessage
+    };
+}
+
+})();
@@ -0,0 +1,314 @@
+/**
+ * Sit & Go Tournament
+ * Blind and ante schedule, elimination order and payouts
+ */
+
+(function () {
+
+const BLIND_SCHEDULE_MODES = {
+    HANDS: 'hands',
+    TIME: 'time'
+};
+
+// Big blind per level as a multiple of the first level's big blind
+const BLIND_LEVEL_MULTIPLIERS = [1, 1.5, 2.5, 5, 7.5, 10, 15, 20, 30, 40, 60, 80, 100];
+
+// Antes start at this level (1-based) and are a tenth of the big blind
+const ANTE_START_LEVEL = 4;
+
+/**
+ * Builds the standard Sit & Go blind schedule
+ * @param {number} baseBigBlind - Big blind of the first level
+ * @returns {Array} Levels as { level, smallBlind, bigBlind, ante }
+ */
+function createBlindSchedule(baseBigBlind) {
+    return BLIND_LEVEL_MULTIPLIERS.map((multiplier, index) => {
+        const bigBlind = Math.round(baseBigBlind * multiplier);
+        return {
+            level: index + 1,
+            smallBlind: Math.floor(bigBlind / 2),
+            bigBlind,
+            ante: index + 1 >= ANTE_START_LEVEL ? Math.round(bigBlind / 10) : 0
+        };
+    });
+}
+
+/**
+ * Gets the share of the prize pool paid to each place
+ * @param {number} entrants - Number of players who started
+ * @returns {Array} Percentages, first place first
+ */
+function getPayoutStructure(entrants) {
+    if (entrants <= 3) return [100];
+    if (entrants <= 5) return [65, 35];
+    return [50, 30, 20];
+}
+
+/**
+ * Formats a finishing place, e.g. 1 -> "1st", 12 -> "12th"
+ * @param {number} place - 1-based place
+ * @returns {string} Ordinal place
+ */
+function formatPlace(place) {
+    const teens = place % 100 >= 11 && place % 100 <= 13;
+    const suffix = teens ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[place % 10] || 'th');
+    return `${place}${suffix}`;
+}
+
+/**
+ * Describes a blind level, e.g. "Level 4 - $50/$100, ante $10"
+ * @param {Object} level - Level from the blind schedule
+ * @returns {string} Level description
+ */
+function describeLevel(level) {
+    const ante = level.ante > 0 ? `, ante $${level.ante}` : '';
+    return `Level ${level.level} - $${level.smallBlind}/$${level.bigBlind}${ante}`;
+}
+
+/**
+ * Tracks one Sit & Go from the first hand to the last player standing
+ */
+class Tournament {
+    /**
+     * @param {Object} options - Tournament settings
+     * @param {Array} options.levels - Blind schedule (defaults to createBlindSchedule)
+     * @param {number} options.baseBigBlind - First big blind for the default schedule
+     * @param {string} options.mode - Levels advance by 'hands' or by 'time'
+     * @param {number} options.levelLength - Hands per level, or minutes per level in time mode
+     * @param {number} options.buyIn - Buy-in per player; the prize pool is the sum
+     * @param {Array} options.payouts - Percentages per place (defaults by field size)
+     * @param {Function} options.now - Clock in milliseconds, for time mode
+     */
+    constructor(options = {}) {
+        this.levels = options.levels || createBlindSchedule(options.baseBigBlind || 20);
+        this.mode = options.mode || BLIND_SCHEDULE_MODES.HANDS;
+        this.levelLength = options.levelLength || 10;
+        this.buyIn = options.buyIn || 0;
+        this.payouts = options.payouts || null;
+        this.now = options.now || (() => Date.now());
+
+        this.levelIndex = 0;
+        this.handsThisLevel = 0;
+        this.levelStartedAt = null;
+        this.handNumber = 0;
+        this.entrants = [];
+        this.eliminations = [];
+        this.startingStacks = new Map();
+    }
+
+    /**
+     * Seats the field and starts the clock
+     * @param {Array} players - Every player entering the tournament
+     */
+    start(players) {
+        if (players.length < 2) {
+            throw new Error('A tournament needs at least two players');
+        }
+        this.entrants = [...players];
+        this.payouts = this.payouts || getPayoutStructure(players.length);
+        this.levelStartedAt = this.now();
+    }
+
+    /**
+     * Total prize pool
+     */
+    get prizePool() {
+        return this.buyIn * this.entrants.length;
+    }
+
+    /**
+     * Gets the current blind level; the last level repeats once the schedule runs out
+     * @returns {Object} { level, smallBlind, bigBlind, ante }
+     */
+    getCurrentLevel() {
+        return this.levels[Math.min(this.levelIndex, this.levels.length - 1)];
+    }
+
+    /**
+     * Whether the current level has run its course
+     */
+    isLevelOver() {
+        if (this.levelIndex >= this.levels.length - 1) {
+            return false;
+        }
+        if (this.mode === BLIND_SCHEDULE_MODES.TIME) {
+            return this.now() - this.levelStartedAt >= this.levelLength * 60000;
+        }
+        return this.handsThisLevel >= this.levelLength;
+    }
+
+    /**
+     * Called before each hand: moves up a level when one is due and notes
+     * every stack, so players busting on the same hand can be ranked
+     * @param {Array} players - Players still in the tournament
+     * @returns {boolean} True if the blinds went up
+     */
+    beginHand(players) {
+        let changed = false;
+        while (this.isLevelOver()) {
+            this.levelIndex++;
+            this.handsThisLevel = 0;
+            this.levelStartedAt = this.mode === BLIND_SCHEDULE_MODES.TIME ?
+                this.levelStartedAt + this.levelLength * 60000 : this.now();
+            changed = true;
+        }
+
+        this.handNumber++;
+        this.handsThisLevel++;
+        this.startingStacks = new Map(players.map(p => [p, p.chips]));
+        return changed;
+    }
+
+    /**
+     * Records players who lost their last chip in the hand just played.
+     * Players busting together are placed by the stack they started the hand with.
+     * @returns {Array} Newly eliminated entries as { player, place, handNumber }
+     */
+    recordEliminations() {
+        const busted = this.getRemainingPlayers()
+            .filter(p => p.chips <= 0)
+            .sort((a, b) => (this.startingStacks.get(a) || 0) - (this.startingStacks.get(b) || 0));
+
+        const remainingBefore = this.getRemainingPlayers().length;
+        const entries = busted.map((player, index) => ({
+            player,
+            place: remainingBefore - index,
+            handNumber: this.handNumber
+        }));
+
+        this.eliminations.push(...entries);
+        return entries;
+    }
+
+    /**
+     * Players who have not been eliminated
+     */
+    getRemainingPlayers() {
+        return this.entrants.filter(p => !this.eliminations.some(e => e.player === p));
+    }
+
+    /**
+     * Whether one player has all the chips
+     */
+    isComplete() {
+        return this.entrants.length > 0 && this.getRemainingPlayers().length <= 1;
+    }
+
+    /**
+     * Gets the prize for a finishing place
+     * @param {number} place - 1-based finishing place
+     * @returns {number} Prize; the rounding remainder goes to first place
+     */
+    getPrize(place) {
+        const prizes = this.payouts.map(pct => Math.floor(this.prizePool * pct / 100));
+        prizes[0] += this.prizePool - prizes.reduce((sum, n) => sum + n, 0);
+        return prizes[place - 1] || 0;
+    }
+
+    /**
+     * Gets how far the current level has to run
+     * @returns {Object} { hands } in hands mode, { ms } in time mode, or null at the last level
+     */
+    getTimeToNextLevel() {
+        if (this.levelIndex >= this.levels.length - 1) {
+            return null;
+        }
+        if (this.mode === BLIND_SCHEDULE_MODES.TIME) {
+            return { ms: Math.max(0, this.levelStartedAt + this.levelLength * 60000 - this.now()) };
+        }
+        return { hands: Math.max(0, this.levelLength - this.handsThisLevel) };
+    }
+
+    /**
+     * Captures the tournament as plain data. Players are saved by name, and a
+     * time-mode level keeps the time it has run, so the clock stops while saved.
+     * @returns {Object} Snapshot for restore
+     */
+    serialize() {
+        return {
+            levels: this.levels.map(level => ({ ...level })),
+            mode: this.mode,
+            levelLength: this.levelLength,
+            buyIn: this.buyIn,
+            payouts: this.payouts && this.payouts.slice(),
+            levelIndex: this.levelIndex,
+            handsThisLevel: this.handsThisLevel,
+            levelElapsed: this.levelStartedAt === null ? null : this.now() - this.levelStartedAt,
+            handNumber: this.handNumber,
+            entrants: this.entrants.map(p => p.name),
+            eliminations: this.eliminations.map(e => ({ name: e.player.name, place: e.place, handNumber: e.handNumber })),
+            startingStacks: [...this.startingStacks].map(([player, chips]) => ({ name: player.name, chips }))
+        };
+    }
+
+    /**
+     * Restores a snapshot from serialize
+     * @param {Object} snapshot - Snapshot from serialize
+     * @param {Array} players - Every entrant's player object, found by name
+     */
+    restore(snapshot, players) {
+        const byName = name => {
+            const player = players.find(p => p.name === name);
+            if (!player) {
+                throw new Error(`The tournament snapshot has an entrant "${name}" who is not at this table`);
+            }
+            return player;
+        };
+
+        this.levels = snapshot.levels.map(level => ({ ...level }));
+        this.mode = snapshot.mode;
+        this.levelLength = snapshot.levelLength;
+        this.buyIn = snapshot.buyIn;
+        this.payouts = snapshot.payouts && snapshot.payouts.slice();
+        this.levelIndex = snapshot.levelIndex;
+        this.handsThisLevel = snapshot.handsThisLevel;
+        this.levelStartedAt = snapshot.levelElapsed === null ? null : this.now() - snapshot.levelElapsed;
+        this.handNumber = snapshot.handNumber;
+        this.entrants = snapshot.entrants.map(byName);
+        this.eliminations = snapshot.eliminations.map(e => ({ player: byName(e.name), place: e.place, handNumber: e.handNumber }));
+        this.startingStacks = new Map(snapshot.startingStacks.map(entry => [byName(entry.name), entry.chips]));
+    }
+
+    /**
+     * Gets the standings: players still in by chip count, then eliminations, last out first
+     * @returns {Array} { place, name, isBot, chips, prize, eliminatedOnHand }
+     */
+    getResults() {
+        const standing = this.getRemainingPlayers()
+            .sort((a, b) => b.chips - a.chips)
+            .map((player, index) => ({ player, place: index + 1, handNumber: null }));
+        const out = [...this.eliminations].sort((a, b) => a.place - b.place);
+
+        return [...standing, ...out].map(entry => ({
+            place: entry.place,
+            name: entry.player.name,
+            isBot: !!entry.player.isBot,
+            chips: entry.player.chips,
+            prize: this.getPrize(entry.place),
+            eliminatedOnHand: entry.handNumber
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        BLIND_SCHEDULE_MODES,
+        Tournament,
+        createBlindSchedule,
+        getPayoutStructure,
+        formatPlace,
+        describeLevel
+    };
+} else {
+    window.Tournament = {
+        BLIND_SCHEDULE_MODES,
+        Tournament,
+        createBlindSchedule,
+        getPayoutStructure,
+        formatPlace,
+        describeLevel
+    };
+}
+
+})();
@@ -3,11 +3,34 @@
  * Handles all DOM manipulation and user interactions
  */
 
+// Monte Carlo samples for the in-game equity overlay
+const EQUITY_OVERLAY_ITERATIONS = 3000;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes text for use inside markup. Player names and log lines can
+ * come from other people at a shared table, so they never go in raw.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 class PokerUI {
     constructor() {
         this.game = null;
         this.elements = {};
         this.sliderValue = 0;
+        this.replay = null;
+        this.pendingState = null;
+        this.showEquity = false;
+        this.equityCache = null;
+        this.showHud = false;
+        this.trainer = null;
+        this.clockTicker = null;
+        this.tickingClock = null;
     }
 
     /**
@@ -15,7 +38,14 @@ class PokerUI {
      */
     init() {
         this.cacheElements();
+        this.renderStrategyOptions();
+        this.renderResumeOption();
         this.attachEventListeners();
+
+        // Pages served by a table server join that server by default
+        if (window.location.protocol === 'http:') {
+            this.elements.serverUrl.value = `ws://${window.location.host}`;
+        }
     }
 
     /**
@@ -26,23 +56,89 @@ class PokerUI {
         this.elements.setupScreen = document.getElementById('setup-screen');
         this.elements.gameScreen = document.getElementById('game-screen');
         this.elements.endScreen = document.getElementById('end-screen');
+        this.elements.trainerScreen = document.getElementById('trainer-screen');
 
         // Setup form
         this.elements.playerName = document.getElementById('player-name');
         this.elements.difficulty = document.getElementById('difficulty');
         this.elements.bankroll = document.getElementById('bankroll');
         this.elements.botCount = document.getElementById('bot-count');
+        this.elements.seatStrategies = document.getElementById('seat-strategies');
+        this.elements.bettingStructure = document.getElementById('betting-structure');
+        this.elements.gameVariant = document.getElementById('game-variant');
+        this.elements.gameMode = document.getElementById('game-mode');
+        this.elements.tournamentOptions = document.getElementById('tournament-options');
+        this.elements.forcedBetsGroup = document.getElementById('forced-bets-group');
+        this.elements.forcedBets = document.getElementById('forced-bets');
+        this.elements.blindLevels = document.getElementById('blind-levels');
+        this.elements.buyIn = document.getElementById('buy-in');
+        this.elements.actionTimer = document.getElementById('action-timer');
+        this.elements.showEquity = document.getElementById('show-equity');
+        this.elements.showHud = document.getElementById('show-hud');
+        this.elements.autoMuck = document.getElementById('auto-muck');
+        this.elements.autoPostBlinds = document.getElementById('auto-post-blinds');
         this.elements.startBtn = document.getElementById('start-btn');
+        this.elements.resumeBtn = document.getElementById('resume-btn');
+        this.elements.reviewBtn = document.getElementById('review-btn');
+        this.elements.historyFile = document.getElementById('history-file');
+        this.elements.trainerBtn = document.getElementById('trainer-btn');
+        this.elements.serverUrl = document.getElementById('server-url');
+        this.elements.joinBtn = document.getElementById('join-btn');
 
         // Game elements
         this.elements.potDisplay = document.getElementById('pot-display');
+        this.elements.tournamentInfo = document.getElementById('tournament-info');
         this.elements.communityCards = document.getElementById('community-cards');
         this.elements.playerArea = document.getElementById('player-area');
         this.elements.botsContainer = document.getElementById('bots-container');
         this.elements.gameLog = document.getElementById('game-log');
+        this.elements.exportJsonBtn = document.getElementById('export-json-btn');
+        this.elements.exportTextBtn = document.getElementById('export-text-btn');
+        this.elements.replayBtn = document.getElementById('replay-btn');
+        this.elements.historyExport = document.getElementById('history-export');
+
+        // Replay
+        this.elements.replayControls = document.getElementById('replay-controls');
+        this.elements.replayHand = document.getElementById('replay-hand');
+        this.elements.replayPrevStreet = document.getElementById('replay-prev-street');
+        this.elements.replayPrev = document.getElementById('replay-prev');
+        this.elements.replayStatus = document.getElementById('replay-status');
+        this.elements.replayNext = document.getElementById('replay-next');
+        this.elements.replayNextStreet = document.getElementById('replay-next-street');
+        this.elements.replayReveal = document.getElementById('replay-reveal');
+        this.elements.replayExit = document.getElementById('replay-exit');
+
+        // Preflop trainer
+        this.elements.trainerPosition = document.getElementById('trainer-position');
+        this.elements.trainerPrior = document.getElementById('trainer-prior');
+        this.elements.trainerDepth = document.getElementById('trainer-depth');
+        this.elements.trainerChartBtn = document.getElementById('trainer-chart-btn');
+        this.elements.trainerChartFile = document.getElementById('trainer-chart-file');
+        this.elements.trainerExit = document.getElementById('trainer-exit');
+        this.elements.trainerSeats = document.getElementById('trainer-seats');
+        this.elements.trainerSpot = document.getElementById('trainer-spot');
+        this.elements.trainerCards = document.getElementById('trainer-cards');
+        this.elements.trainerFeedback = document.getElementById('trainer-feedback');
+        this.elements.trainerFoldBtn = document.getElementById('trainer-fold-btn');
+        this.elements.trainerCallBtn = document.getElementById('trainer-call-btn');
+        this.elements.trainerRaiseBtn = document.getElementById('trainer-raise-btn');
+        this.elements.trainerNextBtn = document.getElementById('trainer-next-btn');
+        this.elements.trainerScore = document.getElementById('trainer-score');
+        this.elements.trainerGridView = document.getElementById('trainer-grid-view');
+        this.elements.trainerGrid = document.getElementById('trainer-grid');
 
         // Controls
         this.elements.controlsContainer = document.getElementById('controls-container');
+        this.elements.preActions = document.getElementById('pre-actions');
+        this.elements.postBlindBtn = document.getElementById('post-blind-btn');
+        this.elements.sitOutBtn = document.getElementById('sit-out-btn');
+        this.elements.straddleBtn = document.getElementById('straddle-btn');
+        this.elements.preActionBtns = {
+            check_fold: document.getElementById('pre-check-fold-btn'),
+            check: document.getElementById('pre-check-btn'),
+            call: document.getElementById('pre-call-btn'),
+            call_any: document.getElementById('pre-call-any-btn')
+        };
         this.elements.foldBtn = document.getElementById('fold-btn');
         this.elements.checkCallBtn = document.getElementById('check-call-btn');
         this.elements.raiseBtn = document.getElementById('raise-btn');
@@ -54,6 +150,7 @@ class PokerUI {
         // End screen
         this.elements.endTitle = document.getElementById('end-title');
         this.elements.endMessage = document.getElementById('end-message');
+        this.elements.endResults = document.getElementById('end-results');
         this.elements.playAgainBtn = document.getElementById('play-again-btn');
     }
 
@@ -63,6 +160,24 @@ class PokerUI {
     attachEventListeners() {
         // Start game
         this.elements.startBtn.addEventListener('click', () => this.startGame());
+        this.elements.resumeBtn.addEventListener('click', () => this.resumeGame());
+        this.elements.joinBtn.addEventListener('click', () => this.joinTable());
+
+        this.elements.botCount.addEventListener('change', () => this.renderSeatStrategies());
+
+        this.elements.gameMode.addEventListener('change', (e) => {
+            this.elements.tournamentOptions.classList.toggle('hidden', e.target.value !== 'tournament');
+            // Tournament levels set their own antes
+            this.elements.forcedBetsGroup.classList.toggle('hidden', e.target.value === 'tournament');
+        });
+
+        // Omaha is usually played Pot Limit, so suggest it when switching games
+        this.elements.gameVariant.addEventListener('change', (e) => {
+            const isOmaha = e.target.value !== window.GameVariants.GAME_VARIANTS.HOLDEM;
+            this.elements.bettingStructure.value = isOmaha ?
+                window.BettingStructures.BETTING_STRUCTURES.POT_LIMIT :
+                window.BettingStructures.BETTING_STRUCTURES.NO_LIMIT;
+        });
 
         // Game controls
         this.elements.foldBtn.addEventListener('click', () => this.handleFold());
@@ -70,28 +185,152 @@ class PokerUI {
         this.elements.raiseBtn.addEventListener('click', () => this.handleRaise());
         this.elements.allInBtn.addEventListener('click', () => this.handleAllIn());
 
+        // Pre-actions
+        for (const [type, button] of Object.entries(this.elements.preActionBtns)) {
+            button.addEventListener('click', () => this.togglePreAction(type));
+        }
+        this.elements.postBlindBtn.addEventListener('click', () => this.game && this.game.postBlind());
+        this.elements.sitOutBtn.addEventListener('click', () => this.game && this.game.toggleSitOut());
+        this.elements.straddleBtn.addEventListener('click', () => this.game && this.game.toggleStraddle());
+
         // Raise slider
         this.elements.raiseSlider.addEventListener('input', (e) => {
             this.sliderValue = parseInt(e.target.value);
             this.elements.raiseAmount.textContent = `$${this.sliderValue}`;
         });
 
+        // Hand history export
+        this.elements.exportJsonBtn.addEventListener('click', () => this.exportHandHistory('json'));
+        this.elements.exportTextBtn.addEventListener('click', () => this.exportHandHistory('text'));
+
+        // Hand replay
+        this.elements.replayBtn.addEventListener('click', () => {
+            if (this.game) {
+                this.openReplay(this.game.engine.handHistory, 'game');
+            }
+        });
+        this.elements.reviewBtn.addEventListener('click', () => this.elements.historyFile.click());
+        this.elements.historyFile.addEventListener('change', (e) => this.loadHistoryFile(e.target.files[0]));
+        this.elements.replayHand.addEventListener('change', (e) => this.selectReplayHand(parseInt(e.target.value)));
+        this.elements.replayPrevStreet.addEventListener('click', () => this.stepReplay('previousStreet'));
+        this.elements.replayPrev.addEventListener('click', () => this.stepReplay('previous'));
+        this.elements.replayNext.addEventListener('click', () => this.stepReplay('next'));
+        this.elements.replayNextStreet.addEventListener('click', () => this.stepReplay('nextStreet'));
+        this.elements.replayReveal.addEventListener('change', () => this.renderReplay());
+        this.elements.replayExit.addEventListener('click', () => this.closeReplay());
+        document.addEventListener('keydown', (e) => {
+            if (!this.replay || e.target.tagName === 'SELECT') return;
+            if (e.key === 'ArrowRight') this.stepReplay(e.shiftKey ? 'nextStreet' : 'next');
+            if (e.key === 'ArrowLeft') this.stepReplay(e.shiftKey ? 'previousStreet' : 'previous');
+        });
+
+        // Preflop trainer
+        this.elements.trainerBtn.addEventListener('click', () => this.openTrainer());
+        this.elements.trainerExit.addEventListener('click', () => this.showScreen('setup'));
+        this.elements.trainerChartBtn.addEventListener('click', () => this.elements.trainerChartFile.click());
+        this.elements.trainerChartFile.addEventListener('change', (e) => this.loadChartFile(e.target.files[0]));
+        for (const select of [this.elements.trainerPosition, this.elements.trainerPrior, this.elements.trainerDepth]) {
+            select.addEventListener('change', () => this.dealTrainerHand());
+        }
+        this.elements.trainerFoldBtn.addEventListener('click', () => this.answerTrainer('fold'));
+        this.elements.trainerCallBtn.addEventListener('click', () => this.answerTrainer('call'));
+        this.elements.trainerRaiseBtn.addEventListener('click', () => this.answerTrainer('raise'));
+        this.elements.trainerNextBtn.addEventListener('click', () => this.dealTrainerHand());
+        this.elements.trainerGridView.addEventListener('change', () => this.renderTrainerGrid());
+        document.addEventListener('keydown', (e) => {
+            if (this.elements.trainerScreen.classList.contains('hidden') || e.target.tagName === 'SELECT') return;
+            const answers = { f: 'fold', c: 'call', r: 'raise' };
+            if (answers[e.key]) this.answerTrainer(answers[e.key]);
+            if (e.key === 'n') this.dealTrainerHand();
+        });
+
         // Play again
         this.elements.playAgainBtn.addEventListener('click', () => this.resetToSetup());
     }
 
+    /**
+     * Fills the difficulty select with every registered bot strategy, so
+     * strategies registered by other scripts can be picked too
+     */
+    renderStrategyOptions() {
+        this.elements.difficulty.innerHTML = window.BotAI.getStrategies()
+            .map(strategy => {
+                const text = strategy.description ? `${strategy.label} - ${strategy.description}` : strategy.label;
+                return `<option value="${strategy.id}">${text}</option>`;
+            })
+            .join('');
+        this.elements.difficulty.value = window.BotAI.BOT_DIFFICULTY.MEDIUM;
+        this.renderSeatStrategies();
+    }
+
+    /**
+     * Builds one strategy select per opponent, keeping choices already made
+     */
+    renderSeatStrategies() {
+        const previous = [...this.elements.seatStrategies.querySelectorAll('select')].map(select => select.value);
+        const options = window.BotAI.getStrategies()
+            .map(strategy => `<option value="${strategy.id}">${strategy.label}</option>`)
+            .join('');
+        const count = parseInt(this.elements.botCount.value);
+
+        this.elements.seatStrategies.innerHTML = Array.from({ length: count }, (_, i) => `
+            <label class="seat-strategy">
+                <span>Bot ${i + 1}</span>
+                <select data-seat="${i}">
+                    <option value="">Same as difficulty</option>
+                    ${options}
+                </select>
+            </label>
+        `).join('');
+
+        this.elements.seatStrategies.querySelectorAll('select').forEach((select, i) => {
+            select.value = previous[i] || '';
+        });
+    }
+
     /**
      * Starts the game with current settings
      */
     startGame() {
+        let tournament = null;
+        if (this.elements.gameMode.value === 'tournament') {
+            const [mode, length] = this.elements.blindLevels.value.split(':');
+            tournament = {
+                mode,
+                levelLength: parseInt(length),
+                buyIn: parseInt(this.elements.buyIn.value)
+            };
+        }
+
+        // "decision:bank" in seconds, or empty for no clock
+        let actionClock = null;
+        if (this.elements.actionTimer.value) {
+            const [decisionTime, timeBank] = this.elements.actionTimer.value.split(':').map(Number);
+            actionClock = { decisionTime, timeBank };
+        }
+
         const settings = {
             playerName: this.elements.playerName.value || 'You',
             difficulty: this.elements.difficulty.value,
+            seatStrategies: [...this.elements.seatStrategies.querySelectorAll('select')].map(select => select.value || null),
             bankroll: parseInt(this.elements.bankroll.value),
             botCount: parseInt(this.elements.botCount.value),
+            bettingStructure: this.elements.bettingStructure.value,
+            variant: this.elements.gameVariant.value,
+            tournament,
+            forcedBets: this.elements.forcedBets.value,
+            actionClock,
+            autoMuck: this.elements.autoMuck.checked,
+            autoPostBlinds: this.elements.autoPostBlinds.checked,
+            seed: window.Random.getSeedFromUrl(),
             ui: this
         };
 
+        this.showEquity = this.elements.showEquity.checked;
+        this.equityCache = null;
+        this.showHud = this.elements.showHud.checked;
+        this.elements.historyExport.classList.remove('hidden');
+
         this.game = new window.PokerGame();
         this.game.init(settings);
 
@@ -99,6 +338,65 @@ class PokerUI {
         this.game.startHand();
     }
 
+    /**
+     * Offers to resume the autosaved session, if there is one
+     */
+    renderResumeOption() {
+        const snapshot = window.PokerGame.loadSavedSession();
+        this.elements.resumeBtn.classList.toggle('hidden', !snapshot);
+        if (!snapshot) return;
+
+        const human = snapshot.players[0];
+        const mode = snapshot.tournament ? 'Sit & Go' : 'cash game';
+        this.elements.resumeBtn.textContent =
+            `▶ Resume Session - ${human.name}, $${human.chips}, hand ${snapshot.engine.handNumber} of the ${mode}`;
+    }
+
+    /**
+     * Restores the autosaved session and plays on from where it stopped
+     */
+    resumeGame() {
+        const snapshot = window.PokerGame.loadSavedSession();
+        if (!snapshot) return;
+
+        this.showEquity = this.elements.showEquity.checked;
+        this.equityCache = null;
+        this.showHud = this.elements.showHud.checked;
+        this.elements.historyExport.classList.remove('hidden');
+
+        try {
+            this.game = new window.PokerGame().restore(snapshot, this);
+        } catch (error) {
+            alert(`Could not resume the session: ${error.message}`);
+            window.PokerGame.clearSavedSession();
+            this.renderResumeOption();
+            return;
+        }
+
+        this.showScreen('game');
+        this.game.resume();
+    }
+
+    /**
+     * Joins a table server as a remote player
+     */
+    joinTable() {
+        this.showEquity = this.elements.showEquity.checked;
+        this.equityCache = null;
+        // The server keeps the hand history and statistics, so there is nothing to export or show
+        this.showHud = false;
+        this.elements.historyExport.classList.add('hidden');
+
+        this.game = new window.RemoteGame().connect({
+            url: this.elements.serverUrl.value.trim(),
+            playerName: this.elements.playerName.value || 'You',
+            autoMuck: this.elements.autoMuck.checked,
+            ui: this
+        });
+
+        this.showScreen('game');
+    }
+
     /**
      * Shows a specific screen
      */
@@ -106,6 +404,7 @@ class PokerUI {
         this.elements.setupScreen.classList.add('hidden');
         this.elements.gameScreen.classList.add('hidden');
         this.elements.endScreen.classList.add('hidden');
+        this.elements.trainerScreen.classList.add('hidden');
 
         switch (screen) {
             case 'setup':
@@ -117,6 +416,9 @@ class PokerUI {
             case 'end':
                 this.elements.endScreen.classList.remove('hidden');
                 break;
+            case 'trainer':
+                this.elements.trainerScreen.classList.remove('hidden');
+                break;
         }
     }
 
@@ -125,16 +427,24 @@ class PokerUI {
      * @param {Object} state - Current game state
      */
     update(state) {
+        // The live game keeps running during a replay; render its latest state on exit
+        if (this.replay && !state.isReplay) {
+            this.pendingState = state;
+            return;
+        }
+
         const { engine, humanPlayer, bots, isWaitingForHuman, showAllCards } = state;
 
         // Update pot
         this.elements.potDisplay.textContent = `Pot: $${engine.pot}`;
 
+        this.renderTournamentInfo(state.tournament);
+
         // Update community cards
         this.renderCommunityCards(engine.communityCards);
 
         // Update player area
-        this.renderPlayerArea(humanPlayer, engine, isWaitingForHuman);
+        this.renderPlayerArea(humanPlayer, engine, isWaitingForHuman, state.clock, state.sittingOut);
 
         // Update bots
         this.renderBots(bots, engine, showAllCards);
@@ -146,6 +456,63 @@ class PokerUI {
         if (isWaitingForHuman) {
             this.updateControls();
         }
+        this.renderPreActions(state);
+    }
+
+    /**
+     * Shows the pre-actions while the player waits for their turn, the
+     * blind the deal is waiting on when blinds are not posted for them, and
+     * the sit out and straddle toggles of a cash game
+     * @param {Object} state - Game state from update
+     */
+    renderPreActions(state) {
+        const { engine, humanPlayer, isWaitingForHuman, pendingBlind, preAction, sittingOut, straddle } = state;
+        const inHand = !engine.isHandComplete && humanPlayer.holeCards.length > 0 &&
+            !humanPlayer.hasFolded && !humanPlayer.isAllIn;
+        const showPreActions = !state.isReplay && !isWaitingForHuman && inHand;
+        const showBlind = !state.isReplay && !!pendingBlind;
+        const showSitOut = !state.isReplay && !!state.canSitOut;
+        const showStraddle = !state.isReplay && !!straddle && !sittingOut;
+
+        this.elements.preActions.classList.toggle('hidden', !showPreActions && !showBlind && !showSitOut && !showStraddle);
+        this.elements.postBlindBtn.classList.toggle('hidden', !showBlind);
+        if (showBlind) {
+            this.elements.postBlindBtn.textContent = `Post ${pendingBlind.label} $${pendingBlind.amount}`;
+        }
+
+        this.elements.sitOutBtn.classList.toggle('hidden', !showSitOut);
+        this.elements.sitOutBtn.classList.toggle('selected', !!sittingOut);
+        this.elements.sitOutBtn.textContent = sittingOut ? 'Sit In' : 'Sit Out';
+
+        this.elements.straddleBtn.classList.toggle('hidden', !showStraddle);
+        if (showStraddle) {
+            this.elements.straddleBtn.textContent = `Straddle $${straddle.amount}`;
+            this.elements.straddleBtn.classList.toggle('selected', straddle.optedIn);
+        }
+
+        const options = showPreActions ? window.PreActions.getPreActionOptions(this.game.getAmountToCall()) : [];
+        for (const [type, button] of Object.entries(this.elements.preActionBtns)) {
+            const option = options.find(o => o.type === type);
+            button.classList.toggle('hidden', !option);
+            if (!option) continue;
+
+            button.textContent = option.label;
+            // A Call queued before a raise no longer matches the price, so it shows unselected
+            const isQueued = !!preAction && preAction.type === type &&
+                (option.amount === undefined || option.amount === preAction.amount);
+            button.classList.toggle('selected', isQueued);
+        }
+    }
+
+    /**
+     * Queues a pre-action, or clears it when it is already queued
+     * @param {string} type - One of PreActions.PRE_ACTIONS
+     */
+    togglePreAction(type) {
+        if (!this.game) return;
+
+        const button = this.elements.preActionBtns[type];
+        this.game.setPreAction(button.classList.contains('selected') ? null : type);
     }
 
     /**
@@ -172,10 +539,34 @@ class PokerUI {
         }
     }
 
+    /**
+     * Renders the tournament's blind level, next level and players left
+     * @param {Object} tournament - The running Tournament, if any
+     */
+    renderTournamentInfo(tournament) {
+        this.elements.tournamentInfo.classList.toggle('hidden', !tournament);
+        if (!tournament) return;
+
+        let next = 'Final level';
+        const remaining = tournament.getTimeToNextLevel();
+        if (remaining && remaining.hands !== undefined) {
+            next = `Next level in ${remaining.hands} hand${remaining.hands === 1 ? '' : 's'}`;
+        } else if (remaining) {
+            const seconds = Math.ceil(remaining.ms / 1000);
+            next = `Next level in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        }
+
+        const level = window.Tournament.describeLevel(tournament.getCurrentLevel());
+        const left = `${tournament.getRemainingPlayers().length}/${tournament.entrants.length} left`;
+        this.elements.tournamentInfo.textContent = `${level} · ${next} · ${left}`;
+    }
+
     /**
      * Renders player area
+     * @param {Object} clock - The player's ActionClock, if the game times decisions
+     * @param {boolean} sittingOut - Whether the player sits out of the cash game
      */
-    renderPlayerArea(player, engine, isActive) {
+    renderPlayerArea(player, engine, isActive, clock = null, sittingOut = false) {
         const isDealer = engine.players[engine.dealerIndex] === player;
         const isCurrent = engine.getCurrentPlayer() === player;
         
@@ -183,7 +574,7 @@ class PokerUI {
         
         this.elements.playerArea.innerHTML = `
             <div class="player-info">
-                <span class="player-name">${player.name} ${isDealer ? '🔴' : ''}</span>
+                <span class="player-name">${escapeHtml(player.name)} ${isDealer ? '🔴' : ''}</span>
                 <span class="player-chips">$${player.chips}</span>
                 ${player.totalBetThisRound > 0 ? `<span class="current-bet">Bet: $${player.totalBetThisRound}</span>` : ''}
             </div>
@@ -191,7 +582,159 @@ class PokerUI {
                 ${this.renderCards(player.holeCards, true)}
             </div>
             ${player.hasFolded ? '<div class="fold-overlay">FOLDED</div>' : ''}
+            ${sittingOut ? '<div class="fold-overlay">SITTING OUT</div>' : ''}
             ${player.isAllIn ? '<div class="all-in-badge">ALL IN</div>' : ''}
+            ${this.renderEquityOverlay(player, engine)}
+            ${this.renderActionClock(isCurrent && isActive ? clock : null)}
+        `;
+    }
+
+    /**
+     * Renders the countdown for the player's decision, then their time bank.
+     * A ticker keeps it current between renders and stops once the clock does.
+     * @param {Object} clock - The running ActionClock, or null when the player is not on the clock
+     */
+    renderActionClock(clock) {
+        if (!clock || !clock.isRunning()) {
+            this.stopClockTicker();
+            return '';
+        }
+
+        // A remote game sends a fresh clock with each state, so the ticker reads the latest
+        this.tickingClock = clock;
+        if (!this.clockTicker) {
+            this.clockTicker = setInterval(() => this.updateActionClock(), 200);
+        }
+
+        const view = this.describeActionClock(clock);
+        return `
+            <div id="decision-clock" class="decision-clock ${view.phase}">
+                <span class="clock-time">${view.time}</span>
+                <span class="clock-bank">${view.bank}</span>
+                <div class="clock-bar"><div class="clock-fill" style="width: ${view.percent}%"></div></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Updates the rendered countdown from the clock being shown
+     */
+    updateActionClock() {
+        const clock = this.tickingClock;
+        const clockEl = document.querySelector('#decision-clock');
+        if (!clockEl || !clock.isRunning()) {
+            this.stopClockTicker();
+            return;
+        }
+
+        const view = this.describeActionClock(clock);
+        clockEl.className = `decision-clock ${view.phase}`;
+        clockEl.querySelector('.clock-time').textContent = view.time;
+        clockEl.querySelector('.clock-bank').textContent = view.bank;
+        clockEl.querySelector('.clock-fill').style.width = `${view.percent}%`;
+    }
+
+    /**
+     * Stops updating the countdown
+     */
+    stopClockTicker() {
+        if (this.clockTicker) {
+            clearInterval(this.clockTicker);
+            this.clockTicker = null;
+        }
+    }
+
+    /**
+     * Describes a running clock for display
+     * @param {Object} clock - The running ActionClock
+     * @returns {Object} { phase, time, bank, percent } with percent the share of the current phase left
+     */
+    describeActionClock(clock) {
+        const { CLOCK_PHASES, formatTimeLeft } = window.ActionClock;
+        const status = clock.getStatus();
+
+        if (status.phase === CLOCK_PHASES.DECISION) {
+            return {
+                phase: status.phase,
+                time: formatTimeLeft(status.remaining),
+                bank: status.bank > 0 ? `+${formatTimeLeft(status.bank)} bank` : 'No time bank',
+                percent: Math.round(status.remaining / clock.decisionTime * 100)
+            };
+        }
+        return {
+            phase: status.phase,
+            time: `Time bank ${formatTimeLeft(status.remaining)}`,
+            bank: '',
+            percent: clock.timeBank > 0 ? Math.round(status.remaining / clock.timeBank * 100) : 0
+        };
+    }
+
+    /**
+     * Renders the "show my equity" overlay beside the player area, with any
+     * draws and outs on the flop and turn.
+     * Opponents are treated as random hands; the simulation runs after the
+     * render and is cached until the cards or the number of opponents change.
+     */
+    renderEquityOverlay(player, engine) {
+        // The equity calculator only understands two-card Hold'em hands
+        if (!this.showEquity || player.hasFolded || player.holeCards.length !== 2) {
+            return '';
+        }
+
+        const opponents = engine.players.filter(p => p !== player && !p.hasFolded).length;
+        if (opponents === 0) {
+            return '';
+        }
+
+        const cardKey = card => `${card.rank}${card.suit}`;
+        const key = [...player.holeCards, ...engine.communityCards].map(cardKey).join(',') + `|${opponents}`;
+
+        if (!this.equityCache || this.equityCache.key !== key) {
+            this.equityCache = { key, equity: null };
+            setTimeout(() => {
+                const result = window.Equity.calculateEquity({
+                    ranges: [player.holeCards, ...Array(opponents).fill(null)],
+                    board: engine.communityCards,
+                    iterations: EQUITY_OVERLAY_ITERATIONS
+                });
+                if (this.equityCache.key !== key) return;
+
+                this.equityCache.equity = result.players[0].equity;
+                const valueEl = document.querySelector('#equity-overlay .equity-value');
+                if (valueEl) {
+                    valueEl.textContent = `${this.equityCache.equity.toFixed(1)}%`;
+                }
+            }, 0);
+        }
+
+        const value = this.equityCache.equity === null ? '…' : `${this.equityCache.equity.toFixed(1)}%`;
+        return `
+            <div id="equity-overlay" class="equity-overlay">
+                <span class="equity-value">${value}</span>
+                <span class="equity-label">equity vs ${opponents} random</span>
+                ${this.renderDraws(player, engine)}
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the player's draws and outs for the equity overlay
+     * @param {Object} player - The human player
+     * @param {Object} engine - The poker engine
+     * @returns {string} A line like "Flush draw · 9 outs · 35% by the river", or nothing without outs
+     */
+    renderDraws(player, engine) {
+        const analysis = window.HandEvaluator.analyzeDraws(player.holeCards, engine.communityCards);
+        if (!analysis || analysis.outs.length === 0) {
+            return '';
+        }
+
+        const draws = analysis.draws.filter(draw => draw.outs).map(draw => draw.name);
+        const outs = analysis.outs.length;
+        const street = engine.communityCards.length === 3 ? 'by the river' : 'on the river';
+        return `
+            <span class="equity-draws">${[...draws, `${outs} out${outs === 1 ? '' : 's'}`].join(' · ')}
+                · ${Math.round(analysis.byRiver * 100)}% ${street}</span>
         `;
     }
 
@@ -212,21 +755,54 @@ class PokerUI {
             
             botEl.innerHTML = `
                 <div class="bot-info">
-                    <span class="bot-name">${bot.name} ${isDealer ? '🔴' : ''}</span>
+                    <span class="bot-name">${escapeHtml(bot.name)} ${isDealer ? '🔴' : ''}</span>
+                    ${this.renderBotProfile(bot)}
                     <span class="bot-chips">$${bot.chips}</span>
                     ${bot.totalBetThisRound > 0 ? `<span class="current-bet">Bet: $${bot.totalBetThisRound}</span>` : ''}
                 </div>
-                <div class="bot-cards">
+                <div class="bot-cards ${bot.holeCards.length > 2 ? 'four-cards' : ''}">
                     ${this.renderCards(bot.holeCards, showAllCards || bot.hasFolded)}
                 </div>
                 ${bot.hasFolded ? '<div class="fold-overlay">FOLDED</div>' : ''}
                 ${bot.isAllIn ? '<div class="all-in-badge">ALL IN</div>' : ''}
+                ${this.renderHud(bot, engine)}
             `;
 
             this.elements.botsContainer.appendChild(botEl);
         });
     }
 
+    /**
+     * Renders the badge naming a bot's strategy or personality, with its details on hover
+     * @param {Object} bot - The bot
+     */
+    renderBotProfile(bot) {
+        const strategy = bot.strategy;
+        const details = strategy.personality ?
+            `${strategy.description} (${window.BotPersonalities.describePersonality(strategy.personality)})` :
+            strategy.description;
+        return `<span class="bot-profile" title="${escapeHtml(details)}">${escapeHtml(strategy.label)}</span>`;
+    }
+
+    /**
+     * Renders a player's session statistics under their seat, when the HUD is on
+     * @param {Object} player - The seated player
+     * @param {Object} engine - The poker engine
+     */
+    renderHud(player, engine) {
+        if (!this.showHud) {
+            return '';
+        }
+
+        const stats = engine.opponentStats.getStats(player.name);
+        const type = stats.type ? `<span class="hud-type ${stats.type}">${stats.type}</span>` : '';
+        return `
+            <div class="bot-hud" title="VPIP · preflop raise · aggression factor · fold to c-bet · went to showdown (hands)">
+                ${window.OpponentStats.formatStats(stats)} ${type}
+            </div>
+        `;
+    }
+
     /**
      * Renders cards
      * @param {Array} cards - Cards to render
@@ -256,7 +832,7 @@ class PokerUI {
      */
     updateGameLog(log) {
         this.elements.gameLog.innerHTML = log.slice(-10).map(msg => 
-            `<div class="log-entry">${msg}</div>`
+            `<div class="log-entry">${escapeHtml(msg)}</div>`
         ).join('');
         this.elements.gameLog.scrollTop = this.elements.gameLog.scrollHeight;
     }
@@ -296,6 +872,8 @@ class PokerUI {
                     this.elements.raiseSlider.min = action.minAmount;
                     this.elements.raiseSlider.max = action.maxAmount;
                     this.elements.raiseSlider.value = action.minAmount;
+                    // Fixed Limit allows exactly one raise size
+                    this.elements.raiseSlider.disabled = action.minAmount === action.maxAmount;
                     this.sliderValue = action.minAmount;
                     this.elements.raiseAmount.textContent = `$${action.minAmount}`;
                     break;
@@ -359,13 +937,340 @@ class PokerUI {
         }
     }
 
+    /**
+     * Downloads the session's hand history
+     * @param {string} format - 'json' or 'text' (PokerStars-style)
+     */
+    exportHandHistory(format) {
+        if (!this.game || !this.game.engine) return;
+
+        const history = this.game.engine.handHistory;
+        const stamp = new Date().toISOString().slice(0, 10);
+        if (format === 'json') {
+            this.downloadFile(`holdem-${stamp}.json`, history.exportJSON(), 'application/json');
+        } else {
+            this.downloadFile(`holdem-${stamp}.txt`, history.exportText(), 'text/plain');
+        }
+    }
+
+    /**
+     * Saves text content as a file through a temporary link
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Reads an exported JSON hand history and opens it in the replayer
+     * @param {File} file - File chosen by the user
+     */
+    loadHistoryFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const history = window.HandHistory.HandHistory.fromJSON(reader.result);
+                this.openReplay(history, 'setup');
+            } catch (error) {
+                alert(`Could not load hand history: ${error.message}`);
+            }
+            this.elements.historyFile.value = '';
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Opens the replay viewer on a hand history, starting with the latest hand
+     * @param {Object} history - HandHistory instance
+     * @param {string} returnTo - Screen to show on exit ('game' or 'setup')
+     */
+    openReplay(history, returnTo) {
+        const hands = history.hands.filter(hand => hand.winners.length > 0);
+        if (hands.length === 0) {
+            alert('No completed hands to replay yet.');
+            return;
+        }
+
+        this.replay = { hands, returnTo, replayer: null };
+
+        this.elements.replayHand.innerHTML = hands.map((hand, index) => {
+            const winners = escapeHtml(hand.winners.map(w => w.player).join(', '));
+            return `<option value="${index}">Hand #${hand.handNumber} - ${winners} won $${hand.winners.reduce((sum, w) => sum + w.amount, 0)}</option>`;
+        }).join('');
+        this.elements.replayHand.value = String(hands.length - 1);
+
+        this.elements.controlsContainer.classList.add('hidden');
+        this.elements.replayControls.classList.remove('hidden');
+        this.showScreen('game');
+        this.selectReplayHand(hands.length - 1);
+    }
+
+    /**
+     * Loads one hand of the open history into the replayer
+     * @param {number} index - Index into the replayable hands
+     */
+    selectReplayHand(index) {
+        if (!this.replay) return;
+
+        this.replay.replayer = new window.HandReplayer(this.replay.hands[index]);
+        this.renderReplay();
+    }
+
+    /**
+     * Moves the replay and redraws the table
+     * @param {string} method - HandReplayer navigation method
+     */
+    stepReplay(method) {
+        if (this.replay && this.replay.replayer[method]()) {
+            this.renderReplay();
+        }
+    }
+
+    /**
+     * Renders the current replay step with the live table renderers
+     */
+    renderReplay() {
+        const replayer = this.replay.replayer;
+        const state = replayer.getState();
+
+        // The first human seat sits in the player area; everyone else renders as a bot
+        const hero = state.players.find(p => !p.isBot) || state.players[0];
+        for (const player of state.players) {
+            player.isBot = player !== hero;
+        }
+
+        this.update({
+            engine: state,
+            humanPlayer: hero,
+            bots: state.players.filter(p => p !== hero),
+            isWaitingForHuman: false,
+            showAllCards: this.elements.replayReveal.checked || state.showdown,
+            isReplay: true
+        });
+
+        this.elements.replayStatus.textContent = replayer.describe();
+        this.elements.replayPrev.disabled = replayer.isAtStart();
+        this.elements.replayPrevStreet.disabled = replayer.isAtStart();
+        this.elements.replayNext.disabled = replayer.isAtEnd();
+        this.elements.replayNextStreet.disabled = replayer.isAtEnd();
+    }
+
+    /**
+     * Leaves the replay viewer and returns to the live game or the setup screen
+     */
+    closeReplay() {
+        const returnTo = this.replay ? this.replay.returnTo : 'setup';
+        this.replay = null;
+
+        this.elements.replayControls.classList.add('hidden');
+        this.elements.controlsContainer.classList.remove('hidden');
+
+        if (returnTo === 'game' && this.game) {
+            this.showScreen(this.game.isGameRunning ? 'game' : 'end');
+            if (this.pendingState) {
+                this.update(this.pendingState);
+            }
+        } else {
+            this.showScreen('setup');
+        }
+        this.pendingState = null;
+    }
+
+    /**
+     * Opens the preflop trainer, keeping the results of an earlier visit
+     */
+    openTrainer() {
+        if (!this.trainer) {
+            const random = window.Random.resolveRandomSource({ seed: window.Random.getSeedFromUrl() });
+            this.trainer = new window.PreflopTrainer.PreflopTrainer({ rng: random.rng });
+            this.renderTrainerFilters();
+        }
+
+        this.showScreen('trainer');
+        this.dealTrainerHand();
+    }
+
+    /**
+     * Fills the position, action and stack depth filters with what the chart covers
+     */
+    renderTrainerFilters() {
+        const { PRIOR_ACTIONS, TRAINER_POSITIONS } = window.PreflopTrainer;
+        const spots = this.trainer.getSpots();
+        const priorLabels = {
+            [PRIOR_ACTIONS.UNOPENED]: 'Folded to you',
+            [PRIOR_ACTIONS.VS_OPEN]: 'Facing an open',
+            [PRIOR_ACTIONS.VS_3BET]: 'Facing a 3-bet'
+        };
+        const options = (anyLabel, values, label = value => value) =>
+            `<option value="">${anyLabel}</option>` +
+            values.map(value => `<option value="${value}">${label(value)}</option>`).join('');
+
+        this.elements.trainerPosition.innerHTML = options('Any position',
+            TRAINER_POSITIONS.filter(position => spots.some(spot => spot.position === position)));
+        this.elements.trainerPrior.innerHTML = options('Any action',
+            Object.values(PRIOR_ACTIONS).filter(prior => spots.some(spot => spot.prior === prior)),
+            prior => priorLabels[prior]);
+        this.elements.trainerDepth.innerHTML = options('Any stack',
+            [...new Set(spots.map(spot => spot.depth))].sort((a, b) => b - a),
+            depth => `${depth}bb`);
+    }
+
+    /**
+     * Deals a new trainer hand in a spot matching the filters
+     */
+    dealTrainerHand() {
+        if (!this.trainer) return;
+
+        const depth = parseInt(this.elements.trainerDepth.value);
+        try {
+            this.trainer.deal({
+                position: this.elements.trainerPosition.value || null,
+                prior: this.elements.trainerPrior.value || null,
+                depth: depth || null
+            });
+        } catch (error) {
+            this.trainer.drill = null;
+            this.elements.trainerSpot.textContent = error.message;
+        }
+        this.renderTrainer();
+    }
+
+    /**
+     * Grades the player's answer to the current trainer hand
+     * @param {string} answer - 'fold', 'call' or 'raise'
+     */
+    answerTrainer(answer) {
+        const drill = this.trainer && this.trainer.drill;
+        if (!drill || drill.result) return;
+
+        this.trainer.answer(answer);
+        this.renderTrainer();
+    }
+
+    /**
+     * Renders the trainer's spot, cards, answer buttons, feedback and grid
+     */
+    renderTrainer() {
+        const { PRIOR_ACTIONS } = window.PreflopTrainer;
+        const drill = this.trainer.drill;
+        const answered = !drill || !!drill.result;
+
+        this.elements.trainerFoldBtn.disabled = answered;
+        this.elements.trainerCallBtn.disabled = answered;
+        this.elements.trainerRaiseBtn.disabled = answered;
+
+        if (drill) {
+            const spot = drill.spot;
+            const raiseLabels = { [PRIOR_ACTIONS.UNOPENED]: 'Open', [PRIOR_ACTIONS.VS_OPEN]: '3-Bet', [PRIOR_ACTIONS.VS_3BET]: '4-Bet' };
+            this.elements.trainerCallBtn.textContent = spot.prior === PRIOR_ACTIONS.UNOPENED ? 'Limp' : 'Call';
+            this.elements.trainerRaiseBtn.textContent = raiseLabels[spot.prior];
+
+            this.elements.trainerSeats.innerHTML = window.PreflopTrainer.TRAINER_POSITIONS.map(position => {
+                const role = position === spot.position ? 'hero' : position === spot.versus ? 'villain' : '';
+                return `<span class="trainer-seat ${role}">${position}</span>`;
+            }).join('');
+            this.elements.trainerSpot.textContent = window.PreflopTrainer.describeSpot(spot);
+            this.elements.trainerCards.innerHTML = this.renderCards(drill.holeCards, true);
+        } else {
+            this.elements.trainerSeats.innerHTML = '';
+            this.elements.trainerCards.innerHTML = '';
+        }
+
+        this.elements.trainerFeedback.className = 'trainer-feedback';
+        this.elements.trainerFeedback.textContent = '';
+        if (drill && drill.result) {
+            const { correct, frequencies, hand } = drill.result;
+            this.elements.trainerFeedback.classList.add(correct ? 'correct' : 'wrong');
+            this.elements.trainerFeedback.textContent = `${correct ? '✓ Correct' : '✗ Wrong'} · ${hand}: ` +
+                `${window.PreflopTrainer.describePlay(frequencies)} (bot strength ${Math.round(drill.strength * 100)})`;
+        }
+
+        const totals = this.trainer.stats.getTotals();
+        this.elements.trainerScore.textContent = totals.attempts > 0 ?
+            `${this.trainer.chart.name} · ${totals.correct}/${totals.attempts} correct (${Math.round(totals.accuracy * 100)}%)` :
+            `${this.trainer.chart.name} · no answers yet`;
+
+        this.renderTrainerGrid();
+    }
+
+    /**
+     * Renders the 13x13 heat map: accuracy per hand class, from red to green,
+     * or the current spot's chart with raises in gold and calls in green
+     */
+    renderTrainerGrid() {
+        const showChart = this.elements.trainerGridView.value === 'chart';
+        const drill = this.trainer.drill;
+
+        this.elements.trainerGrid.innerHTML = window.Ranges.handClassGrid().flat().map(hand => {
+            if (showChart) {
+                if (!drill) return `<div class="trainer-cell">${hand}</div>`;
+                const frequencies = window.PreflopTrainer.getFrequencies(drill.spot, hand);
+                const raise = Math.round(frequencies.raise * 100);
+                const played = Math.round((frequencies.raise + frequencies.call) * 100);
+                const background = `linear-gradient(to right, var(--accent-gold) ${raise}%, ` +
+                    `var(--accent-green) ${raise}% ${played}%, var(--bg-secondary) ${played}%)`;
+                return `<div class="trainer-cell" style="background: ${background}"
+                    title="${hand}: ${window.PreflopTrainer.describePlay(frequencies)}">${hand}</div>`;
+            }
+
+            const stats = this.trainer.stats.getHandStats(hand);
+            if (stats.accuracy === null) {
+                return `<div class="trainer-cell" title="${hand}: not dealt yet">${hand}</div>`;
+            }
+            return `<div class="trainer-cell" style="background: hsl(${Math.round(stats.accuracy * 120)}, 60%, 35%)"
+                title="${hand}: ${stats.correct}/${stats.attempts} correct">${hand}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Reads a JSON preflop chart and restarts the trainer with it
+     * @param {File} file - File chosen by the user
+     */
+    loadChartFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const chart = JSON.parse(reader.result);
+                this.trainer = new window.PreflopTrainer.PreflopTrainer({ chart, rng: this.trainer.rng });
+                this.renderTrainerFilters();
+                this.dealTrainerHand();
+            } catch (error) {
+                alert(`Could not load preflop chart: ${error.message}`);
+            }
+            this.elements.trainerChartFile.value = '';
+        };
+        reader.readAsText(file);
+    }
+
     /**
      * Shows game end screen
      */
-    showGameEnd(result, finalChips) {
-        this.showScreen('end');
+    showGameEnd(result, finalChips, tournament = null) {
+        // A replay in progress shows the end screen when it is closed
+        if (!this.replay) {
+            this.showScreen('end');
+        }
 
-        if (result === 'win') {
+        this.elements.endResults.classList.toggle('hidden', !tournament);
+        if (tournament) {
+            this.renderTournamentResults(tournament);
+            return;
+        }
+
+        if (result === 'disconnected') {
+            this.elements.endTitle.textContent = '🔌 Disconnected';
+            this.elements.endMessage.textContent = 'The connection to the table closed.';
+        } else if (result === 'win') {
             this.elements.endTitle.textContent = '🏆 You Win! 🏆';
             this.elements.endMessage.textContent = `Congratulations! You eliminated all opponents and finished with $${finalChips}!`;
         } else {
@@ -374,11 +1279,56 @@ class PokerUI {
         }
     }
 
+    /**
+     * Shows the final standings and payouts of a tournament
+     * @param {Object} tournament - { standings, prizePool, payouts } from PokerGame.endGame
+     */
+    renderTournamentResults(tournament) {
+        const { standings, prizePool, payouts } = tournament;
+        const formatPlace = window.Tournament.formatPlace;
+        const human = standings.find(entry => !entry.isBot);
+
+        if (human.place === 1) {
+            this.elements.endTitle.textContent = '🏆 Tournament Won! 🏆';
+        } else if (human.prize > 0) {
+            this.elements.endTitle.textContent = `💰 ${formatPlace(human.place)} Place 💰`;
+        } else {
+            this.elements.endTitle.textContent = `${formatPlace(human.place)} Place`;
+        }
+
+        const paid = payouts.map((pct, i) => `${formatPlace(i + 1)} ${pct}%`).join(', ');
+        this.elements.endMessage.textContent = human.prize > 0 ?
+            `You finished ${formatPlace(human.place)} of ${standings.length} and won $${human.prize}. ` +
+            `Prize pool $${prizePool} (${paid}).` :
+            `You finished ${formatPlace(human.place)} of ${standings.length}. ` +
+            `Prize pool $${prizePool} (${paid}).`;
+
+        this.elements.endResults.innerHTML = `
+            <thead>
+                <tr><th>Place</th><th>Player</th><th>Out on hand</th><th>Prize</th></tr>
+            </thead>
+            <tbody>
+                ${standings.map(entry => `
+                    <tr class="${entry.isBot ? '' : 'you'}">
+                        <td>${formatPlace(entry.place)}</td>
+                        <td>${escapeHtml(entry.name)}</td>
+                        <td>${entry.eliminatedOnHand === null ? '-' : `#${entry.eliminatedOnHand}`}</td>
+                        <td>${entry.prize > 0 ? `$${entry.prize}` : '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
     /**
      * Resets to setup screen
      */
     resetToSetup() {
+        if (this.game && this.game.isRemote) {
+            this.game.disconnect();
+        }
         this.game = null;
+        this.renderResumeOption();
         this.showScreen('setup');
     }
 }
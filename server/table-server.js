@@ -0,0 +1,685 @@
+/**
+ * Multiplayer Hold'em Table Server
+ * Runs the authoritative PokerEngine under Node for players connecting over
+ * WebSocket, filling every seat nobody sits in with a bot. It also serves
+ * the game's pages, so players open the table from the same address.
+ * Usage: node server/table-server.js [--port=8080] [--seats=6] [--chips=1000] [--big-blind=20] [--bots=medium]
+ *        [--decision-time=<seconds>] [--time-bank=<seconds>] [--seed=<seed>]
+ * Example: node server/table-server.js --seats=4 --bots=hard --decision-time=30 --time-bank=60
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Random = require('../js/random.js');
+const BotAI = require('../js/bot-ai.js');
+// Registers the personality strategies, so bots can be given them by id
+require('../js/bot-personalities.js');
+const Cards = require('../js/cards.js');
+const { PokerEngine, ACTIONS, GAME_PHASES } = require('../js/poker-engine.js');
+const { PROTOCOL_VERSION, CLIENT_MESSAGES, SERVER_MESSAGES, encodeMessage, parseMessage } = require('../js/table-protocol.js');
+const { ActionClock, getTimeoutAction } = require('../js/action-clock.js');
+const { attachWebSocketServer } = require('./websocket.js');
+
+const DEFAULT_OPTIONS = {
+    seats: 6,
+    startingChips: 1000,
+    bigBlind: 20,
+    botStrategy: BotAI.BOT_DIFFICULTY.MEDIUM,
+    // Pauses that let people follow the table, as in the single-player game
+    botDelay: 1000,
+    handDelay: 3000,
+    // Seconds each player gets per decision, and the bank they keep while seated; no clock when null
+    decisionTime: null,
+    timeBank: 0
+};
+
+// Lines of the game log sent with each state
+const STATE_LOG_LINES = 10;
+
+const STATIC_ROOT = path.join(__dirname, '..');
+// Only the pages and their assets are served; the rest of the repository is not public
+const STATIC_PAGES = ['index.html', 'blackjack.html', 'balatro.html'];
+const STATIC_DIRS = ['css', 'js'];
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+/**
+ * Creates a seated remote player
+ * @param {string} name - Display name
+ * @param {number} chips - Starting stack
+ */
+function createRemotePlayer(name, chips) {
+    return {
+        name,
+        chips,
+        holeCards: [],
+        isBot: false,
+        hasFolded: false,
+        isAllIn: false,
+        currentBet: 0,
+        totalBetThisRound: 0,
+        reset() {
+            this.holeCards = [];
+            this.hasFolded = false;
+            this.isAllIn = false;
+            this.currentBet = 0;
+            this.totalBetThisRound = 0;
+        }
+    };
+}
+
+/**
+ * One table: seats, the engine, and the clients watching or playing it.
+ * Connections only need send(text) and to emit 'message' and 'close', so
+ * the table runs the same over WebSocket or in tests.
+ */
+class TableServer {
+    /**
+     * @param {Object} options - { seats, startingChips, bigBlind, botStrategy, botDelay, handDelay,
+     *                            decisionTime, timeBank, seed }
+     */
+    constructor(options = {}) {
+        const given = Object.entries(options).filter(([, value]) => value !== undefined);
+        this.options = { ...DEFAULT_OPTIONS, ...Object.fromEntries(given) };
+        if (this.options.seats < 2 || this.options.seats > BotAI.BOT_NAMES.length) {
+            throw new Error(`A table needs between 2 and ${BotAI.BOT_NAMES.length} seats`);
+        }
+
+        const random = Random.resolveRandomSource({ seed: options.seed });
+        this.rng = random.rng;
+        this.seats = [];
+        for (let seat = 0; seat < this.options.seats; seat++) {
+            this.seats.push(this.createBot());
+        }
+
+        this.engine = new PokerEngine(this.seats.slice(), this.options.bigBlind, {
+            seed: random.seed,
+            rng: random.rng,
+            silent: true
+        });
+
+        this.clients = new Set();
+        this.nextClientId = 1;
+        // Seats players have asked for, taken when the next hand starts
+        this.reservations = new Map();
+        this.isHandRunning = false;
+        this.timer = null;
+        // The remote player on the clock, timed apart from the bots and the hand timer
+        this.clockedClient = null;
+        this.clockTimer = null;
+    }
+
+    /**
+     * Creates a bot with a name nobody at the table is using
+     */
+    createBot() {
+        const taken = new Set([...this.seats, ...(this.clients || [])].map(p => p.name));
+        const names = BotAI.BOT_NAMES.filter(name => !taken.has(name));
+        const name = names[Math.floor(this.rng() * names.length)];
+        return new BotAI.BotPlayer(name, this.options.botStrategy, this.options.startingChips, this.rng);
+    }
+
+    /**
+     * Starts serving a connection
+     * @param {Object} connection - Has send(text) and emits 'message' and 'close'
+     * @returns {Object} The client record
+     */
+    addConnection(connection) {
+        const client = { id: this.nextClientId++, name: null, seat: null, player: null, chips: null, clock: null, autoMuck: false, connection };
+        this.clients.add(client);
+
+        connection.on('message', text => this.handleMessage(client, text));
+        connection.on('close', () => this.removeClient(client));
+        return client;
+    }
+
+    /**
+     * Sends one message to a client
+     */
+    send(client, type, fields) {
+        client.connection.send(encodeMessage(type, fields));
+    }
+
+    /**
+     * Handles a message from a client; refused messages get an error back
+     * @param {Object} client - Client record
+     * @param {string} text - Message text
+     */
+    handleMessage(client, text) {
+        try {
+            const message = parseMessage(text, CLIENT_MESSAGES);
+            if (message.type !== CLIENT_MESSAGES.JOIN && !client.name) {
+                throw new Error('Join the table first');
+            }
+
+            switch (message.type) {
+                case CLIENT_MESSAGES.JOIN:
+                    this.join(client, message.name);
+                    break;
+                case CLIENT_MESSAGES.SIT:
+                    this.sit(client, message.seat, message.autoMuck);
+                    break;
+                case CLIENT_MESSAGES.STAND:
+                    this.stand(client);
+                    break;
+                case CLIENT_MESSAGES.ACT:
+                    this.act(client, message.action, message.amount);
+                    break;
+            }
+        } catch (error) {
+            this.send(client, SERVER_MESSAGES.ERROR, { message: error.message });
+        }
+    }
+
+    /**
+     * Names a client and sends it the table
+     * @param {Object} client - Client record
+     * @param {string} name - Requested display name
+     */
+    join(client, name) {
+        if (client.name) {
+            throw new Error('You have already joined');
+        }
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Joining needs a name');
+        }
+        if (/[<>&"']/.test(name)) {
+            throw new Error('Names cannot contain < > & " or \'');
+        }
+
+        // Names identify players in the hand history and statistics, so they must be unique
+        const taken = new Set([...this.seats.map(p => p.name), ...[...this.clients].map(c => c.name)]);
+        const base = name.trim().slice(0, 20);
+        let unique = base;
+        for (let n = 2; taken.has(unique); n++) {
+            unique = `${base} (${n})`;
+        }
+        client.name = unique;
+
+        this.send(client, SERVER_MESSAGES.WELCOME, {
+            version: PROTOCOL_VERSION,
+            playerId: client.id,
+            name: unique,
+            table: {
+                seats: this.options.seats,
+                bigBlind: this.options.bigBlind,
+                startingChips: this.options.startingChips
+            }
+        });
+        this.sendState(client);
+    }
+
+    /**
+     * Reserves a seat for a client from the next hand
+     * @param {Object} client - Client record
+     * @param {number} seat - Seat index, or undefined for the first seat a bot holds
+     * @param {boolean} autoMuck - Muck hands that win nothing at showdown instead of showing them
+     */
+    sit(client, seat, autoMuck = false) {
+        if (client.seat !== null) {
+            throw new Error(`You are already in seat ${client.seat + 1}`);
+        }
+
+        const isFree = index => !this.reservations.has(index) &&
+            ![...this.clients].some(c => c.seat === index);
+        if (seat === undefined || seat === null) {
+            seat = this.seats.findIndex((player, index) => isFree(index));
+            if (seat === -1) {
+                throw new Error('Every seat is taken');
+            }
+        }
+        if (!Number.isInteger(seat) || seat < 0 || seat >= this.seats.length) {
+            throw new Error(`There is no seat ${seat}`);
+        }
+        if (!isFree(seat)) {
+            throw new Error(`Seat ${seat + 1} is taken`);
+        }
+
+        client.seat = seat;
+        client.autoMuck = !!autoMuck;
+        this.reservations.set(seat, client);
+        this.send(client, SERVER_MESSAGES.SEATED, { seat });
+        this.broadcastState();
+        this.scheduleHand(0);
+    }
+
+    /**
+     * Gives a client's seat back to a bot. A hand in progress folds for
+     * them when their turn comes.
+     * @param {Object} client - Client record
+     */
+    stand(client) {
+        if (client.seat === null) {
+            throw new Error('You are not seated');
+        }
+
+        this.reservations.delete(client.seat);
+        client.seat = null;
+        this.send(client, SERVER_MESSAGES.SEATED, { seat: null });
+        this.foldIfWaitingOn(client.player);
+        this.broadcastState();
+    }
+
+    /**
+     * Forgets a disconnected client, giving their seat back to a bot
+     * @param {Object} client - Client record
+     */
+    removeClient(client) {
+        this.clients.delete(client);
+        if (client.seat !== null) {
+            this.reservations.delete(client.seat);
+            client.seat = null;
+        }
+        this.foldIfWaitingOn(client.player);
+        this.broadcastState();
+    }
+
+    /**
+     * Plays a client's action when it is their turn
+     * @param {Object} client - Client record
+     * @param {string} action - One of ACTIONS
+     * @param {number} amount - Raise-to total for raises
+     */
+    act(client, action, amount) {
+        if (!this.isHandRunning || !client.player || this.engine.getCurrentPlayer() !== client.player) {
+            throw new Error('It is not your turn');
+        }
+        if (amount !== undefined && !Number.isInteger(amount)) {
+            throw new Error('Amounts must be whole chips');
+        }
+        if (!this.engine.processAction(action, amount || 0)) {
+            throw new Error(`You cannot ${action} now`);
+        }
+        this.afterAction();
+    }
+
+    /**
+     * Folds for a player who has left while the table waits on them
+     * @param {Object} player - The seated player, if any
+     */
+    foldIfWaitingOn(player) {
+        if (player && this.isHandRunning && this.engine.getCurrentPlayer() === player && !this.timer) {
+            this.engine.processAction(ACTIONS.FOLD);
+            this.afterAction();
+        }
+    }
+
+    /**
+     * Starts the next hand after a pause, if anyone is playing
+     * @param {number} delay - Milliseconds to wait
+     */
+    scheduleHand(delay) {
+        if (this.isHandRunning || this.timer) return;
+
+        const hasPlayers = this.reservations.size > 0 || [...this.clients].some(c => c.seat !== null);
+        if (!hasPlayers) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.startHand();
+        }, delay);
+    }
+
+    /**
+     * Seats players for the next hand: reserved seats go to their players,
+     * and seats left empty, busted or abandoned get a fresh bot. A client
+     * keeps their stack while connected; only a new arrival or a busted
+     * player sits down with the starting chips.
+     */
+    seatPlayers() {
+        for (const client of this.clients) {
+            if (client.player) {
+                client.chips = client.player.chips;
+            }
+        }
+
+        for (let seat = 0; seat < this.seats.length; seat++) {
+            const client = [...this.clients].find(c => c.seat === seat);
+
+            if (client && client.player !== this.seats[seat]) {
+                const chips = client.chips > 0 ? client.chips : this.options.startingChips;
+                client.player = createRemotePlayer(client.name, chips);
+                client.player.autoMuck = client.autoMuck;
+                client.clock = this.createClock();
+                this.seats[seat] = client.player;
+            } else if (client && client.player.chips <= 0) {
+                // Busted players stand up and may sit again with a new stack
+                this.send(client, SERVER_MESSAGES.SEATED, { seat: null });
+                client.seat = null;
+                client.player = null;
+                client.clock = null;
+                this.seats[seat] = this.createBot();
+            } else if (!client && (!this.seats[seat].isBot || this.seats[seat].chips <= 0)) {
+                this.seats[seat] = this.createBot();
+            }
+        }
+        this.reservations.clear();
+
+        for (const client of this.clients) {
+            if (client.seat === null) {
+                client.player = null;
+                client.clock = null;
+            }
+        }
+    }
+
+    /**
+     * Creates a decision clock for a newly seated player, if the table has one
+     */
+    createClock() {
+        const { decisionTime, timeBank } = this.options;
+        return decisionTime ? new ActionClock({ decisionTime, timeBank }) : null;
+    }
+
+    /**
+     * Deals a hand and plays it until a player has to act
+     */
+    startHand() {
+        this.seatPlayers();
+        if (![...this.clients].some(c => c.player)) {
+            this.broadcastState();
+            return;
+        }
+
+        this.engine.players = this.seats.slice();
+        this.engine.startNewHand();
+        this.isHandRunning = true;
+
+        for (const client of this.clients) {
+            if (client.player) {
+                this.sendHoleCards(client);
+            }
+        }
+        this.broadcastState();
+        this.playUntilHuman();
+    }
+
+    /**
+     * Plays bots and skips players who cannot act, until a remote player
+     * must act or the hand ends
+     */
+    playUntilHuman() {
+        if (this.engine.isHandComplete) {
+            this.finishHand();
+            return;
+        }
+
+        const player = this.engine.getCurrentPlayer();
+        if (!player || player.hasFolded || player.isAllIn) {
+            this.afterAdvance(this.engine.advance());
+            return;
+        }
+
+        if (player.isBot) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                const { action, amount } = player.decide(this.engine.getDecisionContext(player));
+                this.engine.processAction(action, amount);
+                this.afterAction();
+            }, this.options.botDelay);
+            return;
+        }
+
+        // A remote player who has left is folded
+        const client = [...this.clients].find(c => c.player === player);
+        if (!client || client.seat === null) {
+            this.engine.processAction(ACTIONS.FOLD);
+            this.afterAction();
+            return;
+        }
+
+        if (client.clock) {
+            this.startClock(client);
+        }
+    }
+
+    /**
+     * Times a remote player's decision, checking or folding for them when it runs out
+     * @param {Object} client - Client record of the player to act
+     */
+    startClock(client) {
+        this.clockedClient = client;
+        client.clock.start();
+        this.clockTimer = setTimeout(() => {
+            this.clockTimer = null;
+            const player = client.player;
+            this.engine.log(`${player.name} ran out of time`);
+            this.engine.processAction(getTimeoutAction(this.engine.getLegalActions(player)));
+            this.afterAction();
+        }, client.clock.getTimeLeft());
+    }
+
+    /**
+     * Stops the running decision clock, spending any time bank used
+     */
+    stopClock() {
+        clearTimeout(this.clockTimer);
+        this.clockTimer = null;
+        if (this.clockedClient) {
+            if (this.clockedClient.clock) {
+                this.clockedClient.clock.stop();
+            }
+            this.clockedClient = null;
+        }
+    }
+
+    /**
+     * Moves the hand on after an action and tells everyone
+     */
+    afterAction() {
+        this.stopClock();
+        this.afterAdvance(this.engine.advance());
+    }
+
+    /**
+     * Tells everyone about the new table and carries on playing
+     * @param {Object} result - Result of PokerEngine.advance
+     */
+    afterAdvance(result) {
+        this.broadcastState();
+        if (result.isHandComplete) {
+            this.finishHand();
+        } else {
+            this.playUntilHuman();
+        }
+    }
+
+    /**
+     * Ends the hand and deals the next one after a pause
+     */
+    finishHand() {
+        this.isHandRunning = false;
+        this.broadcastState();
+        this.scheduleHand(this.options.handDelay);
+    }
+
+    /**
+     * Sends a client their own hole cards
+     */
+    sendHoleCards(client) {
+        this.send(client, SERVER_MESSAGES.HOLE_CARDS, {
+            handNumber: this.engine.handNumber,
+            cards: client.player.holeCards.map(Cards.cardToCode)
+        });
+    }
+
+    /**
+     * Builds the table as one client may see it: nobody else's hole cards
+     * until they are shown down
+     * @param {Object} client - Client record
+     * @returns {Object} State message fields
+     */
+    getState(client) {
+        const engine = this.engine;
+        const inHand = this.engine.handNumber > 0;
+        const isShowdown = !this.isHandRunning && engine.phase === GAME_PHASES.SHOWDOWN;
+        const acting = this.isHandRunning ? engine.getCurrentPlayer() : null;
+        const actingClient = acting ? [...this.clients].find(c => c.player === acting) : null;
+        const clock = actingClient && actingClient.clock;
+        const seatOf = player => this.seats.indexOf(player);
+        // Mucked hands stay hidden; only the server's own hand record keeps them
+        const lastHand = engine.handHistory.hands[engine.handHistory.hands.length - 1];
+        const mucked = new Set(isShowdown && lastHand ? lastHand.showdown.filter(s => s.mucked).map(s => s.player) : []);
+
+        return {
+            handNumber: engine.handNumber,
+            phase: engine.phase,
+            pot: engine.pot,
+            currentBet: engine.currentBet,
+            communityCards: engine.communityCards.map(Cards.cardToCode),
+            dealerSeat: inHand ? seatOf(engine.getDealer()) : null,
+            actingSeat: acting ? seatOf(acting) : null,
+            // States go out just before the clock starts, when nothing has elapsed yet
+            clock: clock ? {
+                decisionTime: clock.decisionTime / 1000,
+                timeBank: clock.timeBank / 1000,
+                elapsed: clock.getElapsed()
+            } : null,
+            handComplete: !this.isHandRunning,
+            seats: this.seats.map((player, seat) => {
+                const inThisHand = inHand && engine.players.includes(player);
+                const reserved = this.reservations.get(seat);
+                return {
+                    seat,
+                    name: player.name,
+                    isBot: !!player.isBot,
+                    strategy: player.isBot ? { label: player.strategy.label, description: player.strategy.description } : null,
+                    chips: player.chips,
+                    bet: inThisHand ? player.totalBetThisRound : 0,
+                    hasFolded: inThisHand && player.hasFolded,
+                    isAllIn: inThisHand && player.isAllIn,
+                    hasCards: inThisHand && player.holeCards.length > 0,
+                    cards: isShowdown && inThisHand && !player.hasFolded && !mucked.has(player.name) ?
+                        player.holeCards.map(Cards.cardToCode) : null,
+                    reservedBy: reserved ? reserved.name : null
+                };
+            }),
+            winners: this.isHandRunning ? [] : engine.winners.map(w => ({
+                seat: seatOf(w.player),
+                name: w.player.name,
+                amount: w.amount,
+                hand: w.handInfo.replace(/^ with /, '')
+            })),
+            log: engine.gameLog.slice(-STATE_LOG_LINES),
+            you: client.seat === null ? null : {
+                seat: client.seat,
+                legalActions: acting && acting === client.player ? engine.getLegalActions(acting) : []
+            }
+        };
+    }
+
+    sendState(client) {
+        this.send(client, SERVER_MESSAGES.STATE, this.getState(client));
+    }
+
+    broadcastState() {
+        for (const client of this.clients) {
+            if (client.name) {
+                this.sendState(client);
+            }
+        }
+    }
+
+    /**
+     * Stops the table's timers
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.stopClock();
+    }
+}
+
+/**
+ * Tells whether a file may be served: one of the game's pages, or a file
+ * under its stylesheet and script folders
+ * @param {string} filePath - Absolute path of the requested file
+ */
+function isPublicFile(filePath) {
+    const relative = path.relative(STATIC_ROOT, filePath);
+    return STATIC_PAGES.includes(relative) ||
+        STATIC_DIRS.some(dir => relative.startsWith(dir + path.sep));
+}
+
+/**
+ * Serves the game's pages, stylesheets and scripts from the repository root
+ * @param {Object} request - http.IncomingMessage
+ * @param {Object} response - http.ServerResponse
+ */
+function serveStatic(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        // A malformed escape must not take the table down with it
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const filePath = path.join(STATIC_ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (request.method !== 'GET' || !isPublicFile(filePath)) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+/**
+ * Starts an HTTP and WebSocket server for one table
+ * @param {Object} options - TableServer options, plus port (0 picks a free one)
+ * @returns {Promise} Resolves with { server, table, port } once listening
+ */
+function startTableServer(options = {}) {
+    const table = new TableServer(options);
+    const server = http.createServer(serveStatic);
+    attachWebSocketServer(server, connection => table.addConnection(connection));
+    server.on('close', () => table.stop());
+
+    return new Promise(resolve => {
+        server.listen(options.port === undefined ? 8080 : options.port, () => {
+            resolve({ server, table, port: server.address().port });
+        });
+    });
+}
+
+if (require.main === module) {
+    const args = Object.fromEntries(process.argv.slice(2)
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => arg.slice(2).split('=')));
+
+    startTableServer({
+        port: args.port ? parseInt(args.port) : 8080,
+        seats: args.seats ? parseInt(args.seats) : undefined,
+        startingChips: args.chips ? parseInt(args.chips) : undefined,
+        bigBlind: args['big-blind'] ? parseInt(args['big-blind']) : undefined,
+        botStrategy: args.bots,
+        decisionTime: args['decision-time'] ? parseFloat(args['decision-time']) : undefined,
+        timeBank: args['time-bank'] ? parseFloat(args['time-bank']) : undefined,
+        seed: args.seed
+    }).then(({ port }) => {
+        console.log(`Table open at http://localhost:${port}/ (WebSocket ws://localhost:${port})`);
+    });
+}
+
+module.exports = {
+    TableServer,
+    startTableServer
+};
@@ -0,0 +1,352 @@
+/**
+ * Minimal WebSocket (RFC 6455) support for the table server
+ * Upgrades Node HTTP connections, reads and writes text frames, answers
+ * pings and closes cleanly. Also connects to a server as a client, which
+ * the tests and scripted players use.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+// Appended to the client's key to prove the server speaks WebSocket
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+// Table messages are small; anything bigger than this is refused
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const CLOSE_CODES = {
+    NORMAL: 1000,
+    PROTOCOL_ERROR: 1002,
+    TOO_BIG: 1009
+};
+
+/**
+ * Computes the Sec-WebSocket-Accept answer to a handshake key
+ * @param {string} key - The client's Sec-WebSocket-Key
+ * @returns {string} Base64 SHA-1 of the key and the handshake GUID
+ */
+function getAcceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encodes one unfragmented frame
+ * @param {string|Buffer} payload - Frame payload
+ * @param {number} opcode - One of OPCODES
+ * @param {boolean} mask - Whether to mask the payload, as clients must
+ * @returns {Buffer} The frame
+ */
+function encodeFrame(payload, opcode = OPCODES.TEXT, mask = false) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    let header;
+
+    if (data.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = data.length;
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+
+    if (!mask) {
+        return Buffer.concat([header, data]);
+    }
+
+    header[1] |= 0x80;
+    const key = crypto.randomBytes(4);
+    const masked = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+        masked[i] = data[i] ^ key[i % 4];
+    }
+    return Buffer.concat([header, key, masked]);
+}
+
+/**
+ * Collects bytes from a socket and splits them into frames
+ */
+class FrameParser {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Adds received bytes and takes out every complete frame
+     * @param {Buffer} chunk - Bytes from the socket
+     * @returns {Array} Frames: { fin, opcode, masked, payload }
+     */
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        const frames = [];
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) break;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) break;
+                const longLength = this.buffer.readBigUInt64BE(2);
+                if (longLength > BigInt(MAX_MESSAGE_BYTES)) {
+                    throw new Error('WebSocket frame is too big');
+                }
+                length = Number(longLength);
+                offset = 10;
+            }
+            if (length > MAX_MESSAGE_BYTES) {
+                throw new Error('WebSocket frame is too big');
+            }
+
+            const keyLength = masked ? 4 : 0;
+            if (this.buffer.length < offset + keyLength + length) break;
+
+            const payload = Buffer.from(this.buffer.subarray(offset + keyLength, offset + keyLength + length));
+            if (masked) {
+                const key = this.buffer.subarray(offset, offset + 4);
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= key[i % 4];
+                }
+            }
+
+            frames.push({ fin, opcode, masked, payload });
+            this.buffer = this.buffer.subarray(offset + keyLength + length);
+        }
+
+        return frames;
+    }
+}
+
+/**
+ * One open WebSocket. Emits 'message' with each text message and 'close'
+ * once the connection is gone.
+ */
+class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {Object} socket - The upgraded net.Socket
+     * @param {boolean} isClient - Client side masks what it sends; the server side requires masked frames
+     */
+    constructor(socket, isClient = false) {
+        super();
+        this.socket = socket;
+        this.isClient = isClient;
+        this.parser = new FrameParser();
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        this.isOpen = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.receive(chunk));
+        // A peer that drops without a close frame still ends the connection
+        socket.on('end', () => socket.end());
+        socket.on('close', () => this.handleClosed());
+        socket.on('error', () => this.handleClosed());
+    }
+
+    /**
+     * Sends a text message
+     * @param {string} text - Message text
+     */
+    send(text) {
+        if (this.isOpen) {
+            this.socket.write(encodeFrame(text, OPCODES.TEXT, this.isClient));
+        }
+    }
+
+    /**
+     * Starts the closing handshake
+     * @param {number} code - Close code from CLOSE_CODES
+     * @param {string} reason - Short reason for the other side
+     */
+    close(code = CLOSE_CODES.NORMAL, reason = '') {
+        if (!this.isOpen) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.write(encodeFrame(payload, OPCODES.CLOSE, this.isClient));
+        this.isOpen = false;
+        this.socket.end();
+    }
+
+    /**
+     * Handles received bytes: control frames are answered, text is reassembled
+     * @param {Buffer} chunk - Bytes from the socket
+     */
+    receive(chunk) {
+        // Nothing more is read once either side has started closing
+        if (!this.isOpen) return;
+
+        let frames;
+        try {
+            frames = this.parser.push(chunk);
+        } catch (error) {
+            this.close(CLOSE_CODES.TOO_BIG, error.message);
+            return;
+        }
+
+        for (const frame of frames) {
+            if (!this.isOpen) return;
+            if (!this.isClient && !frame.masked) {
+                this.close(CLOSE_CODES.PROTOCOL_ERROR, 'Client frames must be masked');
+                return;
+            }
+
+            switch (frame.opcode) {
+                case OPCODES.PING:
+                    this.socket.write(encodeFrame(frame.payload, OPCODES.PONG, this.isClient));
+                    break;
+                case OPCODES.PONG:
+                    break;
+                case OPCODES.CLOSE:
+                    if (this.isOpen) {
+                        this.socket.write(encodeFrame(frame.payload.subarray(0, 2), OPCODES.CLOSE, this.isClient));
+                        this.isOpen = false;
+                    }
+                    this.socket.end();
+                    return;
+                case OPCODES.TEXT:
+                case OPCODES.CONTINUATION:
+                    // The limit holds for the whole message, not just each of its frames
+                    this.fragmentBytes += frame.payload.length;
+                    if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+                        this.fragments = [];
+                        this.close(CLOSE_CODES.TOO_BIG, 'WebSocket message is too big');
+                        return;
+                    }
+                    this.fragments.push(frame.payload);
+                    if (frame.fin) {
+                        const text = Buffer.concat(this.fragments).toString('utf8');
+                        this.fragments = [];
+                        this.fragmentBytes = 0;
+                        this.emit('message', text);
+                    }
+                    break;
+                default:
+                    this.close(CLOSE_CODES.PROTOCOL_ERROR, 'Only text messages are supported');
+                    return;
+            }
+        }
+    }
+
+    handleClosed() {
+        if (this.closed) return;
+        this.closed = true;
+        this.isOpen = false;
+        this.emit('close');
+    }
+}
+
+/**
+ * Checks that a browser opened the connection from a page this server
+ * served. Browsers send the page's Origin; other clients send none.
+ * @param {Object} request - The upgrade request
+ * @returns {boolean} Whether the origin may connect
+ */
+function isAllowedOrigin(request) {
+    const origin = request.headers.origin;
+    if (origin === undefined) return true;
+
+    try {
+        return new URL(origin).host === request.headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Accepts WebSocket upgrades on an HTTP server, refusing pages from other sites
+ * @param {Object} server - http.Server
+ * @param {Function} onConnection - Called with each WebSocketConnection and its request
+ */
+function attachWebSocketServer(server, onConnection) {
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (!isAllowedOrigin(request)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${getAcceptKey(key)}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        onConnection(new WebSocketConnection(socket), request);
+    });
+}
+
+/**
+ * Opens a client connection to a WebSocket server
+ * @param {string} url - Address like "ws://localhost:8080"
+ * @returns {Promise} Resolves with the open WebSocketConnection
+ */
+function connectWebSocket(url) {
+    const { hostname, port, pathname, search } = new URL(url);
+    const key = crypto.randomBytes(16).toString('base64');
+
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            hostname,
+            port,
+            path: pathname + search,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        request.on('upgrade', (response, socket) => {
+            if (response.headers['sec-websocket-accept'] !== getAcceptKey(key)) {
+                socket.destroy();
+                reject(new Error('The server did not accept the WebSocket handshake'));
+                return;
+            }
+            resolve(new WebSocketConnection(socket, true));
+        });
+        request.on('response', response => reject(new Error(`Expected a WebSocket upgrade, got HTTP ${response.statusCode}`)));
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+module.exports = {
+    OPCODES,
+    CLOSE_CODES,
+    getAcceptKey,
+    encodeFrame,
+    FrameParser,
+    WebSocketConnection,
+    attachWebSocketServer,
+    connectWebSocket
+};
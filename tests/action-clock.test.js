@@ -0,0 +1,80 @@
+/**
+ * Decision clock: the countdown, spending the time bank, timing out and formatting
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CLOCK_PHASES, ActionClock, getTimeoutAction, formatTimeLeft } = require('../js/action-clock.js');
+
+/**
+ * A clock whose time only moves when the test says so
+ */
+function createClock(options) {
+    let time = 0;
+    const clock = new ActionClock({ ...options, now: () => time });
+    clock.wait = seconds => { time += seconds * 1000; };
+    return clock;
+}
+
+test('counts down the decision, then the time bank, then expires', () => {
+    const clock = createClock({ decisionTime: 10, timeBank: 20 });
+    assert.strictEqual(clock.isRunning(), false);
+
+    clock.start();
+    clock.wait(4);
+    assert.deepStrictEqual(clock.getStatus(), { phase: CLOCK_PHASES.DECISION, remaining: 6000, bank: 20000 });
+    assert.strictEqual(clock.getTimeLeft(), 26000);
+
+    clock.wait(11);
+    assert.deepStrictEqual(clock.getStatus(), { phase: CLOCK_PHASES.TIME_BANK, remaining: 15000, bank: 15000 });
+    assert.strictEqual(clock.getTimeLeft(), 15000);
+
+    clock.wait(15);
+    assert.deepStrictEqual(clock.getStatus(), { phase: CLOCK_PHASES.EXPIRED, remaining: 0, bank: 0 });
+    assert.strictEqual(clock.getTimeLeft(), 0);
+});
+
+test('spends only the bank time used and keeps the rest for later decisions', () => {
+    const clock = createClock({ decisionTime: 10, timeBank: 20 });
+
+    // Acting within the decision time costs nothing
+    clock.start();
+    clock.wait(9);
+    clock.stop();
+    assert.strictEqual(clock.timeBank, 20000);
+    assert.strictEqual(clock.isRunning(), false);
+
+    clock.start();
+    clock.wait(16);
+    assert.strictEqual(clock.stop().phase, CLOCK_PHASES.TIME_BANK);
+    assert.strictEqual(clock.timeBank, 14000);
+
+    // The next decision gets the full decision time again, and what is left of the bank
+    clock.start();
+    assert.strictEqual(clock.getTimeLeft(), 24000);
+});
+
+test('picks up a decision already under way', () => {
+    const clock = createClock({ decisionTime: 10, timeBank: 5 });
+    clock.start(12000);
+    assert.deepStrictEqual(clock.getStatus(), { phase: CLOCK_PHASES.TIME_BANK, remaining: 3000, bank: 3000 });
+    assert.strictEqual(clock.getElapsed(), 12000);
+});
+
+test('checks when it is free and folds otherwise on a timeout', () => {
+    assert.strictEqual(getTimeoutAction([{ action: 'fold' }, { action: 'check' }, { action: 'raise' }]), 'check');
+    assert.strictEqual(getTimeoutAction([{ action: 'fold' }, { action: 'call', amount: 20 }]), 'fold');
+});
+
+test('formats the time left in whole seconds', () => {
+    assert.strictEqual(formatTimeLeft(12000), '12s');
+    assert.strictEqual(formatTimeLeft(11200), '12s');
+    assert.strictEqual(formatTimeLeft(65000), '1:05');
+    assert.strictEqual(formatTimeLeft(0), '0s');
+});
+
+test('needs a positive decision time', () => {
+    assert.throws(() => new ActionClock({ decisionTime: 0 }), /positive decision time/);
+    assert.throws(() => new ActionClock({ decisionTime: 10, timeBank: -1 }), /time bank of zero or more/);
+    assert.strictEqual(new ActionClock({ decisionTime: 10 }).timeBank, 0);
+});
@@ -0,0 +1,140 @@
+/**
+ * Bot bet sizing: chip rounding, raise-to totals and the standard sizes by street
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BetSizing = require('../js/bet-sizing.js');
+const BotAI = require('../js/bot-ai.js');
+const { createRng } = require('../js/random.js');
+const { PokerEngine, ACTIONS } = require('../js/poker-engine.js');
+
+/**
+ * Builds a 10/20 decision context for Hero against one opponent
+ * @param {Object} spot - Overrides: phase, pot, toCall, currentBet, committed, stack, position, history
+ */
+function createContext(spot) {
+    const context = {
+        name: 'Hero',
+        phase: 'preflop',
+        pot: 30,
+        toCall: 20,
+        currentBet: 20,
+        committed: 0,
+        stack: 2000,
+        smallBlind: 10,
+        bigBlind: 20,
+        position: 0,
+        history: [],
+        ...spot
+    };
+    const stackTotal = context.committed + context.stack;
+    context.legalActions = [
+        { action: 'fold' },
+        { action: 'raise', min: Math.min(stackTotal, context.currentBet + (spot.minRaise || 20)), max: stackTotal }
+    ];
+    context.players = [
+        { name: 'Hero', chips: context.stack, committed: context.committed, hasFolded: false },
+        { name: 'Villain', chips: spot.villainStack || 2000, committed: context.currentBet, hasFolded: false }
+    ];
+    return context;
+}
+
+test('rounds to the biggest chip that fits in the small blind', () => {
+    assert.strictEqual(BetSizing.getChipUnit(10), 5);
+    assert.strictEqual(BetSizing.getChipUnit(15), 5);
+    assert.strictEqual(BetSizing.getChipUnit(25), 25);
+    assert.strictEqual(BetSizing.getChipUnit(1), 1);
+    assert.strictEqual(BetSizing.getChipUnit(150), 100);
+    assert.strictEqual(BetSizing.roundToChips(57.5, 5), 60);
+    assert.strictEqual(BetSizing.roundToChips(112, 25), 100);
+});
+
+test('turns pot fractions, big blinds and totals into legal raise-to amounts', () => {
+    const flop = createContext({ phase: 'flop', pot: 200, toCall: 0, currentBet: 0 });
+
+    assert.strictEqual(BetSizing.sizeBet(flop, { potFraction: 0.66 }), 130);
+    assert.strictEqual(BetSizing.sizeBet(flop, { bigBlinds: 3 }), 60);
+    assert.strictEqual(BetSizing.sizeBet(flop, { to: 5 }), 20);
+
+    // Facing a bet, a pot-sized raise is the pot after calling on top of the bet
+    const facingBet = createContext({ phase: 'flop', pot: 300, toCall: 100, currentBet: 100, minRaise: 100 });
+    assert.strictEqual(BetSizing.sizeBet(facingBet, { potFraction: 1 }), 500);
+
+    assert.throws(() => BetSizing.sizeBet(flop, { fraction: 0.5 }), /needs a to, potFraction or bigBlinds/);
+    assert.strictEqual(BetSizing.sizeBet({ ...flop, legalActions: [{ action: 'check' }] }, { potFraction: 0.5 }), null);
+});
+
+test('goes all in rather than leave too little behind to fold', () => {
+    const short = createContext({ phase: 'turn', pot: 400, toCall: 0, currentBet: 0, stack: 300 });
+
+    // Betting 260 would leave 40 behind with a pot of 660
+    assert.strictEqual(BetSizing.sizeBet(short, { potFraction: 0.66 }), 300);
+    assert.ok(BetSizing.getStackToPotRatio(short) < 1);
+});
+
+test('opens, 3-bets and 4-bets to standard sizes', () => {
+    assert.strictEqual(BetSizing.getStandardRaise(createContext({})), 50);
+
+    const limped = createContext({
+        position: 2,
+        pot: 70,
+        toCall: 0,
+        committed: 20,
+        history: [
+            { street: 'preflop', player: 'A', action: 'call' },
+            { street: 'preflop', player: 'B', action: 'call' }
+        ]
+    });
+    assert.strictEqual(BetSizing.getStandardRaise(limped), 90);
+
+    // A straddle is the price to play, so the open is sized from it rather than the big blind
+    const straddled = createContext({ pot: 70, toCall: 40, currentBet: 40, minRaise: 40 });
+    assert.strictEqual(BetSizing.getStandardRaise(straddled), 100);
+
+    const opened = [{ street: 'preflop', player: 'Villain', action: 'raise', total: 60 }];
+    const onButton = createContext({ pot: 90, toCall: 60, currentBet: 60, minRaise: 40, history: opened });
+    assert.strictEqual(BetSizing.getStandardRaise(onButton), 180);
+    const inBigBlind = createContext({ pot: 90, toCall: 40, currentBet: 60, committed: 20, minRaise: 40, position: 2, history: opened });
+    assert.strictEqual(BetSizing.getStandardRaise(inBigBlind), 210);
+
+    const threeBet = [...opened, { street: 'preflop', player: 'Hero', action: 'raise', total: 180 },
+        { street: 'preflop', player: 'Villain', action: 'raise', total: 540 }];
+    const fourBet = createContext({ pot: 750, toCall: 360, currentBet: 540, committed: 180, minRaise: 360, history: threeBet });
+    assert.strictEqual(BetSizing.getStandardRaise(fourBet), 1215);
+});
+
+test('sizes c-bets by stack-to-pot ratio and later bets by street', () => {
+    const raisedPreflop = [{ street: 'preflop', player: 'Hero', action: 'raise', total: 60 }];
+    const deep = createContext({ phase: 'flop', pot: 130, toCall: 0, currentBet: 0, history: raisedPreflop });
+    assert.strictEqual(BetSizing.getStandardRaise(deep), 45);
+
+    const shallow = createContext({ phase: 'flop', pot: 400, toCall: 0, currentBet: 0, stack: 1500, history: raisedPreflop });
+    assert.strictEqual(BetSizing.getStandardRaise(shallow), 200);
+
+    assert.strictEqual(BetSizing.getStandardRaise(createContext({ phase: 'turn', pot: 300, toCall: 0, currentBet: 0 })), 200);
+    assert.strictEqual(BetSizing.getStandardRaise(createContext({ phase: 'river', pot: 300, toCall: 0, currentBet: 0 })), 225);
+
+    // Raising a bet: three times its size
+    const facingBet = createContext({ phase: 'turn', pot: 400, toCall: 100, currentBet: 100, minRaise: 100 });
+    assert.strictEqual(BetSizing.getStandardRaise(facingBet), 300);
+});
+
+test('built-in bots raise to real totals when facing a big bet', () => {
+    const players = BotAI.createBots(3, 'easy', 2000, createRng('sizing'));
+    const engine = new PokerEngine(players, 20, { seed: 'sizing', silent: true });
+    engine.startNewHand();
+
+    // The button opens big; whatever the blinds raise to must clear the minimum re-raise
+    assert.ok(engine.processAction(ACTIONS.RAISE, 300));
+    engine.advance();
+
+    for (let i = 0; i < 20; i++) {
+        const bot = engine.getCurrentPlayer();
+        const decision = bot.decide(engine.getDecisionContext(bot));
+        if (decision.action === ACTIONS.RAISE) {
+            assert.ok(decision.amount >= 580, `raised to ${decision.amount}`);
+            assert.strictEqual(decision.amount % 5, 0);
+        }
+    }
+});
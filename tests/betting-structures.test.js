@@ -0,0 +1,119 @@
+/**
+ * No Limit, Pot Limit and Fixed Limit raise sizing in the poker engine
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PokerEngine = require('../js/poker-engine.js');
+const BettingStructures = require('../js/betting-structures.js');
+const { createPlayer, createEngine } = require('./helpers.js');
+
+const { ACTIONS, GAME_PHASES } = PokerEngine;
+const { BETTING_STRUCTURES, createBettingStructure } = BettingStructures;
+
+/**
+ * Starts a four-handed hand with 10/20 blinds; the first to act is under the gun
+ */
+function startHand(type, stacks = [1000, 1000, 1000, 1000], forcedBets) {
+    const players = stacks.map((chips, i) => createPlayer(`P${i + 1}`, chips));
+    const engine = createEngine(players, {
+        seed: 'structures',
+        bettingStructure: createBettingStructure(type),
+        forcedBets
+    });
+    engine.startNewHand();
+    return engine;
+}
+
+function act(engine, action, amount) {
+    const accepted = engine.processAction(action, amount);
+    if (accepted) engine.advance();
+    return accepted;
+}
+
+test('no limit allows any raise from a min-raise up to the stack', () => {
+    const engine = startHand(BETTING_STRUCTURES.NO_LIMIT);
+
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 40, max: 1000 });
+    assert.strictEqual(engine.processAction(ACTIONS.RAISE, 30), false);
+    assert.strictEqual(act(engine, ACTIONS.RAISE, 100), true);
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 180, max: 1000 });
+});
+
+test('pot limit caps a raise at the pot after calling', () => {
+    const engine = startHand(BETTING_STRUCTURES.POT_LIMIT);
+
+    // Pot 30, call 20 makes 50, so the pot raise is to 70
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 40, max: 70 });
+    assert.strictEqual(engine.processAction(ACTIONS.RAISE, 80), false);
+    assert.strictEqual(engine.processAction(ACTIONS.ALL_IN), false);
+    assert.strictEqual(act(engine, ACTIONS.RAISE, 70), true);
+
+    // Pot 100, call 70 makes 170, so the pot re-raise is to 240
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 120, max: 240 });
+});
+
+test('pot limit allows an all-in that fits inside a pot-sized raise', () => {
+    // The button moves to seat 2 for the first hand, leaving seat 1 under the gun
+    const engine = startHand(BETTING_STRUCTURES.POT_LIMIT, [60, 1000, 1000, 1000]);
+
+    assert.strictEqual(engine.getCurrentPlayer().name, 'P1');
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 40, max: 60 });
+    assert.strictEqual(engine.processAction(ACTIONS.ALL_IN), true);
+});
+
+test('fixed limit uses the small bet before the turn and the big bet after', () => {
+    const engine = startHand(BETTING_STRUCTURES.FIXED_LIMIT);
+
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 40, max: 40 });
+    assert.strictEqual(engine.processAction(ACTIONS.RAISE, 60), false);
+
+    engine.advancePhase();
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+    assert.strictEqual(engine.betsThisRound, 0);
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 20, max: 20 });
+
+    engine.advancePhase();
+    assert.strictEqual(engine.phase, GAME_PHASES.TURN);
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 40, max: 40 });
+});
+
+test('fixed limit caps betting at four bets per street', () => {
+    const engine = startHand(BETTING_STRUCTURES.FIXED_LIMIT);
+
+    assert.strictEqual(act(engine, ACTIONS.RAISE, 40), true);
+    assert.strictEqual(act(engine, ACTIONS.RAISE, 60), true);
+    assert.strictEqual(act(engine, ACTIONS.RAISE, 80), true);
+
+    assert.strictEqual(engine.getRaiseLimits(), null);
+    assert.strictEqual(engine.processAction(ACTIONS.RAISE, 100), false);
+    assert.strictEqual(engine.processAction(ACTIONS.ALL_IN), false);
+    assert.strictEqual(engine.processAction(ACTIONS.CALL), true);
+});
+
+test('fixed limit counts a straddle towards the cap and reopens on each raise after it', () => {
+    const engine = startHand(BETTING_STRUCTURES.FIXED_LIMIT, undefined, { straddle: PokerEngine.STRADDLES.UTG });
+
+    // The straddle is the second bet, so the button raises by one small bet
+    assert.strictEqual(engine.getCurrentPlayer().name, 'P2');
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 60, max: 60 });
+    assert.strictEqual(act(engine, ACTIONS.RAISE, 60), true);
+    assert.strictEqual(engine.betsThisRound, 3);
+    assert.strictEqual(act(engine, ACTIONS.RAISE, 80), true);
+    assert.strictEqual(engine.betsThisRound, 4);
+
+    assert.strictEqual(engine.getRaiseLimits(), null);
+    assert.strictEqual(act(engine, ACTIONS.CALL), true);
+    assert.strictEqual(act(engine, ACTIONS.CALL), true);
+
+    // The button raised before the cap and must still call the last raise
+    assert.strictEqual(engine.getCurrentPlayer().name, 'P2');
+    assert.strictEqual(engine.getRaiseLimits(), null);
+    assert.strictEqual(act(engine, ACTIONS.CALL), true);
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+    assert.strictEqual(engine.pot, 320);
+});
+
+test('rejects unknown structures', () => {
+    assert.throws(() => createBettingStructure('spread-limit'), /Unknown betting structure/);
+});
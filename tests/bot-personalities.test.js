@@ -0,0 +1,85 @@
+/**
+ * Bot personalities: registration, their parameters and how differently they play
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BotAI = require('../js/bot-ai.js');
+const { BOT_PERSONALITIES, registerPersonality, describePersonality } = require('../js/bot-personalities.js');
+const { createRng } = require('../js/random.js');
+const { BotSimulation } = require('../js/simulation.js');
+const { cards } = require('./helpers.js');
+
+function preflopContext(hole, toCall) {
+    return {
+        name: 'Hero',
+        holeCards: cards(hole),
+        communityCards: [],
+        phase: 'preflop',
+        pot: 30 + toCall,
+        toCall,
+        currentBet: 20 + toCall,
+        committed: 20,
+        stack: 980,
+        smallBlind: 10,
+        bigBlind: 20,
+        legalActions: [
+            { action: 'fold' },
+            { action: 'call', amount: toCall },
+            { action: 'raise', min: 20 + toCall * 2, max: 1000 }
+        ],
+        players: []
+    };
+}
+
+test('registers each personality as a strategy carrying its parameters', () => {
+    for (const profile of Object.values(BOT_PERSONALITIES)) {
+        const strategy = BotAI.getStrategy(profile.id);
+        assert.strictEqual(strategy.label, profile.label);
+        assert.strictEqual(strategy.personality.aggression, profile.aggression);
+    }
+    assert.strictEqual(describePersonality(BOT_PERSONALITIES.TAG),
+        'Plays 20% of hands · aggression 70% · bluffs 15% · bets 66% pot');
+
+    assert.throws(() => registerPersonality({ id: 'broken', rangeWidth: 0.3, aggression: 0.5, bluffFrequency: 0.1 }),
+        /Personality "broken" needs a betSizing of 0 or more/);
+
+    const custom = registerPersonality({
+        id: 'test-rock', label: 'Rock', description: 'Never bluffs',
+        rangeWidth: 0.05, aggression: 0.2, bluffFrequency: 0, betSizing: 0.5
+    });
+    assert.strictEqual(BotAI.getStrategy('test-rock'), custom);
+});
+
+test('a nit folds hands a calling station plays', () => {
+    const nit = new BotAI.BotPlayer('Nit', 'nit', 1000, createRng('nit'));
+    const station = new BotAI.BotPlayer('Station', 'calling-station', 1000, createRng('station'));
+    const context = preflopContext('Kc 8d', 40);
+
+    assert.strictEqual(nit.decide(context).action, 'fold');
+    assert.strictEqual(station.decide(context).action, 'call');
+    assert.notStrictEqual(nit.decide(preflopContext('As Ad', 40)).action, 'fold');
+});
+
+test('bets are sized as the personality\'s share of the pot', () => {
+    const maniac = new BotAI.BotPlayer('Maniac', 'maniac', 1000, createRng('maniac'));
+    const decision = maniac.decide(preflopContext('As Ad', 40));
+
+    // A pot-sized raise: the 110 the pot would hold after calling 40, on top of the 60 bet
+    assert.deepStrictEqual(decision, { action: 'raise', amount: 170 });
+});
+
+test('a mixed table plays in clearly different styles', () => {
+    const report = new BotSimulation({
+        seats: ['tag', 'calling-station', 'maniac', 'nit'],
+        hands: 300,
+        seed: 'personalities'
+    }).run();
+    const group = label => report.groups.find(g => g.label === label);
+
+    assert.ok(group('Maniac').vpip.rate > group('TAG').vpip.rate);
+    assert.ok(group('Calling Station').vpip.rate > group('TAG').vpip.rate);
+    assert.ok(group('TAG').vpip.rate > group('Nit').vpip.rate);
+    assert.ok(group('Maniac').pfr.rate > group('Calling Station').pfr.rate);
+    assert.ok(group('TAG').pfr.rate > group('Calling Station').pfr.rate);
+});
@@ -0,0 +1,120 @@
+/**
+ * Pluggable bot strategies: the registry, the decision context and action validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BotAI = require('../js/bot-ai.js');
+const { createRng } = require('../js/random.js');
+const { ACTIONS } = require('../js/poker-engine.js');
+const { createEngine } = require('./helpers.js');
+
+function startHand(players) {
+    const engine = createEngine(players, { seed: 'strategies' });
+    engine.startNewHand();
+    return engine;
+}
+
+test('registers strategies and seats bots with them', () => {
+    const calls = [];
+    BotAI.registerStrategy({
+        id: 'test-caller',
+        label: 'Caller',
+        decide(context, bot) {
+            calls.push(bot.name);
+            return { action: 'call' };
+        }
+    });
+
+    assert.deepStrictEqual(BotAI.getStrategies().slice(0, 3).map(s => s.label), ['Easy', 'Medium', 'Hard']);
+    assert.strictEqual(BotAI.getStrategy('test-caller').label, 'Caller');
+    assert.throws(() => BotAI.getStrategy('genius'), /Unknown bot strategy "genius"/);
+    assert.throws(() => BotAI.registerStrategy({ id: 'no-decide' }), /decide/);
+
+    const rng = createRng('strategies');
+    const bots = BotAI.createBots(3, ['hard', 'test-caller', 'hard'], 1000, rng);
+    assert.deepStrictEqual(bots.map(b => b.strategy.id), ['hard', 'test-caller', 'hard']);
+
+    // Three-handed the button, in the second seat, acts first
+    const engine = startHand(bots);
+    const bot = engine.getCurrentPlayer();
+    assert.strictEqual(bot.strategy.id, 'test-caller');
+    assert.deepStrictEqual(bot.decide(engine.getDecisionContext(bot)), { action: ACTIONS.CALL, amount: 0 });
+    assert.deepStrictEqual(calls, [bot.name]);
+});
+
+test('names every bot apart from the players already seated', () => {
+    const taken = BotAI.BOT_NAMES.slice(0, 5);
+    const bots = BotAI.createBots(5, 'easy', 1000, createRng('names'), taken);
+    const names = bots.map(b => b.name);
+
+    assert.strictEqual(new Set(names).size, 5);
+    assert.ok(names.every(name => !taken.includes(name)));
+});
+
+test('the decision context is read-only and hides the other hands', () => {
+    const bots = BotAI.createBots(3, 'easy', 1000, createRng('context'));
+    const engine = startHand(bots);
+    const player = engine.getCurrentPlayer();
+    const context = engine.getDecisionContext(player);
+
+    assert.strictEqual(context.name, player.name);
+    assert.strictEqual(context.holeCards.length, 2);
+    assert.strictEqual(context.toCall, 20);
+    assert.strictEqual(context.position, 0);
+    assert.deepStrictEqual(context.legalActions, [
+        { action: ACTIONS.FOLD },
+        { action: ACTIONS.CALL, amount: 20 },
+        { action: ACTIONS.RAISE, min: 40, max: 1000 },
+        { action: ACTIONS.ALL_IN, amount: 1000 }
+    ]);
+    assert.deepStrictEqual(context.history.map(a => a.action), ['small_blind', 'big_blind']);
+    assert.ok(context.players.every(p => !('holeCards' in p)));
+
+    assert.ok(Object.isFrozen(context));
+    assert.throws(() => { 'use strict'; context.players[0].chips = 0; }, TypeError);
+    assert.throws(() => { 'use strict'; context.holeCards.pop(); }, TypeError);
+    assert.strictEqual(engine.players[0].chips, bots[0].chips);
+});
+
+test('validates decisions against the legal actions', () => {
+    const facingBet = {
+        legalActions: [
+            { action: 'fold' },
+            { action: 'call', amount: 20 },
+            { action: 'raise', min: 40, max: 500 },
+            { action: 'all_in', amount: 500 }
+        ]
+    };
+    const checkedTo = { legalActions: [{ action: 'check' }] };
+
+    assert.deepStrictEqual(BotAI.validateAction(facingBet, { action: 'raise', amount: 25 }), { action: 'raise', amount: 40 });
+    assert.deepStrictEqual(BotAI.validateAction(facingBet, { action: 'bet', amount: 900 }), { action: 'raise', amount: 500 });
+    assert.deepStrictEqual(BotAI.validateAction(facingBet, { action: 'raise', amount: 123.7 }), { action: 'raise', amount: 123 });
+    assert.deepStrictEqual(BotAI.validateAction(facingBet, { action: 'check' }), { action: 'fold', amount: 0 });
+    assert.deepStrictEqual(BotAI.validateAction(facingBet, { action: 'all_in' }), { action: 'all_in', amount: 0 });
+
+    assert.deepStrictEqual(BotAI.validateAction(checkedTo, { action: 'fold' }), { action: 'check', amount: 0 });
+    assert.deepStrictEqual(BotAI.validateAction(checkedTo, { action: 'raise', amount: 100 }), { action: 'check', amount: 0 });
+    assert.deepStrictEqual(BotAI.validateAction(checkedTo, { action: 'all_in' }), { action: 'check', amount: 0 });
+    assert.throws(() => BotAI.validateAction(checkedTo, { action: 'shove' }), /Unknown bot action "shove"/);
+});
+
+test('built-in strategies play whole hands through the engine', () => {
+    const bots = BotAI.createBots(4, ['easy', 'medium', 'hard', 'hard'], 1000, createRng('built-in'));
+    const engine = createEngine(bots, { seed: 'built-in' });
+
+    for (let hand = 0; hand < 20; hand++) {
+        engine.startNewHand();
+        while (!engine.isHandComplete) {
+            const player = engine.getCurrentPlayer();
+            if (!player.hasFolded && !player.isAllIn) {
+                const { action, amount } = player.decide(engine.getDecisionContext(player));
+                assert.ok(engine.processAction(action, amount), `${player.name} ${action} ${amount}`);
+            }
+            engine.advance();
+        }
+    }
+
+    assert.strictEqual(bots.reduce((sum, b) => sum + b.chips, 0), 4000);
+});
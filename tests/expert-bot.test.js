@@ -0,0 +1,106 @@
+/**
+ * The Expert bot: equity against ranges, pot odds, bet sizing and its results against weaker bots
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BotAI = require('../js/bot-ai.js');
+const { createRng } = require('../js/random.js');
+const { BotSimulation } = require('../js/simulation.js');
+const { cards } = require('./helpers.js');
+
+/**
+ * Builds the decision context the engine would hand a bot heads-up against Villain
+ * @param {Object} spot - { hole, board, phase, pot, toCall, currentBet, history }
+ * @returns {Object} Decision context
+ */
+function createContext(spot) {
+    const toCall = spot.toCall || 0;
+    const legalActions = toCall > 0 ?
+        [{ action: 'fold' }, { action: 'call', amount: toCall }] :
+        [{ action: 'check' }];
+    legalActions.push({ action: 'raise', min: (spot.currentBet || 0) + 20, max: 2000 });
+
+    return {
+        name: 'Hero',
+        holeCards: cards(spot.hole),
+        communityCards: cards(spot.board),
+        phase: spot.phase,
+        pot: spot.pot,
+        toCall,
+        currentBet: spot.currentBet || 0,
+        committed: 0,
+        stack: 2000,
+        smallBlind: 10,
+        bigBlind: 20,
+        legalActions,
+        players: [
+            { name: 'Hero', chips: 2000, hasFolded: false },
+            { name: 'Villain', chips: 2000, hasFolded: false }
+        ],
+        history: spot.history || []
+    };
+}
+
+function createExpert(seed) {
+    return new BotAI.BotPlayer('Hero', BotAI.BOT_DIFFICULTY.EXPERT, 2000, createRng(seed));
+}
+
+test('the Expert bot is registered beside the other difficulties', () => {
+    assert.strictEqual(BotAI.getStrategy('expert').label, 'Expert');
+    assert.deepStrictEqual(BotAI.getStrategies().slice(0, 4).map(s => s.id), ['easy', 'medium', 'hard', 'expert']);
+});
+
+test('opens aces before the flop to the standard size', () => {
+    const decision = createExpert('aces').decide(createContext({
+        hole: 'As Ad', phase: 'preflop', pot: 30, toCall: 20, currentBet: 20
+    }));
+
+    // Two and a half big blinds
+    assert.deepStrictEqual(decision, { action: 'raise', amount: 50 });
+});
+
+test('folds a weak hand to a large bet and calls when the price is right', () => {
+    const history = [{ player: 'Villain', street: 'flop', action: 'bet', amount: 300 }];
+    const spot = { hole: '7c 2d', board: 'Ah Kd Qs', phase: 'flop', history };
+
+    assert.strictEqual(createExpert('fold').decide(createContext({ ...spot, pot: 400, toCall: 300, currentBet: 300 })).action, 'fold');
+
+    // An open-ended straight draw getting better than 5 to 1 with chips behind
+    const draw = { hole: 'Jc Td', board: '9h 8s 2c', phase: 'flop', history };
+    assert.strictEqual(createExpert('draw').decide(createContext({ ...draw, pot: 400, toCall: 60, currentBet: 60 })).action, 'call');
+});
+
+test('bets the nuts on the river for value', () => {
+    const decision = createExpert('nuts').decide(createContext({
+        hole: 'Ah Kh', board: 'Qh Jh Th 4c 2s', phase: 'river', pot: 200
+    }));
+
+    assert.deepStrictEqual(decision, { action: 'raise', amount: 150 });
+});
+
+test('bluffs checked-to rivers at a balanced frequency, not always', () => {
+    const bot = createExpert('bluffs');
+    const spot = { hole: '5c 4c', board: 'Ah Kd Qs 9h 2s', phase: 'river', pot: 200 };
+    let bluffs = 0;
+    for (let i = 0; i < 40; i++) {
+        bluffs += bot.decide(createContext(spot)).action === 'raise' ? 1 : 0;
+    }
+
+    assert.ok(bluffs > 0 && bluffs < 20, `bluffed ${bluffs} of 40 times`);
+});
+
+test('falls back to the Hard bot for Omaha hands', () => {
+    const context = createContext({ hole: 'As Ad Kh Qc', phase: 'preflop', pot: 30, toCall: 20, currentBet: 20 });
+    const decision = createExpert('omaha').decide(context);
+
+    assert.ok(['fold', 'call', 'raise'].includes(decision.action));
+});
+
+test('beats the Easy bot over a seeded session', () => {
+    const report = new BotSimulation({ seats: ['expert', 'easy'], hands: 400, seed: 'expert-vs-easy' }).run();
+    const [expert, easy] = report.groups;
+
+    assert.strictEqual(expert.label, 'Expert');
+    assert.ok(expert.bbPer100.mean > easy.bbPer100.mean);
+});
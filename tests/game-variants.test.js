@@ -0,0 +1,127 @@
+/**
+ * Omaha and Omaha Hi-Lo: hand evaluation, dealing and split pots
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HandEvaluator = require('../js/hand-evaluator.js');
+const PokerEngine = require('../js/poker-engine.js');
+const GameVariants = require('../js/game-variants.js');
+const { cards, createPlayer, createEngine } = require('./helpers.js');
+
+const { GAME_VARIANTS } = GameVariants;
+
+/**
+ * Sets up a river showdown with fixed cards and contributions
+ * @param {string} variant - Game variant
+ * @param {Array} seats - { hole, contributed, folded? } per player
+ * @param {string} board - Five community cards
+ */
+function showdown(variant, seats, board) {
+    const players = seats.map((seat, i) => createPlayer(`P${i + 1}`, 1000));
+    const engine = createEngine(players, { seed: 'variants', variant });
+    engine.startNewHand();
+
+    engine.contributions = new Map();
+    engine.pot = 0;
+    seats.forEach((seat, i) => {
+        players[i].holeCards = cards(seat.hole);
+        players[i].hasFolded = !!seat.folded;
+        engine.contributions.set(players[i], seat.contributed);
+        engine.pot += seat.contributed;
+    });
+    engine.communityCards = cards(board);
+    engine.phase = PokerEngine.GAME_PHASES.SHOWDOWN;
+    engine.handleShowdown();
+
+    const won = {};
+    for (const winner of engine.winners) {
+        won[winner.player.name] = winner.amount;
+    }
+    return won;
+}
+
+test('omaha uses exactly two hole cards and three board cards', () => {
+    // Hold'em would make a royal flush with the ten of hearts and four board hearts
+    const hole = cards('Th 3d 4d 5d');
+    const board = cards('Ah Kh Qh Jh 2c');
+
+    assert.strictEqual(HandEvaluator.evaluateBestHand(hole, board).name, 'Royal Flush');
+
+    const omaha = HandEvaluator.evaluateOmahaHand(hole, board);
+    assert.strictEqual(omaha.name, 'High Card');
+    assert.deepStrictEqual(omaha.kickers, [14, 13, 12, 10, 5]);
+});
+
+test('omaha cannot play the board', () => {
+    const omaha = HandEvaluator.evaluateOmahaHand(cards('2c 2d 7s 9h'), cards('Ts Js Qs Ks As'));
+
+    assert.strictEqual(omaha.name, 'One Pair');
+    assert.strictEqual(HandEvaluator.evaluateOmahaHand(cards('2c 2d 7s 9h'), []), null);
+});
+
+test('finds the best 8-or-better low', () => {
+    const low = HandEvaluator.evaluateOmahaLow(cards('Ad 2h Ks Kh'), cards('3c 4c 8d Kd Qs'));
+
+    assert.strictEqual(low.name, '8-4-3-2-A low');
+    assert.strictEqual(HandEvaluator.evaluateOmahaLow(cards('Ad 2h Ks Kh'), cards('9c Tc Jd Kd Qs')), null);
+    // Only one low card in hand, so no low even with three low cards on board
+    assert.strictEqual(HandEvaluator.evaluateOmahaLow(cards('Ad Kh Ks Qh'), cards('3c 4c 8d Kd Qs')), null);
+});
+
+test('orders low hands from the highest card down', () => {
+    const low = codes => HandEvaluator.evaluateLowHand(cards(codes));
+
+    assert.ok(HandEvaluator.compareLowHands(low('7c 5d 4h 2s Ac'), low('8c 4d 3h 2s Ac')) > 0);
+    assert.ok(HandEvaluator.compareLowHands(low('6c 4d 3h 2s Ac'), low('6c 5d 4h 3s 2c')) > 0);
+    assert.strictEqual(HandEvaluator.compareLowHands(low('5c 4d 3h 2s Ac'), low('5h 4s 3d 2c Ad')), 0);
+    assert.strictEqual(low('7c 7d 4h 2s Ac'), null);
+    assert.strictEqual(low('9c 5d 4h 2s Ac'), null);
+});
+
+test('deals four hole cards in omaha', () => {
+    const players = [createPlayer('P1', 1000), createPlayer('P2', 1000), createPlayer('P3', 1000)];
+    const engine = createEngine(players, { seed: 'omaha', variant: GAME_VARIANTS.OMAHA });
+    engine.startNewHand();
+
+    assert.ok(players.every(p => p.holeCards.length === 4));
+    assert.throws(() => GameVariants.getGameVariant('razz'), /Unknown game variant/);
+});
+
+test('splits a hi-lo pot between the best high and the best low', () => {
+    const won = showdown(GAME_VARIANTS.OMAHA_HI_LO, [
+        { hole: 'As Ks Qd Jd', contributed: 100 },
+        { hole: 'Ac 2c 9c 9s', contributed: 100 },
+        { hole: '7h 7d 6c 6s', contributed: 5, folded: true }
+    ], '3c 4d 8h Kh Qh');
+
+    // Odd chip goes to the high half
+    assert.deepStrictEqual(won, { P1: 103, P2: 102 });
+});
+
+test('the high hand scoops when nobody makes a low', () => {
+    const won = showdown(GAME_VARIANTS.OMAHA_HI_LO, [
+        { hole: 'As Ks Qd Jd', contributed: 100 },
+        { hole: 'Ac 2c 9c 9s', contributed: 100 }
+    ], '3c Td 9h Kh Qh');
+
+    assert.deepStrictEqual(won, { P1: 200 });
+});
+
+test('one player can scoop both halves', () => {
+    const won = showdown(GAME_VARIANTS.OMAHA_HI_LO, [
+        { hole: 'Ac 2c Kd Kc', contributed: 100 },
+        { hole: 'Qs Qd 9c 9s', contributed: 100 }
+    ], '3c 4c 8c Kh 7d');
+
+    assert.deepStrictEqual(won, { P1: 200 });
+});
+
+test('plain omaha never splits for low', () => {
+    const won = showdown(GAME_VARIANTS.OMAHA, [
+        { hole: 'As Ks Qd Jd', contributed: 100 },
+        { hole: 'Ac 2c 9c 9s', contributed: 100 }
+    ], '3c 4d 8h Kh Qh');
+
+    assert.deepStrictEqual(won, { P1: 200 });
+});
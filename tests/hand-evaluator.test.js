@@ -0,0 +1,146 @@
+/**
+ * Cross-checks the lookup-table evaluator against the 21-combination brute force
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Random = require('../js/random.js');
+const Cards = require('../js/cards.js');
+const HandEvaluator = require('../js/hand-evaluator.js');
+const { cards } = require('./helpers.js');
+
+const DECK = Cards.createDeck();
+
+function randomHand(rng, size) {
+    return Cards.shuffleDeck(DECK, rng).slice(0, size);
+}
+
+function shape(evaluation) {
+    return { rank: evaluation.rank, name: evaluation.name, kickers: evaluation.kickers };
+}
+
+test('matches the brute-force evaluator on random 5, 6 and 7 card hands', () => {
+    const rng = Random.createRng('cross-check');
+
+    for (const size of [5, 6, 7]) {
+        for (let i = 0; i < 5000; i++) {
+            const hand = randomHand(rng, size);
+            const fast = HandEvaluator.evaluateBestHand(hand.slice(0, 2), hand.slice(2));
+            const slow = HandEvaluator.evaluateBestHandBruteForce(hand.slice(0, 2), hand.slice(2));
+            assert.deepStrictEqual(shape(fast), shape(slow), hand.map(Cards.cardToString).join(' '));
+        }
+    }
+});
+
+test('orders random pairs of hands the same way as the brute force', () => {
+    const rng = Random.createRng('ordering');
+
+    for (let i = 0; i < 3000; i++) {
+        const a = randomHand(rng, 7);
+        const b = randomHand(rng, 7);
+        const fast = HandEvaluator.compareHands(
+            HandEvaluator.evaluateBestHand(a.slice(0, 2), a.slice(2)),
+            HandEvaluator.evaluateBestHand(b.slice(0, 2), b.slice(2))
+        );
+        const slow = HandEvaluator.compareHands(
+            HandEvaluator.evaluateBestHandBruteForce(a.slice(0, 2), a.slice(2)),
+            HandEvaluator.evaluateBestHandBruteForce(b.slice(0, 2), b.slice(2))
+        );
+        assert.strictEqual(Math.sign(fast), Math.sign(slow));
+    }
+});
+
+test('scores edge cases like the brute force', () => {
+    const hands = [
+        'As 2d 3c 4h 5s 9d Kc',     // wheel
+        'Ah 2h 3h 4h 5h 6h Kc',     // six-high straight flush over the wheel
+        'Ah Kh Qh Jh Th 9h 8h',     // royal flush
+        'Ks Kd Kh 7c 7d 7s 2h',     // two sets make a full house
+        'Qs Qd 9h 9c 4d 4s Ac',     // three pairs
+        '8s 8d 8h 8c 9d 9s 9h',     // quads with trips
+        'Js Ts 9s 8s 2s 7d 6c'      // flush beats the straight
+    ];
+
+    for (const codes of hands) {
+        const hand = cards(codes);
+        assert.deepStrictEqual(
+            shape(HandEvaluator.evaluateBestHand(hand.slice(0, 2), hand.slice(2))),
+            shape(HandEvaluator.evaluateBestHandBruteForce(hand.slice(0, 2), hand.slice(2))),
+            codes
+        );
+    }
+});
+
+test('ranks the wheel straight flush below a six-high straight flush', () => {
+    const wheel = HandEvaluator.evaluate5CardHand(cards('Ah 2h 3h 4h 5h'));
+    const sixHigh = HandEvaluator.evaluate5CardHand(cards('2h 3h 4h 5h 6h'));
+
+    assert.ok(HandEvaluator.compareHands(sixHigh, wheel) > 0);
+});
+
+test('returns a single comparable integer', () => {
+    const hand = cards('As Ad Kc Kd 2h 7s 9c');
+    const evaluation = HandEvaluator.evaluateBestHand(hand.slice(0, 2), hand.slice(2));
+
+    assert.strictEqual(HandEvaluator.evaluateHandValue(hand), evaluation.value);
+    assert.deepStrictEqual(shape(HandEvaluator.decodeHandValue(evaluation.value)), shape(evaluation));
+});
+
+function drawSummary(hole, board) {
+    const analysis = HandEvaluator.analyzeDraws(cards(hole), cards(board));
+    return {
+        draws: analysis.draws.map(draw => draw.outs ? `${draw.type}:${draw.outs.length}` : draw.type),
+        outs: analysis.outs.length
+    };
+}
+
+test('finds flush, straight, backdoor and overcard draws with their outs', () => {
+    const { DRAW_TYPES } = HandEvaluator;
+
+    assert.deepStrictEqual(drawSummary('Ah Kh', 'Qh 7h 2c'), {
+        draws: [`${DRAW_TYPES.FLUSH_DRAW}:9`, DRAW_TYPES.BACKDOOR_STRAIGHT, `${DRAW_TYPES.OVERCARDS}:6`],
+        outs: 15
+    });
+    assert.deepStrictEqual(drawSummary('Jc Td', '9h 8s 2c'), {
+        draws: [`${DRAW_TYPES.OPEN_ENDED}:8`, `${DRAW_TYPES.OVERCARDS}:6`],
+        outs: 14
+    });
+    assert.deepStrictEqual(drawSummary('9c Td', 'Jh 2s 7c'), { draws: [`${DRAW_TYPES.GUTSHOT}:4`], outs: 4 });
+    // A six or a ten, with no four in a row
+    assert.deepStrictEqual(drawSummary('Jc 7d', '9h 8s 5c 2d'), {
+        draws: [`${DRAW_TYPES.DOUBLE_GUTSHOT}:8`, `${DRAW_TYPES.OVERCARDS}:3`],
+        outs: 11
+    });
+
+    // A-2-3-4 only fills with a five
+    assert.deepStrictEqual(drawSummary('Ac 4d', '2h 3s 9c').draws[0], `${DRAW_TYPES.GUTSHOT}:4`);
+
+    // The flush draw and the gutshot share the four of hearts
+    assert.strictEqual(drawSummary('Ah 5h', 'Kh 9h 2c 3d').outs, 15);
+});
+
+test('does not count cards that only pair the board as outs', () => {
+    // Aces set up; a king, seven or deuce only pairs the board
+    const overpair = HandEvaluator.analyzeDraws(cards('As Ad'), cards('Ks 7s 2c'));
+    assert.deepStrictEqual(overpair.outs.map(Cards.cardToCode).sort(), ['Ac', 'Ah']);
+    assert.deepStrictEqual(overpair.draws.map(draw => draw.type), [HandEvaluator.DRAW_TYPES.BACKDOOR_FLUSH]);
+
+    // A set fills up when the board pairs
+    const set = HandEvaluator.analyzeDraws(cards('7c 7d'), cards('Ks 7s 2c 9h'));
+    assert.strictEqual(set.outs.length, 10);
+});
+
+test('gives the chance of hitting on the next card and by the river', () => {
+    const flop = HandEvaluator.analyzeDraws(cards('Ah Kh'), cards('Qh 7h 2c'));
+    assert.ok(Math.abs(flop.nextCard - 15 / 47) < 1e-9);
+    assert.ok(Math.abs(flop.byRiver - (1 - (32 * 31) / (47 * 46))) < 1e-9);
+
+    const turn = HandEvaluator.analyzeDraws(cards('Jc Td'), cards('9h 8s 2c 3d'));
+    assert.strictEqual(turn.byRiver, turn.nextCard);
+    assert.ok(Math.abs(turn.nextCard - 14 / 46) < 1e-9);
+
+    // Only two-card hands on the flop and turn are analyzed
+    assert.strictEqual(HandEvaluator.analyzeDraws(cards('Ah Kh'), []), null);
+    assert.strictEqual(HandEvaluator.analyzeDraws(cards('Ah Kh'), cards('Qh 7h 2c 3d 4s')), null);
+    assert.strictEqual(HandEvaluator.analyzeDraws(cards('Ah Kh Qs Js'), cards('Qh 7h 2c')), null);
+});
@@ -0,0 +1,53 @@
+/**
+ * Fixtures shared by the test suites: cards from codes, bare
+ * players, and an engine that keeps its game log off the console
+ */
+
+const Cards = require('../js/cards.js');
+const { PokerEngine } = require('../js/poker-engine.js');
+
+/**
+ * Builds cards from codes like "As Td 2c"; an empty string is no cards
+ */
+function cards(codes) {
+    return codes ? codes.split(' ').map(Cards.codeToCard) : [];
+}
+
+/**
+ * Creates a player with no strategy; the engine is driven by hand.
+ * Players are bots unless named "You", as the game names the human.
+ */
+function createPlayer(name, chips) {
+    return {
+        name,
+        chips,
+        holeCards: [],
+        isBot: name !== 'You',
+        hasFolded: false,
+        isAllIn: false,
+        currentBet: 0,
+        totalBetThisRound: 0,
+        reset() {
+            this.holeCards = [];
+            this.hasFolded = false;
+            this.isAllIn = false;
+            this.currentBet = 0;
+            this.totalBetThisRound = 0;
+        }
+    };
+}
+
+/**
+ * Creates a 10/20 engine that logs silently
+ * @param {Array} players - Players to seat
+ * @param {Object} options - PokerEngine options
+ */
+function createEngine(players, options = {}) {
+    return new PokerEngine(players, 20, { silent: true, ...options });
+}
+
+module.exports = {
+    cards,
+    createPlayer,
+    createEngine
+};
@@ -0,0 +1,80 @@
+/**
+ * The engine modules load from Node (require and import) and as browser scripts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// Page script order, dependencies first
+const POKER_SCRIPTS = [
+    'random.js', 'cards.js', 'hand-evaluator.js', 'ranges.js', 'equity.js',
+    'game-variants.js', 'bet-sizing.js', 'bot-ai.js', 'bot-personalities.js', 'preflop-trainer.js',
+    'table-protocol.js', 'hand-history.js', 'opponent-stats.js', 'hand-replayer.js', 'betting-structures.js', 'tournament.js',
+    'action-clock.js', 'poker-engine.js', 'pre-actions.js'
+];
+
+/**
+ * Runs scripts in a fresh context with a `window` and no `module`, like <script> tags
+ */
+function loadInBrowserContext(files) {
+    const context = vm.createContext({ console, URLSearchParams });
+    context.window = context;
+    for (const file of files) {
+        const filename = path.join(JS_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+    return context;
+}
+
+test('requires the engine with its dependencies and plays a hand', () => {
+    const { PokerEngine, ACTIONS } = require('../js/poker-engine.js');
+    const { createBots } = require('../js/bot-ai.js');
+    const { createRng } = require('../js/random.js');
+
+    const players = createBots(3, 'easy', 1000, createRng('modules'));
+    const engine = new PokerEngine(players, 20, { seed: 'modules', silent: true });
+    engine.startNewHand();
+
+    assert.ok(players.every(p => p.holeCards.length === 2));
+    assert.strictEqual(engine.processAction(ACTIONS.FOLD), true);
+});
+
+test('imports named exports as an ES module', async () => {
+    const { PokerEngine, GAME_PHASES } = await import('../js/poker-engine.js');
+    const { evaluateBestHand } = await import('../js/hand-evaluator.js');
+    const { Deck } = await import('../js/cards.js');
+    const { BlackjackGame } = await import('../js/blackjack-game.js');
+    const { BalatroGame, HAND_SCORES } = await import('../js/balatro-game.js');
+
+    assert.strictEqual(typeof PokerEngine, 'function');
+    assert.strictEqual(GAME_PHASES.PREFLOP, 'preflop');
+    assert.strictEqual(typeof evaluateBestHand, 'function');
+    assert.strictEqual(new Deck().length, 52);
+    assert.strictEqual(typeof BlackjackGame, 'function');
+    assert.strictEqual(typeof BalatroGame, 'function');
+    assert.ok(HAND_SCORES);
+});
+
+test('still loads as browser scripts onto window', () => {
+    const window = loadInBrowserContext(POKER_SCRIPTS);
+
+    for (const name of ['Random', 'Cards', 'HandEvaluator', 'Ranges', 'Equity', 'GameVariants', 'BetSizing',
+        'BotAI', 'BotPersonalities', 'PreflopTrainer', 'TableProtocol', 'HandHistory', 'OpponentStats', 'HandReplayer', 'BettingStructures',
+        'Tournament', 'ActionClock', 'PokerEngine', 'PreActions']) {
+        assert.ok(window[name], `window.${name} is set`);
+    }
+    assert.strictEqual(typeof window.PokerEngine.PokerEngine, 'function');
+    assert.strictEqual(typeof window.Deck, 'function');
+    // Module-private helpers stay out of the page's global scope
+    assert.strictEqual(window.GAME_PHASES, undefined);
+
+    const games = loadInBrowserContext(['random.js', 'cards.js', 'hand-evaluator.js',
+        'blackjack-game.js', 'balatro-game.js']);
+    assert.strictEqual(typeof games.BlackjackGame, 'function');
+    assert.strictEqual(typeof games.BalatroGame, 'function');
+});
@@ -0,0 +1,117 @@
+/**
+ * Opponent statistics: reading tendencies from hand records, session totals,
+ * the decision context and the bots' adjustments
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { OpponentStats, getHandStats, classifyPlayer, formatStats, PLAYER_TYPES } = require('../js/opponent-stats.js');
+const BotAI = require('../js/bot-ai.js');
+const { createRng } = require('../js/random.js');
+const { PokerEngine, ACTIONS } = require('../js/poker-engine.js');
+
+/**
+ * A hand where A raises, B calls, A continuation-bets the flop and B folds
+ */
+function createCbetHand(response = 'fold') {
+    return {
+        seats: [{ name: 'A' }, { name: 'B' }, { name: 'C' }],
+        holeCards: { A: ['As', 'Kd'], B: ['9h', '9c'], C: ['7d', '2c'] },
+        actions: [
+            { street: 'preflop', player: 'B', action: 'small_blind' },
+            { street: 'preflop', player: 'C', action: 'big_blind' },
+            { street: 'preflop', player: 'A', action: 'raise' },
+            { street: 'preflop', player: 'B', action: 'call' },
+            { street: 'preflop', player: 'C', action: 'fold' },
+            { street: 'flop', player: 'B', action: 'check' },
+            { street: 'flop', player: 'A', action: 'bet' },
+            { street: 'flop', player: 'B', action: response }
+        ],
+        board: { flop: ['Qs', '7h', '2d'], turn: [], river: [] },
+        showdown: [],
+        winners: [{ player: 'A' }]
+    };
+}
+
+test('reads c-bets, aggression and flops seen from a hand record', () => {
+    const hand = createCbetHand();
+
+    assert.deepStrictEqual(getHandStats(hand, 'A'), {
+        vpip: true, pfr: true, aggressiveActions: 1, calls: 0, facedCbet: false, foldedToCbet: false,
+        sawFlop: true, sawShowdown: false, wonAtShowdown: false
+    });
+    assert.deepStrictEqual(getHandStats(hand, 'B'), {
+        vpip: true, pfr: false, aggressiveActions: 0, calls: 0, facedCbet: true, foldedToCbet: true,
+        sawFlop: true, sawShowdown: false, wonAtShowdown: false
+    });
+    assert.strictEqual(getHandStats(hand, 'C').sawFlop, false);
+
+    // A flop bet from a player who did not raise before the flop is not a c-bet
+    const donk = createCbetHand();
+    donk.actions = donk.actions.slice(0, 5).concat([
+        { street: 'flop', player: 'B', action: 'bet' },
+        { street: 'flop', player: 'A', action: 'fold' }
+    ]);
+    assert.strictEqual(getHandStats(donk, 'A').facedCbet, false);
+});
+
+test('totals rates over the session and classifies players once there are enough hands', () => {
+    const stats = new OpponentStats();
+    assert.deepStrictEqual(stats.getStats('B'), {
+        hands: 0, vpip: null, pfr: null, aggression: null, foldToCbet: null, wentToShowdown: null, type: null
+    });
+
+    for (let i = 0; i < 10; i++) {
+        stats.recordHand(createCbetHand(i < 3 ? 'fold' : 'call'));
+    }
+
+    const b = stats.getStats('B');
+    assert.strictEqual(b.hands, 10);
+    assert.strictEqual(b.vpip, 1);
+    assert.strictEqual(b.pfr, 0);
+    assert.strictEqual(b.foldToCbet, 0.3);
+    assert.strictEqual(b.wentToShowdown, 0);
+    assert.strictEqual(b.type, PLAYER_TYPES.LOOSE);
+    assert.strictEqual(stats.getStats('C').type, PLAYER_TYPES.TIGHT);
+    assert.strictEqual(stats.getStats('A').aggression, 10);
+    assert.strictEqual(formatStats(b), 'VPIP 100 · PFR 0 · AF 0.0 · FCB 30 · WTSD 0 (10)');
+
+    assert.strictEqual(classifyPlayer({ ...b, hands: 9 }), null);
+    assert.strictEqual(classifyPlayer({ ...b, vpip: 0.3 }), PLAYER_TYPES.AVERAGE);
+});
+
+test('the engine keeps statistics across hands and hands them to bots in the decision context', () => {
+    const bots = BotAI.createBots(3, 'medium', 1000, createRng('stats'));
+    const engine = new PokerEngine(bots, 20, { seed: 'stats', silent: true });
+
+    for (let hand = 0; hand < 3; hand++) {
+        engine.startNewHand();
+        while (!engine.isHandComplete) {
+            engine.processAction(ACTIONS.FOLD);
+            engine.advance();
+        }
+    }
+
+    const context = engine.getDecisionContext(engine.players[0]);
+    assert.deepStrictEqual(context.players.map(p => p.stats.hands), [3, 3, 3]);
+    assert.deepStrictEqual(context.players.map(p => p.stats.vpip), [0, 0, 0]);
+    assert.ok(Object.isFrozen(context.players[0].stats));
+});
+
+test('Medium and Hard bots bluff less and call lighter against loose players', () => {
+    const bot = new BotAI.BotPlayer('Hero', 'hard', 1000, createRng('adjust'));
+    const seat = (name, stats) => ({ name, hasFolded: false, stats });
+    const read = (type, foldToCbet = null) => ({ hands: 50, type, foldToCbet });
+
+    assert.deepStrictEqual(bot.getOpponentAdjustments({ players: [seat('Hero'), seat('V', read(null))] }),
+        { bluff: 1, call: 1 });
+    assert.deepStrictEqual(bot.getOpponentAdjustments({ players: [seat('V', read('loose'))] }),
+        { bluff: 0.5, call: 1.25 });
+    assert.deepStrictEqual(bot.getOpponentAdjustments({ players: [seat('V', read('tight', 0.8))] }),
+        { bluff: 1.875, call: 0.8 });
+
+    // Bluffing multiway is held back by the loosest opponent
+    const multiway = bot.getOpponentAdjustments({ players: [seat('V', read('loose')), seat('W', read('tight'))] });
+    assert.strictEqual(multiway.bluff, 0.5);
+    assert.ok(Math.abs(multiway.call - 1.025) < 1e-9);
+});
@@ -0,0 +1,560 @@
+/**
+ * Betting round rules in the poker engine, played out on stacked decks:
+ * acting order, the big blind option, raise sizes, all-ins and side pots,
+ * straddles and antes, mucking at showdown, who posts the next blinds, and
+ * saving and restoring a session mid-hand
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Cards = require('../js/cards.js');
+const Random = require('../js/random.js');
+const BotAI = require('../js/bot-ai.js');
+const { ACTIONS, GAME_PHASES, STRADDLES } = require('../js/poker-engine.js');
+const { cards, createPlayer, createEngine } = require('./helpers.js');
+
+/**
+ * Makes the next hand deal the given cards
+ * @param {PokerEngine} engine - The engine
+ * @param {Array} holes - Hole cards per seat, like 'As Kd'
+ * @param {string} board - Flop, turn and river, like 'Ah 7c 2d 9s Td'
+ */
+function stackDeck(engine, holes, board) {
+    const wanted = cards([...holes, board].join(' '));
+    const rest = Cards.createDeck().filter(card =>
+        !wanted.some(w => w.rank === card.rank && w.suit === card.suit));
+
+    const dealt = [];
+    for (let i = 0; i < 2; i++) {
+        holes.forEach(hole => dealt.push(cards(hole)[i]));
+    }
+    const [flop1, flop2, flop3, turn, river] = cards(board);
+
+    // Hole cards go round the table twice; every street burns a card first
+    const deck = [...dealt, rest.pop(), flop1, flop2, flop3, rest.pop(), turn, rest.pop(), river, ...rest];
+    engine.createHandDeck = () => [...deck];
+}
+
+/**
+ * Seats players with 10/20 blinds. The button moves to the second seat for
+ * the first hand, so four-handed the third seat is the small blind, the
+ * fourth the big blind and the first seat is under the gun.
+ * @param {Object} forcedBets - Antes and straddle, as for PokerEngine.setForcedBets
+ */
+function createTable(stacks, holes, board, forcedBets) {
+    const players = stacks.map((chips, i) => createPlayer(`P${i + 1}`, chips));
+    const engine = createEngine(players, { seed: 'rules', forcedBets });
+    if (holes) {
+        stackDeck(engine, holes, board);
+    }
+    engine.startNewHand();
+    return { engine, players };
+}
+
+/**
+ * Plays actions in order, checking each is made by the expected player
+ * @param {PokerEngine} engine - The engine
+ * @param {Array} steps - [playerName, action, amount?] per action
+ * @returns {Object} Result of the last advance
+ */
+function play(engine, steps) {
+    let result = null;
+    for (const [name, action, amount] of steps) {
+        assert.strictEqual(engine.getCurrentPlayer().name, name, `${name} to ${action} on the ${engine.phase}`);
+        assert.ok(engine.processAction(action, amount), `${name} can ${action} ${amount || ''}`);
+        result = engine.advance();
+    }
+    return result;
+}
+
+function stacks(players) {
+    return players.map(p => p.chips);
+}
+
+test('folding round to the big blind hands them the blinds', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000]);
+
+    const result = play(engine, [
+        ['P1', ACTIONS.FOLD],
+        ['P2', ACTIONS.FOLD],
+        ['P3', ACTIONS.FOLD]
+    ]);
+
+    assert.strictEqual(result.isHandComplete, true);
+    assert.strictEqual(result.winner.name, 'P4');
+    assert.deepStrictEqual(stacks(players), [1000, 1000, 990, 1010]);
+});
+
+test('a limped pot gives the big blind the option and plays every street out', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000],
+        ['Qd Jd', '8c 8d', 'As Ks', '5c 6c'], 'Kh 9c 4d 2s 3h');
+
+    play(engine, [
+        ['P1', ACTIONS.CALL],
+        ['P2', ACTIONS.CALL],
+        ['P3', ACTIONS.CALL]
+    ]);
+
+    // Everyone has matched the big blind, but the big blind has not acted
+    assert.strictEqual(engine.phase, GAME_PHASES.PREFLOP);
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 40, max: 1000 });
+    play(engine, [['P4', ACTIONS.CHECK]]);
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+    assert.strictEqual(engine.pot, 80);
+
+    // The small blind acts first after the flop, and one check does not end the street
+    play(engine, [
+        ['P3', ACTIONS.CHECK],
+        ['P4', ACTIONS.CHECK],
+        ['P1', ACTIONS.CHECK]
+    ]);
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+    play(engine, [['P2', ACTIONS.CHECK]]);
+    assert.strictEqual(engine.phase, GAME_PHASES.TURN);
+
+    play(engine, [
+        ['P3', ACTIONS.BET, 40],
+        ['P4', ACTIONS.FOLD],
+        ['P1', ACTIONS.CALL],
+        ['P2', ACTIONS.FOLD]
+    ]);
+    assert.strictEqual(engine.phase, GAME_PHASES.RIVER);
+
+    const result = play(engine, [
+        ['P3', ACTIONS.CHECK],
+        ['P1', ACTIONS.CHECK]
+    ]);
+
+    assert.strictEqual(result.showdown, true);
+    assert.deepStrictEqual(engine.winners.map(w => [w.player.name, w.amount]), [['P3', 160]]);
+    assert.deepStrictEqual(stacks(players), [940, 980, 1100, 980]);
+});
+
+test('a raise from the big blind option sends the action back round to the limpers', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000]);
+
+    play(engine, [
+        ['P1', ACTIONS.CALL],
+        ['P2', ACTIONS.FOLD],
+        ['P3', ACTIONS.CALL],
+        ['P4', ACTIONS.RAISE, 80],
+        ['P1', ACTIONS.CALL],
+        ['P3', ACTIONS.FOLD]
+    ]);
+
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+    assert.strictEqual(engine.pot, 180);
+    assert.deepStrictEqual(stacks(players), [920, 1000, 980, 920]);
+});
+
+test('3-bets and 4-bets must raise by at least the previous raise', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000]);
+
+    play(engine, [['P1', ACTIONS.RAISE, 60]]);
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 100, max: 1000 });
+
+    play(engine, [
+        ['P2', ACTIONS.RAISE, 180],
+        ['P3', ACTIONS.FOLD],
+        ['P4', ACTIONS.FOLD]
+    ]);
+
+    // The 3-bet raised by 120, so the 4-bet has to reach 300
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 300, max: 1000 });
+    assert.strictEqual(engine.processAction(ACTIONS.RAISE, 299), false);
+
+    play(engine, [
+        ['P1', ACTIONS.RAISE, 450],
+        ['P2', ACTIONS.CALL]
+    ]);
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+    assert.strictEqual(engine.pot, 930);
+
+    // Both blinds folded, so the 4-bettor is first to act after the flop
+    const result = play(engine, [
+        ['P1', ACTIONS.BET, 200],
+        ['P2', ACTIONS.FOLD]
+    ]);
+
+    assert.strictEqual(result.isHandComplete, true);
+    assert.deepStrictEqual(stacks(players), [1480, 550, 990, 980]);
+    assert.strictEqual(stacks(players).reduce((sum, n) => sum + n, 0), 4000);
+});
+
+test('a multiway all-in builds side pots for the players still betting', () => {
+    const { engine, players } = createTable([200, 500, 1000, 1000],
+        ['As Ad', 'Kh Kc', 'Qs Qh', 'Jc Td'], 'Ah Kd 7c 4s 2h');
+
+    play(engine, [
+        ['P1', ACTIONS.ALL_IN],
+        ['P2', ACTIONS.ALL_IN],
+        ['P3', ACTIONS.CALL],
+        ['P4', ACTIONS.CALL]
+    ]);
+
+    // Two players still have chips, so the betting carries on between them
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+    play(engine, [
+        ['P3', ACTIONS.CHECK],
+        ['P4', ACTIONS.CHECK],
+        ['P3', ACTIONS.BET, 100],
+        ['P4', ACTIONS.CALL],
+        ['P3', ACTIONS.CHECK]
+    ]);
+    const result = play(engine, [['P4', ACTIONS.CHECK]]);
+
+    assert.strictEqual(result.showdown, true);
+    // Main pot to the aces, the side pot all three matched to the kings, the last one to the queens
+    assert.deepStrictEqual(engine.winners.map(w => [w.player.name, w.amount]),
+        [['P1', 800], ['P2', 900], ['P3', 200]]);
+    assert.deepStrictEqual(stacks(players), [800, 900, 600, 400]);
+});
+
+test('a short all-in does not reopen the raising', () => {
+    const { engine, players } = createTable([1000, 130, 1000, 1000],
+        ['As Ad', 'Kh Kc', '7s 2h', '8c 3d'], 'Qh Jd 6c 4s 2c');
+
+    play(engine, [
+        ['P1', ACTIONS.RAISE, 100],
+        ['P2', ACTIONS.ALL_IN],
+        ['P3', ACTIONS.FOLD],
+        ['P4', ACTIONS.FOLD]
+    ]);
+
+    // The all-in raised by 30, less than the 80 raise before it: P1 may only call or fold
+    assert.strictEqual(engine.getCurrentPlayer().name, 'P1');
+    assert.strictEqual(engine.getRaiseLimits(), null);
+    assert.strictEqual(engine.processAction(ACTIONS.RAISE, 300), false);
+    assert.strictEqual(engine.processAction(ACTIONS.ALL_IN), false);
+
+    // With nobody left to bet against, the board runs out without more prompts
+    const result = play(engine, [['P1', ACTIONS.CALL]]);
+
+    assert.strictEqual(result.showdown, true);
+    assert.strictEqual(engine.communityCards.length, 5);
+    assert.deepStrictEqual(stacks(players), [1160, 0, 990, 980]);
+});
+
+test('a full all-in raise reopens the raising', () => {
+    const { engine } = createTable([1000, 200, 1000, 1000]);
+
+    play(engine, [
+        ['P1', ACTIONS.RAISE, 60],
+        ['P2', ACTIONS.ALL_IN],
+        ['P3', ACTIONS.FOLD],
+        ['P4', ACTIONS.FOLD]
+    ]);
+
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 340, max: 1000 });
+});
+
+test('heads-up the button posts the small blind and acts first only before the flop', () => {
+    const { engine, players } = createTable([1000, 1000]);
+
+    // The button is the second seat
+    assert.deepStrictEqual(stacks(players), [980, 990]);
+
+    play(engine, [
+        ['P2', ACTIONS.CALL],
+        ['P1', ACTIONS.CHECK]
+    ]);
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+
+    play(engine, [
+        ['P1', ACTIONS.CHECK],
+        ['P2', ACTIONS.BET, 40],
+        ['P1', ACTIONS.RAISE, 120],
+        ['P2', ACTIONS.CALL]
+    ]);
+    assert.strictEqual(engine.phase, GAME_PHASES.TURN);
+
+    play(engine, [
+        ['P1', ACTIONS.CHECK],
+        ['P2', ACTIONS.CHECK]
+    ]);
+    const result = play(engine, [
+        ['P1', ACTIONS.BET, 100],
+        ['P2', ACTIONS.FOLD]
+    ]);
+
+    assert.strictEqual(result.winner.name, 'P1');
+    assert.deepStrictEqual(stacks(players), [1140, 860]);
+
+    // The button moves to the first seat, which now posts the small blind
+    engine.startNewHand();
+    assert.strictEqual(engine.getDealer().name, 'P1');
+    assert.strictEqual(engine.getCurrentPlayer().name, 'P1');
+    assert.deepStrictEqual(stacks(players), [1130, 840]);
+});
+
+test('a player who auto-mucks throws away a losing hand but still shows a winner', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000],
+        ['Qd Jd', '8c 8d', 'As Ks', '5c 6c'], 'Kh 9c 4d 2s 3h');
+    players[0].autoMuck = true;
+    players[3].autoMuck = true;
+
+    play(engine, [
+        ['P1', ACTIONS.CALL],
+        ['P2', ACTIONS.FOLD],
+        ['P3', ACTIONS.CALL],
+        ['P4', ACTIONS.CHECK]
+    ]);
+    for (let street = 0; street < 3; street++) {
+        play(engine, [['P3', ACTIONS.CHECK], ['P4', ACTIONS.CHECK], ['P1', ACTIONS.CHECK]]);
+    }
+
+    // The straight wins; the kings lose but show, as that player does not auto-muck
+    assert.deepStrictEqual(engine.winners.map(w => w.player.name), ['P4']);
+    assert.ok(engine.gameLog.includes('P1 mucks'));
+    assert.ok(!engine.gameLog.includes('P4 mucks'));
+
+    const hand = engine.handHistory.hands[0];
+    assert.deepStrictEqual(hand.showdown.map(s => [s.player, s.mucked]), [['P4', false], ['P3', false], ['P1', true]]);
+    const text = engine.handHistory.exportText();
+    assert.match(text, /P1: mucks hand/);
+    assert.match(text, /Seat 1: P1 mucked \[Qd Jd\]/);
+    assert.match(text, /P3: shows \[As Ks\]/);
+});
+
+test('tells who posts the blinds in the next hand', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000]);
+    assert.deepStrictEqual(engine.getNextBlindPlayers(), { smallBlind: players[3], bigBlind: players[0], straddle: null });
+
+    // A busted player is skipped, the way the next deal seats the table
+    players[0].chips = 0;
+    const blinds = engine.getNextBlindPlayers();
+    play(engine, [['P1', ACTIONS.FOLD], ['P2', ACTIONS.FOLD], ['P3', ACTIONS.FOLD]]);
+    engine.startNewHand();
+    assert.deepStrictEqual(stacks(players), [0, 990, 970, 1010]);
+    assert.strictEqual(blinds.smallBlind, players[1]);
+    assert.strictEqual(blinds.bigBlind, players[2]);
+
+    players[2].chips = 0;
+    players[3].chips = 0;
+    assert.strictEqual(engine.getNextBlindPlayers(), null);
+});
+
+test('keeps the button going round the table as players leave and rejoin', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000]);
+    const [p1, p2, p3, p4] = players;
+    const dealers = [engine.getDealer().name];
+    const deal = seated => {
+        if (seated) engine.seatPlayers(seated);
+        engine.startNewHand();
+        dealers.push(engine.getDealer().name);
+    };
+
+    deal();
+    // The first seat leaves while the button is behind it, then sits again when it is ahead
+    deal([p2, p3, p4]);
+    deal([p1, p2, p3, p4]);
+    // A player who leaves on the button hands it on to the next seat
+    deal([p2, p3, p4]);
+    deal([p1, p2, p3, p4]);
+
+    assert.deepStrictEqual(dealers, ['P2', 'P3', 'P4', 'P1', 'P2', 'P3']);
+});
+
+test('names a short blind by its seat, not its amount', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 10]);
+
+    assert.deepStrictEqual(stacks(players), [1000, 1000, 990, 0]);
+    assert.ok(engine.gameLog.includes('P3 posts small blind: $10'));
+    assert.ok(engine.gameLog.includes('P4 posts big blind: $10'));
+    assert.strictEqual(engine.currentBet, 20);
+});
+
+test('an under the gun straddle acts last before the flop and keeps the option', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000], null, null, { straddle: STRADDLES.UTG });
+
+    assert.deepStrictEqual(stacks(players), [960, 1000, 990, 980]);
+    assert.strictEqual(engine.currentBet, 40);
+    // The straddle sets the minimum raise, like a big blind
+    assert.deepStrictEqual(engine.getRaiseLimits(), { min: 80, max: 1000 });
+
+    play(engine, [
+        ['P2', ACTIONS.CALL],
+        ['P3', ACTIONS.CALL],
+        ['P4', ACTIONS.CALL]
+    ]);
+    assert.strictEqual(engine.phase, GAME_PHASES.PREFLOP);
+    play(engine, [['P1', ACTIONS.RAISE, 120]]);
+
+    // The raise sends the action round again, and the straddler does not act on their own raise
+    play(engine, [
+        ['P2', ACTIONS.CALL],
+        ['P3', ACTIONS.FOLD],
+        ['P4', ACTIONS.FOLD]
+    ]);
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+    assert.strictEqual(engine.pot, 320);
+    assert.strictEqual(engine.getCurrentPlayer().name, 'P1');
+    assert.strictEqual(engine.serialize().straddle, STRADDLES.UTG);
+
+    play(engine, [['P1', ACTIONS.FOLD]]);
+    const text = engine.handHistory.exportText();
+    assert.match(text, /P1: posts straddle \$40/);
+    assert.match(text, /Seat 1: P1 \(straddle\)/);
+});
+
+test('a button straddle starts the action from the small blind', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000], null, null, { straddle: STRADDLES.BUTTON });
+
+    assert.deepStrictEqual(stacks(players), [1000, 960, 990, 980]);
+    play(engine, [
+        ['P3', ACTIONS.CALL],
+        ['P4', ACTIONS.CALL],
+        ['P1', ACTIONS.CALL],
+        ['P2', ACTIONS.CHECK]
+    ]);
+    assert.strictEqual(engine.phase, GAME_PHASES.FLOP);
+    assert.strictEqual(engine.pot, 160);
+});
+
+test('nobody straddles heads-up, without the chips to cover it or after declining', () => {
+    const headsUp = createTable([1000, 1000], null, null, { straddle: STRADDLES.BUTTON });
+    assert.strictEqual(headsUp.engine.currentBet, 20);
+    assert.strictEqual(headsUp.engine.getCurrentPlayer().name, 'P2');
+
+    const short = createTable([40, 1000, 1000, 1000], null, null, { straddle: STRADDLES.UTG });
+    assert.deepStrictEqual(stacks(short.players), [40, 1000, 990, 980]);
+    assert.strictEqual(short.engine.getCurrentPlayer().name, 'P1');
+
+    const declined = createTable([1000, 1000, 1000, 1000], null, null, { straddle: STRADDLES.UTG });
+    assert.strictEqual(declined.engine.getNextBlindPlayers().straddle, declined.players[1]);
+    declined.players[1].declinesStraddle = true;
+    assert.strictEqual(declined.engine.getNextBlindPlayers().straddle, null);
+});
+
+test('the big blind antes for the whole table, blind first when short', () => {
+    const { engine, players } = createTable([1000, 1000, 1000, 1000], null, null, { bigBlindAnte: 20 });
+    assert.deepStrictEqual(stacks(players), [1000, 1000, 990, 960]);
+    assert.strictEqual(engine.pot, 50);
+    assert.strictEqual(engine.currentBet, 20);
+
+    // The ante is dead money: the big blind still only has the blind in against a call
+    play(engine, [
+        ['P1', ACTIONS.CALL],
+        ['P2', ACTIONS.FOLD],
+        ['P3', ACTIONS.FOLD],
+        ['P4', ACTIONS.CHECK]
+    ]);
+    assert.strictEqual(engine.pot, 70);
+
+    const short = createTable([1000, 1000, 1000, 30], null, null, { bigBlindAnte: 20 });
+    assert.deepStrictEqual(stacks(short.players), [1000, 1000, 990, 0]);
+    assert.ok(short.engine.gameLog.includes('P4 posts ante: $10'));
+    assert.ok(short.engine.gameLog.includes('P4 posts big blind: $20'));
+});
+
+test('returns only the uncalled blind, not the big blind ante, in the hand history', () => {
+    const { engine } = createTable([1000, 1000, 1000, 1000], null, null, { bigBlindAnte: 20 });
+    play(engine, [
+        ['P1', ACTIONS.FOLD],
+        ['P2', ACTIONS.FOLD],
+        ['P3', ACTIONS.FOLD]
+    ]);
+
+    const text = engine.handHistory.exportText();
+    assert.match(text, /Uncalled bet \(\$10\) returned to P4/);
+    assert.match(text, /Total pot \$40 /);
+});
+
+test('refuses unknown straddles and negative antes', () => {
+    const { engine } = createTable([1000, 1000]);
+    assert.throws(() => engine.setForcedBets({ straddle: 'cutoff' }), /Unknown straddle "cutoff"/);
+    assert.throws(() => engine.setForcedBets({ ante: -5 }), /Antes cannot be negative/);
+});
+
+/**
+ * Seats bots sharing one seeded random source, as the game does
+ * @param {string} seed - Seed for the deck and the bots
+ * @param {Array} names - Bot names, so a restored table can seat the same players
+ */
+function createBotTable(seed, names = ['Alex', 'Blake', 'Casey', 'Drew']) {
+    const random = Random.resolveRandomSource({ seed });
+    const strategies = ['easy', 'medium', 'hard', 'medium'];
+    const bots = names.map((name, i) => new BotAI.BotPlayer(name, strategies[i], 1000, random.rng));
+    const engine = createEngine(bots, { seed: random.seed, rng: random.rng });
+    return { bots, engine };
+}
+
+/**
+ * Lets the bots play until a condition holds, dealing new hands as needed
+ * @returns {Object} The engine
+ */
+function playUntil(engine, done) {
+    for (let steps = 0; steps < 5000 && !done(engine); steps++) {
+        if (engine.isHandComplete || engine.handNumber === 0) {
+            if (!engine.startNewHand()) break;
+            continue;
+        }
+        const player = engine.getCurrentPlayer();
+        if (player.hasFolded || player.isAllIn) {
+            engine.advance();
+            continue;
+        }
+        const { action, amount } = player.decide(engine.getDecisionContext(player));
+        assert.ok(engine.processAction(action, amount));
+        engine.advance();
+    }
+    return engine;
+}
+
+/**
+ * A snapshot without the wall-clock times hands were started at
+ */
+function withoutTimes(snapshot) {
+    const copy = JSON.parse(JSON.stringify(snapshot));
+    copy.handHistory.hands.forEach(hand => delete hand.startedAt);
+    return copy;
+}
+
+test('restores a hand in progress and plays on exactly as if never saved', () => {
+    const original = createBotTable('snapshot');
+    playUntil(original.engine, engine => engine.handNumber === 4 && engine.phase === GAME_PHASES.FLOP);
+    assert.strictEqual(original.engine.isHandComplete, false);
+
+    const saved = JSON.parse(JSON.stringify(original.engine.serialize()));
+    assert.strictEqual(saved.phase, GAME_PHASES.FLOP);
+    assert.strictEqual(saved.communityCards.length, 3);
+    assert.strictEqual(saved.deck.length, 52 - 8 - 4);
+
+    // A table seeded differently picks up from the saved deck and random position
+    const restored = createBotTable('something else', saved.players.map(p => p.name));
+    restored.engine.restore(saved);
+    assert.deepStrictEqual(withoutTimes(restored.engine.serialize()), withoutTimes(saved));
+    assert.deepStrictEqual(restored.engine.opponentStats.getStats('Blake'), original.engine.opponentStats.getStats('Blake'));
+
+    playUntil(original.engine, engine => engine.handNumber === 30);
+    playUntil(restored.engine, engine => engine.handNumber === 30);
+    assert.deepStrictEqual(withoutTimes(restored.engine.serialize()), withoutTimes(original.engine.serialize()));
+    assert.deepStrictEqual(restored.engine.opponentStats.getStats('Casey'), original.engine.opponentStats.getStats('Casey'));
+});
+
+test('saves only the latest hand records when asked, and the statistics in full', () => {
+    const original = createBotTable('trimmed');
+    playUntil(original.engine, engine => engine.handNumber === 12 && engine.phase === GAME_PHASES.FLOP);
+
+    const saved = JSON.parse(JSON.stringify(original.engine.serialize({ historyHands: 3 })));
+    assert.deepStrictEqual(saved.handHistory.hands.map(hand => hand.handNumber), [9, 10, 11, 12]);
+    assert.strictEqual(saved.handHistory.inProgress, true);
+
+    const restored = createBotTable('something else', saved.players.map(p => p.name));
+    restored.engine.restore(saved);
+    assert.strictEqual(restored.engine.handHistory.currentHand.handNumber, 12);
+    assert.deepStrictEqual(restored.engine.opponentStats.getStats('Blake'), original.engine.opponentStats.getStats('Blake'));
+    assert.strictEqual(restored.engine.opponentStats.getStats('Blake').hands, 11);
+});
+
+test('refuses snapshots from another version or with players not at the table', () => {
+    const { engine } = createBotTable('versions');
+    playUntil(engine, e => e.handNumber === 1);
+    const saved = engine.serialize();
+
+    assert.throws(() => engine.restore({ ...saved, version: 99 }), /Unsupported engine snapshot version 99/);
+    // Saves from before straddles, big blind antes and saved statistics are refused, not guessed at
+    assert.throws(() => engine.restore({ ...saved, version: 1 }), /Unsupported engine snapshot version 1/);
+    assert.throws(() => createBotTable('versions', ['Alex', 'Blake', 'Casey', 'Eli']).engine.restore(saved),
+        /The snapshot seats "Drew", who is not at this table/);
+});
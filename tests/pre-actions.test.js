@@ -0,0 +1,35 @@
+/**
+ * Pre-actions: the choices offered while waiting and what each plays when the turn comes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ACTIONS } = require('../js/poker-engine.js');
+const { PRE_ACTIONS, getPreActionOptions, resolvePreAction } = require('../js/pre-actions.js');
+
+const CHECKED_TO = [{ action: ACTIONS.CHECK }, { action: ACTIONS.RAISE, min: 20, max: 1000 }];
+const FACING_40 = [{ action: ACTIONS.FOLD }, { action: ACTIONS.CALL, amount: 40 }, { action: ACTIONS.RAISE, min: 80, max: 1000 }];
+const FACING_120 = [{ action: ACTIONS.FOLD }, { action: ACTIONS.CALL, amount: 120 }, { action: ACTIONS.RAISE, min: 200, max: 1000 }];
+
+test('offers Check with nothing to call and Call of the current price otherwise', () => {
+    assert.deepStrictEqual(getPreActionOptions(0).map(o => o.label), ['Check/Fold', 'Check', 'Call Any']);
+    assert.deepStrictEqual(getPreActionOptions(40), [
+        { type: PRE_ACTIONS.CHECK_FOLD, label: 'Check/Fold' },
+        { type: PRE_ACTIONS.CALL, label: 'Call $40', amount: 40 },
+        { type: PRE_ACTIONS.CALL_ANY, label: 'Call Any' }
+    ]);
+});
+
+test('check/fold and call any always play', () => {
+    assert.strictEqual(resolvePreAction({ type: PRE_ACTIONS.CHECK_FOLD }, CHECKED_TO), ACTIONS.CHECK);
+    assert.strictEqual(resolvePreAction({ type: PRE_ACTIONS.CHECK_FOLD }, FACING_40), ACTIONS.FOLD);
+    assert.strictEqual(resolvePreAction({ type: PRE_ACTIONS.CALL_ANY }, CHECKED_TO), ACTIONS.CHECK);
+    assert.strictEqual(resolvePreAction({ type: PRE_ACTIONS.CALL_ANY }, FACING_120), ACTIONS.CALL);
+});
+
+test('check and call a set amount give the decision back once someone bets or raises', () => {
+    assert.strictEqual(resolvePreAction({ type: PRE_ACTIONS.CHECK, amount: 0 }, CHECKED_TO), ACTIONS.CHECK);
+    assert.strictEqual(resolvePreAction({ type: PRE_ACTIONS.CHECK, amount: 0 }, FACING_40), null);
+    assert.strictEqual(resolvePreAction({ type: PRE_ACTIONS.CALL, amount: 40 }, FACING_40), ACTIONS.CALL);
+    assert.strictEqual(resolvePreAction({ type: PRE_ACTIONS.CALL, amount: 40 }, FACING_120), null);
+});
@@ -0,0 +1,101 @@
+/**
+ * Preflop chart trainer: chart parsing, dealing spots, grading and results per hand class
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    DEFAULT_CHART, PRIOR_ACTIONS, parseChart, getFrequencies, describeSpot, describePlay, PreflopTrainer
+} = require('../js/preflop-trainer.js');
+const { createRng } = require('../js/random.js');
+
+const BUTTON_CHART = {
+    name: 'Button only',
+    spots: [
+        { position: 'BTN', prior: 'unopened', depth: 100, raise: '22+, A2s+, KTo+' },
+        { position: 'BB', prior: 'vs-open', versus: 'BTN', depth: 100, raise: 'QQ+, A5s:0.5', call: 'JJ-22, AQo' }
+    ]
+};
+
+test('parses charts and reads how often each hand raises, calls and folds', () => {
+    const chart = parseChart(BUTTON_CHART);
+    const [open, defend] = chart.spots;
+
+    assert.strictEqual(open.id, 'unopened:BTN:100bb');
+    assert.deepStrictEqual(getFrequencies(open, 'KJo'), { fold: 0, call: 0, raise: 1 });
+    assert.deepStrictEqual(getFrequencies(open, 'K9o'), { fold: 1, call: 0, raise: 0 });
+    assert.deepStrictEqual(getFrequencies(defend, 'A5s'), { fold: 0.5, call: 0, raise: 0.5 });
+    assert.strictEqual(describePlay(getFrequencies(defend, 'A5s')), 'raise 50% · fold 50%');
+    assert.strictEqual(describePlay(getFrequencies(defend, '77')), 'call');
+
+    assert.strictEqual(describeSpot(open), 'Folded to you in the BTN, 100bb deep');
+    assert.strictEqual(describeSpot(defend), 'BTN opens; you are in the BB, 100bb deep');
+
+    // The built-in chart is valid
+    assert.ok(parseChart(DEFAULT_CHART).spots.length > 10);
+});
+
+test('rejects charts with unknown seats or hands played more than all of the time', () => {
+    assert.throws(() => parseChart({ spots: [] }), /needs a list of spots/);
+    assert.throws(() => parseChart({ spots: [{ position: 'MP2', prior: 'unopened', depth: 100, raise: 'AA' }] }),
+        /unknown position/);
+    assert.throws(() => parseChart({ spots: [{ position: 'BB', prior: 'vs-open', depth: 100, raise: 'AA' }] }),
+        /needs the position it plays against/);
+    assert.throws(() => parseChart({ spots: [{ position: 'BTN', prior: 'unopened', depth: 100, raise: 'AA', call: '22+' }] }),
+        /Spot "unopened:BTN:100bb" plays AA more than all of the time/);
+});
+
+test('deals spots matching the filter and grades answers against the chart', () => {
+    const trainer = new PreflopTrainer({ chart: BUTTON_CHART, rng: createRng('trainer') });
+
+    for (let i = 0; i < 40; i++) {
+        const drill = trainer.deal({ prior: PRIOR_ACTIONS.VS_OPEN });
+        assert.strictEqual(drill.spot.position, 'BB');
+        assert.strictEqual(drill.holeCards.length, 2);
+
+        const frequencies = getFrequencies(drill.spot, drill.hand);
+        const result = trainer.answer('call');
+        assert.strictEqual(result.correct, frequencies.call > 0);
+        assert.strictEqual(frequencies[result.best], Math.max(frequencies.fold, frequencies.call, frequencies.raise));
+    }
+
+    assert.throws(() => trainer.answer('fold'), /Deal a new hand before answering/);
+    assert.throws(() => trainer.deal({ position: 'UTG' }), /No spot in the chart matches/);
+    assert.strictEqual(trainer.stats.getTotals().attempts, 40);
+});
+
+test('keeps results per hand class', () => {
+    const trainer = new PreflopTrainer({ chart: BUTTON_CHART, rng: createRng('grid') });
+    const seen = new Map();
+
+    for (let i = 0; i < 60; i++) {
+        const drill = trainer.deal();
+        const { correct } = trainer.answer('raise');
+        const entry = seen.get(drill.hand) || { attempts: 0, correct: 0 };
+        entry.attempts++;
+        if (correct) entry.correct++;
+        seen.set(drill.hand, entry);
+    }
+
+    for (const [hand, entry] of seen) {
+        assert.deepStrictEqual(trainer.stats.getHandStats(hand),
+            { ...entry, accuracy: entry.correct / entry.attempts });
+    }
+    assert.deepStrictEqual(trainer.stats.getHandStats('not-dealt'), { attempts: 0, correct: 0, accuracy: null });
+    assert.strictEqual(trainer.stats.getTotals().attempts, 60);
+});
+
+test('deals hands near the edge of the range more often than chance', () => {
+    const trainer = new PreflopTrainer({ rng: createRng('borderline') });
+    let decisions = 0;
+
+    for (let i = 0; i < 200; i++) {
+        const drill = trainer.deal({ position: 'UTG', depth: 100 });
+        const frequencies = getFrequencies(drill.spot, drill.hand);
+        if (frequencies.fold < 1) decisions++;
+        trainer.answer('fold');
+    }
+
+    // UTG opens about 11% of hands; a uniform deal would rarely give a hand to play
+    assert.ok(decisions > 200 * 0.2, `${decisions} playable hands`);
+});
@@ -0,0 +1,95 @@
+/**
+ * Range notation parsing, serialization and set operations
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Random = require('../js/random.js');
+const Cards = require('../js/cards.js');
+const Ranges = require('../js/ranges.js');
+const Equity = require('../js/equity.js');
+
+const { HandRange, parseRange } = Ranges;
+
+test('counts combos for pairs, suited and offsuit hands', () => {
+    assert.strictEqual(parseRange('QQ').size, 6);
+    assert.strictEqual(parseRange('AKs').size, 4);
+    assert.strictEqual(parseRange('AKo').size, 12);
+    assert.strictEqual(parseRange('AK').size, 16);
+});
+
+test('expands plus and dash notation', () => {
+    assert.strictEqual(parseRange('22+').size, 13 * 6);
+    assert.strictEqual(parseRange('A2s+').size, 12 * 4);
+    assert.strictEqual(parseRange('KTo+').size, 3 * 12);
+    assert.strictEqual(parseRange('T9s-T6s').size, 4 * 4);
+    assert.strictEqual(parseRange('88-55').size, 4 * 6);
+    assert.strictEqual(parseRange('22+, A2s+, KTo+, 76s').size, 78 + 48 + 36 + 4);
+});
+
+test('parses specific combos and weights', () => {
+    const range = parseRange('AhKh, QQ:0.5');
+
+    assert.strictEqual(range.weightOf('KhAh'), 1);
+    assert.strictEqual(range.weightOf('QsQd'), 0.5);
+    assert.strictEqual(range.weightOf('AsKs'), 0);
+    assert.strictEqual(range.weightedSize, 1 + 6 * 0.5);
+});
+
+test('rejects malformed tokens', () => {
+    for (const text of ['AAs', 'AKx', 'KQs-J9s', 'AhAh', '22+:2', 'XY']) {
+        assert.throws(() => parseRange(text), Error, text);
+    }
+});
+
+test('lays hand classes out as a 13x13 chart', () => {
+    const grid = Ranges.handClassGrid();
+
+    assert.strictEqual(grid.length, 13);
+    assert.ok(grid.every(row => row.length === 13));
+    assert.deepStrictEqual(grid[0].slice(0, 3), ['AA', 'AKs', 'AQs']);
+    assert.deepStrictEqual([grid[1][0], grid[1][1], grid[12][12]], ['AKo', 'KK', '22']);
+    assert.deepStrictEqual(new Set(grid.flat()), new Set(Ranges.allHandClasses()));
+});
+
+test('serializes back to compact notation', () => {
+    const cases = {
+        '22+, A2s+, KTo+, 76s': '22+, A2s+, KTo+, 76s',
+        'JJ-88, AKs, AQs, T9s-T7s': 'JJ-88, AQs+, T7s+',
+        '99-66, KJo, KTo': '99-66, KJo-KTo',
+        'QQ:0.5, AhKh': 'QQ:0.5, AhKh'
+    };
+
+    for (const [input, expected] of Object.entries(cases)) {
+        assert.strictEqual(parseRange(input).toString(), expected);
+        assert.strictEqual(parseRange(parseRange(input).toString()).toString(), expected);
+    }
+});
+
+test('supports union, intersection and subtraction', () => {
+    const broadway = parseRange('AKs, AQs, KQs');
+    const aces = parseRange('A2s+');
+
+    assert.strictEqual(broadway.union(aces).size, 13 * 4);
+    assert.strictEqual(broadway.intersect(aces).toString(), 'AQs+');
+    assert.strictEqual(aces.subtract(broadway).toString(), 'AJs-A2s');
+});
+
+test('removes combos blocked by dead cards', () => {
+    const dead = [Cards.codeToCard('Ah'), Cards.codeToCard('Kd')];
+    const range = parseRange('AA, KK, AKs').removeBlocked(dead);
+
+    assert.strictEqual(range.size, 3 + 3 + 2);
+    assert.ok(!range.has('AhAs'));
+});
+
+test('feeds the equity calculator', () => {
+    const result = Equity.calculateEquity({
+        ranges: ['AA', new HandRange().union(parseRange('KK'))],
+        method: 'monte-carlo',
+        iterations: 2000,
+        rng: Random.createRng('ranges')
+    });
+
+    assert.ok(result.players[0].equity > 70);
+});
@@ -0,0 +1,79 @@
+/**
+ * Headless bot-vs-bot simulation: hand statistics, intervals and reports
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BotSimulation, getHandStats, meanInterval, proportionInterval, formatSimulationReport } =
+    require('../js/simulation.js');
+
+test('plays every hand and the seats win what the others lose', () => {
+    const simulation = new BotSimulation({ seats: ['easy', 'medium', 'hard'], hands: 300, seed: 'simulation' });
+    const report = simulation.run();
+
+    assert.strictEqual(report.hands, 300);
+    assert.deepStrictEqual(report.seats.map(s => s.label), ['Easy 1', 'Medium 2', 'Hard 3']);
+    assert.ok(report.seats.every(s => s.hands === 300));
+
+    const total = report.seats.reduce((sum, s) => sum + s.bbPer100.mean, 0);
+    assert.ok(Math.abs(total) < 1e-9);
+
+    for (const seat of report.seats) {
+        assert.ok(seat.pfr.rate <= seat.vpip.rate);
+        assert.ok(seat.bbPer100.low <= seat.bbPer100.mean && seat.bbPer100.mean <= seat.bbPer100.high);
+    }
+});
+
+test('a seed replays the same results', () => {
+    const run = () => new BotSimulation({ seats: ['hard', 'medium'], hands: 100, seed: 7 }).run();
+
+    assert.deepStrictEqual(run(), run());
+});
+
+test('pools seats of the same difficulty', () => {
+    const report = new BotSimulation({ seats: ['hard', 'easy', 'hard'], hands: 50, seed: 'groups' }).run();
+
+    assert.deepStrictEqual(report.groups.map(g => [g.label, g.hands]), [['Hard', 100], ['Easy', 50]]);
+    assert.match(formatSimulationReport(report), /^Hard 3 /m);
+});
+
+test('rejects tables it cannot run', () => {
+    assert.throws(() => new BotSimulation({ seats: ['hard'] }), /at least two seats/);
+    assert.throws(() => new BotSimulation({ seats: ['hard', 'genius'] }), /Unknown bot strategy "genius"/);
+});
+
+test('counts voluntary preflop money but not blinds', () => {
+    const hand = {
+        actions: [
+            { street: 'preflop', player: 'A', action: 'small_blind' },
+            { street: 'preflop', player: 'B', action: 'big_blind' },
+            { street: 'preflop', player: 'A', action: 'raise' },
+            { street: 'preflop', player: 'B', action: 'call' },
+            { street: 'flop', player: 'B', action: 'bet' },
+            { street: 'flop', player: 'A', action: 'call' }
+        ],
+        showdown: [{ player: 'A' }, { player: 'B' }],
+        winners: [{ player: 'B' }]
+    };
+
+    assert.deepStrictEqual(getHandStats(hand, 'A'), { vpip: true, pfr: true, sawShowdown: true, wonAtShowdown: false });
+    assert.deepStrictEqual(getHandStats(hand, 'B'), { vpip: true, pfr: false, sawShowdown: true, wonAtShowdown: true });
+    assert.deepStrictEqual(getHandStats({ ...hand, actions: hand.actions.slice(0, 2) }, 'B'),
+        { vpip: false, pfr: false, sawShowdown: true, wonAtShowdown: true });
+});
+
+test('computes 95% confidence intervals', () => {
+    // Values 1, 2, 3: mean 2, sample variance 1
+    const mean = meanInterval(3, 6, 14);
+    assert.strictEqual(mean.mean, 2);
+    assert.ok(Math.abs(mean.high - (2 + 1.96 / Math.sqrt(3))) < 1e-9);
+
+    const proportion = proportionInterval(50, 100);
+    assert.strictEqual(proportion.rate, 0.5);
+    assert.ok(Math.abs(proportion.low - 0.4038) < 1e-3);
+    assert.ok(Math.abs(proportion.high - 0.5962) < 1e-3);
+
+    const none = proportionInterval(0, 10);
+    assert.strictEqual(none.low, 0);
+    assert.ok(none.high > 0);
+});
@@ -0,0 +1,388 @@
+/**
+ * Multiplayer table server: WebSocket framing, the message protocol, seating,
+ * private hole cards, turn checks, the decision clock and playing over a real connection
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { OPCODES, CLOSE_CODES, getAcceptKey, encodeFrame, FrameParser, WebSocketConnection, connectWebSocket } = require('../server/websocket.js');
+const { TableServer, startTableServer } = require('../server/table-server.js');
+const { CLIENT_MESSAGES, encodeMessage, parseMessage } = require('../js/table-protocol.js');
+
+/**
+ * A connection that keeps what the table sends it
+ */
+function createConnection() {
+    const connection = new EventEmitter();
+    connection.messages = [];
+    connection.send = text => connection.messages.push(JSON.parse(text));
+    connection.say = (type, fields) => connection.emit('message', encodeMessage(type, fields));
+    connection.last = type => connection.messages.filter(m => m.type === type).pop();
+    return connection;
+}
+
+/**
+ * Waits until a check passes, letting the table's timers run
+ */
+async function waitFor(check, limit = 2000) {
+    for (let i = 0; i < limit; i++) {
+        if (check()) return;
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    throw new Error('Timed out waiting');
+}
+
+function createTable(options = {}) {
+    return new TableServer({ seats: 3, seed: 'table', botDelay: 0, handDelay: 0, ...options });
+}
+
+test('encodes and parses WebSocket frames, masked or not and split across reads', () => {
+    // The handshake example from RFC 6455
+    assert.strictEqual(getAcceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+
+    const long = 'x'.repeat(300);
+    const bytes = Buffer.concat([encodeFrame('hello', OPCODES.TEXT, true), encodeFrame(long), encodeFrame('', OPCODES.PING)]);
+    const parser = new FrameParser();
+    const frames = [...parser.push(bytes.subarray(0, 9)), ...parser.push(bytes.subarray(9))];
+
+    assert.deepStrictEqual(frames.map(f => [f.opcode, f.masked, f.payload.toString()]), [
+        [OPCODES.TEXT, true, 'hello'],
+        [OPCODES.TEXT, false, long],
+        [OPCODES.PING, false, '']
+    ]);
+});
+
+test('limits the size of a fragmented message and reads nothing after closing', () => {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.setNoDelay = () => {};
+    socket.write = frame => socket.written.push(frame);
+    socket.end = () => {};
+    const connection = new WebSocketConnection(socket);
+    const messages = [];
+    connection.on('message', text => messages.push(text));
+
+    // Each frame is under the limit, but the message they make is not
+    const fragment = (opcode, text) => {
+        const frame = encodeFrame(text, opcode, true);
+        frame[0] &= 0x7F;
+        return frame;
+    };
+    const half = 'x'.repeat(600 * 1024);
+    socket.emit('data', fragment(OPCODES.TEXT, 'a'));
+    socket.emit('data', encodeFrame('b', OPCODES.CONTINUATION, true));
+    socket.emit('data', fragment(OPCODES.TEXT, half));
+    socket.emit('data', fragment(OPCODES.CONTINUATION, half));
+
+    assert.deepStrictEqual(messages, ['ab']);
+    assert.strictEqual(connection.isOpen, false);
+    assert.strictEqual(socket.written[0].readUInt16BE(2), CLOSE_CODES.TOO_BIG);
+
+    socket.emit('data', encodeFrame('late', OPCODES.TEXT, true));
+    assert.deepStrictEqual(messages, ['ab']);
+    assert.strictEqual(connection.fragments.length, 0);
+});
+
+test('parses protocol messages and refuses unknown ones', () => {
+    assert.deepStrictEqual(parseMessage('{"type":"act","action":"fold"}', CLIENT_MESSAGES), { type: 'act', action: 'fold' });
+    assert.throws(() => parseMessage('not json', CLIENT_MESSAGES), /Messages must be JSON/);
+    assert.throws(() => parseMessage('{"type":"deal"}', CLIENT_MESSAGES), /Unknown message type "deal"/);
+});
+
+test('welcomes players under unique names and needs a join first', () => {
+    const table = createTable();
+    const first = createConnection();
+    const second = createConnection();
+    table.addConnection(first);
+    table.addConnection(second);
+
+    second.say(CLIENT_MESSAGES.SIT);
+    assert.strictEqual(second.last('error').message, 'Join the table first');
+
+    first.say(CLIENT_MESSAGES.JOIN, { name: 'Ann' });
+    second.say(CLIENT_MESSAGES.JOIN, { name: 'Ann' });
+    assert.strictEqual(first.last('welcome').name, 'Ann');
+    assert.strictEqual(second.last('welcome').name, 'Ann (2)');
+    assert.deepStrictEqual(first.last('welcome').table, { seats: 3, bigBlind: 20, startingChips: 1000 });
+
+    const third = createConnection();
+    table.addConnection(third);
+    third.say(CLIENT_MESSAGES.JOIN, { name: '<img src=x onerror=alert(1)>' });
+    assert.strictEqual(third.last('error').message, 'Names cannot contain < > & " or \'');
+    assert.strictEqual(third.last('welcome'), undefined);
+
+    // Bots hold every seat until someone sits
+    const state = first.last('state');
+    assert.strictEqual(state.seats.length, 3);
+    assert.ok(state.seats.every(seat => seat.isBot && seat.strategy.label));
+    assert.strictEqual(state.you, null);
+    table.stop();
+});
+
+test('deals each player only their own hole cards', async () => {
+    const table = createTable();
+    const ann = createConnection();
+    const bob = createConnection();
+    for (const [connection, name] of [[ann, 'Ann'], [bob, 'Bob']]) {
+        table.addConnection(connection);
+        connection.say(CLIENT_MESSAGES.JOIN, { name });
+        connection.say(CLIENT_MESSAGES.SIT);
+    }
+    assert.strictEqual(ann.last('seated').seat, 0);
+    assert.strictEqual(bob.last('seated').seat, 1);
+    assert.strictEqual(bob.last('error'), undefined);
+
+    await waitFor(() => ann.last('hole_cards') && bob.last('hole_cards'));
+    const annCards = ann.last('hole_cards').cards;
+    assert.strictEqual(annCards.length, 2);
+    assert.notDeepStrictEqual(annCards, bob.last('hole_cards').cards);
+
+    const state = ann.last('state');
+    assert.strictEqual(state.handComplete, false);
+    assert.deepStrictEqual(state.seats.map(seat => seat.name).slice(0, 2), ['Ann', 'Bob']);
+    assert.ok(state.seats[2].isBot);
+    assert.ok(state.seats.every(seat => seat.cards === null && seat.hasCards));
+    assert.ok(!JSON.stringify(bob.messages).includes(JSON.stringify(annCards)));
+    table.stop();
+});
+
+test('refuses actions out of turn or against the rules', async () => {
+    const table = createTable({ seats: 2 });
+    const ann = createConnection();
+    const bob = createConnection();
+    for (const [connection, name] of [[ann, 'Ann'], [bob, 'Bob']]) {
+        table.addConnection(connection);
+        connection.say(CLIENT_MESSAGES.JOIN, { name });
+        connection.say(CLIENT_MESSAGES.SIT);
+    }
+
+    await waitFor(() => [ann, bob].some(c => c.last('state').you.legalActions.length > 0));
+    const [toAct, waiting] = ann.last('state').you.legalActions.length > 0 ? [ann, bob] : [bob, ann];
+    const handNumber = toAct.last('state').handNumber;
+
+    waiting.say(CLIENT_MESSAGES.ACT, { action: 'fold' });
+    assert.strictEqual(waiting.last('error').message, 'It is not your turn');
+
+    // Facing the big blind there is nothing to check
+    toAct.say(CLIENT_MESSAGES.ACT, { action: 'check' });
+    assert.strictEqual(toAct.last('error').message, 'You cannot check now');
+    toAct.say(CLIENT_MESSAGES.ACT, { action: 'raise', amount: 45.5 });
+    assert.strictEqual(toAct.last('error').message, 'Amounts must be whole chips');
+
+    toAct.say(CLIENT_MESSAGES.ACT, { action: 'raise', amount: 60 });
+    const state = waiting.last('state');
+    assert.strictEqual(state.handNumber, handNumber);
+    assert.strictEqual(state.currentBet, 60);
+    assert.ok(state.you.legalActions.some(legal => legal.action === 'call' && legal.amount === 40));
+    table.stop();
+});
+
+test('folds for a player who leaves on their turn and gives the seat back to a bot', async () => {
+    const table = createTable({ seats: 2 });
+    const ann = createConnection();
+    const watcher = createConnection();
+    table.addConnection(ann);
+    table.addConnection(watcher);
+    watcher.say(CLIENT_MESSAGES.JOIN, { name: 'Watcher' });
+    ann.say(CLIENT_MESSAGES.JOIN, { name: 'Ann' });
+    ann.say(CLIENT_MESSAGES.SIT);
+
+    await waitFor(() => ann.last('state').you.legalActions.length > 0);
+    const handNumber = ann.last('state').handNumber;
+    ann.emit('close');
+
+    const state = watcher.last('state');
+    assert.strictEqual(state.handComplete, true);
+    assert.strictEqual(state.handNumber, handNumber);
+    assert.ok(state.seats[0].hasFolded);
+
+    // With nobody seated the table waits, and Ann's seat goes back to a bot
+    watcher.say(CLIENT_MESSAGES.SIT, { seat: 1 });
+    await waitFor(() => watcher.last('state').handNumber > handNumber);
+    assert.ok(watcher.last('state').seats[0].isBot);
+    table.stop();
+});
+
+test('keeps the stack of a player who stands and sits again', async () => {
+    const table = createTable({ seats: 2 });
+    const ann = createConnection();
+    table.addConnection(ann);
+    ann.say(CLIENT_MESSAGES.JOIN, { name: 'Ann' });
+    ann.say(CLIENT_MESSAGES.SIT);
+
+    // Folding a blind leaves her short of the starting chips
+    await waitFor(() => ann.last('state').you.legalActions.length > 0);
+    const handNumber = ann.last('state').handNumber;
+    ann.say(CLIENT_MESSAGES.ACT, { action: 'fold' });
+    const stack = ann.last('state').seats[0].chips;
+    assert.ok(stack < 1000);
+    ann.say(CLIENT_MESSAGES.STAND);
+
+    ann.say(CLIENT_MESSAGES.SIT, { seat: 1 });
+    await waitFor(() => ann.last('state').handNumber > handNumber && ann.last('state').you.legalActions.length > 0);
+    const seat = ann.last('state').seats[1];
+    assert.strictEqual(seat.name, 'Ann');
+    assert.strictEqual(seat.chips + seat.bet, stack);
+    table.stop();
+});
+
+test('checks or folds for a player whose clock and time bank run out', async () => {
+    const table = createTable({ seats: 2, decisionTime: 0.02, timeBank: 0.01 });
+    const ann = createConnection();
+    table.addConnection(ann);
+    ann.say(CLIENT_MESSAGES.JOIN, { name: 'Ann' });
+    ann.say(CLIENT_MESSAGES.SIT);
+
+    await waitFor(() => ann.last('state').you.legalActions.length > 0);
+    const state = ann.last('state');
+    assert.deepStrictEqual(state.clock, { decisionTime: 0.02, timeBank: 0.01, elapsed: 0 });
+    const canCheck = state.you.legalActions.some(legal => legal.action === 'check');
+
+    await waitFor(() => ann.last('state').log.includes('Ann ran out of time'));
+    const log = ann.last('state').log;
+    const timedOut = log.indexOf('Ann ran out of time');
+    assert.match(log[timedOut + 1], canCheck ? /^Ann checks/ : /^Ann folds/);
+
+    // The bank is spent for the rest of the session
+    assert.strictEqual([...table.clients][0].clock.timeBank, 0);
+    table.stop();
+});
+
+test('keeps a hand mucked at showdown hidden from the table', async () => {
+    const table = createTable({ seats: 2 });
+    const ann = createConnection();
+    const bob = createConnection();
+    const showdowns = [];
+    for (const [connection, name, autoMuck] of [[ann, 'Ann', true], [bob, 'Bob', false]]) {
+        table.addConnection(connection);
+        connection.say(CLIENT_MESSAGES.JOIN, { name });
+        connection.say(CLIENT_MESSAGES.SIT, { autoMuck });
+        // Check or call down every hand, noting how each showdown looked to Bob
+        const keep = connection.send;
+        connection.send = text => {
+            keep(text);
+            const message = JSON.parse(text);
+            if (message.type !== 'state') return;
+            if (connection === bob && message.handComplete && message.phase === 'showdown') showdowns.push(message);
+            const legal = message.you && message.you.legalActions;
+            const play = legal && (legal.find(l => l.action === 'check') || legal.find(l => l.action === 'call'));
+            if (play) setImmediate(() => connection.say(CLIENT_MESSAGES.ACT, { action: play.action }));
+        };
+    }
+
+    const annLost = state => !state.winners.some(w => w.name === 'Ann');
+    try {
+        await waitFor(() => showdowns.some(annLost) && showdowns.some(state => !annLost(state)));
+        for (const state of showdowns) {
+            assert.strictEqual(state.seats[0].cards === null, annLost(state));
+            assert.strictEqual(state.seats[1].cards.length, 2);
+        }
+    } finally {
+        table.stop();
+    }
+});
+
+test('plays hands over WebSocket with bots in the empty seats', async () => {
+    const { server, table, port } = await startTableServer({ port: 0, seats: 4, seed: 'socket', botDelay: 0, handDelay: 0 });
+    const connection = await connectWebSocket(`ws://localhost:${port}`);
+    const holeCards = [];
+    let lastState = null;
+
+    connection.on('message', text => {
+        const message = JSON.parse(text);
+        if (message.type === 'hole_cards') holeCards.push(message.cards);
+        if (message.type !== 'state') return;
+        lastState = message;
+        // Check or call whatever comes
+        const legal = message.you && message.you.legalActions;
+        const play = legal && (legal.find(l => l.action === 'check') || legal.find(l => l.action === 'call'));
+        if (play) connection.send(encodeMessage(CLIENT_MESSAGES.ACT, { action: play.action }));
+    });
+    connection.send(encodeMessage(CLIENT_MESSAGES.JOIN, { name: 'Remote' }));
+    connection.send(encodeMessage(CLIENT_MESSAGES.SIT));
+
+    try {
+        await waitFor(() => holeCards.length >= 5 && lastState.handComplete);
+        assert.strictEqual(lastState.seats.filter(seat => seat.isBot).length, 3);
+        assert.strictEqual(lastState.seats.reduce((sum, seat) => sum + seat.chips, 0), 4000);
+    } finally {
+        connection.close();
+        table.stop();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+/**
+ * Sends a raw GET, so malformed paths reach the server as they are
+ */
+function get(port, requestPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ port, path: requestPath }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Asks to upgrade to WebSocket from a page's origin
+ * @returns {Promise} Resolves with the status code, 101 when accepted
+ */
+function upgrade(port, origin) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+                'Sec-WebSocket-Version': '13',
+                Origin: origin
+            }
+        });
+        request.on('upgrade', (response, socket) => {
+            socket.destroy();
+            resolve(response.statusCode);
+        });
+        request.on('response', response => {
+            response.destroy();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+test('accepts WebSocket connections only from its own pages', async () => {
+    const { server, table, port } = await startTableServer({ port: 0, seats: 2, seed: 'origin', botDelay: 0, handDelay: 0 });
+
+    try {
+        assert.strictEqual(await upgrade(port, `http://localhost:${port}`), 101);
+        assert.strictEqual(await upgrade(port, 'http://evil.example'), 403);
+        assert.strictEqual(await upgrade(port, `http://localhost:${port + 1}`), 403);
+        assert.strictEqual(await upgrade(port, 'null'), 403);
+    } finally {
+        table.stop();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('serves only the pages and their assets, and survives malformed paths', async () => {
+    const { server, table, port } = await startTableServer({ port: 0, seats: 2, seed: 'static', botDelay: 0, handDelay: 0 });
+
+    try {
+        assert.strictEqual(await get(port, '/'), 200);
+        assert.strictEqual(await get(port, '/js/poker-engine.js'), 200);
+        assert.strictEqual(await get(port, '/css/styles.css'), 200);
+        for (const hidden of ['/.git/config', '/requests.jsonl', '/tests/table-server.test.js', '/server/table-server.js', '/js/../README.md']) {
+            assert.strictEqual(await get(port, hidden), 404, hidden);
+        }
+        assert.strictEqual(await get(port, '/%E0%A4%A'), 400);
+        assert.strictEqual(await get(port, '/index.html'), 200);
+    } finally {
+        table.stop();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,129 @@
+/**
+ * Sit & Go blind schedule, antes, elimination order, payouts and saving a tournament
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Tournament = require('../js/tournament.js');
+const { createPlayer, createEngine } = require('./helpers.js');
+
+test('builds a rising schedule with antes from level four', () => {
+    const levels = Tournament.createBlindSchedule(20);
+
+    assert.deepStrictEqual(levels[0], { level: 1, smallBlind: 10, bigBlind: 20, ante: 0 });
+    assert.deepStrictEqual(levels[3], { level: 4, smallBlind: 50, bigBlind: 100, ante: 10 });
+    assert.ok(levels.every((level, i) => i === 0 || level.bigBlind > levels[i - 1].bigBlind));
+});
+
+test('advances blind levels by hand count', () => {
+    const tournament = new Tournament.Tournament({ levelLength: 3 });
+    const players = [createPlayer('You', 1000), createPlayer('Bot', 1000)];
+    tournament.start(players);
+
+    const changes = [];
+    for (let hand = 0; hand < 7; hand++) {
+        changes.push(tournament.beginHand(players));
+    }
+
+    assert.deepStrictEqual(changes, [false, false, false, true, false, false, true]);
+    assert.strictEqual(tournament.getCurrentLevel().level, 3);
+    assert.deepStrictEqual(tournament.getTimeToNextLevel(), { hands: 2 });
+});
+
+test('advances blind levels by time, catching up on missed levels', () => {
+    let now = 0;
+    const tournament = new Tournament.Tournament({ mode: 'time', levelLength: 5, now: () => now });
+    const players = [createPlayer('You', 1000), createPlayer('Bot', 1000)];
+    tournament.start(players);
+
+    assert.strictEqual(tournament.beginHand(players), false);
+    now = 4 * 60000;
+    assert.strictEqual(tournament.beginHand(players), false);
+    assert.deepStrictEqual(tournament.getTimeToNextLevel(), { ms: 60000 });
+
+    now = 11 * 60000;
+    assert.strictEqual(tournament.beginHand(players), true);
+    assert.strictEqual(tournament.getCurrentLevel().level, 3);
+});
+
+test('posts antes without counting them towards the bet', () => {
+    const players = [createPlayer('P1', 1000), createPlayer('P2', 1000), createPlayer('P3', 5)];
+    const engine = createEngine(players, { seed: 'antes' });
+    engine.setBlinds(50, 100, 10);
+    engine.startNewHand();
+
+    // P3 is all-in for the ante and cannot post a blind
+    assert.strictEqual(players[2].isAllIn, true);
+    assert.strictEqual(engine.pot, 10 + 10 + 5 + 100);
+    assert.strictEqual(engine.currentBet, 100);
+    assert.strictEqual(players.find(p => p.totalBetThisRound === 100).chips, 1000 - 10 - 100);
+
+    const antes = engine.handHistory.currentHand.actions.filter(a => a.action === 'ante');
+    assert.deepStrictEqual(antes.map(a => a.amount), [10, 10, 5]);
+});
+
+test('ranks players busting on the same hand by their starting stacks', () => {
+    const players = ['You', 'A', 'B', 'C', 'D', 'E'].map(name => createPlayer(name, 1000));
+    const tournament = new Tournament.Tournament({ buyIn: 50 });
+    tournament.start(players);
+
+    players[1].chips = 300;
+    players[2].chips = 800;
+    tournament.beginHand(players);
+    players[1].chips = 0;
+    players[2].chips = 0;
+    players[0].chips += 1100;
+
+    const out = tournament.recordEliminations();
+    assert.deepStrictEqual(out.map(e => [e.player.name, e.place]), [['A', 6], ['B', 5]]);
+
+    tournament.beginHand(tournament.getRemainingPlayers());
+    for (const player of players.slice(3)) {
+        player.chips = 0;
+    }
+    tournament.recordEliminations();
+
+    assert.strictEqual(tournament.isComplete(), true);
+    const results = tournament.getResults();
+    assert.deepStrictEqual(results.map(r => r.place), [1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(results[0].name, 'You');
+    assert.deepStrictEqual(results.map(r => r.prize), [150, 90, 60, 0, 0, 0]);
+    assert.strictEqual(results[5].eliminatedOnHand, 1);
+});
+
+test('saves and restores eliminations, stacks and the level clock', () => {
+    let now = 0;
+    const players = ['You', 'A', 'B', 'C'].map(name => createPlayer(name, 1000));
+    const tournament = new Tournament.Tournament({ mode: 'time', levelLength: 5, buyIn: 10, now: () => now });
+    tournament.start(players);
+    tournament.beginHand(players);
+    players[1].chips = 0;
+    tournament.recordEliminations();
+    now = 3 * 60000;
+    tournament.beginHand(tournament.getRemainingPlayers());
+
+    const saved = JSON.parse(JSON.stringify(tournament.serialize()));
+
+    // The clock stands still while saved: two minutes are left after restoring an hour later
+    now = 60 * 60000;
+    const copies = ['You', 'A', 'B', 'C'].map(name => createPlayer(name, 0));
+    const restored = new Tournament.Tournament({ now: () => now });
+    restored.restore(saved, copies);
+
+    assert.deepStrictEqual(restored.getTimeToNextLevel(), { ms: 2 * 60000 });
+    assert.deepStrictEqual(restored.getRemainingPlayers().map(p => p.name), ['You', 'B', 'C']);
+    assert.strictEqual(restored.eliminations[0].player, copies[1]);
+    assert.strictEqual(restored.startingStacks.get(copies[2]), 1000);
+    assert.strictEqual(restored.prizePool, 40);
+    assert.deepStrictEqual(restored.serialize(), saved);
+
+    assert.throws(() => restored.restore(saved, copies.slice(1)), /entrant "You" who is not at this table/);
+});
+
+test('pays more places as the field grows', () => {
+    assert.deepStrictEqual(Tournament.getPayoutStructure(2), [100]);
+    assert.deepStrictEqual(Tournament.getPayoutStructure(4), [65, 35]);
+    assert.deepStrictEqual(Tournament.getPayoutStructure(6), [50, 30, 20]);
+    assert.strictEqual(Tournament.formatPlace(2), '2nd');
+    assert.strictEqual(Tournament.formatPlace(11), '11th');
+});